@@ -1,10 +1,22 @@
 // doc2web.js - Enhanced version with improved error handling and logging
 const fs = require('fs');
 const path = require('path');
-const { promisify } = require('util');
+const { promisify, format } = require('util');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
 const mammoth = require('mammoth');
-// Import extractAndApplyStyles and extractImagesFromDocx from the lib
-const { extractAndApplyStyles, extractImagesFromDocx } = require('./lib');
+// Import extractAndApplyStyles from the lib
+const { extractAndApplyStyles } = require('./lib');
+const { formatProfileReport } = require('./lib/utils/profiler');
+const { createWorkerPool } = require('./lib/utils/worker-pool');
+const { createBatchSummary, formatJUnitReport, roundSeconds } = require('./lib/utils/batch-report');
+const { loadManifest, saveManifest, hashFile, hashOptions, isUpToDate, removeOutputs, removeUnusedMedia } = require('./lib/utils/build-manifest');
+const { watchDocxFiles } = require('./lib/utils/file-watcher');
+const { createLiveServer } = require('./lib/utils/live-server');
+const { FLAT_NAME_TEMPLATE, validateNameTemplate, resolveOutputPaths } = require('./lib/utils/output-paths');
+const { OPTION_PROPERTIES } = require('./lib/utils/config-schema');
+const { parseOptionArgs, formatOptionHelp } = require('./lib/utils/cli-options');
+const { CONFIG_FILENAMES, findConfigFile, loadConfigFile, mergeOptions, resolveFileOptions } = require('./lib/utils/config-loader');
+const { version: DOC2WEB_VERSION } = require('./package.json');
 
 // Promisify fs functions for async/await usage
 const readFile = promisify(fs.readFile);
@@ -13,34 +25,143 @@ const stat = promisify(fs.stat);
 const readdir = promisify(fs.readdir);
 const mkdir = promisify(fs.mkdir);
 
-// Base output directory
+// Default output directory (--out)
 const OUTPUT_BASE_DIR = './output';
 
+// workerData role of the threads that convert files for --jobs
+const WORKER_ROLE = 'doc2web-worker';
+
+// Manifest of converted files in the output directory, used to skip unchanged inputs
+const MANIFEST_FILENAME = 'doc2web-manifest.json';
+
+// Flags of all options, plus the ones that only exist on the command line
+const CLI_OPTION_PROPERTIES = {
+  isList: {
+    type: 'boolean',
+    default: false,
+    flag: 'list',
+    description: 'Treat the input file as a list of files to process'
+  },
+  ...OPTION_PROPERTIES,
+  flat: {
+    type: 'boolean',
+    default: false,
+    description: 'Write every document straight into the output directory'
+  },
+  config: {
+    type: ['string', 'boolean'],
+    placeholder: 'file',
+    description: `Read the options from this file instead of the nearest ${CONFIG_FILENAMES.join(' or ')}`,
+    negatedDescription: 'Do not read options from a config file'
+  }
+};
+
 /**
  * Process command-line arguments
+ * Options come from the defaults, then the nearest config file, then the
+ * flags, which are generated from the option schema
+ * @returns {Object} - inputPath, options and the config file used (or null)
  */
 function processArgs() {
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
     console.log('Usage:');
-    console.log('  node doc2web.js <file.docx|directory|list-file.txt> [--html-only]');
+    console.log('  node doc2web.js <file.docx|directory|list-file.txt> [options]');
     console.log('\nOptions:');
-    console.log('  --list         Treat the input file as a list of files to process');
+    formatOptionHelp(CLI_OPTION_PROPERTIES).forEach(line => console.log(line));
+    console.log(`\nOptions can also be set in ${CONFIG_FILENAMES.join(' or ')} next to the documents.`);
     console.log('\nExamples:');
     console.log('  node doc2web.js document.docx');
     console.log('  node doc2web.js ./documents/');
     console.log('  node doc2web.js file-list.txt --list');
+    console.log('  node doc2web.js ./documents/ --jobs=4');
+    console.log('  node doc2web.js --watch ./documents/ --serve');
+    console.log('  node doc2web.js ./documents/ --out=site --name={dir}/{slug}/index.html');
     process.exit(1);
   }
   
-  const inputPath = args[0];
-  const options = {
-    htmlOnly: args.includes('--html-only'),
-    isList: args.includes('--list')
-  };
+  const { values, positional, errors } = parseOptionArgs(args, CLI_OPTION_PROPERTIES);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    process.exit(1);
+  }
+  
+  // The input is the first argument that is not an option or the value of one
+  const inputPath = positional[0];
+  if (!inputPath) {
+    console.error('No input given. Pass a .docx file, a directory or a list file.');
+    process.exit(1);
+  }
+  
+  const { isList = false, flat = false, config: configArg, ...cliValues } = values;
+  
+  if (flat) {
+    if (cliValues.nameTemplate) {
+      console.error('Use either --flat or --name, not both.');
+      process.exit(1);
+    }
+    cliValues.nameTemplate = FLAT_NAME_TEMPLATE;
+  }
+  
+  // --config=<file> names the config file, --no-config skips looking for one
+  const configFile = configArg === false ? null : configArg || findConfigFile(inputPath);
+  let config = null;
+  if (configFile) {
+    try {
+      config = loadConfigFile(configFile);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+  
+  const options = { ...mergeOptions(config, cliValues), isList };
+  if (options.serve) {
+    options.watch = true;
+  }
+  
+  if (options.nameTemplate) {
+    const templateProblem = validateNameTemplate(options.nameTemplate);
+    if (templateProblem) {
+      console.error(`Invalid --name template "${options.nameTemplate}". ${templateProblem}`);
+      process.exit(1);
+    }
+  }
+  
+  // Merge data can be given as a JSON file, on the command line or in a config file
+  options.mergeData = readMergeData(options.mergeData);
+  options.overrides.forEach(override => {
+    if (override.options.mergeData !== undefined) {
+      override.options.mergeData = readMergeData(override.options.mergeData);
+    }
+  });
   
-  return { inputPath, options };
+  return { inputPath, options, configFile };
+}
+
+/**
+ * Read merge data for MERGEFIELD fields, exiting when it is not a JSON object
+ * @param {Object|string|null} mergeData - Merge data object, path of a JSON file, or null
+ * @returns {Object|null} - Field names and values, or null
+ */
+function readMergeData(mergeData) {
+  if (typeof mergeData !== 'string') {
+    return mergeData;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(mergeData, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read merge data from "${mergeData}": ${error.message}`);
+    process.exit(1);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    console.error(`Merge data in "${mergeData}" must be a JSON object of field names and values.`);
+    process.exit(1);
+  }
+  return data;
 }
 
 /**
@@ -61,25 +182,18 @@ async function ensureDirectory(outputPath) {
 
 /**
  * Generate output path for a file
+ * By default the output mirrors the input structure under ./output; --out,
+ * --flat and --name change the directory and file names. Absolute and "../"
+ * input paths are always mapped inside the output directory.
  * @param {string} inputFilePath - Input file path
- * @returns {string} - Output file path under OUTPUT_BASE_DIR
+ * @param {Object} options - Processing options (outDir and nameTemplate)
+ * @returns {Object} - Output directory and HTML, CSS, Markdown, comments and revision report file paths
  */
-function getOutputPath(inputFilePath) {
-  // Normalize path to handle different path separators
-  const normalizedPath = path.normalize(inputFilePath);
-  
-  // Extract directory and file name
-  const dirName = path.dirname(normalizedPath);
-  const fileName = path.basename(normalizedPath, path.extname(normalizedPath));
-  
-  // Create output directory path that mirrors input structure
-  const outputDir = path.join(OUTPUT_BASE_DIR, dirName);
-  
-  return {
-    directory: outputDir,
-    htmlFile: path.join(outputDir, `${fileName}.html`),
-    cssFile: path.join(outputDir, `${fileName}.css`)
-  };
+function getOutputPath(inputFilePath, options = {}) {
+  return resolveOutputPaths(path.normalize(inputFilePath), {
+    outDir: options.outDir || OUTPUT_BASE_DIR,
+    nameTemplate: options.nameTemplate
+  });
 }
 
 /**
@@ -88,39 +202,47 @@ function getOutputPath(inputFilePath) {
  * @returns {boolean} - True if valid DOCX file
  */
 function validateDocxFile(filePath) {
+  const problem = getDocxFileProblem(filePath);
+  if (problem) {
+    console.error(`Error: ${problem}`);
+  }
+  return !problem;
+}
+
+/**
+ * Check that a file is a readable, non-empty DOCX file
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} - Why the file cannot be converted, or null if it can
+ */
+function getDocxFileProblem(filePath) {
   try {
     // Check if file exists
     if (!fs.existsSync(filePath)) {
-      console.error(`Error: File "${filePath}" not found.`);
-      return false;
+      return `File "${filePath}" not found.`;
     }
     
     // Check file extension
     const ext = path.extname(filePath).toLowerCase();
     if (ext !== '.docx') {
-      console.error(`Error: File "${filePath}" is not a .docx document. Extension: ${ext}`);
-      return false;
+      return `File "${filePath}" is not a .docx document. Extension: ${ext}`;
     }
     
     // Check if file is readable
     try {
       fs.accessSync(filePath, fs.constants.R_OK);
     } catch (error) {
-      console.error(`Error: Cannot read file "${filePath}". Check permissions.`);
-      return false;
+      return `Cannot read file "${filePath}". Check permissions.`;
     }
     
     // Check file size (should be > 0)
     const stats = fs.statSync(filePath);
     if (stats.size === 0) {
-      console.error(`Error: File "${filePath}" is empty.`);
-      return false;
+      return `File "${filePath}" is empty.`;
     }
     
-    return true;
+    return null;
   } catch (error) {
-    console.error(`Error validating file "${filePath}":`, error.message);
-    return false;
+    return `Could not validate file "${filePath}": ${error.message}`;
   }
 }
 
@@ -128,46 +250,65 @@ function validateDocxFile(filePath) {
  * Process a single DOCX file
  * @param {string} filePath - Path to the DOCX file
  * @param {Object} options - Processing options
+ * @returns {Promise<Object>} - Record with the input, status ('success' or 'failed'), duration in seconds, warnings, error, output paths and the images and chart data files it uses (media)
  */
 async function processDocxFile(filePath, options) {
   console.log(`\n=== Processing: ${filePath} ===`);
+  const startTime = Date.now();
+  // Apply the config overrides that match this file
+  options = resolveFileOptions(options, filePath);
+  const record = { input: filePath, status: 'failed', duration: 0, warnings: [], error: null, outputs: [], media: [] };
+  
+  // Collect the warnings printed during the conversion for the batch summary
+  const warn = console.warn;
+  console.warn = (...args) => {
+    record.warnings.push(format(...args));
+    warn(...args);
+  };
   
   try {
     // Validate the DOCX file
-    if (!validateDocxFile(filePath)) {
-      return;
+    const problem = getDocxFileProblem(filePath);
+    if (problem) {
+      console.error(`Error: ${problem}`);
+      record.error = problem;
+      return record;
     }
     
     // Get output paths
-    const outputPaths = getOutputPath(filePath);
+    const outputPaths = getOutputPath(filePath, options);
     console.log(`Output directory: ${outputPaths.directory}`);
     
     // Create output directory
     await ensureDirectory(outputPaths.directory);
     
     // Create images directory if it doesn't exist
+    // Images are saved to it during the conversion
     const imagesDir = path.join(outputPaths.directory, 'images');
     await ensureDirectory(imagesDir);
     
-    // Extract images
-    console.log('Extracting images...');
-    try {
-      await extractImagesFromDocx(filePath, imagesDir);
-      console.log('Image extraction completed.');
-    } catch (error) {
-      console.warn(`Warning: Image extraction failed: ${error.message}`);
-      // Continue processing even if image extraction fails
-    }
-    
     // Extract styles and convert to styled HTML with improved style extraction
     console.log(`Extracting styled content from "${filePath}"...`);
     const cssFilename = path.basename(outputPaths.cssFile);
     
     // Use our enhanced style extractor for better TOC and list handling
     const result = await extractAndApplyStyles(filePath, cssFilename, {
-      enhanceAccessibility: true,
-      preserveMetadata: true,
-      trackChangesMode: 'show'
+      enhanceAccessibility: options.enhanceAccessibility,
+      preserveMetadata: options.preserveMetadata,
+      trackChangesMode: options.trackChangesMode,
+      trackChangesAuthors: options.trackChangesAuthors,
+      trackChangesSince: options.trackChangesSince,
+      showAuthor: options.showAuthor,
+      showDate: options.showDate,
+      revisionReport: options.revisionReport,
+      comments: options.comments,
+      profile: options.profile,
+      transcodeImages: options.transcodeImages,
+      responsiveImages: options.responsiveImages,
+      formControls: options.formControls,
+      updateFields: options.updateFields,
+      mergeData: options.mergeData,
+      markdown: !options.htmlOnly
     }, outputPaths.directory);
     
     console.log(`Conversion completed. HTML length: ${result.html.length}, CSS length: ${result.styles.length}`);
@@ -176,7 +317,8 @@ async function processDocxFile(filePath, options) {
     if (!result.html || result.html.length < 100) {
       console.error('ERROR: HTML output is too short or empty');
       console.log('HTML content preview:', result.html.substring(0, 500));
-      return;
+      record.error = 'HTML output is too short or empty';
+      return record;
     }
     
     if (!result.styles || result.styles.length < 100) {
@@ -186,19 +328,80 @@ async function processDocxFile(filePath, options) {
     // Save the HTML with link to external CSS
     console.log(`Saving HTML to "${outputPaths.htmlFile}"...`);
     await writeFile(outputPaths.htmlFile, result.html, 'utf8');
+    record.outputs.push(outputPaths.htmlFile);
     
     // Save separate CSS file
     console.log(`Saving CSS to "${outputPaths.cssFile}"...`);
     await writeFile(outputPaths.cssFile, result.styles, 'utf8');
+    record.outputs.push(outputPaths.cssFile);
+    
+    // Save Markdown unless only HTML output was requested
+    if (!options.htmlOnly && result.markdown) {
+      console.log(`Saving Markdown to "${outputPaths.markdownFile}"...`);
+      await writeFile(outputPaths.markdownFile, result.markdown, 'utf8');
+      record.outputs.push(outputPaths.markdownFile);
+    }
+    
+    // Save the revision report when requested and the document has tracked changes
+    if (result.revisionReport) {
+      console.log(`Saving revision report to "${outputPaths.revisionsHtmlFile}"...`);
+      await writeFile(outputPaths.revisionsHtmlFile, result.revisionReport.html, 'utf8');
+      await writeFile(outputPaths.revisionsJsonFile, JSON.stringify(result.revisionReport.json, null, 2), 'utf8');
+      record.outputs.push(outputPaths.revisionsHtmlFile, outputPaths.revisionsJsonFile);
+    }
+    
+    // Export comments when requested
+    if (options.comments === 'json') {
+      console.log(`Saving comments to "${outputPaths.commentsFile}"...`);
+      await writeFile(outputPaths.commentsFile, JSON.stringify(result.comments, null, 2), 'utf8');
+      record.outputs.push(outputPaths.commentsFile);
+    }
+    
+    // Export form field values when requested
+    const hasFormData = options.formControls === 'json' && result.formData.fields.length > 0;
+    if (hasFormData) {
+      console.log(`Saving form data to "${outputPaths.formDataFile}"...`);
+      await writeFile(outputPaths.formDataFile, JSON.stringify(result.formData, null, 2), 'utf8');
+      record.outputs.push(outputPaths.formDataFile);
+    }
+    
+    // Images and chart data are written to the images folder shared by the documents in the directory
+    record.media = [...result.images.keys(), ...result.chartData.keys()]
+      .map(fileName => path.join(imagesDir, fileName));
     
     console.log(`✓ Styled HTML saved to "${outputPaths.htmlFile}"`);
     console.log(`✓ CSS styles saved to "${outputPaths.cssFile}"`);
+    if (!options.htmlOnly && result.markdown) {
+      console.log(`✓ Markdown saved to "${outputPaths.markdownFile}"`);
+    }
+    if (result.revisionReport) {
+      console.log(`✓ Revision report saved to "${outputPaths.revisionsHtmlFile}" and "${outputPaths.revisionsJsonFile}"`);
+    }
+    if (options.comments === 'json') {
+      console.log(`✓ Comments saved to "${outputPaths.commentsFile}"`);
+    }
+    if (hasFormData) {
+      console.log(`✓ Form data saved to "${outputPaths.formDataFile}"`);
+    }
     
+    // Report images converted to formats browsers can show
+    for (const conversion of result.imageConversions || []) {
+      if (conversion.to) {
+        console.log(`✓ Converted image ${conversion.source} to ${conversion.file} (${conversion.method})`);
+      } else {
+        console.warn(`✗ Could not convert image ${conversion.source}: ${conversion.message}`);
+      }
+    }
     
-    
+    record.status = 'success';
     console.log(`✓ Processing completed successfully for "${filePath}"`);
     
+    if (result.profile) {
+      console.log(`\nProfile for "${filePath}":\n${formatProfileReport(result.profile)}`);
+    }
+    
   } catch (error) {
+    record.error = error.message;
     console.error(`✗ Error processing file "${filePath}":`, error.message);
     console.error('Stack trace:', error.stack);
     
@@ -210,13 +413,19 @@ async function processDocxFile(filePath, options) {
     } else if (error.message.includes('EACCES')) {
       console.error('Permission denied. Check file/directory permissions.');
     }
+  } finally {
+    console.warn = warn;
+    record.duration = roundSeconds((Date.now() - startTime) / 1000);
   }
+  
+  return record;
 }
 
 /**
- * Process a directory of DOCX files
+ * Process a directory of DOCX files, including its subdirectories
  * @param {string} dirPath - Path to the directory
  * @param {Object} options - Processing options
+ * @returns {Promise<Array<Object>>} - One record per DOCX file (see processDocxFile)
  */
 async function processDirectory(dirPath, options) {
   try {
@@ -225,63 +434,68 @@ async function processDirectory(dirPath, options) {
     // Validate directory exists
     if (!fs.existsSync(dirPath)) {
       console.error(`Error: Directory "${dirPath}" not found.`);
-      return;
+      return [];
     }
     
     // Check if it's actually a directory
     const stats = await stat(dirPath);
     if (!stats.isDirectory()) {
       console.error(`Error: "${dirPath}" is not a directory.`);
-      return;
+      return [];
     }
     
-    // Read directory contents
-    const files = await readdir(dirPath);
-    let docxFound = false;
-    let processedCount = 0;
-    let errorCount = 0;
-    
-    console.log(`Found ${files.length} items in directory`);
-    
-    // Process each item
-    for (const file of files) {
-      const filePath = path.join(dirPath, file);
-      
-      try {
-        const itemStats = await stat(filePath);
-        
-        if (itemStats.isDirectory()) {
-          // Recursively process subdirectories
-          console.log(`\nEntering subdirectory: ${file}`);
-          await processDirectory(filePath, options);
-        } else if (path.extname(filePath).toLowerCase() === '.docx') {
-          docxFound = true;
-          await processDocxFile(filePath, options);
-          processedCount++;
-        }
-      } catch (error) {
-        console.error(`Error processing item "${filePath}":`, error.message);
-        errorCount++;
-      }
-    }
-    
-    if (!docxFound) {
+    const filePaths = await collectDocxFiles(dirPath);
+    if (filePaths.length === 0) {
       console.log(`No DOCX files found in directory: ${dirPath}`);
-    } else {
-      console.log(`\n=== Directory processing summary ===`);
-      console.log(`Processed: ${processedCount} files`);
-      console.log(`Errors: ${errorCount} files`);
+      return [];
     }
     
+    console.log(`Found ${filePaths.length} DOCX files`);
+    const records = await convertChangedFiles(filePaths, options);
+    
+    console.log(`\n=== Directory processing summary ===`);
+    logBatchCounts(records);
+    
+    return records;
   } catch (error) {
     console.error(`Error processing directory "${dirPath}":`, error.message);
+    return [];
   }
 }
 
+/**
+ * Find the DOCX files in a directory and its subdirectories
+ * @param {string} dirPath - Path to the directory
+ * @returns {Promise<Array<string>>} - DOCX file paths in directory order
+ */
+async function collectDocxFiles(dirPath) {
+  const filePaths = [];
+  const files = await readdir(dirPath);
+  
+  for (const file of files) {
+    const filePath = path.join(dirPath, file);
+    
+    try {
+      const itemStats = await stat(filePath);
+      
+      if (itemStats.isDirectory()) {
+        filePaths.push(...await collectDocxFiles(filePath));
+      } else if (path.extname(filePath).toLowerCase() === '.docx') {
+        filePaths.push(filePath);
+      }
+    } catch (error) {
+      console.error(`Error reading item "${filePath}":`, error.message);
+    }
+  }
+  
+  return filePaths;
+}
+
 /**
  * Process a file containing a list of file paths
  * @param {string} listFilePath - Path to the list file
  * @param {Object} options - Processing options
+ * @returns {Promise<Array<Object>>} - One record per DOCX file in the list (see processDocxFile)
  */
 async function processFileList(listFilePath, options) {
   try {
@@ -290,7 +504,7 @@ async function processFileList(listFilePath, options) {
     // Validate list file exists
     if (!fs.existsSync(listFilePath)) {
       console.error(`Error: List file "${listFilePath}" not found.`);
-      return;
+      return [];
     }
     
     // Read the list file
@@ -303,44 +517,299 @@ async function processFileList(listFilePath, options) {
     
     if (filePaths.length === 0) {
       console.log('No file paths found in the list file.');
-      return;
+      return [];
     }
     
     console.log(`Found ${filePaths.length} file paths in the list.`);
     
-    // Process each DOCX file in the list
-    let docxCount = 0;
-    let processedCount = 0;
-    let errorCount = 0;
-    
-    for (const filePath of filePaths) {
-      // Only process DOCX files
-      if (path.extname(filePath).toLowerCase() === '.docx') {
-        docxCount++;
-        try {
-          await processDocxFile(filePath, options);
-          processedCount++;
-        } catch (error) {
-          console.error(`Error processing file from list "${filePath}":`, error.message);
-          errorCount++;
-        }
-      } else {
+    // Only process DOCX files
+    const docxPaths = filePaths.filter(filePath => {
+      const isDocx = path.extname(filePath).toLowerCase() === '.docx';
+      if (!isDocx) {
         console.log(`Skipping non-DOCX file: ${filePath}`);
       }
-    }
+      return isDocx;
+    });
+    
+    const records = await convertChangedFiles(docxPaths, options);
     
     console.log(`\n=== File list processing summary ===`);
-    console.log(`DOCX files found: ${docxCount}`);
-    console.log(`Successfully processed: ${processedCount}`);
-    console.log(`Errors: ${errorCount}`);
+    console.log(`DOCX files found: ${docxPaths.length}`);
+    logBatchCounts(records);
     
-    if (docxCount === 0) {
+    if (docxPaths.length === 0) {
       console.log('No DOCX files found in the list.');
     }
     
+    return records;
   } catch (error) {
     console.error(`Error processing file list "${listFilePath}":`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Convert the files of a batch that changed since the last run
+ * Files whose content, options and doc2web version match the manifest (and
+ * whose outputs still exist) are skipped unless --force is given. Outputs of
+ * inputs that no longer exist, and outputs a reconverted file no longer
+ * produces, are removed.
+ * @param {Array<string>} filePaths - DOCX file paths
+ * @param {Object} options - Processing options
+ * @returns {Promise<Array<Object>>} - Records in the order of filePaths; unchanged files have status 'skipped'
+ */
+async function convertChangedFiles(filePaths, options) {
+  const outDir = options.outDir || OUTPUT_BASE_DIR;
+  const manifestFile = path.join(outDir, MANIFEST_FILENAME);
+  const manifest = await loadManifest(manifestFile);
+  
+  // Media of deleted and reconverted inputs, removed at the end if no entry uses them
+  const releasedMedia = [];
+  
+  // Clean up after inputs that have been deleted
+  for (const [input, entry] of Object.entries(manifest.files)) {
+    if (!fs.existsSync(input)) {
+      const removed = await removeOutputs(entry.outputs, outDir);
+      releasedMedia.push(...entry.media);
+      delete manifest.files[input];
+      console.log(`Removed ${removed.length} outputs of deleted input "${path.relative(process.cwd(), input)}"`);
+    }
+  }
+  
+  // Inputs whose output would overwrite another input's output fail
+  const conflicts = findOutputConflicts(filePaths, options);
+  
+  const current = new Map();
+  const changedPaths = [];
+  for (const filePath of filePaths) {
+    if (conflicts.has(filePath)) continue;
+    const state = {
+      hash: await hashFile(filePath),
+      optionsHash: hashOptions(resolveFileOptions(options, filePath)),
+      version: DOC2WEB_VERSION,
+      htmlFile: path.resolve(getOutputPath(filePath, options).htmlFile)
+    };
+    current.set(filePath, state);
+    if (options.force || !isUpToDate(manifest.files[path.resolve(filePath)], state)) {
+      changedPaths.push(filePath);
+    }
+  }
+  
+  const skippedCount = filePaths.length - changedPaths.length - conflicts.size;
+  if (skippedCount > 0) {
+    console.log(`Skipping ${skippedCount} unchanged files (use --force to reconvert them)`);
+  }
+  
+  const converted = new Map(conflicts);
+  (await convertFiles(changedPaths, options)).forEach(record => converted.set(record.input, record));
+  
+  // Record the converted files; failed files are retried on the next run.
+  // Outputs written in this run are kept even if another input used to own them.
+  const written = new Set([].concat(...[...converted.values()].map(record => record.outputs.map(output => path.resolve(output)))));
+  for (const [filePath, record] of converted) {
+    const key = path.resolve(filePath);
+    const previous = manifest.files[key];
+    if (previous) {
+      await removeOutputs(previous.outputs.filter(output => !written.has(output)), outDir);
+      releasedMedia.push(...previous.media);
+    }
+    
+    if (record.status === 'success') {
+      const { htmlFile, ...state } = current.get(filePath);
+      manifest.files[key] = {
+        ...state,
+        outputs: record.outputs.map(output => path.resolve(output)),
+        media: record.media.map(file => path.resolve(file)),
+        convertedAt: new Date().toISOString()
+      };
+    } else {
+      delete manifest.files[key];
+    }
+  }
+  
+  const removedMedia = await removeUnusedMedia(releasedMedia, manifest, outDir);
+  if (removedMedia.length > 0) {
+    console.log(`Removed ${removedMedia.length} images and chart data files no document uses any more`);
+  }
+  
+  await ensureDirectory(outDir);
+  await saveManifest(manifestFile, manifest);
+  
+  return filePaths.map(filePath => {
+    if (converted.has(filePath)) return converted.get(filePath);
+    const entry = manifest.files[path.resolve(filePath)];
+    return {
+      input: filePath,
+      status: 'skipped',
+      duration: 0,
+      warnings: [],
+      error: null,
+      outputs: entry.outputs.map(output => path.relative(process.cwd(), output)),
+      media: entry.media.map(file => path.relative(process.cwd(), file))
+    };
+  });
+}
+
+/**
+ * Find inputs whose HTML file is already claimed by an earlier input
+ * This happens with --flat or a --name template without {dir} when two
+ * directories contain documents with the same name.
+ * @param {Array<string>} filePaths - DOCX file paths
+ * @param {Object} options - Processing options
+ * @returns {Map<string, Object>} - Failed records of the conflicting inputs, by input path
+ */
+function findOutputConflicts(filePaths, options) {
+  const owners = new Map();
+  const conflicts = new Map();
+  
+  for (const filePath of filePaths) {
+    let htmlFile;
+    try {
+      htmlFile = path.resolve(getOutputPath(filePath, options).htmlFile);
+    } catch (error) {
+      // processDocxFile reports paths that cannot be resolved
+      continue;
+    }
+    const owner = owners.get(htmlFile);
+    if (owner) {
+      const message = `Output "${path.relative(process.cwd(), htmlFile)}" is already written for "${owner}". Use a --name template with {dir}.`;
+      console.error(`✗ ${filePath}: ${message}`);
+      conflicts.set(filePath, { input: filePath, status: 'failed', duration: 0, warnings: [], error: message, outputs: [], media: [] });
+    } else {
+      owners.set(htmlFile, filePath);
+    }
   }
+  
+  return conflicts;
+}
+
+/**
+ * Convert a batch of DOCX files
+ * With --jobs above 1 the files are converted in a pool of worker threads,
+ * otherwise one after another in this thread
+ * @param {Array<string>} filePaths - DOCX file paths
+ * @param {Object} options - Processing options
+ * @returns {Promise<Array<Object>>} - Records in the order of filePaths
+ */
+async function convertFiles(filePaths, options) {
+  const jobs = Math.min(options.jobs || 1, filePaths.length);
+  
+  if (jobs <= 1) {
+    const records = [];
+    for (const filePath of filePaths) {
+      records.push(await processDocxFile(filePath, options));
+    }
+    return records;
+  }
+  
+  console.log(`Converting with ${jobs} worker threads`);
+  const pool = createWorkerPool(__filename, jobs, { role: WORKER_ROLE });
+  
+  try {
+    return await Promise.all(filePaths.map(filePath =>
+      pool.run({ filePath, options }).catch(error => {
+        console.error(`✗ Worker failed on "${filePath}":`, error.message);
+        return { input: filePath, status: 'failed', duration: 0, warnings: [], error: error.message, outputs: [], media: [] };
+      })
+    ));
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Print the success, failure and warning counts of a batch
+ * @param {Array<Object>} records - Records from processDocxFile
+ */
+function logBatchCounts(records) {
+  const failed = records.filter(record => record.status === 'failed');
+  const skipped = records.filter(record => record.status === 'skipped');
+  console.log(`Successfully processed: ${records.length - failed.length - skipped.length}`);
+  console.log(`Skipped (unchanged): ${skipped.length}`);
+  console.log(`Errors: ${failed.length}`);
+  console.log(`Warnings: ${records.reduce((count, record) => count + record.warnings.length, 0)}`);
+  failed.forEach(record => console.log(`  ✗ ${record.input}: ${record.error}`));
+}
+
+/**
+ * Write summary.json and summary.junit.xml for a batch to the output directory
+ * @param {Array<Object>} records - Records from processDocxFile
+ * @param {Object} run - Run details: startedAt, finishedAt, jobs and outDir
+ * @returns {Promise<Object>} - The summary
+ */
+async function writeBatchReports(records, run) {
+  const summary = createBatchSummary(records, run);
+  const outDir = run.outDir || OUTPUT_BASE_DIR;
+  const summaryFile = path.join(outDir, 'summary.json');
+  const junitFile = path.join(outDir, 'summary.junit.xml');
+  
+  await ensureDirectory(outDir);
+  await writeFile(summaryFile, JSON.stringify(summary, null, 2), 'utf8');
+  await writeFile(junitFile, formatJUnitReport(summary), 'utf8');
+  console.log(`✓ Batch summary saved to "${summaryFile}" and "${junitFile}"`);
+  
+  return summary;
+}
+
+/**
+ * Convert files sent by the --jobs worker pool, one message per file
+ */
+function runWorker() {
+  parentPort.on('message', async ({ filePath, options }) => {
+    parentPort.postMessage(await processDocxFile(filePath, options));
+  });
+}
+
+/**
+ * Watch the input and reconvert each DOCX file when it is saved
+ * With --serve the output directory is also served over HTTP, and pages
+ * reload in the browser when their document has been reconverted.
+ * Runs until the process is interrupted (Ctrl+C).
+ * @param {string} inputPath - DOCX file or directory
+ * @param {Object} options - Processing options
+ * @returns {Promise<void>} - Resolves when watching stops
+ */
+async function watchForChanges(inputPath, options) {
+  let server = null;
+  if (options.serve) {
+    await ensureDirectory(options.outDir);
+    server = createLiveServer(options.outDir, { port: options.serve });
+    try {
+      console.log(`\nServing ${options.outDir} at ${await server.start()}`);
+    } catch (error) {
+      console.error(`Could not start the server on port ${options.serve}:`, error.message);
+      server = null;
+    }
+  }
+  
+  // Conversions run one at a time; a file saved again while it is being
+  // converted is converted once more afterwards
+  const pending = new Set();
+  let queue = Promise.resolve();
+  
+  const watcher = watchDocxFiles(inputPath, filePath => {
+    if (pending.has(filePath)) return;
+    pending.add(filePath);
+    queue = queue.then(async () => {
+      pending.delete(filePath);
+      console.log(`\nChange detected: ${filePath}`);
+      const record = await processDocxFile(filePath, options);
+      if (server && record.status === 'success') {
+        server.reload(getOutputPath(filePath, options).htmlFile);
+      }
+    });
+  });
+  
+  console.log(`Watching "${inputPath}" for changes. Press Ctrl+C to stop.`);
+  
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  
+  console.log('\nStopping watch mode...');
+  watcher.close();
+  if (server) await server.close();
 }
 
 /**
@@ -348,20 +817,35 @@ async function processFileList(listFilePath, options) {
  */
 async function main() {
   const startTime = Date.now();
+  const startedAt = new Date(startTime);
   
   try {
     console.log('doc2web - DOCX to HTML/Markdown Converter');
     console.log('==========================================');
     
-    const { inputPath, options } = processArgs();
+    const { inputPath, options, configFile } = processArgs();
     
     console.log(`Input: ${inputPath}`);
+    if (configFile) {
+      console.log(`Config: ${configFile}`);
+    }
     console.log(`Options: ${JSON.stringify(options)}`);
     
+    // Records of the converted files; batches also get a summary report
+    let records = [];
+    let isBatch = false;
+    
+    const isListInput = options.isList || inputPath.endsWith('.txt');
+    if (options.watch && isListInput) {
+      console.error('Error: --watch and --serve take a .docx file or a directory, not a list file.');
+      process.exit(1);
+    }
+    
     // Determine input type and process accordingly
-    if (options.isList || inputPath.endsWith('.txt')) {
+    if (isListInput) {
       // Process as list file
-      await processFileList(inputPath, options);
+      records = await processFileList(inputPath, options);
+      isBatch = true;
     } else {
       // Check if input is a file or directory
       try {
@@ -369,10 +853,11 @@ async function main() {
         
         if (stats.isDirectory()) {
           // Process directory
-          await processDirectory(inputPath, options);
+          records = await processDirectory(inputPath, options);
+          isBatch = true;
         } else if (path.extname(inputPath).toLowerCase() === '.docx') {
           // Process single DOCX file
-          await processDocxFile(inputPath, options);
+          records = [await processDocxFile(inputPath, options)];
         } else {
           console.error(`Error: Unsupported file type "${path.extname(inputPath)}".`);
           console.log('Supported inputs: .docx files, directories, or .txt list files.');
@@ -391,10 +876,23 @@ async function main() {
     const endTime = Date.now();
     const duration = (endTime - startTime) / 1000;
     
+    if (isBatch) {
+      await writeBatchReports(records, { startedAt, finishedAt: new Date(endTime), jobs: options.jobs, outDir: options.outDir });
+    }
+    
+    // Fail the run when any file failed
+    if (records.some(record => record.status === 'failed')) {
+      process.exitCode = 1;
+    }
+    
     console.log('\n==========================================');
     console.log(`Processing completed in ${duration.toFixed(2)} seconds`);
     console.log('==========================================');
     
+    if (options.watch) {
+      await watchForChanges(inputPath, options);
+    }
+    
   } catch (error) {
     console.error('\n==========================================');
     console.error('FATAL ERROR:', error.message);
@@ -404,8 +902,10 @@ async function main() {
   }
 }
 
-// Run the main function
-if (require.main === module) {
+// Run the main function, or convert files for the pool in a worker thread
+if (!isMainThread && workerData && workerData.role === WORKER_ROLE) {
+  runWorker();
+} else if (require.main === module) {
   main().catch(error => {
     console.error('Unhandled error in main:', error);
     process.exit(1);
@@ -416,6 +916,8 @@ module.exports = {
   processDocxFile,
   processDirectory,
   processFileList,
+  collectDocxFiles,
+  convertFiles,
   getOutputPath,
   ensureDirectory,
   validateDocxFile
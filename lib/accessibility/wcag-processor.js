@@ -1,6 +1,8 @@
 // lib/accessibility/wcag-processor.js - WCAG 2.1 compliance processor
 // Enhances HTML output to meet WCAG 2.1 Level AA standards
 
+const { DEFAULT_IMAGE_ALT } = require('../html/generators/image-processing');
+
 /**
  * Process HTML document for WCAG 2.1 Level AA compliance
  * Enhances document with accessibility features to meet compliance standards
@@ -29,6 +31,9 @@ function processForAccessibility(document, styleInfo, metadata) {
     // Process images for accessibility
     processImagesForAccessibility(document);
     
+    // Link charts to their data tables
+    processChartsForAccessibility(document);
+    
     // Ensure proper heading hierarchy
     ensureHeadingHierarchy(document);
     
@@ -107,8 +112,9 @@ function processTablesForAccessibility(document) {
         });
       }
       
-      // Add table-responsive wrapper if not already present
-      if (!table.closest('.table-responsive')) {
+      // Add table-responsive wrapper if not already present (chart data
+      // tables are hidden and described by their chart)
+      if (!table.closest('.table-responsive') && !table.classList.contains('docx-chart-data')) {
         const wrapper = document.createElement('div');
         wrapper.className = 'table-responsive';
         wrapper.setAttribute('role', 'region');
@@ -124,7 +130,8 @@ function processTablesForAccessibility(document) {
 
 /**
  * Process images for accessibility
- * Ensures all images have appropriate alt text
+ * Ensures all images have appropriate alt text; images without a description
+ * in the document are described by their figure caption when they have one
  * 
  * @param {Document} document - DOM document
  */
@@ -133,25 +140,25 @@ function processImagesForAccessibility(document) {
     const images = document.querySelectorAll('img');
     
     images.forEach((img, index) => {
-      // Check if alt attribute exists
+      const captionElement = img.closest('figure') ? img.closest('figure').querySelector('figcaption') : null;
+      const captionText = captionElement ? captionElement.textContent.trim() : '';
+
+      // Images without a description get the generic alt text during conversion
+      if (captionText && (!img.hasAttribute('alt') || img.getAttribute('alt') === DEFAULT_IMAGE_ALT)) {
+        img.setAttribute('alt', captionText);
+      }
+
+      // Otherwise generate alt text from src or use generic
       if (!img.hasAttribute('alt')) {
-        // If the image is inside a figure with figcaption, use that as alt
-        const figure = img.closest('figure');
-        if (figure && figure.querySelector('figcaption')) {
-          const caption = figure.querySelector('figcaption').textContent;
-          img.setAttribute('alt', caption.trim());
-        } else {
-          // Otherwise generate alt text from src or use generic
-          const src = img.getAttribute('src') || '';
-          const filename = src.split('/').pop().split('.')[0];
-          const altText = filename
-            .replace(/[-_]/g, ' ')
-            .replace(/image/i, '')
-            .replace(/\d+/g, '')
-            .trim();
-          
-          img.setAttribute('alt', altText || `Document image ${index + 1}`);
-        }
+        const src = img.getAttribute('src') || '';
+        const filename = src.split('/').pop().split('.')[0];
+        const altText = filename
+          .replace(/[-_]/g, ' ')
+          .replace(/image/i, '')
+          .replace(/\d+/g, '')
+          .trim();
+        
+        img.setAttribute('alt', altText || `Document image ${index + 1}`);
       }
       
       // Wrap standalone images in figures if not already wrapped and not decorative
@@ -185,6 +192,42 @@ function processImagesForAccessibility(document) {
   }
 }
 
+/**
+ * Process charts for accessibility
+ * A chart's SVG is exposed as an image named by its title and described by
+ * its summary and the table of its data; a figure caption names it instead
+ * of the title when there is one
+ * 
+ * @param {Document} document - DOM document
+ */
+function processChartsForAccessibility(document) {
+  try {
+    document.querySelectorAll('figure.docx-chart').forEach(figure => {
+      const svg = figure.querySelector('svg.docx-chart-svg');
+      const table = figure.querySelector('table.docx-chart-data');
+      if (!svg) return;
+
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('focusable', 'false');
+
+      const title = svg.querySelector('title');
+      const desc = svg.querySelector('desc');
+      const figcaption = figure.querySelector('figcaption');
+      if (figcaption) {
+        if (!figcaption.id) figcaption.id = `${figure.id || (table ? table.id : 'chart')}-caption`;
+        svg.setAttribute('aria-labelledby', figcaption.id);
+      } else if (title && title.id) {
+        svg.setAttribute('aria-labelledby', title.id);
+      }
+
+      const describedBy = [desc && desc.id, table && table.id].filter(Boolean);
+      if (describedBy.length > 0) svg.setAttribute('aria-describedby', describedBy.join(' '));
+    });
+  } catch (error) {
+    console.error('Error processing charts for accessibility:', error);
+  }
+}
+
 /**
  * Ensure proper heading hierarchy
  * Fixes heading levels to ensure no levels are skipped
@@ -421,14 +464,17 @@ function enhanceKeyboardNavigation(document) {
     
     // Enhance table navigation
     const tables = document.querySelectorAll('table');
-    tables.forEach(table => {
+    tables.forEach((table, index) => {
+      // Hidden chart data tables are reached through their chart, not by tabbing
+      if (table.classList.contains('docx-chart-data')) return;
+
       // Make table focusable for keyboard navigation
       table.setAttribute('tabindex', '0');
       table.classList.add('keyboard-focusable');
       
       // Add keyboard navigation help
       if (!table.hasAttribute('aria-describedby')) {
-        const helpId = `table-help-${Date.now()}`;
+        const helpId = `table-help-${index + 1}`;
         table.setAttribute('aria-describedby', helpId);
         
         const helpText = document.createElement('div');
@@ -499,6 +545,7 @@ module.exports = {
   processForAccessibility,
   processTablesForAccessibility,
   processImagesForAccessibility,
+  processChartsForAccessibility,
   ensureHeadingHierarchy,
   addAriaLandmarks,
   addSkipNavigation,
@@ -0,0 +1,804 @@
+// lib/charts/chart-svg.js - Static SVG rendering of chart data
+//
+// Draws the charts read by chart-parser.js: column and bar charts (clustered,
+// stacked and 100% stacked), line and area charts, pie and doughnut charts and
+// scatter charts, with a title, axes, gridlines and a legend. Chart types that
+// cannot be drawn (e.g. radar or stock charts) return null.
+
+/**
+ * Chart types that can be drawn on category and value axes
+ */
+const CATEGORY_TYPES = ['bar', 'line', 'area'];
+
+/**
+ * Readable chart type names, used in descriptions
+ */
+const CHART_TYPE_NAMES = {
+  col: 'Column chart',
+  bar: 'Bar chart',
+  line: 'Line chart',
+  area: 'Area chart',
+  pie: 'Pie chart',
+  doughnut: 'Doughnut chart',
+  scatter: 'Scatter chart',
+  radar: 'Radar chart',
+  bubble: 'Bubble chart',
+  stock: 'Stock chart',
+  surface: 'Surface chart'
+};
+
+/**
+ * Text and line colors
+ */
+const TEXT_COLOR = '#404040';
+const AXIS_COLOR = '#BFBFBF';
+const GRID_COLOR = '#D9D9D9';
+
+/**
+ * Font sizes in pixels
+ */
+const TITLE_FONT_SIZE = 16;
+const LABEL_FONT_SIZE = 11;
+
+/**
+ * Space around the chart, in pixels
+ */
+const PADDING = 10;
+
+/**
+ * Render a chart as SVG markup
+ *
+ * @param {Object} chart - Chart data from chart-parser.js
+ * @param {Object} options - Rendering options
+ * @param {string} options.id - Prefix for the IDs of the title and description
+ * @returns {string|null} - SVG markup, or null if the chart type cannot be drawn
+ */
+function renderChartSvg(chart, options = {}) {
+  try {
+    const plots = chart.plots;
+    if (plots.length === 0 || plots.every(plot => plot.series.length === 0)) return null;
+
+    const categoryChart = plots.every(plot => CATEGORY_TYPES.includes(plot.type));
+    const pieChart = plots.length === 1 && ['pie', 'doughnut'].includes(plots[0].type);
+    const scatterChart = plots.every(plot => plot.type === 'scatter');
+    if (!categoryChart && !pieChart && !scatterChart) return null;
+
+    const id = options.id || 'chart';
+    const width = Math.round(chart.width) || 480;
+    const height = Math.round(chart.height) || 288;
+    const box = { left: PADDING, top: PADDING, right: width - PADDING, bottom: height - PADDING };
+    const parts = [];
+
+    if (chart.title) {
+      parts.push(text(width / 2, box.top + TITLE_FONT_SIZE, chart.title, { size: TITLE_FONT_SIZE, anchor: 'middle' }));
+      box.top += TITLE_FONT_SIZE + 10;
+    }
+
+    if (chart.legend) {
+      const items = pieChart
+        ? chart.categories.map((label, i) => ({ label, color: getPointColor(chart, plots[0], plots[0].series[0], i) }))
+        : plots.reduce((all, plot) => all.concat(plot.series.map(series => ({ label: series.name, color: series.color }))), []);
+      parts.push(renderLegend(items, chart.legend.position, box));
+    }
+
+    if (pieChart) {
+      parts.push(renderPie(chart, plots[0], box));
+    } else if (scatterChart) {
+      parts.push(renderScatter(chart, plots, box));
+    } else {
+      parts.push(renderCategoryChart(chart, plots, box));
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="docx-chart-svg" viewBox="0 0 ${width} ${height}"` +
+      ` width="${width}" height="${height}" font-family="${escapeXml(getFontFamily(chart))}" fill="${TEXT_COLOR}">` +
+      `<title id="${id}-title">${escapeXml(chart.title || chart.description || 'Chart')}</title>` +
+      `<desc id="${id}-desc">${escapeXml(describeChart(chart))}</desc>` +
+      parts.join('') +
+      '</svg>';
+  } catch (error) {
+    console.error('Error rendering chart:', error);
+    return null;
+  }
+}
+
+/**
+ * Describe a chart in a sentence, e.g. "Column chart with 2 series (Sales,
+ * Costs) and 4 categories (Q1 to Q4)."
+ *
+ * @param {Object} chart - Chart data
+ * @returns {string} - Description
+ */
+function describeChart(chart) {
+  const types = [...new Set(chart.plots.map(plot => (plot.type === 'bar' ? plot.direction : plot.type)))];
+  const typeName = types.length === 1 ? CHART_TYPE_NAMES[types[0]] || 'Chart' : 'Combination chart';
+  const series = chart.plots.reduce((all, plot) => all.concat(plot.series), []);
+  const names = series.map(item => item.name);
+
+  let description = `${typeName} with ${series.length} series (${names.join(', ')})`;
+  const pointChart = chart.plots.every(plot => plot.type === 'scatter' || plot.type === 'bubble');
+  if (!pointChart && chart.categories.length > 0) {
+    const first = chart.categories[0];
+    const last = chart.categories[chart.categories.length - 1];
+    description += ` and ${chart.categories.length} ${chart.categories.length === 1 ? 'category' : 'categories'}` +
+      ` (${chart.categories.length === 1 ? first : `${first} to ${last}`})`;
+  }
+  description += '.';
+  if (chart.description && chart.description !== chart.title) description += ` ${chart.description}`;
+  return description;
+}
+
+/**
+ * Draw the legend and take its space from the plot box
+ *
+ * @param {Array<Object>} items - { label, color } entries
+ * @param {string} position - Legend position ('r', 'l', 't', 'b' or 'tr')
+ * @param {Object} box - Remaining drawing box (updated)
+ * @returns {string} - SVG markup
+ */
+function renderLegend(items, position, box) {
+  const swatch = 10;
+  const lineHeight = LABEL_FONT_SIZE + 6;
+  const parts = [];
+
+  if (position === 't' || position === 'b') {
+    const widths = items.map(item => swatch + 6 + measureText(item.label, LABEL_FONT_SIZE) + 14);
+    const total = widths.reduce((sum, itemWidth) => sum + itemWidth, 0);
+    let x = Math.max(box.left, (box.left + box.right - total) / 2);
+    const y = position === 't' ? box.top : box.bottom - lineHeight;
+
+    items.forEach((item, i) => {
+      parts.push(rect(x, y + 3, swatch, swatch, item.color));
+      parts.push(text(x + swatch + 6, y + swatch + 2, item.label, { size: LABEL_FONT_SIZE }));
+      x += widths[i];
+    });
+    if (position === 't') box.top += lineHeight + 6;
+    else box.bottom -= lineHeight + 6;
+  } else {
+    const legendWidth = Math.min(
+      (box.right - box.left) * 0.35,
+      swatch + 6 + Math.max(...items.map(item => measureText(item.label, LABEL_FONT_SIZE)))
+    );
+    const x = position === 'l' ? box.left : box.right - legendWidth;
+    let y = position === 'tr' ? box.top : (box.top + box.bottom - items.length * lineHeight) / 2;
+
+    items.forEach(item => {
+      parts.push(rect(x, y + 3, swatch, swatch, item.color));
+      parts.push(text(x + swatch + 6, y + swatch + 2, truncate(item.label, legendWidth - swatch - 6), { size: LABEL_FONT_SIZE }));
+      y += lineHeight;
+    });
+    if (position === 'l') box.left += legendWidth + 12;
+    else box.right -= legendWidth + 12;
+  }
+
+  return `<g class="docx-chart-legend">${parts.join('')}</g>`;
+}
+
+/**
+ * Draw column, bar, line and area plots on shared axes
+ *
+ * @param {Object} chart - Chart data
+ * @param {Array<Object>} plots - Plots to draw
+ * @param {Object} box - Drawing box
+ * @returns {string} - SVG markup
+ */
+function renderCategoryChart(chart, plots, box) {
+  const horizontal = plots.some(plot => plot.type === 'bar' && plot.direction === 'bar');
+  const categoryCount = Math.max(1, chart.categories.length);
+  const valueAxis = chart.axes.value || {};
+  const categoryAxis = chart.axes.category || {};
+  const percent = plots.some(plot => plot.grouping === 'percentStacked');
+
+  const plotValues = plots.map(plot => getPlotValues(plot, categoryCount));
+  const allValues = plotValues.reduce((all, values) => all.concat(values.extent), []);
+  const includeZero = plots.some(plot => plot.type !== 'line');
+  const scale = getScale(allValues, valueAxis, includeZero);
+  const formatCode = percent ? '0%' : valueAxis.formatCode || firstFormatCode(plots);
+  const tickLabels = scale.ticks.map(value => formatChartValue(percent ? value / 100 : value, formatCode));
+
+  // Reserve room for axis labels and titles
+  const area = { ...box };
+  if (categoryAxis.title) {
+    if (horizontal) area.left += LABEL_FONT_SIZE + 8;
+    else area.bottom -= LABEL_FONT_SIZE + 8;
+  }
+  if (valueAxis.title) {
+    if (horizontal) area.bottom -= LABEL_FONT_SIZE + 8;
+    else area.left += LABEL_FONT_SIZE + 8;
+  }
+  const valueLabelSize = Math.max(...tickLabels.map(label => measureText(label, LABEL_FONT_SIZE)));
+  const categoryLabelSize = Math.min(
+    (box.right - box.left) * 0.3,
+    Math.max(...chart.categories.map(label => measureText(label, LABEL_FONT_SIZE)), 0)
+  );
+  if (horizontal) {
+    if (!categoryAxis.deleted) area.left += categoryLabelSize + 8;
+    if (!valueAxis.deleted) area.bottom -= LABEL_FONT_SIZE + 6;
+    area.right -= valueLabelSize / 2;
+  } else {
+    if (!valueAxis.deleted) area.left += valueLabelSize + 8;
+    if (!categoryAxis.deleted) area.bottom -= LABEL_FONT_SIZE + 6;
+  }
+  area.top += LABEL_FONT_SIZE / 2;
+
+  const length = horizontal ? area.bottom - area.top : area.right - area.left;
+  const band = length / categoryCount;
+  const valueToPosition = value => {
+    const fraction = (value - scale.min) / (scale.max - scale.min);
+    return horizontal
+      ? area.left + fraction * (area.right - area.left)
+      : area.bottom - fraction * (area.bottom - area.top);
+  };
+  // The first category is nearest the origin: left for columns, bottom for bars
+  const categoryStart = i => (horizontal ? area.bottom - (i + 1) * band : area.left + i * band);
+  const point = (category, value) => (horizontal ? [value, category] : [category, value]);
+
+  const parts = [];
+
+  // Gridlines and value axis labels
+  scale.ticks.forEach((tick, i) => {
+    const position = valueToPosition(tick);
+    if (valueAxis.gridlines !== false) {
+      parts.push(horizontal
+        ? line(position, area.top, position, area.bottom, GRID_COLOR)
+        : line(area.left, position, area.right, position, GRID_COLOR));
+    }
+    if (!valueAxis.deleted) {
+      parts.push(horizontal
+        ? text(position, area.bottom + LABEL_FONT_SIZE + 4, tickLabels[i], { size: LABEL_FONT_SIZE, anchor: 'middle' })
+        : text(area.left - 6, position + LABEL_FONT_SIZE / 3, tickLabels[i], { size: LABEL_FONT_SIZE, anchor: 'end' }));
+    }
+  });
+
+  // Plots: bars first so lines stay visible on top
+  const order = plots.map((plot, i) => i).sort((a, b) => drawOrder(plots[a]) - drawOrder(plots[b]));
+  order.forEach(plotIndex => {
+    const plot = plots[plotIndex];
+    const { points } = plotValues[plotIndex];
+    if (plot.type === 'bar') {
+      parts.push(renderBars(chart, plot, points, { band, categoryStart, valueToPosition, horizontal }));
+    } else if (plot.type === 'area') {
+      plot.series.forEach((series, s) => {
+        const top = [];
+        const bottom = [];
+        points[s].forEach((value, i) => {
+          if (!value) return;
+          const centre = categoryStart(i) + band / 2;
+          top.push(point(centre, valueToPosition(value.end)));
+          bottom.unshift(point(centre, valueToPosition(value.start)));
+        });
+        if (top.length > 1) {
+          parts.push(`<polygon points="${formatPoints(top.concat(bottom))}" fill="${series.color}"/>`);
+        }
+      });
+    } else {
+      plot.series.forEach((series, s) => {
+        let segment = [];
+        const segments = [segment];
+        points[s].forEach((value, i) => {
+          if (!value) {
+            segment = [];
+            segments.push(segment);
+            return;
+          }
+          segment.push(point(categoryStart(i) + band / 2, valueToPosition(value.end)));
+        });
+        if (series.line) {
+          segments.filter(item => item.length > 1).forEach(item => {
+            parts.push(`<polyline points="${formatPoints(item)}" fill="none" stroke="${series.color}" stroke-width="2" stroke-linejoin="round"/>`);
+          });
+        }
+        if (series.marker) {
+          segments.forEach(item => item.forEach(([x, y]) => parts.push(circle(x, y, 3, series.color))));
+        }
+      });
+    }
+  });
+
+  // Axis line at zero (or the scale minimum) and category labels
+  const baseline = valueToPosition(Math.min(Math.max(0, scale.min), scale.max));
+  parts.push(horizontal
+    ? line(baseline, area.top, baseline, area.bottom, AXIS_COLOR)
+    : line(area.left, baseline, area.right, baseline, AXIS_COLOR));
+
+  if (!categoryAxis.deleted) {
+    const step = Math.max(1, Math.ceil(categoryCount / Math.max(1, Math.floor(length / (horizontal ? LABEL_FONT_SIZE + 2 : 40)))));
+    chart.categories.forEach((label, i) => {
+      if (i % step !== 0) return;
+      const centre = categoryStart(i) + band / 2;
+      parts.push(horizontal
+        ? text(area.left - 6, centre + LABEL_FONT_SIZE / 3, truncate(label, categoryLabelSize), { size: LABEL_FONT_SIZE, anchor: 'end' })
+        : text(centre, area.bottom + LABEL_FONT_SIZE + 4, truncate(label, band * step - 4), { size: LABEL_FONT_SIZE, anchor: 'middle' }));
+    });
+  }
+
+  parts.push(renderAxisTitles(categoryAxis.title, valueAxis.title, box, area, horizontal));
+  return `<g class="docx-chart-plot">${parts.join('')}</g>`;
+}
+
+/**
+ * Draw the bars of one bar or column plot
+ *
+ * @param {Object} chart - Chart data
+ * @param {Object} plot - Bar plot
+ * @param {Array<Array>} points - { start, end } per series and category
+ * @param {Object} layout - { band, categoryStart, valueToPosition, horizontal }
+ * @returns {string} - SVG markup
+ */
+function renderBars(chart, plot, points, layout) {
+  const { band, categoryStart, valueToPosition, horizontal } = layout;
+  const stacked = plot.grouping === 'stacked' || plot.grouping === 'percentStacked';
+  const groupWidth = band / (1 + plot.gapWidth / 100);
+  const barWidth = stacked ? groupWidth : groupWidth / Math.max(1, plot.series.length);
+  const parts = [];
+
+  plot.series.forEach((series, s) => {
+    points[s].forEach((value, i) => {
+      if (!value) return;
+      const offset = categoryStart(i) + (band - groupWidth) / 2 + (stacked ? 0 : s * barWidth);
+      const from = valueToPosition(value.start);
+      const to = valueToPosition(value.end);
+      const color = getPointColor(chart, plot, series, i);
+      parts.push(horizontal
+        ? rect(Math.min(from, to), offset, Math.abs(to - from), barWidth, color)
+        : rect(offset, Math.min(from, to), barWidth, Math.abs(to - from), color));
+    });
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Work out where each value of a plot starts and ends on the value axis
+ * Stacked plots stack positive and negative values separately; 100% stacked
+ * plots are scaled to percentages of each category's total
+ *
+ * @param {Object} plot - Plot
+ * @param {number} categoryCount - Number of categories
+ * @returns {Object} - { points: [series][category] { start, end } or null, extent: values to fit the scale }
+ */
+function getPlotValues(plot, categoryCount) {
+  const stacked = plot.grouping === 'stacked' || plot.grouping === 'percentStacked';
+  const percent = plot.grouping === 'percentStacked';
+  const points = plot.series.map(() => []);
+  const extent = [];
+
+  for (let i = 0; i < categoryCount; i++) {
+    const total = plot.series.reduce((sum, series) => sum + Math.abs(series.values[i] || 0), 0);
+    let positive = 0;
+    let negative = 0;
+
+    plot.series.forEach((series, s) => {
+      let value = series.values[i];
+      if (value === null || value === undefined) {
+        points[s][i] = null;
+        return;
+      }
+      if (percent) value = total ? (value / total) * 100 : 0;
+
+      if (stacked) {
+        const start = value >= 0 ? positive : negative;
+        const end = start + value;
+        if (value >= 0) positive = end;
+        else negative = end;
+        points[s][i] = { start, end };
+        extent.push(start, end);
+      } else {
+        points[s][i] = { start: 0, end: value };
+        extent.push(value);
+      }
+    });
+  }
+
+  return { points, extent };
+}
+
+/**
+ * Draw a pie or doughnut plot (its first series)
+ *
+ * @param {Object} chart - Chart data
+ * @param {Object} plot - Pie or doughnut plot
+ * @param {Object} box - Drawing box
+ * @returns {string} - SVG markup
+ */
+function renderPie(chart, plot, box) {
+  const series = plot.series[0];
+  const values = series.values.map(value => (value && value > 0 ? value : 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (!total) return '';
+
+  const cx = (box.left + box.right) / 2;
+  const cy = (box.top + box.bottom) / 2;
+  const radius = Math.max(1, Math.min(box.right - box.left, box.bottom - box.top) / 2 - 4);
+  const inner = plot.type === 'doughnut' ? radius * Math.min(90, Math.max(10, plot.holeSize)) / 100 : 0;
+  const parts = [];
+
+  let angle = plot.firstSliceAngle;
+  values.forEach((value, i) => {
+    if (!value) return;
+    const sweep = (value / total) * 360;
+    const color = getPointColor(chart, plot, series, i);
+    if (sweep >= 359.999) {
+      parts.push(circle(cx, cy, radius, color));
+      if (inner) parts.push(circle(cx, cy, inner, '#FFFFFF'));
+    } else {
+      parts.push(`<path d="${slicePath(cx, cy, radius, inner, angle, angle + sweep)}" fill="${color}" stroke="#FFFFFF" stroke-width="1"/>`);
+    }
+    angle += sweep;
+  });
+
+  return `<g class="docx-chart-plot">${parts.join('')}</g>`;
+}
+
+/**
+ * Build the path of a pie slice or doughnut segment
+ * Angles are in degrees clockwise from 12 o'clock
+ *
+ * @param {number} cx - Centre X
+ * @param {number} cy - Centre Y
+ * @param {number} radius - Outer radius
+ * @param {number} inner - Inner radius (0 for a pie slice)
+ * @param {number} startAngle - Start angle
+ * @param {number} endAngle - End angle
+ * @returns {string} - Path data
+ */
+function slicePath(cx, cy, radius, inner, startAngle, endAngle) {
+  const at = (r, angle) => {
+    const radians = ((angle - 90) * Math.PI) / 180;
+    return `${round(cx + r * Math.cos(radians))} ${round(cy + r * Math.sin(radians))}`;
+  };
+  const large = endAngle - startAngle > 180 ? 1 : 0;
+
+  if (!inner) {
+    return `M ${round(cx)} ${round(cy)} L ${at(radius, startAngle)} A ${round(radius)} ${round(radius)} 0 ${large} 1 ${at(radius, endAngle)} Z`;
+  }
+  return `M ${at(radius, startAngle)} A ${round(radius)} ${round(radius)} 0 ${large} 1 ${at(radius, endAngle)}` +
+    ` L ${at(inner, endAngle)} A ${round(inner)} ${round(inner)} 0 ${large} 0 ${at(inner, startAngle)} Z`;
+}
+
+/**
+ * Draw scatter plots on two value axes
+ *
+ * @param {Object} chart - Chart data
+ * @param {Array<Object>} plots - Scatter plots
+ * @param {Object} box - Drawing box
+ * @returns {string} - SVG markup
+ */
+function renderScatter(chart, plots, box) {
+  const series = plots.reduce((all, plot) => all.concat(plot.series.map(item => ({ plot, item }))), []);
+  const points = series.map(({ item }) => item.values.map((y, i) => {
+    const x = item.xValues[i] !== null && item.xValues[i] !== undefined ? item.xValues[i] : i + 1;
+    return y === null || y === undefined ? null : [x, y];
+  }));
+  const known = points.reduce((all, list) => all.concat(list.filter(Boolean)), []);
+  const xAxis = chart.axes.x || {};
+  const yAxis = chart.axes.y || {};
+  const xScale = getScale(known.map(([x]) => x), xAxis, false);
+  const yScale = getScale(known.map(([, y]) => y), yAxis, false);
+  const xLabels = xScale.ticks.map(value => formatChartValue(value, xAxis.formatCode));
+  const yLabels = yScale.ticks.map(value => formatChartValue(value, yAxis.formatCode || series[0].item.formatCode));
+
+  const area = { ...box };
+  if (yAxis.title) area.left += LABEL_FONT_SIZE + 8;
+  if (xAxis.title) area.bottom -= LABEL_FONT_SIZE + 8;
+  if (!yAxis.deleted) area.left += Math.max(...yLabels.map(label => measureText(label, LABEL_FONT_SIZE))) + 8;
+  if (!xAxis.deleted) area.bottom -= LABEL_FONT_SIZE + 6;
+  area.top += LABEL_FONT_SIZE / 2;
+  area.right -= Math.max(...xLabels.map(label => measureText(label, LABEL_FONT_SIZE))) / 2;
+
+  const toX = x => area.left + ((x - xScale.min) / (xScale.max - xScale.min)) * (area.right - area.left);
+  const toY = y => area.bottom - ((y - yScale.min) / (yScale.max - yScale.min)) * (area.bottom - area.top);
+  const parts = [];
+
+  yScale.ticks.forEach((tick, i) => {
+    if (yAxis.gridlines !== false) parts.push(line(area.left, toY(tick), area.right, toY(tick), GRID_COLOR));
+    if (!yAxis.deleted) {
+      parts.push(text(area.left - 6, toY(tick) + LABEL_FONT_SIZE / 3, yLabels[i], { size: LABEL_FONT_SIZE, anchor: 'end' }));
+    }
+  });
+  xScale.ticks.forEach((tick, i) => {
+    if (xAxis.gridlines) parts.push(line(toX(tick), area.top, toX(tick), area.bottom, GRID_COLOR));
+    if (!xAxis.deleted) {
+      parts.push(text(toX(tick), area.bottom + LABEL_FONT_SIZE + 4, xLabels[i], { size: LABEL_FONT_SIZE, anchor: 'middle' }));
+    }
+  });
+  parts.push(line(area.left, area.bottom, area.right, area.bottom, AXIS_COLOR));
+  parts.push(line(area.left, area.top, area.left, area.bottom, AXIS_COLOR));
+
+  series.forEach(({ plot, item }, s) => {
+    const coordinates = points[s].filter(Boolean).map(([x, y]) => [toX(x), toY(y)]);
+    if (item.line && plot.scatterStyle !== 'marker' && coordinates.length > 1) {
+      parts.push(`<polyline points="${formatPoints(coordinates)}" fill="none" stroke="${item.color}" stroke-width="2"/>`);
+    }
+    if (item.marker) coordinates.forEach(([x, y]) => parts.push(circle(x, y, 3.5, item.color)));
+  });
+
+  parts.push(renderAxisTitles(xAxis.title, yAxis.title, box, area, false));
+  return `<g class="docx-chart-plot">${parts.join('')}</g>`;
+}
+
+/**
+ * Draw the axis titles: one under the plot and one rotated beside it
+ *
+ * @param {string} categoryTitle - Title of the category (or X) axis
+ * @param {string} valueTitle - Title of the value (or Y) axis
+ * @param {Object} box - Drawing box
+ * @param {Object} area - Plot area
+ * @param {boolean} horizontal - Whether categories run down the side
+ * @returns {string} - SVG markup
+ */
+function renderAxisTitles(categoryTitle, valueTitle, box, area, horizontal) {
+  const bottomTitle = horizontal ? valueTitle : categoryTitle;
+  const sideTitle = horizontal ? categoryTitle : valueTitle;
+  const parts = [];
+
+  if (bottomTitle) {
+    parts.push(text((area.left + area.right) / 2, box.bottom - 2, bottomTitle, { size: LABEL_FONT_SIZE, anchor: 'middle' }));
+  }
+  if (sideTitle) {
+    const x = box.left + LABEL_FONT_SIZE;
+    const y = (area.top + area.bottom) / 2;
+    parts.push(text(x, y, sideTitle, { size: LABEL_FONT_SIZE, anchor: 'middle', rotate: -90 }));
+  }
+  return parts.join('');
+}
+
+/**
+ * Choose a value scale with round tick values
+ * Axis minimum and maximum settings from the chart win over the data
+ *
+ * @param {Array<number>} values - Values to fit
+ * @param {Object} axis - Axis settings (min, max)
+ * @param {boolean} includeZero - Whether the scale must include zero
+ * @returns {Object} - { min, max, ticks }
+ */
+function getScale(values, axis, includeZero) {
+  let min = values.length > 0 ? Math.min(...values) : 0;
+  let max = values.length > 0 ? Math.max(...values) : 1;
+  if (includeZero) {
+    min = Math.min(0, min);
+    max = Math.max(0, max);
+  }
+  if (typeof axis.min === 'number') min = axis.min;
+  if (typeof axis.max === 'number') max = axis.max;
+  if (min === max) {
+    max = min + 1;
+    if (!includeZero) min -= 1;
+  }
+
+  const step = getNiceStep((max - min) / 5);
+  if (typeof axis.min !== 'number') min = Math.floor(min / step) * step;
+  if (typeof axis.max !== 'number') max = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let tick = min; tick <= max + step / 1000; tick += step) {
+    ticks.push(Math.round(tick / step) * step);
+  }
+  return { min, max, ticks };
+}
+
+/**
+ * Round a step size to 1, 2 or 5 times a power of ten
+ *
+ * @param {number} rough - Rough step size
+ * @returns {number} - Step size
+ */
+function getNiceStep(rough) {
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const fraction = rough / power;
+  if (fraction <= 1) return power;
+  if (fraction <= 2) return 2 * power;
+  if (fraction <= 5) return 5 * power;
+  return 10 * power;
+}
+
+/**
+ * Format a value with a spreadsheet number format
+ * Supports percentages, decimal places, thousands separators and a leading
+ * currency symbol; other formats show the plain number
+ *
+ * @param {number|null} value - Value
+ * @param {string} formatCode - Number format (e.g. "0.0%", "#,##0.00")
+ * @returns {string} - Formatted value, empty for blanks
+ */
+function formatChartValue(value, formatCode) {
+  if (value === null || value === undefined || isNaN(value)) return '';
+
+  // Keep literal text and currency symbols; drop colors, conditions and padding
+  const format = (formatCode || 'General').split(';')[0].replace(/"[^"]*"|\[[^\]]*\]|\\.|_.|\*./g, match => {
+    if (match.startsWith('[$')) return match.slice(2, -1).split('-')[0];
+    if (match.startsWith('"')) return match.slice(1, -1);
+    if (match.startsWith('\\')) return match.slice(1);
+    return '';
+  });
+  if (/general/i.test(format) || !/[0#]/.test(format)) {
+    return String(Math.round(value * 10000) / 10000);
+  }
+
+  const percent = format.includes('%');
+  const decimalsMatch = /\.([0#]+)/.exec(format);
+  const decimals = decimalsMatch ? decimalsMatch[1].length : 0;
+  const number = percent ? value * 100 : value;
+  let formatted = Math.abs(number).toFixed(decimals);
+  if (format.includes(',')) {
+    const [whole, fraction] = formatted.split('.');
+    formatted = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',') + (fraction ? `.${fraction}` : '');
+  }
+
+  const prefix = (/^[^0#?.,%]*/.exec(format) || [''])[0].trim();
+  const suffix = (/[^0#?.,%]*$/.exec(format.replace('%', '')) || [''])[0].trim();
+  return `${number < 0 ? '-' : ''}${prefix}${formatted}${percent ? '%' : ''}${suffix ? ` ${suffix}` : ''}`;
+}
+
+/**
+ * Get the color of one data point
+ * Points with their own color keep it; plots with varied colors take the
+ * chart palette in order; others use the series color
+ *
+ * @param {Object} chart - Chart data
+ * @param {Object} plot - Plot
+ * @param {Object} series - Series
+ * @param {number} index - Point index
+ * @returns {string} - CSS color
+ */
+function getPointColor(chart, plot, series, index) {
+  if (series.pointColors[index]) return series.pointColors[index];
+  if (plot.varyColors && plot.series.length === 1 && chart.palette) {
+    return chart.palette[index % chart.palette.length];
+  }
+  return series.color;
+}
+
+/**
+ * Get the format code of the first series with one
+ *
+ * @param {Array<Object>} plots - Plots
+ * @returns {string|null} - Format code
+ */
+function firstFormatCode(plots) {
+  for (const plot of plots) {
+    for (const series of plot.series) {
+      if (series.formatCode) return series.formatCode;
+    }
+  }
+  return null;
+}
+
+/**
+ * Order in which plot types are drawn
+ *
+ * @param {Object} plot - Plot
+ * @returns {number} - Lower values are drawn first
+ */
+function drawOrder(plot) {
+  return { area: 0, bar: 1, line: 2 }[plot.type] || 0;
+}
+
+/**
+ * Get the CSS font family for chart text
+ *
+ * @param {Object} chart - Chart data
+ * @returns {string} - Font family list
+ */
+function getFontFamily(chart) {
+  return chart.font ? `${chart.font}, sans-serif` : 'sans-serif';
+}
+
+/**
+ * Estimate the width of a text in pixels
+ *
+ * @param {string} value - Text
+ * @param {number} size - Font size in pixels
+ * @returns {number} - Approximate width
+ */
+function measureText(value, size) {
+  return String(value || '').length * size * 0.55;
+}
+
+/**
+ * Shorten a label to fit a width, ending it with an ellipsis
+ *
+ * @param {string} value - Label
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} - Label that fits
+ */
+function truncate(value, maxWidth) {
+  const label = String(value || '');
+  if (measureText(label, LABEL_FONT_SIZE) <= maxWidth + 0.5) return label;
+  const maxLength = Math.max(1, Math.floor(maxWidth / (LABEL_FONT_SIZE * 0.55)));
+  return `${label.slice(0, Math.max(1, maxLength - 1))}…`;
+}
+
+/**
+ * Create a text element
+ *
+ * @param {number} x - X position
+ * @param {number} y - Baseline Y position
+ * @param {string} value - Text
+ * @param {Object} options - { size, anchor, rotate }
+ * @returns {string} - SVG markup
+ */
+function text(x, y, value, options = {}) {
+  const anchor = options.anchor && options.anchor !== 'start' ? ` text-anchor="${options.anchor}"` : '';
+  const rotate = options.rotate ? ` transform="rotate(${options.rotate} ${round(x)} ${round(y)})"` : '';
+  return `<text x="${round(x)}" y="${round(y)}" font-size="${options.size || LABEL_FONT_SIZE}"${anchor}${rotate}>${escapeXml(value)}</text>`;
+}
+
+/**
+ * Create a rectangle element
+ *
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} fill - Fill color
+ * @returns {string} - SVG markup
+ */
+function rect(x, y, width, height, fill) {
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${fill}"/>`;
+}
+
+/**
+ * Create a line element
+ *
+ * @param {number} x1 - Start X
+ * @param {number} y1 - Start Y
+ * @param {number} x2 - End X
+ * @param {number} y2 - End Y
+ * @param {string} stroke - Line color
+ * @returns {string} - SVG markup
+ */
+function line(x1, y1, x2, y2, stroke) {
+  return `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${stroke}" stroke-width="1"/>`;
+}
+
+/**
+ * Create a circle element
+ *
+ * @param {number} cx - Centre X
+ * @param {number} cy - Centre Y
+ * @param {number} r - Radius
+ * @param {string} fill - Fill color
+ * @returns {string} - SVG markup
+ */
+function circle(cx, cy, r, fill) {
+  return `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" fill="${fill}"/>`;
+}
+
+/**
+ * Format a list of points for a polyline or polygon
+ *
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ * @returns {string} - Points attribute value
+ */
+function formatPoints(points) {
+  return points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+}
+
+/**
+ * Round a coordinate to two decimals
+ *
+ * @param {number} value - Coordinate
+ * @returns {number} - Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape text for XML content and attributes
+ *
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  renderChartSvg,
+  formatChartValue
+};
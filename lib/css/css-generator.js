@@ -1,14 +1,14 @@
 // File: lib/css/css-generator.js
 // Main CSS generator - orchestrates all style generation
 
-const { generateBaseStyles, generateFallbackCSS, getFontFamily, getBorderStyle } = require("./generators/base-styles");
+const { generateBaseStyles, generateSectionStyles, generateFallbackCSS, getFontFamily, getBorderStyle } = require("./generators/base-styles");
 const { generateParagraphStyles, generateGlobalParagraphDataAttributeStyles } = require("./generators/paragraph-styles");
 const { generateCharacterStyles } = require("./generators/character-styles");
 const { generateTableStyles, generateTableDataAttributeStyles } = require("./generators/table-styles");
 const { generateDOCXNumberingStyles, generateEnhancedListStyles, generateBulletListStyles, generateCustomBulletStyles } = require("./generators/numbering-styles");
 const { generateTOCStyles } = require("./generators/toc-styles");
 const { generateUtilityStyles } = require("./generators/utility-styles");
-const { generateAccessibilityStyles, generateTrackChangesStyles, generateHeaderStyles } = require("./generators/specialized-styles");
+const { generateAccessibilityStyles, generateTrackChangesStyles, generateHeaderStyles, generateFooterStyles, generateNotesStyles, generateCommentsStyles, generateImageStyles, generateEquationStyles, generateTextBoxStyles, generateChartStyles, generateContentControlStyles } = require("./generators/specialized-styles");
 
 /**
  * Generate CSS from extracted style information.
@@ -18,6 +18,7 @@ function generateCssFromStyleInfo(styleInfo) {
   try {
     // Generate base document styles
     css += generateBaseStyles(styleInfo);
+    css += generateSectionStyles(styleInfo);
     
     // Generate component-specific styles
     css += generateParagraphStyles(styleInfo);
@@ -43,8 +44,16 @@ function generateCssFromStyleInfo(styleInfo) {
     css += generateCustomBulletStyles(styleInfo.numberingDefs);
     css += generateUtilityStyles(styleInfo);
     css += generateHeaderStyles(styleInfo);
+    css += generateFooterStyles(styleInfo);
     css += generateAccessibilityStyles(styleInfo);
     css += generateTrackChangesStyles(styleInfo);
+    css += generateNotesStyles(styleInfo);
+    css += generateCommentsStyles(styleInfo);
+    css += generateImageStyles(styleInfo);
+    css += generateEquationStyles(styleInfo);
+    css += generateTextBoxStyles(styleInfo);
+    css += generateChartStyles(styleInfo);
+    css += generateContentControlStyles(styleInfo);
     
     // Generate enhanced data attribute styles for comprehensive formatting
     css += generateGlobalParagraphDataAttributeStyles();
@@ -67,4 +76,12 @@ module.exports = {
   generateDOCXNumberingStyles,
   generateEnhancedListStyles,
   generateHeaderStyles,
+  generateFooterStyles,
+  generateNotesStyles,
+  generateCommentsStyles,
+  generateImageStyles,
+  generateEquationStyles,
+  generateTextBoxStyles,
+  generateChartStyles,
+  generateContentControlStyles,
 };
@@ -51,6 +51,81 @@ body {
 `;
 }
 
+/**
+ * Where a section starts when its break type is not continuous
+ */
+const SECTION_BREAKS = {
+  nextPage: "page",
+  oddPage: "right",
+  evenPage: "left",
+};
+
+/**
+ * Generate section styles: the columns, page size, margins and break type of
+ * each section, and the class for explicit column breaks
+ */
+function generateSectionStyles(styleInfo) {
+  const sections = styleInfo.settings?.sections || [];
+
+  let css = `
+/* Sections */
+.docx-section {
+  box-sizing: border-box;
+}
+
+/* Explicit column breaks (page breaks use .docx-page-break-before) */
+.docx-column-break-before {
+  break-before: column;
+}
+`;
+
+  sections.forEach((section) => {
+    const name = `docx-section-${section.index + 1}`;
+    const { columns } = section;
+    let rules = `  page: ${name};\n`;
+
+    if (columns.count > 1) {
+      // CSS columns are always equal, so unequal columns use the first gap
+      const gap = columns.equalWidth ? columns.space : columns.widths[0]?.space || columns.space;
+      rules += `  column-count: ${columns.count};\n`;
+      rules += `  column-gap: ${convertTwipToPt(gap)}pt;\n`;
+      if (columns.separator) rules += `  column-rule: 1px solid currentColor;\n`;
+    }
+
+    // The first section starts the document, so only later sections break
+    if (section.index > 0 && SECTION_BREAKS[section.type]) {
+      rules += `  break-before: ${SECTION_BREAKS[section.type]};\n`;
+    }
+
+    const pageSize = section.pageSize
+      ? `  size: ${convertTwipToPt(section.pageSize.width)}pt ${convertTwipToPt(section.pageSize.height)}pt;\n`
+      : "";
+
+    css += `
+/* Section ${section.index + 1}: ${section.type}, ${columns.count} column${columns.count > 1 ? "s" : ""} */
+.${name} {
+${rules}}
+
+@page ${name} {
+${pageSize}  margin: ${convertTwipToPt(section.top)}pt ${convertTwipToPt(section.right)}pt ${convertTwipToPt(section.bottom)}pt ${convertTwipToPt(section.left)}pt;
+}
+`;
+  });
+
+  if (sections.some((section) => section.columns.count > 1)) {
+    css += `
+/* One column on narrow screens */
+@media (max-width: 600px) {
+  .docx-section {
+    column-count: 1;
+  }
+}
+`;
+  }
+
+  return css;
+}
+
 /**
  * Get font family from style with fallbacks
  */
@@ -103,6 +178,7 @@ h1 { font-size: 16pt; } h2 { font-size: 13pt; } p { margin: 10pt 0; }
 
 module.exports = {
   generateBaseStyles,
+  generateSectionStyles,
   getFontFamily,
   getBorderStyle,
   generateFallbackCSS,
@@ -405,7 +405,7 @@ p[data-jc="distribute"] { text-align: justify; text-align-last: justify; }
 .docx-shd-pattern { /* Shading pattern utility */ }
 
 /* Page properties utility classes */
-.docx-page-break-before { page-break-before: always; }
+.docx-page-break-before { page-break-before: always; break-before: page; }
 .docx-keep-next { page-break-after: avoid; }
 .docx-keep-lines { page-break-inside: avoid; }
 .docx-widow-control { orphans: 2; widows: 2; }
@@ -1,5 +1,5 @@
 // File: lib/css/generators/specialized-styles.js
-// Specialized styles for accessibility, track changes, and headers
+// Specialized styles for accessibility, track changes, headers, footers, notes, comments and images
 
 /**
  * Generate accessibility styles
@@ -38,6 +38,10 @@ function generateTrackChangesStyles(styleInfo) {
 .docx-track-changes-show .docx-insertion { background-color: #e6ffed; border-bottom: 1px solid #a2d5ab; position: relative; }
 .docx-track-changes-show .docx-insertion:hover::after, .docx-track-changes-show .docx-deletion:hover::after { content: attr(data-author) " (" attr(data-date) ")"; display: block; position: absolute; bottom: 100%; left: 0; margin-bottom: 2px; background-color: #333; color: #fff; border-radius: 3px; padding: 0.25em 0.5em; font-size: 0.8em; z-index: 100; white-space: nowrap; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }
 .docx-track-changes-show .docx-deletion { background-color: #ffe6e6; border-bottom: 1px solid #f5b7b1; text-decoration: line-through; color: #d9534f; position: relative; }
+.docx-track-changes-show .docx-move-from { text-decoration: line-through; border-bottom: 2px dashed #9575CD; color: #5E35B1; }
+.docx-track-changes-show .docx-move-to { text-decoration: none; border-bottom: 2px dashed #9575CD; }
+.docx-track-changes-show .docx-formatting-change { border-bottom: 1px dotted #FFA000; }
+.docx-track-changes-filter { margin: 0.5em 0 0 0; font-size: 0.9em; color: #616161; }
 .docx-track-changes-hide .docx-insertion, .docx-track-changes-hide .docx-deletion { background-color: transparent; text-decoration: none; border-bottom: none; color: inherit; }
 .docx-track-changes-hide .docx-deleted-content { display: none; }
 .docx-deleted-content { margin: 1em 0; padding: 0.5em; border: 1px dashed #FFCDD2; border-radius: 4px; background-color: #FFEBEE; color: #b71c1c; }
@@ -174,8 +178,197 @@ function generateHeaderStyles(styleInfo) {
 `;
 }
 
+/**
+ * Generate footer styles
+ */
+function generateFooterStyles(styleInfo) {
+  return `
+/* Document Footer Styles */
+.docx-document-footer {
+  margin-top: 3em;
+  padding-top: 1em;
+  border-top: 1px solid #e0e0e0;
+  font-size: 0.9em;
+  color: #555555;
+  text-align: center;
+  page-break-before: avoid;
+}
+.docx-footer-paragraph { margin: 0.25em 0; }
+.docx-footer-paragraph .docx-image-container { position: relative; }
+.docx-footer-image { max-width: 100%; height: auto; }
+@media print {
+  .docx-document-footer { border-top: none; }
+}
+`;
+}
+
+/**
+ * Generate footnote and endnote styles
+ */
+function generateNotesStyles(styleInfo) {
+  return `
+/* Footnote and Endnote Styles */
+.docx-note-ref { font-size: 0.75em; line-height: 0; vertical-align: super; }
+.docx-note-ref a { text-decoration: none; padding: 0 0.1em; }
+.docx-note-ref a:hover, .docx-note-ref a:focus { text-decoration: underline; }
+.docx-notes { margin-top: 2em; font-size: 0.9em; }
+.docx-section-notes { margin: 1.5em 0; }
+.docx-notes-separator { width: 33%; margin: 0 0 1em 0; border: none; border-top: 1px solid #BDBDBD; }
+.docx-notes-list { list-style: none; margin: 0; padding: 0; }
+.docx-note { display: flex; gap: 0.5em; margin-bottom: 0.5em; }
+.docx-note:target { background-color: #fff8c4; }
+.docx-note-label { flex: 0 0 auto; min-width: 1.5em; font-weight: bold; }
+.docx-note-content { flex: 1 1 auto; }
+.docx-note-content p { margin: 0 0 0.25em 0; }
+.docx-note-backlink { text-decoration: none; margin-left: 0.25em; }
+.docx-note-backlink:hover, .docx-note-backlink:focus { text-decoration: underline; }
+@media print { .docx-note-backlink { display: none; } }
+`;
+}
+
+/**
+ * Generate comment highlight and sidebar styles
+ */
+function generateCommentsStyles(styleInfo) {
+  return `
+/* Comment Styles */
+.docx-comment-highlight { background-color: #fff3b0; color: inherit; border-bottom: 2px solid #f2c200; }
+.docx-comment-highlight.docx-comment-resolved { background-color: #f0f0f0; border-bottom-color: #BDBDBD; }
+.docx-comment-ref { font-size: 0.7em; line-height: 0; vertical-align: super; }
+.docx-comment-ref a { text-decoration: none; padding: 0 0.15em; color: #8a6d00; }
+.docx-comment-ref a:hover, .docx-comment-ref a:focus { text-decoration: underline; }
+.docx-comments { margin-top: 2em; padding: 1em; border-left: 3px solid #f2c200; background-color: #fffdf0; font-size: 0.9em; }
+.docx-comments-list { list-style: none; margin: 0; padding: 0; }
+.docx-comment-thread { margin-bottom: 1em; }
+.docx-comment:target { outline: 2px solid #f2c200; outline-offset: 2px; }
+.docx-comment-header { display: flex; flex-wrap: wrap; align-items: center; gap: 0.5em; }
+.docx-comment-initials { display: inline-block; min-width: 2em; padding: 0.1em 0.3em; border-radius: 1em; background-color: #5c6bc0; color: #FFFFFF; font-size: 0.8em; text-align: center; }
+.docx-comment-author { font-weight: bold; }
+.docx-comment-date { color: #666666; font-size: 0.85em; }
+.docx-comment-status { color: #2e7d32; font-size: 0.85em; }
+.docx-comment-body p { margin: 0.25em 0; }
+.docx-comment-resolved .docx-comment-body { color: #666666; }
+.docx-comment-replies { margin-left: 1.5em; padding-left: 0.75em; border-left: 1px solid #e0e0e0; }
+.docx-comment-backlink { text-decoration: none; }
+@media (min-width: 1200px) {
+  body.docx-has-comments { margin-right: 22em; }
+  .docx-comments { position: fixed; top: 0; right: 0; bottom: 0; width: 20em; margin: 0; overflow-y: auto; }
+}
+@media print {
+  .docx-comments { position: static; width: auto; }
+  .docx-comment-backlink { display: none; }
+}
+`;
+}
+
+/**
+ * Generate image placement styles
+ * Inline pictures stay in the line of text, pictures that text wraps around
+ * float, and cropped pictures are clipped by their wrapper; captions taken
+ * from the document may come before the picture
+ */
+function generateImageStyles(styleInfo) {
+  return `
+/* Image Styles */
+img.docx-image { height: auto; }
+.docx-image-inline { display: inline-block; margin: 0; vertical-align: bottom; }
+.docx-image-float-left { float: left; }
+.docx-image-float-right { float: right; }
+.docx-image-block { clear: both; }
+.docx-image-align-center { text-align: center; }
+.docx-image-align-right { text-align: right; }
+.docx-image-crop { display: inline-block; position: relative; overflow: hidden; max-width: 100%; vertical-align: bottom; }
+.docx-image-crop > img { position: absolute; }
+figcaption.docx-caption:first-child { margin-top: 0; margin-bottom: 0.5em; }
+@media (max-width: 600px) {
+  .docx-image-float-left, .docx-image-float-right { float: none; margin: 1em 0 !important; }
+}
+`;
+}
+
+/**
+ * Generate equation styles
+ * Display equations sit on their own line; long ones scroll instead of
+ * overflowing narrow screens
+ */
+function generateEquationStyles(styleInfo) {
+  return `
+/* Equation Styles */
+math.docx-equation { font-size: 1.1em; }
+math.docx-equation[display="block"] { display: block; margin: 0.5em 0; overflow-x: auto; overflow-y: hidden; }
+`;
+}
+
+/**
+ * Generate text box styles
+ * Text boxes keep their document width where the page allows; ones that text
+ * wraps around float, and narrow screens stack them in the text flow
+ */
+function generateTextBoxStyles(styleInfo) {
+  return `
+/* Text Box Styles */
+.docx-textbox { box-sizing: border-box; max-width: 100%; margin: 0.5em 0; overflow-wrap: break-word; }
+.docx-textbox > :first-child { margin-top: 0; }
+.docx-textbox > :last-child { margin-bottom: 0; }
+.docx-textbox-inline { display: inline-block; vertical-align: bottom; }
+.docx-textbox-float-left { float: left; }
+.docx-textbox-float-right { float: right; }
+.docx-textbox-align-center { margin-left: auto; margin-right: auto; }
+.docx-textbox-align-right { margin-left: auto; }
+.docx-wordart { font-weight: bold; line-height: 1.2; }
+@media (max-width: 600px) {
+  .docx-textbox { width: auto !important; }
+  .docx-textbox-float-left, .docx-textbox-float-right { float: none; margin: 1em 0 !important; }
+}
+`;
+}
+
+/**
+ * Generate chart styles
+ * Chart drawings scale down with the page and keep their proportions; the
+ * data table is hidden unless the chart could not be drawn
+ */
+function generateChartStyles(styleInfo) {
+  return `
+/* Chart Styles */
+figure.docx-chart { margin: 1em 0; }
+figure.docx-chart svg.docx-chart-svg { display: block; width: 100%; height: auto; }
+table.docx-chart-data:not(.sr-only) { border-collapse: collapse; }
+table.docx-chart-data:not(.sr-only) th, table.docx-chart-data:not(.sr-only) td { border: 1px solid #ccc; padding: 0.25em 0.5em; }
+table.docx-chart-data td { text-align: right; }
+`;
+}
+
+/**
+ * Generate content control styles
+ * Editable controls are outlined so they can be found on the page; the
+ * button that saves the form data is not printed
+ */
+function generateContentControlStyles(styleInfo) {
+  return `
+/* Content Control Styles */
+.docx-form-control { font: inherit; margin: 0 0.15em; vertical-align: baseline; }
+input.docx-form-control[type="checkbox"] { width: 1em; height: 1em; vertical-align: middle; }
+.docx-sdt[contenteditable="true"] { border-bottom: 1px dotted #888; outline-offset: 2px; }
+div.docx-sdt[contenteditable="true"] { border: 1px dotted #888; padding: 0.25em; }
+.docx-sdt-placeholder { color: #767676; }
+.docx-form-actions { margin: 2em 0 1em; }
+@media print {
+  .docx-form-actions { display: none; }
+}
+`;
+}
+
 module.exports = {
   generateAccessibilityStyles,
   generateTrackChangesStyles,
   generateHeaderStyles,
+  generateFooterStyles,
+  generateNotesStyles,
+  generateCommentsStyles,
+  generateImageStyles,
+  generateEquationStyles,
+  generateTextBoxStyles,
+  generateChartStyles,
+  generateContentControlStyles,
 };
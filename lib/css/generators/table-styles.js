@@ -96,6 +96,16 @@ function generateDefaultTableStyles() {
   text-align: left;
   color: #495057;
 }
+
+/* Captions taken from the document keep their place above or below the table */
+caption.docx-caption {
+  caption-side: top;
+  text-align: left;
+}
+
+caption.docx-caption-bottom {
+  caption-side: bottom;
+}
 `;
 }
 
@@ -0,0 +1,432 @@
+// lib/fields/field-engine.js - Field code evaluation
+//
+// Field results stored in a DOCX are whatever Word last computed, and are
+// often stale or missing. The common fields (dates, document properties,
+// SEQ numbers, STYLEREF and MERGEFIELD) are evaluated here against the parsed
+// metadata, the document structure and optional mail merge data. The new
+// results are written into the marked copy of document.xml before conversion,
+// so they flow through mammoth like the cached ones.
+
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { findFields, replaceFieldResult } = require('../parsers/field-parser');
+const { formatDateTime, formatNumber, applyGeneralFormat } = require('./field-format');
+
+/**
+ * Default pictures of date fields without a \@ switch
+ */
+const DEFAULT_DATE_PICTURES = {
+  DATE: 'M/d/yyyy',
+  TIME: 'h:mm AM/PM',
+  CREATEDATE: 'M/d/yyyy h:mm:ss AM/PM',
+  SAVEDATE: 'M/d/yyyy h:mm:ss AM/PM'
+};
+
+/**
+ * Document information fields and the metadata they show
+ * A text argument (e.g. TITLE "New title") replaces the property
+ */
+const DOCUMENT_INFO_FIELDS = {
+  TITLE: metadata => metadata.core.title,
+  SUBJECT: metadata => metadata.core.subject,
+  AUTHOR: metadata => metadata.core.creator,
+  KEYWORDS: metadata => metadata.core.keywords,
+  COMMENTS: metadata => metadata.core.description,
+  LASTSAVEDBY: metadata => metadata.core.lastModifiedBy,
+  REVNUM: metadata => metadata.core.revision,
+  TEMPLATE: metadata => metadata.app.template,
+  NUMPAGES: metadata => metadata.app.pages,
+  NUMWORDS: metadata => metadata.app.words,
+  NUMCHARS: metadata => metadata.app.characters
+};
+
+/**
+ * Built-in document properties available to DOCPROPERTY, by lower-case name
+ */
+const BUILT_IN_PROPERTIES = {
+  title: metadata => metadata.core.title,
+  subject: metadata => metadata.core.subject,
+  author: metadata => metadata.core.creator,
+  keywords: metadata => metadata.core.keywords,
+  comments: metadata => metadata.core.description,
+  category: metadata => metadata.core.category,
+  manager: metadata => metadata.app.manager,
+  company: metadata => metadata.app.company,
+  lastsavedby: metadata => metadata.core.lastModifiedBy,
+  revisionnumber: metadata => metadata.core.revision,
+  template: metadata => metadata.app.template,
+  createtime: metadata => toDate(metadata.core.created),
+  lastsavedtime: metadata => toDate(metadata.core.modified),
+  totaleditingtime: metadata => metadata.app.totalTime,
+  pages: metadata => metadata.app.pages,
+  words: metadata => metadata.app.words,
+  characters: metadata => metadata.app.characters,
+  characterswithspaces: metadata => metadata.app.characterWithSpaces,
+  paragraphs: metadata => metadata.app.paragraphs,
+  lines: metadata => metadata.app.lines,
+  status: metadata => metadata.core.contentStatus
+};
+
+/**
+ * Evaluate the fields of document.xml
+ * Fields that are not supported, or whose instruction holds other fields
+ * (e.g. an IF around a MERGEFIELD), keep their cached result. MERGEFIELDs are
+ * only evaluated when merge data is given.
+ *
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} context - Evaluation context
+ * @param {Object} context.metadata - Metadata from parseDocumentMetadata
+ * @param {Object} context.styleInfo - Style information (paragraph styles and numbering context)
+ * @param {Object} context.mergeData - Values for MERGEFIELD fields by field name (optional)
+ * @param {string} context.fileName - Document file name for FILENAME fields (optional)
+ * @param {Date} context.now - Time used for DATE and TIME fields (default: now)
+ * @returns {Object} - Field information with the new results by field index
+ */
+function evaluateFields(documentDoc, context = {}) {
+  const fieldInfo = {
+    hasResults: false,
+    results: {}
+  };
+
+  try {
+    const fields = findFields(documentDoc);
+    if (fields.length === 0) return fieldInfo;
+
+    const structure = readDocumentStructure(documentDoc, context.styleInfo);
+    const state = {
+      ...context,
+      metadata: context.metadata || { core: {}, app: {}, custom: {} },
+      now: context.now || new Date(),
+      structure,
+      sequences: {}
+    };
+
+    fields.forEach(field => {
+      if (field.hasNestedFields) return;
+
+      try {
+        const text = evaluateField(field, state);
+        if (text === null || text === undefined) return;
+
+        fieldInfo.results[field.index] = {
+          fieldIndex: field.index,
+          type: field.parsed.type,
+          instruction: field.instruction.trim(),
+          text,
+          cached: field.result
+        };
+      } catch (error) {
+        console.error(`Error evaluating field "${field.instruction.trim()}":`, error);
+      }
+    });
+
+    fieldInfo.hasResults = Object.keys(fieldInfo.results).length > 0;
+  } catch (error) {
+    console.error('Error evaluating fields:', error);
+  }
+
+  return fieldInfo;
+}
+
+/**
+ * Evaluate one field and apply its formatting switches
+ *
+ * @param {Object} field - Field from findFields
+ * @param {Object} state - Evaluation state
+ * @returns {string|null} - Result text, or null to keep the cached result
+ */
+function evaluateField(field, state) {
+  const { type, args, switches, formats } = field.parsed;
+  let value;
+
+  if (DEFAULT_DATE_PICTURES[type]) {
+    value = evaluateDateField(type, state);
+  } else if (DOCUMENT_INFO_FIELDS[type]) {
+    value = args.length > 0 ? args.join(' ') : DOCUMENT_INFO_FIELDS[type](state.metadata);
+  } else if (type === 'DOCPROPERTY') {
+    value = getDocumentProperty(args[0], state.metadata);
+  } else if (type === 'FILENAME') {
+    value = state.fileName || null;
+  } else if (type === 'QUOTE') {
+    value = args.join(' ');
+  } else if (type === 'SEQ') {
+    value = evaluateSequence(field, state);
+  } else if (type === 'STYLEREF') {
+    value = evaluateStyleReference(field, state);
+  } else if (type === 'MERGEFIELD') {
+    return evaluateMergeField(field, state);
+  } else {
+    return null;
+  }
+
+  if (value === null || value === undefined) return null;
+  return formatFieldValue(value, type, switches, formats);
+}
+
+/**
+ * Get the date shown by a date field
+ *
+ * @param {string} type - DATE, TIME, CREATEDATE or SAVEDATE
+ * @param {Object} state - Evaluation state
+ * @returns {Date|null} - Date
+ */
+function evaluateDateField(type, state) {
+  if (type === 'CREATEDATE') return toDate(state.metadata.core.created);
+  if (type === 'SAVEDATE') return toDate(state.metadata.core.modified);
+  return state.now;
+}
+
+/**
+ * Look up a built-in or custom document property
+ *
+ * @param {string} name - Property name
+ * @param {Object} metadata - Document metadata
+ * @returns {string|Date|null} - Property value
+ */
+function getDocumentProperty(name, metadata) {
+  if (!name) return null;
+  const builtIn = BUILT_IN_PROPERTIES[name.toLowerCase().replace(/\s+/g, '')];
+  if (builtIn) return builtIn(metadata);
+
+  const custom = metadata.custom || {};
+  const key = Object.keys(custom).find(property => property.toLowerCase() === name.toLowerCase());
+  return key ? custom[key] : null;
+}
+
+/**
+ * Number a SEQ field
+ * \r n resets the sequence to n, \c repeats the current number, \h hides the
+ * field and \s n restarts the sequence after each heading of level n or above
+ *
+ * @param {Object} field - Field from findFields
+ * @param {Object} state - Evaluation state
+ * @returns {string|null} - Sequence number
+ */
+function evaluateSequence(field, state) {
+  const { args, switches } = field.parsed;
+  const identifier = (args[0] || '').toLowerCase();
+  if (!identifier) return null;
+
+  const paragraphIndex = state.structure.getParagraphIndex(field.begin);
+  const sequence = state.sequences[identifier] || { value: 0, paragraphIndex: -1 };
+  state.sequences[identifier] = sequence;
+
+  const resetLevel = parseInt(switches.s, 10);
+  if (resetLevel > 0 && state.structure.hasHeadingBetween(sequence.paragraphIndex, paragraphIndex, resetLevel)) {
+    sequence.value = 0;
+  }
+
+  const reset = parseInt(switches.r, 10);
+  if (!isNaN(reset)) {
+    sequence.value = reset;
+  } else if (!switches.c) {
+    sequence.value++;
+  }
+  sequence.paragraphIndex = paragraphIndex;
+
+  return switches.h ? '' : sequence.value;
+}
+
+/**
+ * Find the text (or, with \n, \r or \w, the number) of the nearest paragraph
+ * in a style
+ * The style is given by name or, for headings, by level (STYLEREF 1). The
+ * search goes back from the field to the start of the document, then forward.
+ *
+ * @param {Object} field - Field from findFields
+ * @param {Object} state - Evaluation state
+ * @returns {string|null} - Paragraph text or number
+ */
+function evaluateStyleReference(field, state) {
+  const { args, switches } = field.parsed;
+  const styleIds = findStyleIds(args[0], state.styleInfo);
+  if (styleIds.length === 0) return null;
+
+  const { paragraphs } = state.structure;
+  const start = state.structure.getParagraphIndex(field.begin);
+  const order = [];
+  for (let i = Math.min(start, paragraphs.length - 1); i >= 0; i--) order.push(i);
+  for (let i = start + 1; i < paragraphs.length; i++) order.push(i);
+
+  const index = order.find(i => styleIds.includes(paragraphs[i].styleId));
+  if (index === undefined) return null;
+
+  if (switches.n || switches.r || switches.w) {
+    const numbering = state.styleInfo?.numberingContext?.[index]?.resolvedNumbering;
+    if (!numbering) return null;
+    return switches.w ? numbering.hierarchicalNumbering : numbering.fullNumbering;
+  }
+  return paragraphs[index].text.trim();
+}
+
+/**
+ * Get the paragraph style IDs a STYLEREF argument refers to
+ *
+ * @param {string} reference - Style name, style ID or heading level
+ * @param {Object} styleInfo - Style information
+ * @returns {Array<string>} - Style IDs
+ */
+function findStyleIds(reference, styleInfo) {
+  if (!reference) return [];
+  const paragraphStyles = styleInfo?.styles?.paragraph || {};
+  const name = /^[1-9]$/.test(reference) ? `heading ${reference}` : reference.toLowerCase();
+
+  return Object.keys(paragraphStyles).filter(id =>
+    id.toLowerCase() === name.replace(/\s+/g, '') || (paragraphStyles[id].name || '').toLowerCase() === name);
+}
+
+/**
+ * Fill in a MERGEFIELD from the merge data
+ * \b and \f add text before and after non-empty values
+ *
+ * @param {Object} field - Field from findFields
+ * @param {Object} state - Evaluation state
+ * @returns {string|null} - Merged text, or null without merge data
+ */
+function evaluateMergeField(field, state) {
+  if (!state.mergeData) return null;
+  const { args, switches, formats } = field.parsed;
+  const name = args[0] || '';
+  const key = Object.keys(state.mergeData).find(dataName => dataName.toLowerCase() === name.toLowerCase());
+  const value = key === undefined ? null : state.mergeData[key];
+  if (value === null || value === undefined || value === '') return '';
+
+  const text = formatFieldValue(value, 'MERGEFIELD', switches, formats);
+  const before = typeof switches.b === 'string' ? switches.b : '';
+  const after = typeof switches.f === 'string' ? switches.f : '';
+  return `${before}${text}${after}`;
+}
+
+/**
+ * Turn a field value into its result text with the \@, \# and \* switches
+ *
+ * @param {string|number|Date} value - Field value
+ * @param {string} type - Field type
+ * @param {Object} switches - Field switches
+ * @param {Array<string>} formats - General format switches
+ * @returns {string} - Result text
+ */
+function formatFieldValue(value, type, switches, formats) {
+  let text;
+  const hasDatePicture = typeof switches['@'] === 'string';
+  const date = value instanceof Date ? value : (hasDatePicture && typeof value === 'string' ? toDate(value) : null);
+  const number = typeof value === 'number' ? value : parseNumber(value);
+
+  if (date) {
+    text = formatDateTime(date, hasDatePicture ? switches['@'] : DEFAULT_DATE_PICTURES[type] || DEFAULT_DATE_PICTURES.CREATEDATE);
+  } else if (typeof switches['#'] === 'string' && number !== null) {
+    text = formatNumber(number, switches['#']);
+  } else {
+    text = String(value);
+  }
+
+  return formats.reduce((result, format) => applyGeneralFormat(result, format), text);
+}
+
+/**
+ * Parse a number written in a field value, allowing thousands separators
+ *
+ * @param {string|number} value - Value
+ * @returns {number|null} - Number, or null if the value is not numeric
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/,/g, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+}
+
+/**
+ * Convert a date value to a Date
+ *
+ * @param {string|Date} value - Date or date string
+ * @returns {Date|null} - Date, or null if the value is not a date
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the paragraphs of document.xml with their styles, text and heading levels
+ * Paragraphs are indexed as in the numbering context (all w:p in document order)
+ *
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} styleInfo - Style information
+ * @returns {Object} - Paragraphs and lookups for field positions and headings
+ */
+function readDocumentStructure(documentDoc, styleInfo) {
+  const paragraphStyles = styleInfo?.styles?.paragraph || {};
+  const nodes = selectNodes('//w:p', documentDoc);
+  const indexes = new Map(nodes.map((node, index) => [node, index]));
+
+  const getStyleOutlineLevel = (styleId, depth = 0) => {
+    const style = paragraphStyles[styleId];
+    if (!style || depth > 10) return null;
+    if (typeof style.outlineLevel === 'number' && !isNaN(style.outlineLevel)) return style.outlineLevel;
+    const match = /^heading ([1-9])$/i.exec(style.name || '');
+    if (match) return parseInt(match[1], 10) - 1;
+    return style.basedOn ? getStyleOutlineLevel(style.basedOn, depth + 1) : null;
+  };
+
+  const paragraphs = nodes.map(node => {
+    const styleNode = selectSingleNode('w:pPr/w:pStyle', node);
+    const styleId = styleNode ? styleNode.getAttribute('w:val') : null;
+    const outlineNode = selectSingleNode('w:pPr/w:outlineLvl', node);
+    const outlineLevel = outlineNode ? parseInt(outlineNode.getAttribute('w:val'), 10) : getStyleOutlineLevel(styleId);
+
+    return {
+      styleId,
+      // Instruction text is in w:instrText, so only visible text is read
+      text: selectNodes('.//w:t', node).map(text => text.textContent || '').join(''),
+      headingLevel: outlineLevel !== null && outlineLevel < 9 ? outlineLevel + 1 : null
+    };
+  });
+
+  return {
+    paragraphs,
+    getParagraphIndex(node) {
+      for (let ancestor = node; ancestor; ancestor = ancestor.parentNode) {
+        if (indexes.has(ancestor)) return indexes.get(ancestor);
+      }
+      return 0;
+    },
+    hasHeadingBetween(fromIndex, toIndex, level) {
+      for (let i = fromIndex + 1; i <= toIndex && i < paragraphs.length; i++) {
+        if (paragraphs[i].headingLevel && paragraphs[i].headingLevel <= level) return true;
+      }
+      return false;
+    }
+  };
+}
+
+/**
+ * Write the evaluated field results into the copy of document.xml
+ * Must run before any other change to the fields of the copy, so field
+ * indexes match evaluateFields
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} fieldInfo - Field information
+ * @returns {number} - Number of field results replaced
+ */
+function applyFieldResults(markedDocumentDoc, fieldInfo) {
+  let count = 0;
+  if (!fieldInfo || !fieldInfo.hasResults) return count;
+
+  try {
+    findFields(markedDocumentDoc).forEach(field => {
+      const result = fieldInfo.results[field.index];
+      if (result && result.text !== field.result && replaceFieldResult(field, result.text)) count++;
+    });
+  } catch (error) {
+    console.error('Error applying field results:', error);
+  }
+
+  return count;
+}
+
+module.exports = {
+  evaluateFields,
+  applyFieldResults,
+  formatFieldValue
+};
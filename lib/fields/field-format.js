@@ -0,0 +1,236 @@
+// lib/fields/field-format.js - Field result formatting switches
+//
+// Word formats field results with three general switches: \@ date-time
+// pictures ("d MMMM yyyy"), \# numeric pictures ("#,##0.00") and \* formats
+// (Upper, roman, CardText, ...). They are applied here to values computed by
+// the field engine.
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand'], [100, 'hundred']];
+
+/**
+ * Ordinal forms of number words that do not just take "th"
+ */
+const ORDINAL_WORDS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+const ROMAN_NUMERALS = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+  [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+/**
+ * Tokens of a date-time picture; quoted text is literal
+ */
+const DATE_TOKEN_PATTERN = /'[^']*'|AM\/PM|am\/pm|A\/P|a\/p|d{1,4}|M{1,4}|y{4}|y{1,2}|h{1,2}|H{1,2}|m{1,2}|s{1,2}|[\s\S]/g;
+
+/**
+ * Format a date with a Word date-time picture (the \@ switch)
+ *
+ * @param {Date} date - Date
+ * @param {string} picture - Picture such as 'dddd, d MMMM yyyy' or 'HH:mm'
+ * @returns {string} - Formatted date
+ */
+function formatDateTime(date, picture) {
+  const pad = value => String(value).padStart(2, '0');
+  const hours12 = date.getHours() % 12 || 12;
+  const isAm = date.getHours() < 12;
+
+  return (picture.match(DATE_TOKEN_PATTERN) || []).map(token => {
+    switch (token) {
+      case 'd': return String(date.getDate());
+      case 'dd': return pad(date.getDate());
+      case 'ddd': return DAY_NAMES[date.getDay()].substring(0, 3);
+      case 'dddd': return DAY_NAMES[date.getDay()];
+      case 'M': return String(date.getMonth() + 1);
+      case 'MM': return pad(date.getMonth() + 1);
+      case 'MMM': return MONTH_NAMES[date.getMonth()].substring(0, 3);
+      case 'MMMM': return MONTH_NAMES[date.getMonth()];
+      case 'y':
+      case 'yy': return pad(date.getFullYear() % 100);
+      case 'yyyy': return String(date.getFullYear());
+      case 'h': return String(hours12);
+      case 'hh': return pad(hours12);
+      case 'H': return String(date.getHours());
+      case 'HH': return pad(date.getHours());
+      case 'm': return String(date.getMinutes());
+      case 'mm': return pad(date.getMinutes());
+      case 's': return String(date.getSeconds());
+      case 'ss': return pad(date.getSeconds());
+      case 'AM/PM': return isAm ? 'AM' : 'PM';
+      case 'am/pm': return isAm ? 'am' : 'pm';
+      case 'A/P': return isAm ? 'A' : 'P';
+      case 'a/p': return isAm ? 'a' : 'p';
+      default:
+        return token.length > 1 && token.startsWith('\'') ? token.slice(1, -1) : token;
+    }
+  }).join('');
+}
+
+/**
+ * Format a number with a Word numeric picture (the \# switch)
+ * Supports the 0, # and x digit placeholders, the decimal point, thousands
+ * separators, literal text and separate positive;negative;zero sections.
+ * Unlike spreadsheet formats, % is literal text.
+ *
+ * @param {number} value - Number
+ * @param {string} picture - Picture such as '#,##0.00' or '$#,##0.00;($#,##0.00)'
+ * @returns {string} - Formatted number
+ */
+function formatNumber(value, picture) {
+  const sections = picture.split(';');
+  let section = sections[0];
+  let showSign = value < 0;
+  if (value < 0 && sections[1]) {
+    section = sections[1];
+    showSign = false;
+  } else if (value === 0 && sections[2]) {
+    section = sections[2];
+  }
+
+  const first = section.search(/[0#x]/);
+  if (first === -1) return section.replace(/'/g, '');
+  const last = Math.max(section.lastIndexOf('0'), section.lastIndexOf('#'), section.lastIndexOf('x'));
+  const prefix = section.substring(0, first).replace(/'/g, '');
+  const suffix = section.substring(last + 1).replace(/'/g, '');
+  const body = section.substring(first, last + 1);
+
+  const [integerPart, decimalPart = ''] = body.split('.');
+  const decimals = (decimalPart.match(/[0#x]/g) || []).length;
+  const requiredDecimals = (decimalPart.match(/0/g) || []).length;
+  const minIntegerDigits = (integerPart.match(/0/g) || []).length;
+
+  let [integers, fraction = ''] = Math.abs(value).toFixed(decimals).split('.');
+  while (fraction.length > requiredDecimals && fraction.endsWith('0')) fraction = fraction.slice(0, -1);
+  if (integers === '0' && minIntegerDigits === 0) integers = '';
+  integers = integers.padStart(minIntegerDigits, '0');
+  if (integerPart.includes(',')) integers = integers.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+  const number = fraction ? `${integers}.${fraction}` : integers || '0';
+  const sign = showSign && !/[-+]/.test(prefix) ? '-' : '';
+  const signedPrefix = prefix.replace(/[-+]/, match => (value < 0 ? '-' : match === '+' ? '+' : ''));
+  return `${sign}${signedPrefix}${number}${suffix}`;
+}
+
+/**
+ * Apply a general format switch (the \* switch)
+ * Number formats apply to numeric results; MERGEFORMAT and CHARFORMAT only
+ * affect the run formatting and leave the text as it is
+ *
+ * @param {string} text - Field result
+ * @param {string} format - Format name such as 'Upper', 'ROMAN' or 'CardText'
+ * @returns {string} - Formatted result
+ */
+function applyGeneralFormat(text, format) {
+  const number = parseInt(text, 10);
+  const isNumber = /^\s*-?\d+\s*$/.test(text);
+  // Letters and Roman numerals take the case of the switch's first letter
+  // (roman gives iv; ROMAN and Roman give IV)
+  const matchCase = result => (/^[a-z]/.test(format) ? result.toLowerCase() : result);
+
+  switch (format.toLowerCase()) {
+    case 'alphabetic': return isNumber ? matchCase(toAlphabetic(number)) : text;
+    case 'roman': return isNumber ? matchCase(toRoman(number)) : text;
+    case 'upper': return text.toUpperCase();
+    case 'lower': return text.toLowerCase();
+    case 'caps': return text.toLowerCase().replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+    case 'firstcap': return text.charAt(0).toUpperCase() + text.substring(1);
+    case 'arabic': return isNumber ? String(number) : text;
+    case 'arabicdash': return isNumber ? `- ${number} -` : text;
+    case 'ordinal': return isNumber ? toOrdinal(number) : text;
+    case 'cardtext': return isNumber ? toCardinalText(number) : text;
+    case 'ordtext': return isNumber ? toOrdinalText(number) : text;
+    case 'hex': return isNumber ? number.toString(16).toUpperCase() : text;
+    default: return text;
+  }
+}
+
+/**
+ * Write a number as letters (1 = A, 26 = Z, 27 = AA, 28 = BB)
+ *
+ * @param {number} number - Positive number
+ * @returns {string} - Letters
+ */
+function toAlphabetic(number) {
+  if (number < 1) return String(number);
+  const letter = String.fromCharCode(65 + ((number - 1) % 26));
+  return letter.repeat(Math.floor((number - 1) / 26) + 1);
+}
+
+/**
+ * Write a number as a Roman numeral
+ *
+ * @param {number} number - Positive number
+ * @returns {string} - Upper-case Roman numeral
+ */
+function toRoman(number) {
+  if (number < 1) return String(number);
+  let remaining = number;
+  return ROMAN_NUMERALS.reduce((result, [value, numeral]) => {
+    const count = Math.floor(remaining / value);
+    remaining -= count * value;
+    return result + numeral.repeat(count);
+  }, '');
+}
+
+/**
+ * Write a number with its ordinal suffix (1st, 2nd, 11th)
+ *
+ * @param {number} number - Number
+ * @returns {string} - Ordinal
+ */
+function toOrdinal(number) {
+  const lastTwo = Math.abs(number) % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][Math.abs(number) % 10] || 'th';
+  return `${number}${suffix}`;
+}
+
+/**
+ * Write a number in words (42 = forty-two)
+ *
+ * @param {number} number - Whole number
+ * @returns {string} - Number in words
+ */
+function toCardinalText(number) {
+  if (number < 0) return `minus ${toCardinalText(-number)}`;
+  if (number < 20) return ONES[number];
+  if (number < 100) {
+    const ones = number % 10;
+    return TENS[Math.floor(number / 10)] + (ones ? `-${ONES[ones]}` : '');
+  }
+
+  const [scale, name] = SCALES.find(([value]) => number >= value);
+  const rest = number % scale;
+  const words = `${toCardinalText(Math.floor(number / scale))} ${name}`;
+  if (!rest) return words;
+  return `${words}${rest < 100 ? ' and ' : ' '}${toCardinalText(rest)}`;
+}
+
+/**
+ * Write a number as an ordinal in words (42 = forty-second)
+ *
+ * @param {number} number - Whole number
+ * @returns {string} - Ordinal in words
+ */
+function toOrdinalText(number) {
+  return toCardinalText(number).replace(/([a-z]+)$/, word => {
+    if (ORDINAL_WORDS[word]) return ORDINAL_WORDS[word];
+    return word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`;
+  });
+}
+
+module.exports = {
+  formatDateTime,
+  formatNumber,
+  applyGeneralFormat,
+  toAlphabetic,
+  toRoman,
+  toOrdinal,
+  toCardinalText,
+  toOrdinalText
+};
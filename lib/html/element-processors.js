@@ -1,4 +1,6 @@
-// lib/html/element-processors.js - Element processors (tables, images, language)
+// lib/html/element-processors.js - Element processors (tables, images, captions, language)
+
+const { DEFAULT_IMAGE_ALT } = require("./generators/image-processing");
 
 /**
  * Process tables for better styling
@@ -158,7 +160,7 @@ function processImages(document) {
 
     // Make sure images have alt text
     if (!img.hasAttribute("alt")) {
-      img.setAttribute("alt", "Document image");
+      img.setAttribute("alt", DEFAULT_IMAGE_ALT);
     }
     
     // Add figure wrapper for better semantics
@@ -226,8 +228,280 @@ function processLanguageElements(document) {
   });
 }
 
+/**
+ * Caption text written without a caption style or SEQ field, e.g. "Figure 3: ..."
+ */
+const CAPTION_TEXT_PATTERN = /^(Figure|Fig\.|Table|Chart|Image|Illustration|Exhibit)\s+(\d+(?:[.-]\d+)*)\s*[:.\-–—]/i;
+
+/**
+ * Pair images and tables with their captions
+ * A caption is a paragraph in the caption style, a paragraph with a SEQ field
+ * or one starting like "Figure 3:". It becomes the figcaption of the image
+ * next to it, or the caption of the table next to it, and the figure or table
+ * gets a stable ID (e.g. figure-3) that cross-references to the caption link to
+ *
+ * @param {Document} document - DOM document
+ * @param {Object} captionInfo - Caption information from parseCaptions (optional)
+ */
+function processCaptions(document, captionInfo = null) {
+  try {
+    const sequences = captionInfo ? captionInfo.sequences : {};
+    const counters = {};
+
+    Array.from(document.querySelectorAll("p")).forEach((paragraph) => {
+      if (!paragraph.parentNode) return;
+
+      const caption = readCaption(paragraph, sequences);
+      if (!caption) return;
+
+      // Table captions usually sit above the table, figure captions below the image
+      const siblings = caption.identifier === "table"
+        ? [["next", nextContentSibling(paragraph)], ["previous", previousContentSibling(paragraph)]]
+        : [["previous", previousContentSibling(paragraph)], ["next", nextContentSibling(paragraph)]];
+
+      for (const [side, sibling] of siblings) {
+        const target = getCaptionTarget(sibling);
+        if (!target) continue;
+        // Captions recognised by their text alone only label their own kind of element
+        if (caption.textOnly && (caption.identifier === "table") !== !!target.table) continue;
+
+        const identifier = caption.identifier || (target.table ? "table" : "figure");
+        counters[identifier] = (counters[identifier] || 0) + 1;
+        const id = createCaptionId(document, identifier, caption.number || String(counters[identifier]));
+
+        if (target.table) {
+          attachTableCaption(document, target.table, paragraph, side === "previous");
+          target.table.id = target.table.id || id;
+          retargetCrossReferences(document, target.table.querySelector("caption"), target.table.id);
+        } else {
+          attachFigureCaption(document, target, paragraph, side === "next");
+          target.figure.id = target.figure.id || id;
+          retargetCrossReferences(document, target.figure.querySelector("figcaption"), target.figure.id);
+        }
+        break;
+      }
+    });
+  } catch (error) {
+    console.error("Error processing captions:", error);
+  }
+}
+
+/**
+ * Read the identifier and number of a caption paragraph
+ *
+ * @param {Element} paragraph - Paragraph element
+ * @param {Object} sequences - SEQ fields by field index
+ * @returns {Object|null} - { identifier, number, textOnly }, or null if the paragraph is not a caption
+ */
+function readCaption(paragraph, sequences) {
+  if (paragraph.closest("figure, table, caption")) return null;
+
+  const text = paragraph.textContent.trim();
+  const textMatch = text.length > 0 ? text.match(CAPTION_TEXT_PATTERN) : null;
+  const seqMarker = paragraph.querySelector('span.docx-marker[data-marker-kind="seq"]');
+  const sequence = seqMarker ? sequences[seqMarker.getAttribute("data-marker-id")] : null;
+  const styled = !!paragraph.querySelector('span.docx-marker[data-marker-kind="caption"]');
+
+  if (!text || (!sequence && !styled && !textMatch)) return null;
+
+  if (sequence) {
+    return { identifier: normaliseCaptionIdentifier(sequence.identifier), number: sequence.number };
+  }
+  if (styled) {
+    return {
+      identifier: textMatch ? normaliseCaptionIdentifier(textMatch[1]) : null,
+      number: textMatch ? textMatch[2] : null
+    };
+  }
+  return { identifier: normaliseCaptionIdentifier(textMatch[1]), number: textMatch[2], textOnly: true };
+}
+
+/**
+ * Normalise a caption label or SEQ identifier for use in IDs
+ *
+ * @param {string} identifier - Label such as "Figure", "Fig." or "Table"
+ * @returns {string} - Lowercase identifier
+ */
+function normaliseCaptionIdentifier(identifier) {
+  const normalised = identifier.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  if (normalised === "fig") return "figure";
+  return normalised || "figure";
+}
+
+/**
+ * Check whether an element has no content, so captions can be paired across it
+ *
+ * @param {Element} element - Element
+ * @returns {boolean} - True for empty paragraphs
+ */
+function isEmptyParagraph(element) {
+  return element.tagName.toLowerCase() === "p" &&
+    element.textContent.trim() === "" &&
+    !element.querySelector("img, table, svg");
+}
+
+/**
+ * Get the previous sibling element, skipping empty paragraphs
+ *
+ * @param {Element} element - Element
+ * @returns {Element|null} - Sibling element
+ */
+function previousContentSibling(element) {
+  let sibling = element.previousElementSibling;
+  while (sibling && isEmptyParagraph(sibling)) sibling = sibling.previousElementSibling;
+  return sibling;
+}
+
+/**
+ * Get the next sibling element, skipping empty paragraphs
+ *
+ * @param {Element} element - Element
+ * @returns {Element|null} - Sibling element
+ */
+function nextContentSibling(element) {
+  let sibling = element.nextElementSibling;
+  while (sibling && isEmptyParagraph(sibling)) sibling = sibling.nextElementSibling;
+  return sibling;
+}
+
+/**
+ * Work out whether an element is an image or table that a caption can belong to
+ *
+ * @param {Element} element - Sibling of the caption paragraph
+ * @returns {Object|null} - { figure, container } for an image or { table } for a table
+ */
+function getCaptionTarget(element) {
+  if (!element) return null;
+  const tagName = element.tagName.toLowerCase();
+
+  const table = tagName === "table"
+    ? element
+    : element.classList.contains("table-responsive") && element.children.length === 1
+      ? element.querySelector(":scope > table")
+      : null;
+  if (table) {
+    return table.querySelector(":scope > caption") ? null : { table };
+  }
+
+  const figure = tagName === "figure" ? element : null;
+  const figures = figure ? [figure] : tagName === "p" ? Array.from(element.querySelectorAll("figure")) : [];
+  // Charts are figures without an image
+  if (figures.length !== 1 ||
+      (figures[0].querySelectorAll("img").length !== 1 && !figures[0].classList.contains("docx-chart"))) {
+    return null;
+  }
+  if (figures[0].querySelector("figcaption")) return null;
+
+  // A paragraph holding other text is not an image block
+  if (!figure && element.textContent.trim() !== figures[0].textContent.trim()) return null;
+
+  return { figure: figures[0], container: figure ? null : element };
+}
+
+/**
+ * Move a caption paragraph into a figure as its figcaption
+ *
+ * @param {Document} document - DOM document
+ * @param {Object} target - { figure, container } from getCaptionTarget
+ * @param {Element} paragraph - Caption paragraph
+ * @param {boolean} captionFirst - Whether the caption came before the image
+ */
+function attachFigureCaption(document, target, paragraph, captionFirst) {
+  const { figure, container } = target;
+
+  // A paragraph that only holds the figure is replaced by the figure
+  if (container && isOnlyContent(container, figure)) {
+    container.parentNode.replaceChild(figure, container);
+  }
+
+  const figcaption = document.createElement("figcaption");
+  figcaption.className = `docx-caption ${paragraph.className}`.trim();
+  while (paragraph.firstChild) figcaption.appendChild(paragraph.firstChild);
+
+  if (captionFirst) {
+    figure.insertBefore(figcaption, figure.firstChild);
+  } else {
+    figure.appendChild(figcaption);
+  }
+  paragraph.remove();
+}
+
+/**
+ * Move a caption paragraph into a table as its caption
+ *
+ * @param {Document} document - DOM document
+ * @param {Element} table - Table element
+ * @param {Element} paragraph - Caption paragraph
+ * @param {boolean} captionBelow - Whether the caption came after the table
+ */
+function attachTableCaption(document, table, paragraph, captionBelow) {
+  const caption = document.createElement("caption");
+  caption.className = `docx-caption ${paragraph.className}`.trim();
+  if (captionBelow) caption.classList.add("docx-caption-bottom");
+  while (paragraph.firstChild) caption.appendChild(paragraph.firstChild);
+
+  table.insertBefore(caption, table.firstChild);
+  paragraph.remove();
+}
+
+/**
+ * Check whether a container holds nothing but one child element
+ * Whitespace and resolved markers do not count as content
+ *
+ * @param {Element} container - Container element
+ * @param {Element} child - Child element
+ * @returns {boolean} - True if the child is the only content
+ */
+function isOnlyContent(container, child) {
+  return Array.from(container.childNodes).every((node) => {
+    if (node === child) return true;
+    if (node.nodeType === 3) return node.nodeValue.trim() === "";
+    return node.nodeType === 1 && node.classList.contains("docx-marker");
+  });
+}
+
+/**
+ * Create a unique ID for a figure or table
+ *
+ * @param {Document} document - DOM document
+ * @param {string} identifier - Caption identifier (e.g. "figure")
+ * @param {string} number - Caption number
+ * @returns {string} - ID such as figure-3
+ */
+function createCaptionId(document, identifier, number) {
+  const base = `${identifier}-${number.replace(/[^A-Za-z0-9]+/g, "-")}`;
+  let id = base;
+  for (let suffix = 2; document.getElementById(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Point cross-references to bookmarks in a caption at its figure or table
+ *
+ * @param {Document} document - DOM document
+ * @param {Element} caption - figcaption or caption element
+ * @param {string} id - ID of the figure or table
+ */
+function retargetCrossReferences(document, caption, id) {
+  if (!caption) return;
+
+  const bookmarkIds = new Set(
+    Array.from(caption.querySelectorAll("[id]")).map((element) => element.id)
+  );
+  if (bookmarkIds.size === 0) return;
+
+  document.querySelectorAll('a[href^="#"]').forEach((link) => {
+    if (bookmarkIds.has(link.getAttribute("href").slice(1))) {
+      link.setAttribute("href", `#${id}`);
+    }
+  });
+}
+
 module.exports = {
   processTables,
   processImages,
+  processCaptions,
   processLanguageElements
 };
@@ -12,6 +12,7 @@ const {
 const {
   processTables,
   processImages,
+  processCaptions,
   processLanguageElements,
 } = require("../element-processors");
 const {
@@ -26,9 +27,25 @@ const {
   extractDocumentHeader,
   processHeaderForHtml,
 } = require("../../parsers/header-parser");
+const { processNotesForHtml } = require("../../parsers/notes-parser");
+const { processFooterForHtml } = require("../../parsers/footer-parser");
+const { processCommentsForHtml } = require("../../parsers/comments-parser");
+const { processBookmarksForHtml } = require("../../parsers/bookmark-parser");
+const { processDrawingsForHtml } = require("../../parsers/drawing-parser");
+const { processTextBoxesForHtml } = require("../../parsers/textbox-parser");
+const { processChartsForHtml } = require("../../parsers/chart-parser");
+const { processContentControlsForHtml } = require("../../parsers/content-control-parser");
+const { processSectionsForHtml, processBreaksForHtml } = require("../../parsers/section-parser");
+const { resolveMarkers, removeMarkers } = require("../../utils/marker-utils");
+const { collectRevisionEntries } = require("./revision-report");
+const { verifyImageSources } = require("./image-registry");
 
 /**
  * Apply styles and process HTML content
+ *
+ * @param {Object} documentParts - Additional parsed document parts (e.g. notesInfo, footerInfo, commentsInfo, bookmarkInfo, drawingInfo, captionInfo, textBoxInfo, chartInfo, contentControlInfo)
+ *   and the imageRegistry that names header and footer images;
+ *   revisionEntries is added to it when options.revisionReport is set
  */
 async function applyStylesAndProcessHtml(
   html,
@@ -40,7 +57,8 @@ async function applyStylesAndProcessHtml(
   headerInfo,
   options,
   zip = null,
-  outputDir = null
+  outputDir = null,
+  documentParts = {}
 ) {
   try {
     console.log(`Applying styles. Initial HTML length: ${html.length}`);
@@ -63,6 +81,9 @@ async function applyStylesAndProcessHtml(
       throw new Error("Failed to create DOM from HTML input.");
     }
     
+    // Turn position markers carried through the conversion into elements
+    resolveMarkers(document);
+    
     // Check content before processing
     const initialBodyContent = document.body.innerHTML;
     const initialBodyLength = initialBodyContent.length;
@@ -102,9 +123,24 @@ async function applyStylesAndProcessHtml(
     // Process document structure
     processHeadings(document, styleInfo, styleInfo.numberingContext);
     
+    // Restructure footnotes and endnotes into labelled references and notes sections
+    if (documentParts.notesInfo && documentParts.notesInfo.hasNotes) {
+      processNotesForHtml(document, documentParts.notesInfo, options);
+    }
+    
+    // Give bookmarks stable anchor IDs and link internal hyperlinks and cross-references to them
+    if (documentParts.bookmarkInfo) {
+      processBookmarksForHtml(document, documentParts.bookmarkInfo);
+    }
+    
     // Insert header before TOC if header content was found
     if (headerInfo && headerInfo.hasHeaderContent) {
-      await insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip, outputDir);
+      await insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip, outputDir, documentParts.imageRegistry);
+    }
+    
+    // Append footer content at the end of the body if footer content was found
+    if (documentParts.footerInfo && documentParts.footerInfo.hasFooterContent) {
+      await insertFooterAtEnd(document, documentParts.footerInfo, styleInfo, zip, outputDir, documentParts.imageRegistry);
     }
     
     processTOC(document, styleInfo, styleInfo.numberingContext);
@@ -117,7 +153,30 @@ async function applyStylesAndProcessHtml(
     processSpecialParagraphs(document, styleInfo);
     processTables(document);
     processImages(document);
+    
+    // Size, crop and place images as in the document
+    if (documentParts.drawingInfo) {
+      processDrawingsForHtml(document, documentParts.drawingInfo);
+    }
+
+    // Draw charts with a table of their data
+    processChartsForHtml(document, documentParts.chartInfo);
+
+    // Turn content controls and form fields into form controls
+    processContentControlsForHtml(document, documentParts.contentControlInfo, {
+      mode: options.formControls,
+    });
+
+    // Wrap text box content in positioned blocks
+    processTextBoxesForHtml(document, documentParts.textBoxInfo);
+
+    // Pair images and tables with their captions
+    processCaptions(document, documentParts.captionInfo);
     processLanguageElements(document);
+
+    // Wrap each section with its columns, then start pages and columns at explicit breaks
+    processSectionsForHtml(document, styleInfo.settings?.sections);
+    processBreaksForHtml(document);
     
     // Apply track changes if enabled
     if (
@@ -126,9 +185,20 @@ async function applyStylesAndProcessHtml(
       options.trackChangesMode !== "hide"
     ) {
       applyTrackChangesToHtml(document, trackChanges, {
-        mode: options.trackChangesMode,
-        showAuthor: options.showAuthor,
-        showDate: options.showDate,
+        mode: options.trackChangesMode || "show",
+        showAuthor: options.showAuthor !== false,
+        showDate: options.showDate !== false,
+        filter: {
+          authors: options.trackChangesAuthors || [],
+          since: options.trackChangesSince || null,
+        },
+      });
+    }
+    
+    // Highlight commented ranges and list the comments
+    if (documentParts.commentsInfo && documentParts.commentsInfo.hasComments) {
+      processCommentsForHtml(document, documentParts.commentsInfo, {
+        mode: options.comments,
       });
     }
     
@@ -183,6 +253,19 @@ async function applyStylesAndProcessHtml(
     // Add return to top button functionality
     addReturnToTopButton(document, styleInfo);
     
+    // Record where each tracked change ended up for the revision report
+    if (options.revisionReport && trackChanges && trackChanges.hasTrackedChanges) {
+      documentParts.revisionEntries = collectRevisionEntries(document, trackChanges);
+    }
+    
+    // Every image must point at a file the registry saves
+    if (documentParts.imageRegistry) {
+      verifyImageSources(document, documentParts.imageRegistry);
+    }
+    
+    // Drop markers no processor consumed
+    removeMarkers(document);
+    
     // Serialize and return HTML
     return dom.serialize();
   } catch (error) {
@@ -216,8 +299,9 @@ async function applyStylesAndProcessHtml(
  * @param {Object} styleInfo - Style information
  * @param {Object} zip - JSZip instance for image extraction (optional)
  * @param {string} outputDir - Output directory for images (optional)
+ * @param {Object} imageRegistry - Image registry that names and collects the images (optional)
  */
-async function insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip = null, outputDir = null) {
+async function insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip = null, outputDir = null, imageRegistry = null) {
   try {
     console.log(`Inserting ${headerInfo.headerParagraphs.length} header paragraphs before TOC`);
     
@@ -227,7 +311,7 @@ async function insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip = null
     headerContainer.setAttribute('role', 'banner');
     
     // Process header paragraphs into HTML elements
-    const headerElements = await processHeaderForHtml(headerInfo, document, styleInfo, zip, outputDir);
+    const headerElements = await processHeaderForHtml(headerInfo, document, styleInfo, zip, outputDir, imageRegistry);
     
     // Add header elements to container
     headerElements.forEach(headerElement => {
@@ -249,6 +333,42 @@ async function insertHeaderBeforeTOC(document, headerInfo, styleInfo, zip = null
   }
 }
 
+/**
+ * Append footer content at the end of the HTML document
+ * 
+ * @param {Document} document - HTML document
+ * @param {Object} footerInfo - Footer information from extraction
+ * @param {Object} styleInfo - Style information
+ * @param {Object} zip - JSZip instance for image extraction (optional)
+ * @param {string} outputDir - Output directory for images (optional)
+ * @param {Object} imageRegistry - Image registry that names and collects the images (optional)
+ */
+async function insertFooterAtEnd(document, footerInfo, styleInfo, zip = null, outputDir = null, imageRegistry = null) {
+  try {
+    console.log(`Appending ${footerInfo.footerParagraphs.length} footer paragraphs`);
+    
+    // Create footer container
+    const footerContainer = document.createElement('footer');
+    footerContainer.className = 'docx-document-footer';
+    footerContainer.setAttribute('role', 'contentinfo');
+    
+    // Process footer paragraphs into HTML elements
+    const footerElements = await processFooterForHtml(footerInfo, document, styleInfo, zip, outputDir, imageRegistry);
+    if (footerElements.length === 0) return;
+    
+    footerElements.forEach(footerElement => {
+      footerContainer.appendChild(footerElement);
+    });
+    
+    document.body.appendChild(footerContainer);
+    
+    console.log('Footer content inserted successfully');
+    
+  } catch (error) {
+    console.error('Error inserting footer:', error);
+  }
+}
+
 /**
  * Post-process paragraphs that should be bullet lists
  */
@@ -4,72 +4,109 @@
 const mammoth = require("mammoth");
 const path = require("path");
 const fs = require("fs");
+const {
+  createImageRegistry,
+  indexPackageImages,
+  registerImage,
+  createImageVariants,
+} = require("./image-registry");
+const { createPackageContext } = require("../../parsers/package-context");
+const { extractMarkerTokens } = require("../../utils/marker-utils");
+
+/**
+ * Alt text given to images that have no description in the document
+ */
+const DEFAULT_IMAGE_ALT = "Document image";
 
 /**
  * Create image options for mammoth conversion
+ * Every image is added to the image registry, which decides its file name,
+ * so the src written into the HTML always matches the saved file. The drawing
+ * marker in the alt text (see drawing-parser.js) becomes a data-drawing-id
+ * attribute, and smaller copies are listed in srcset when the registry makes them
+ *
+ * @param {Object} imageRegistry - Image registry from createImageRegistry (optional)
  */
-function createImageOptions() {
+function createImageOptions(imageRegistry = createImageRegistry()) {
   return {
     convertImage: mammoth.images.imgElement(function (image) {
-      return image.read("base64").then(function (imageBuffer) {
+      const { text: altText, markers } = extractMarkerTokens(image.altText);
+      const drawingMarker = markers.find((marker) => marker.kind === "drawing");
+      const layoutAttributes = drawingMarker ? { "data-drawing-id": drawingMarker.id } : {};
+
+      const onError = (imgError) => {
+        console.error("Error processing single image:", imgError);
+        return {
+          alt: altText || "Error processing image",
+          className: "docx-image docx-image-error",
+          ...layoutAttributes,
+        };
+      };
+
+      // The read promise belongs to mammoth's promise library, so its errors are
+      // handled in the same chain and no rejection is left unhandled (e.g. for
+      // linked images whose file cannot be read)
+      let reading;
+      try {
+        reading = image.read();
+      } catch (readError) {
+        return onError(readError);
+      }
+
+      return reading.then(function (imageBuffer) {
         try {
-          const extension = image.contentType.split("/")[1] || "png";
-          const altTextSanitized = (image.altText || `image-${Date.now()}`)
-            .replace(/[^\w-]/g, "_")
-            .substring(0, 50);
-          const filename = `${altTextSanitized}.${extension}`;
-          return {
-            src: `./images/${filename}`,
-            alt: image.altText || "Document image",
+          const { src, filename } = registerImage(imageRegistry, imageBuffer, {
+            contentType: image.contentType,
+          });
+          const attributes = {
+            src,
+            alt: altText || DEFAULT_IMAGE_ALT,
             className: "docx-image",
+            loading: "lazy",
+            decoding: "async",
+            ...layoutAttributes,
           };
+
+          return createImageVariants(imageRegistry, filename).then(
+            (variants) => {
+              if (variants) {
+                attributes.srcset = variants
+                  .map((variant) => `./images/${variant.filename} ${variant.width}w`)
+                  .join(", ");
+                attributes.sizes = "100vw";
+              }
+              return attributes;
+            },
+            (variantError) => {
+              console.error("Error creating image variants:", variantError);
+              return attributes;
+            }
+          );
         } catch (imgError) {
-          console.error("Error processing single image:", imgError);
-          return {
-            src: `./images/error-image-${Date.now()}.png`,
-            alt: "Error processing image",
-            className: "docx-image docx-image-error",
-          };
+          return onError(imgError);
         }
-      });
+      }, onError);
     }),
   };
 }
 
 /**
  * Extract images from DOCX file to output directory
+ * Uses the same registry naming as the conversion, so the files match the
+ * src attributes in the converted HTML
  */
 async function extractImagesFromDocx(docxPath, outputDir) {
   try {
     if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
 
-    const imageOptions = {
-      path: docxPath,
-      convertImage: mammoth.images.imgElement(function (image) {
-        return image.read("base64").then(function (imageBuffer) {
-          try {
-            const extension = image.contentType.split("/")[1] || "png";
-            const sanitizedAltText = (image.altText || `image-${Date.now()}`)
-              .replace(/[^\w-]/g, "_")
-              .substring(0, 50);
-            const filename = `${sanitizedAltText}.${extension}`;
-            const imagePath = path.join(outputDir, filename);
-            fs.writeFileSync(imagePath, Buffer.from(imageBuffer, "base64"));
-            return {
-              src: `./images/${filename}`,
-              alt: image.altText || "Document image",
-            };
-          } catch (imgError) {
-            console.error("Error saving image:", imgError);
-            return {
-              src: `./images/error-img-${Date.now()}.${extension}`,
-              alt: "Error saving image",
-            };
-          }
-        });
-      }),
-    };
-    await mammoth.convertToHtml(imageOptions);
+    const data = fs.readFileSync(docxPath);
+    const imageRegistry = createImageRegistry();
+    await indexPackageImages(imageRegistry, await createPackageContext(data));
+
+    await mammoth.convertToHtml({ buffer: data }, createImageOptions(imageRegistry));
+    imageRegistry.images.forEach((imageData, filename) => {
+      fs.writeFileSync(path.join(outputDir, filename), imageData);
+    });
     console.log(`Images extracted to ${outputDir}`);
   } catch (error) {
     console.error("Error extracting images:", error.message, error.stack);
@@ -77,6 +114,7 @@ async function extractImagesFromDocx(docxPath, outputDir) {
 }
 
 module.exports = {
+  DEFAULT_IMAGE_ALT,
   createImageOptions,
   extractImagesFromDocx,
 };
\ No newline at end of file
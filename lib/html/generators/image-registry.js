@@ -0,0 +1,435 @@
+// File: lib/html/generators/image-registry.js
+// Single registry for all images written by a conversion
+//
+// Images are named by a hash of their content plus the relationship ID that
+// first refers to them in the package (e.g. 3f2a9c1b0d4e5a6f-rId5.png), so
+// names are stable between runs, identical media is stored once and two
+// different images can never overwrite each other. Media that browsers cannot
+// show (EMF, WMF, TIFF, BMP) is transcoded when the package is indexed, and
+// smaller copies for srcset are named after the file they are made from
+// (e.g. 3f2a9c1b0d4e5a6f-rId5-640w.png).
+
+const crypto = require("crypto");
+const path = require("path");
+const { getPackageContext, getPartXml } = require("../../parsers/package-context");
+const { parseRelationships } = require("../../parsers/relationships-parser");
+const {
+  detectImageType,
+  isWebImageType,
+  getImageTranscoders,
+  transcodeImage,
+} = require("../../images/image-transcoder");
+const { DEFAULT_SRCSET_WIDTHS, readImageSize, resizeImage } = require("../../images/image-resizer");
+
+/**
+ * Number of hex characters of the content hash used in file names
+ */
+const HASH_LENGTH = 16;
+
+/**
+ * File extensions for image content types whose subtype is not a usable extension
+ */
+const CONTENT_TYPE_EXTENSIONS = {
+  "image/jpeg": "jpeg",
+  "image/svg+xml": "svg",
+  "image/x-emf": "emf",
+  "image/x-wmf": "wmf",
+  "image/x-icon": "ico",
+};
+
+/**
+ * Namespaces used to find alternate images
+ */
+const MC_NAMESPACE = "http://schemas.openxmlformats.org/markup-compatibility/2006";
+const RELATIONSHIPS_NAMESPACE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+/**
+ * Create an image registry
+ *
+ * @param {Object} options - Registry options
+ * @param {boolean} options.transcode - Convert images browsers cannot show (default true)
+ * @param {Array} options.transcoders - Additional transcoders, tried before the built-in ones
+ * @param {boolean|Object} options.srcset - Make smaller copies for srcset; { widths } sets their widths
+ * @param {Function} options.resizer - Resizer for formats without a built-in one (data, contentType, width)
+ * @returns {Object} - Registry with images (Map of file name to data), media index, conversions and warnings
+ */
+function createImageRegistry(options = {}) {
+  return {
+    images: new Map(),
+    byHash: new Map(),
+    mediaIndex: new Map(),
+    conversions: new Map(),
+    variants: new Map(),
+    report: [],
+    warnings: [],
+    transcode: options.transcode !== false,
+    transcoders: getImageTranscoders(options.transcoders),
+    srcsetWidths: options.srcset ? options.srcset.widths || DEFAULT_SRCSET_WIDTHS : null,
+    resizer: options.resizer || null,
+  };
+}
+
+/**
+ * Index the images in a DOCX package by content hash
+ * Records the first relationship that refers to each image, looking at
+ * document.xml first and then at the other parts in name order, so that an
+ * image gets the same name whichever part registers it first. Images
+ * browsers cannot show are transcoded here, or replaced by the alternate
+ * preview image stored with them in mc:AlternateContent when that fails
+ *
+ * @param {Object} registry - Image registry
+ * @param {Object} zip - Package context or JSZip instance
+ */
+async function indexPackageImages(registry, zip) {
+  try {
+    const pkg = getPackageContext(zip);
+    const sourceParts = Object.keys(pkg.zip.files)
+      .filter((name) => /^word\/_rels\/[^/]+\.rels$/.test(name))
+      .map((name) => `word/${path.posix.basename(name, ".rels")}`)
+      .sort((a, b) => (a === "word/document.xml" ? -1 : b === "word/document.xml" ? 1 : a.localeCompare(b)));
+
+    const unsupported = [];
+    const partRelationships = {};
+
+    for (const sourcePart of sourceParts) {
+      const relationships = await parseRelationships(pkg, sourcePart);
+      partRelationships[sourcePart] = relationships;
+
+      for (const relationship of Object.values(relationships)) {
+        if (!relationship.partPath || !relationship.type.endsWith("/image")) continue;
+
+        const file = pkg.zip.file(relationship.partPath);
+        if (!file) continue;
+
+        const data = await file.async("nodebuffer");
+        const hash = hashImage(data);
+        if (registry.mediaIndex.has(hash)) continue;
+
+        const contentType = detectImageType(data, relationship.partPath);
+        registry.mediaIndex.set(hash, {
+          relationshipId: relationship.id,
+          partPath: relationship.partPath,
+          contentType,
+        });
+
+        if (registry.transcode && contentType && !isWebImageType(contentType)) {
+          unsupported.push({ hash, data, contentType, partPath: relationship.partPath });
+        }
+      }
+    }
+
+    if (unsupported.length > 0) {
+      const alternates = await findAlternateImages(pkg, partRelationships);
+      for (const image of unsupported) {
+        registry.conversions.set(image.hash, await convertImage(registry, pkg, image, alternates));
+      }
+    }
+  } catch (error) {
+    console.error("Error indexing package images:", error);
+  }
+}
+
+/**
+ * Convert an image browsers cannot show
+ *
+ * @param {Object} registry - Image registry
+ * @param {Object} pkg - Package context
+ * @param {Object} image - Image (hash, data, contentType, partPath)
+ * @param {Map} alternates - Alternate image part paths by media part path
+ * @returns {Promise<Object>} - Conversion record
+ */
+async function convertImage(registry, pkg, image, alternates) {
+  const conversion = {
+    source: image.partPath,
+    from: image.contentType,
+    to: null,
+    method: null,
+    data: null,
+    message: null,
+  };
+
+  const result = await transcodeImage(image.data, image.contentType, registry.transcoders);
+  if (result && result.data) {
+    return { ...conversion, to: result.contentType, method: result.transcoder, data: result.data };
+  }
+
+  const reasons = result ? result.errors : [`no transcoder for ${image.contentType}`];
+
+  // Office stores a PNG preview next to many vector images
+  for (const alternatePath of alternates.get(image.partPath) || []) {
+    const file = pkg.zip.file(alternatePath);
+    if (!file) continue;
+    const data = await file.async("nodebuffer");
+    const contentType = detectImageType(data, alternatePath);
+    if (isWebImageType(contentType)) {
+      return {
+        ...conversion,
+        to: contentType,
+        method: "alternate-image",
+        data,
+        message: `used the alternate image ${alternatePath} (${reasons.join("; ")})`,
+      };
+    }
+  }
+
+  return { ...conversion, method: "none", message: reasons.join("; ") };
+}
+
+/**
+ * Find the images stored together in mc:AlternateContent blocks
+ * Each image in a block is an alternate for the others, with mc:Fallback
+ * images listed first
+ *
+ * @param {Object} pkg - Package context
+ * @param {Object} partRelationships - Relationships by source part path
+ * @returns {Promise<Map>} - Alternate media part paths by media part path
+ */
+async function findAlternateImages(pkg, partRelationships) {
+  const alternates = new Map();
+
+  for (const [sourcePart, relationships] of Object.entries(partRelationships)) {
+    const xmlDoc = await getPartXml(pkg, sourcePart);
+    if (!xmlDoc) continue;
+
+    const blocks = xmlDoc.getElementsByTagNameNS(MC_NAMESPACE, "AlternateContent");
+    for (let i = 0; i < blocks.length; i++) {
+      const imagePaths = { Choice: [], Fallback: [] };
+
+      for (let child = blocks[i].firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1 || !imagePaths[child.localName]) continue;
+        const elements = child.getElementsByTagName("*");
+        for (let n = 0; n < elements.length; n++) {
+          const relationshipId =
+            elements[n].getAttributeNS(RELATIONSHIPS_NAMESPACE, "embed") ||
+            elements[n].getAttributeNS(RELATIONSHIPS_NAMESPACE, "id");
+          const relationship = relationshipId ? relationships[relationshipId] : null;
+          if (relationship && relationship.partPath && relationship.type.endsWith("/image")) {
+            imagePaths[child.localName].push(relationship.partPath);
+          }
+        }
+      }
+
+      const group = [...imagePaths.Fallback, ...imagePaths.Choice];
+      group.forEach((partPath) => {
+        const others = group.filter((other) => other !== partPath);
+        alternates.set(partPath, [...(alternates.get(partPath) || []), ...others]);
+      });
+    }
+  }
+
+  return alternates;
+}
+
+/**
+ * Register an image and get the file name it is saved under
+ * Identical images share one file; converted images are saved in their new format
+ *
+ * @param {Object} registry - Image registry
+ * @param {Buffer} imageData - Image data
+ * @param {Object} info - What is known about the image
+ * @param {string} info.contentType - Content type (e.g. image/png)
+ * @param {string} info.relationshipId - Relationship ID (used when the image is not in the media index)
+ * @param {string} info.partPath - Media part path (used for the extension)
+ * @returns {Object} - File name and src for the HTML
+ */
+function registerImage(registry, imageData, info = {}) {
+  const sourceHash = hashImage(imageData);
+  const conversion = registry.conversions.get(sourceHash);
+  const converted = conversion && conversion.data;
+  const data = converted ? conversion.data : imageData;
+  const hash = converted ? hashImage(data) : sourceHash;
+
+  let filename = registry.byHash.get(hash);
+  if (!filename) {
+    const indexed = registry.mediaIndex.get(sourceHash);
+    const relationshipId = indexed ? indexed.relationshipId : info.relationshipId;
+    const extension = converted
+      ? getImageExtension(null, conversion.to)
+      : getImageExtension(indexed ? indexed.partPath : info.partPath, info.contentType);
+    const baseName = getContentFileBaseName(hash, relationshipId);
+
+    filename = `${baseName}.${extension}`;
+    registry.byHash.set(hash, filename);
+    registry.images.set(filename, data);
+  }
+
+  if (conversion && !conversion.reported) {
+    conversion.reported = true;
+    registry.report.push({
+      source: conversion.source,
+      from: conversion.from,
+      to: conversion.to,
+      method: conversion.method,
+      file: filename,
+      message: conversion.message,
+    });
+    if (!converted) {
+      registry.warnings.push(
+        `Image ${conversion.source} (${conversion.from}) could not be converted and is unlikely to display in web browsers: ${conversion.message}`
+      );
+    }
+  }
+
+  return {
+    filename,
+    src: `./images/${filename}`,
+  };
+}
+
+/**
+ * Get the srcset candidates for a registered image
+ * Smaller copies are made once per file, for each srcset width below the
+ * image's own width, from a single decode of the image; the original is
+ * always the largest candidate
+ *
+ * @param {Object} registry - Image registry
+ * @param {string} filename - Registered file name
+ * @returns {Promise<Array|null>} - [{ filename, width }] from smallest to largest, or null when
+ *   srcset is off or the image has no smaller copies
+ */
+async function createImageVariants(registry, filename) {
+  if (!registry.srcsetWidths || !registry.images.has(filename)) return null;
+  if (registry.variants.has(filename)) return registry.variants.get(filename);
+
+  let candidates = null;
+  try {
+    const data = registry.images.get(filename);
+    const contentType = detectImageType(data, filename);
+    const size = readImageSize(data, contentType);
+
+    if (size && size.width > 0) {
+      const extension = path.posix.extname(filename);
+      const baseName = path.posix.basename(filename, extension);
+      const widths = [...new Set(registry.srcsetWidths)].filter((width) => width < size.width).sort((a, b) => a - b);
+      candidates = [];
+
+      // The image is decoded once and every width is downscaled from it
+      const decodeCache = {};
+      for (const width of widths) {
+        const resized = await resizeImage(data, contentType, width, registry.resizer, decodeCache);
+        if (!resized) continue;
+        const variantName = `${baseName}-${width}w${extension}`;
+        registry.images.set(variantName, resized);
+        candidates.push({ filename: variantName, width });
+      }
+
+      candidates = candidates.length > 0 ? [...candidates, { filename, width: size.width }] : null;
+    }
+  } catch (error) {
+    console.error(`Error creating srcset images for ${filename}:`, error);
+    candidates = null;
+  }
+
+  registry.variants.set(filename, candidates);
+  return candidates;
+}
+
+/**
+ * Check whether a mammoth warning about an image type was dealt with by conversion
+ * Mammoth warns about every EMF, WMF or TIFF image it meets; the warning is
+ * only kept when some image of that type could not be converted
+ *
+ * @param {Object} registry - Image registry
+ * @param {string} message - Mammoth warning message
+ * @returns {boolean} - True if the warning no longer applies
+ */
+function isResolvedImageWarning(registry, message) {
+  const match = /^Image of type (\S+) is unlikely to display in web browsers/.exec(message || "");
+  if (!match) return false;
+
+  const entries = registry.report.filter((entry) => entry.from === match[1]);
+  return entries.length > 0 && entries.every((entry) => entry.to);
+}
+
+/**
+ * Check that every image in the HTML refers to a registered file
+ * Images whose file does not exist are replaced by their alternative text
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} registry - Image registry
+ * @returns {number} - Number of images replaced
+ */
+function verifyImageSources(document, registry) {
+  let replaced = 0;
+
+  try {
+    document.querySelectorAll("img").forEach((img) => {
+      const src = img.getAttribute("src") || "";
+      if (/^(data:|https?:)/.test(src)) return;
+
+      const filename = src.startsWith("./images/") ? src.substring("./images/".length) : null;
+      if (filename && registry.images.has(filename)) return;
+
+      const placeholder = document.createElement("span");
+      placeholder.className = "docx-image-missing";
+      placeholder.textContent = img.getAttribute("alt") || "Image not available";
+      img.parentNode.replaceChild(placeholder, img);
+
+      registry.warnings.push(`Image ${src ? `"${src}" ` : ""}could not be extracted and was replaced by its alt text`);
+      replaced++;
+    });
+  } catch (error) {
+    console.error("Error verifying image sources:", error);
+  }
+
+  return replaced;
+}
+
+/**
+ * Hash image data
+ *
+ * @param {Buffer} imageData - Image data
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashImage(imageData) {
+  return crypto.createHash("sha256").update(imageData).digest("hex");
+}
+
+/**
+ * Get the file extension for an image
+ *
+ * @param {string} partPath - Media part path (optional)
+ * @param {string} contentType - Content type (optional)
+ * @returns {string} - Extension without the dot
+ */
+function getImageExtension(partPath, contentType) {
+  const partExtension = partPath ? path.posix.extname(partPath).substring(1).toLowerCase() : "";
+  if (partExtension) return partExtension;
+  if (contentType && CONTENT_TYPE_EXTENSIONS[contentType]) return CONTENT_TYPE_EXTENSIONS[contentType];
+  const subtype = contentType ? contentType.split("/")[1] : "";
+  return subtype && /^[a-z0-9]+$/i.test(subtype) ? subtype.toLowerCase() : "png";
+}
+
+/**
+ * Get the base name of a file written to the images folder
+ * Files are named by content hash, so identical content is stored once and
+ * files of different documents sharing an output folder never collide
+ *
+ * @param {string} hash - SHA-256 hex digest of the content
+ * @param {string} label - Relationship ID or part name added to the hash (optional)
+ * @returns {string} - Base name without extension (e.g. c414cd0e204de974-rId5)
+ */
+function getContentFileBaseName(hash, label) {
+  return hash.substring(0, HASH_LENGTH) + (label ? `-${sanitizeName(label)}` : "");
+}
+
+/**
+ * Make a relationship ID safe for use in a file name
+ *
+ * @param {string} name - Relationship ID
+ * @returns {string} - Safe name
+ */
+function sanitizeName(name) {
+  return name.replace(/[^\w-]/g, "_");
+}
+
+module.exports = {
+  createImageRegistry,
+  indexPackageImages,
+  registerImage,
+  createImageVariants,
+  isResolvedImageWarning,
+  verifyImageSources,
+  hashImage,
+  getContentFileBaseName,
+};
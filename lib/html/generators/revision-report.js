@@ -0,0 +1,292 @@
+// lib/html/generators/revision-report.js - Revision summary page for tracked changes
+
+/**
+ * Number of characters of surrounding text shown on each side of a change
+ */
+const CONTEXT_LENGTH = 60;
+
+/**
+ * Display names for change types
+ */
+const CHANGE_TYPE_LABELS = {
+  insertion: 'Insertion',
+  deletion: 'Deletion',
+  moveFrom: 'Moved from',
+  moveTo: 'Moved to',
+  formatting: 'Formatting'
+};
+
+/**
+ * Collect every tracked change with its location in the processed HTML
+ * Must run after all processing, when section IDs are final
+ *
+ * @param {Document} document - Processed HTML document
+ * @param {Object} trackChanges - Track changes information from parseTrackChanges
+ * @returns {Array} - Revision entries in document order, unlocated changes last
+ */
+function collectRevisionEntries(document, trackChanges) {
+  const entries = [];
+  if (!trackChanges || !trackChanges.hasTrackedChanges) return entries;
+
+  try {
+    const changes = [
+      ...trackChanges.insertions.map(change => ({ change, type: 'insertion' })),
+      ...trackChanges.deletions.map(change => ({ change, type: 'deletion' })),
+      ...trackChanges.moves.map(change => ({ change, type: change.type })),
+      ...trackChanges.formattingChanges.map(change => ({ change, type: 'formatting' }))
+    ];
+
+    changes.forEach(({ change, type }) => {
+      const anchor = document.getElementById(`change-${change.key}`);
+      const location = anchor ? getChangeLocation(document, anchor, change.key) : null;
+
+      entries.push({
+        key: change.key,
+        id: change.id,
+        type,
+        author: change.author,
+        date: change.isoDate || null,
+        text: change.text || '',
+        markOnly: !!change.markOnly,
+        properties: change.properties || [],
+        context: location ? location.context : null,
+        sectionId: location ? location.sectionId : null,
+        anchor: anchor ? anchor.id : null,
+        element: anchor
+      });
+    });
+
+    // Document order for located changes
+    entries.sort((a, b) => {
+      if (a.element && b.element) {
+        if (a.element === b.element) return 0;
+        return a.element.compareDocumentPosition(b.element) & 4 ? -1 : 1;
+      }
+      return a.element ? -1 : b.element ? 1 : 0;
+    });
+    entries.forEach(entry => delete entry.element);
+  } catch (error) {
+    console.error('Error collecting revision entries:', error);
+  }
+
+  return entries;
+}
+
+/**
+ * Find the surrounding text and section of a change
+ *
+ * @param {Document} document - HTML document
+ * @param {Element} anchor - First element of the change
+ * @param {string} key - Change key
+ * @returns {Object} - Context (before/text/after) and section ID
+ */
+function getChangeLocation(document, anchor, key) {
+  const block = anchor.closest('p, li, td, th, h1, h2, h3, h4, h5, h6, figcaption') || anchor.parentElement;
+  const pieces = Array.from(block.querySelectorAll(`[data-change-key="${key}"]`));
+  const last = pieces.length > 0 ? pieces[pieces.length - 1] : anchor;
+
+  const before = document.createRange();
+  before.setStart(block, 0);
+  before.setEndBefore(anchor);
+
+  const after = document.createRange();
+  after.setStartAfter(last);
+  after.setEnd(block, block.childNodes.length);
+
+  const beforeText = collapse(before.toString());
+  const afterText = collapse(after.toString());
+
+  return {
+    context: {
+      before: beforeText.length > CONTEXT_LENGTH ? '…' + beforeText.slice(-CONTEXT_LENGTH) : beforeText,
+      text: collapse(pieces.map(piece => piece.textContent).join('')),
+      after: afterText.length > CONTEXT_LENGTH ? afterText.slice(0, CONTEXT_LENGTH) + '…' : afterText
+    },
+    sectionId: findSectionId(document, anchor)
+  };
+}
+
+/**
+ * Find the ID of the section a node belongs to (the nearest preceding heading)
+ *
+ * @param {Document} document - HTML document
+ * @param {Node} node - Node in the document
+ * @returns {string|null} - Section ID
+ */
+function findSectionId(document, node) {
+  const headings = Array.from(document.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id], [data-section-id]'));
+  let sectionId = null;
+
+  for (const heading of headings) {
+    if (heading === node || heading.contains(node) || heading.compareDocumentPosition(node) & 4) {
+      sectionId = heading.getAttribute('data-section-id') || heading.id;
+    } else {
+      break;
+    }
+  }
+
+  return sectionId;
+}
+
+/**
+ * Collapse whitespace in extracted text
+ *
+ * @param {string} text - Text
+ * @returns {string} - Text with single spaces
+ */
+function collapse(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the revision report
+ *
+ * @param {Array} entries - Revision entries from collectRevisionEntries
+ * @param {Object} options - Report options
+ * @param {string} options.htmlFile - File name of the converted HTML document
+ * @param {string} options.title - Document title
+ * @param {string} options.mode - Track changes mode used for the conversion
+ * @param {Object} options.filter - Author/date filter (authors, since)
+ * @returns {Object} - Report with summary and changes
+ */
+function buildRevisionReport(entries, options = {}) {
+  const summary = {
+    total: entries.length,
+    byType: {},
+    byAuthor: {}
+  };
+
+  entries.forEach(entry => {
+    summary.byType[entry.type] = (summary.byType[entry.type] || 0) + 1;
+    summary.byAuthor[entry.author] = (summary.byAuthor[entry.author] || 0) + 1;
+  });
+
+  return {
+    document: options.htmlFile || null,
+    title: options.title || null,
+    mode: options.mode || 'show',
+    filter: options.filter || null,
+    summary,
+    changes: entries.map((entry, index) => ({
+      number: index + 1,
+      ...entry,
+      href: entry.anchor && options.htmlFile ? `${options.htmlFile}#${entry.anchor}` : null
+    }))
+  };
+}
+
+/**
+ * Generate the revision summary page
+ *
+ * @param {Object} report - Report from buildRevisionReport
+ * @returns {string} - Complete HTML document
+ */
+function generateRevisionReportHtml(report) {
+  const title = `Revision report${report.title ? ` – ${report.title}` : ''}`;
+
+  const authorRows = Object.entries(report.summary.byAuthor)
+    .map(([author, count]) => `<li>${escapeHtml(author)}: ${count}</li>`)
+    .join('\n');
+
+  const typeRows = Object.entries(report.summary.byType)
+    .map(([type, count]) => `<li>${escapeHtml(CHANGE_TYPE_LABELS[type] || type)}: ${count}</li>`)
+    .join('\n');
+
+  const changeRows = report.changes.map(change => {
+    const text = change.markOnly
+      ? '<span class="mark-only">¶ paragraph or row mark</span>'
+      : escapeHtml(change.text) + (change.properties.length > 0 ? ` <small>(${escapeHtml(change.properties.join(', '))})</small>` : '');
+    const context = change.context
+      ? `${escapeHtml(change.context.before)} <mark class="${change.type}">${escapeHtml(change.context.text)}</mark> ${escapeHtml(change.context.after)}`
+      : '';
+    const date = change.date ? `<time datetime="${escapeHtml(change.date)}">${escapeHtml(change.date.replace('T', ' ').replace(/:\d{2}(\.\d+)?Z$/, ' UTC'))}</time>` : '';
+    const link = change.href ? `<a href="${escapeHtml(change.href)}">View</a>` : 'Not shown';
+
+    return `<tr>
+<td>${change.number}</td>
+<td>${escapeHtml(CHANGE_TYPE_LABELS[change.type] || change.type)}</td>
+<td>${escapeHtml(change.author)}</td>
+<td>${date}</td>
+<td>${text}</td>
+<td>${context}</td>
+<td>${change.sectionId ? `<code>${escapeHtml(change.sectionId)}</code>` : ''}</td>
+<td>${link}</td>
+</tr>`;
+  }).join('\n');
+
+  const filterParts = [];
+  if (report.filter?.authors?.length) filterParts.push(`authors: ${report.filter.authors.join(', ')}`);
+  if (report.filter?.since) filterParts.push(`since: ${report.filter.since}`);
+  const filterText = filterParts.length > 0 ? `<p>Filter: ${escapeHtml(filterParts.join('; '))}</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #212121; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { border: 1px solid #BDBDBD; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background-color: #F5F5F5; }
+mark.insertion, mark.moveTo { background-color: #e6ffed; }
+mark.deletion, mark.moveFrom { background-color: #ffe6e6; text-decoration: line-through; }
+mark.formatting { background-color: transparent; border-bottom: 1px dotted #FFA000; }
+.mark-only { color: #616161; font-style: italic; }
+.summary { display: flex; gap: 3em; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${report.document ? `<p>Document: <a href="${escapeHtml(report.document)}">${escapeHtml(report.document)}</a> (track changes mode: ${escapeHtml(report.mode)})</p>` : ''}
+${filterText}
+<section class="summary" aria-label="Summary">
+<div>
+<h2>${report.summary.total} changes by author</h2>
+<ul>
+${authorRows}
+</ul>
+</div>
+<div>
+<h2>By type</h2>
+<ul>
+${typeRows}
+</ul>
+</div>
+</section>
+<h2>All changes</h2>
+<table>
+<thead>
+<tr><th scope="col">#</th><th scope="col">Type</th><th scope="col">Author</th><th scope="col">Date</th><th scope="col">Change</th><th scope="col">Context</th><th scope="col">Section</th><th scope="col">Location</th></tr>
+</thead>
+<tbody>
+${changeRows}
+</tbody>
+</table>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for HTML output
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  collectRevisionEntries,
+  buildRevisionReport,
+  generateRevisionReportHtml
+};
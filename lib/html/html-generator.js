@@ -4,31 +4,107 @@
 const mammoth = require("mammoth");
 const path = require("path");
 const fs = require("fs");
-const JSZip = require("jszip");
-const { DOMParser } = require("xmldom");
 
 const { parseDocxStyles } = require("../parsers/style-parser");
 const { generateCssFromStyleInfo } = require("../css/css-generator");
 const { createStyleMap, createDocumentTransformer } = require("../css/style-mapper");
-const { createEnhancedStyleMap, createEnhancedDocumentTransformer } = require("./generators/style-mapping");
 const { createImageOptions, extractImagesFromDocx } = require("./generators/image-processing");
+const { createImageRegistry, indexPackageImages, isResolvedImageWarning } = require("./generators/image-registry");
 const { formatHtml } = require("./generators/html-formatting");
 const { applyStylesAndProcessHtml } = require("./generators/html-processing");
+const { generateMarkdown } = require("../markdown/markdown-generator");
+const {
+  buildRevisionReport,
+  generateRevisionReportHtml,
+} = require("./generators/revision-report");
 const {
   parseDocumentMetadata,
   applyMetadataToHtml,
 } = require("../parsers/metadata-parser");
 const {
   parseTrackChanges,
+  applyRevisionModeToPackage,
+  createRevisionFilter,
+  insertTrackChangeMarkers,
   processTrackChanges: applyTrackChangesToHtml,
 } = require("../parsers/track-changes-parser");
 const {
   extractDocumentHeader,
   processHeaderForHtml,
 } = require("../parsers/header-parser");
+const { parseNotes } = require("../parsers/notes-parser");
+const { parseDrawings, insertDrawingMarkers } = require("../parsers/drawing-parser");
+const { parseCaptions, insertCaptionMarkers } = require("../parsers/caption-parser");
+const {
+  parseEquations,
+  insertEquationMarkers,
+  insertEquationsIntoHtml,
+} = require("../parsers/equation-parser");
+const { parseTextBoxes, insertTextBoxMarkers } = require("../parsers/textbox-parser");
+const { parseCharts, insertChartMarkers, exportChartData } = require("../parsers/chart-parser");
+const {
+  parseContentControls,
+  insertContentControlMarkers,
+  exportFormData,
+} = require("../parsers/content-control-parser");
+const { insertSectionMarkers } = require("../parsers/section-parser");
+const { extractDocumentFooter } = require("../parsers/footer-parser");
+const { evaluateFields, applyFieldResults } = require("../fields/field-engine");
+const {
+  parseComments,
+  insertCommentMarkers,
+  exportCommentsToJson,
+} = require("../parsers/comments-parser");
+const {
+  parseBookmarks,
+  insertCrossReferenceMarkers,
+} = require("../parsers/bookmark-parser");
+const {
+  createPackageContext,
+  getPartXml,
+  parsePartCopy,
+  getPackageBuffer,
+} = require("../parsers/package-context");
+const { createProfiler } = require("../utils/profiler");
 
 /**
  * Extract and apply styles from DOCX file
+ * Returns the HTML, CSS and (unless options.markdown is false) Markdown output
+ * Images are written to outputDir/images and also returned in result.images.
+ * options.profile adds stage timings to result.profile
+ *
+ * options.trackChangesMode 'accept' or 'reject' resolves tracked changes
+ * before conversion, so all outputs show the accepted or original text.
+ * In 'show' mode, options.trackChangesAuthors and options.trackChangesSince
+ * limit the changes shown; other changes appear accepted. options.revisionReport
+ * adds an HTML and JSON summary of all changes to the result.
+ *
+ * EMF and WMF images are converted to SVG and TIFF and BMP images to PNG;
+ * result.imageConversions lists what was done for each. options.transcodeImages
+ * false keeps the original files, and options.imageTranscoders adds transcoders
+ * ({ name, from, to, transcode(data) }) that are tried first.
+ *
+ * Images keep their size, cropping, rotation and placement from the document
+ * and load lazily. options.responsiveImages (true or { widths }) adds smaller
+ * copies in srcset; PNG images are resized built in, other formats through
+ * options.imageResizer(data, contentType, width).
+ *
+ * Charts are drawn as SVG with a hidden table of their data; the data of
+ * each chart is also saved as CSV and JSON (result.chartData) next to the images.
+ *
+ * Content controls and legacy form fields become form controls that keep
+ * their tag and title as data attributes. options.formControls 'static'
+ * (default) disables them, 'fill' lets them be filled in and 'json' also adds
+ * a button that saves the values; result.formData holds the values in the document.
+ *
+ * Dates, document properties, SEQ, STYLEREF and other common fields are
+ * evaluated again instead of showing the result saved in the document;
+ * options.updateFields false keeps the saved results. options.mergeData
+ * ({ name: value }) fills in MERGEFIELD fields.
+ *
+ * options.comments selects how Word comments are handled:
+ * 'show' (default) highlights commented text and lists the comments,
+ * 'hide' leaves them out and 'json' only returns them in the result
  */
 async function extractAndApplyStyles(
   docxPath,
@@ -41,49 +117,181 @@ async function extractAndApplyStyles(
     if (!fs.existsSync(docxPath))
       throw new Error(`DOCX file not found: ${docxPath}`);
 
-    const data = fs.readFileSync(docxPath);
-    const zip = await JSZip.loadAsync(data);
+    return await convertDocxData(fs.readFileSync(docxPath), {
+      name: path.basename(docxPath, path.extname(docxPath)),
+      cssFilename,
+      options,
+      outputDir: outputDir || path.dirname(docxPath),
+    });
+  } catch (error) {
+    console.error(
+      "Error in extractAndApplyStyles:",
+      error.message,
+      error.stack
+    );
+    throw error;
+  }
+}
 
-    const styleXml = await zip.file("word/styles.xml")?.async("string");
-    const documentXml = await zip.file("word/document.xml")?.async("string");
-    const themeXml = await zip.file("word/theme/theme1.xml")?.async("string");
-    const settingsXml = await zip.file("word/settings.xml")?.async("string");
-    const numberingXml = await zip.file("word/numbering.xml")?.async("string");
-    const corePropsXml = await zip.file("docProps/core.xml")?.async("string");
-    const appPropsXml = await zip.file("docProps/app.xml")?.async("string");
+/**
+ * Convert a DOCX held in memory, without reading or writing any files
+ * Intended for embedding doc2web in a service
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer|ReadableStream} input - DOCX contents or a stream of them
+ * @param {Object} options - Same options as extractAndApplyStyles, plus:
+ * @param {string} options.name - Base name used for the CSS link and report links (default 'document')
+ * @param {string} options.cssFilename - CSS file name linked from the HTML (default '<name>.css')
+ * @returns {Promise<Object>} - { html, css, images: Map<name, Buffer>, chartData: Map<name, Buffer>, metadata, warnings } plus
+ *   imageConversions, markdown, comments, formData, trackChanges and revisionReport as returned by extractAndApplyStyles
+ */
+async function convertDocx(input, options = {}) {
+  const data = await readDocxInput(input);
+  const result = await convertDocxData(data, {
+    name: options.name || "document",
+    cssFilename: options.cssFilename || null,
+    options,
+    outputDir: null,
+  });
 
-    if (!styleXml || !documentXml)
-      throw new Error("Invalid DOCX: missing styles.xml or document.xml");
+  return {
+    html: result.html,
+    css: result.styles,
+    images: result.images,
+    chartData: result.chartData,
+    metadata: result.metadata,
+    warnings: result.warnings,
+    imageConversions: result.imageConversions,
+    markdown: result.markdown,
+    comments: result.comments,
+    formData: result.formData,
+    trackChanges: result.trackChanges,
+    revisionReport: result.revisionReport,
+  };
+}
+
+/**
+ * Collect DOCX input into a Buffer
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer|ReadableStream} input - DOCX contents or a stream of them
+ * @returns {Promise<Buffer>} - DOCX contents
+ */
+async function readDocxInput(input) {
+  if (Buffer.isBuffer(input)) return input;
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    return Buffer.from(input instanceof ArrayBuffer ? input : input.buffer, input.byteOffset || 0, input.byteLength);
+  }
+  if (input && typeof input[Symbol.asyncIterator] === "function") {
+    const chunks = [];
+    for await (const chunk of input) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+  throw new TypeError("DOCX input must be a Buffer, Uint8Array, ArrayBuffer or readable stream");
+}
+
+/**
+ * Convert DOCX contents to HTML, CSS and Markdown
+ * The package is unzipped and its XML parts parsed once, then shared by all
+ * parsers through a package context; mammoth reads the package once
+ *
+ * @param {Buffer} data - DOCX contents
+ * @param {Object} context - Conversion context
+ * @param {string} context.name - Document base name (used for the CSS and HTML file names)
+ * @param {string} context.cssFilename - CSS file name linked from the HTML (optional)
+ * @param {Object} context.options - Conversion options
+ * @param {string} context.outputDir - Output directory for images (null keeps them in memory)
+ * @returns {Promise<Object>} - Conversion result
+ */
+async function convertDocxData(data, { name, cssFilename = null, options = {}, outputDir = null }) {
+  try {
+    const profiler = createProfiler(!!options.profile);
+    const pkg = await createPackageContext(data);
+    const imageRegistry = createImageRegistry({
+      transcode: options.transcodeImages !== false,
+      transcoders: options.imageTranscoders,
+      srcset: options.responsiveImages,
+      resizer: options.imageResizer,
+    });
+    await indexPackageImages(imageRegistry, pkg);
+    const images = imageRegistry.images;
+    profiler.lap("Load package");
+
+    // Accept or reject tracked changes in the package itself, so that every
+    // later step (styles, header, footer, notes, conversion) sees the chosen
+    // revision state. The changes are reported from the original document.
+    let trackChanges = null;
+    const revisionMode = options.trackChangesMode || "show";
+    const revisionFilterOptions = {
+      authors: options.trackChangesAuthors || [],
+      since: options.trackChangesSince || null,
+    };
+    const revisionFilter = createRevisionFilter(revisionFilterOptions);
+    if (revisionMode === "accept" || revisionMode === "reject") {
+      const originalDocumentDoc = await getPartXml(pkg, "word/document.xml");
+      if (originalDocumentDoc) {
+        trackChanges = parseTrackChanges(originalDocumentDoc);
+      }
+      await applyRevisionModeToPackage(pkg, revisionMode);
+    } else if (revisionMode === "show" && revisionFilter) {
+      // Changes outside the filter are shown as accepted, as when a
+      // reviewer's markup is hidden in Word
+      await applyRevisionModeToPackage(pkg, "accept", (node) => !revisionFilter(node));
+    }
+    profiler.lap("Apply revisions");
 
-    const styleDoc = new DOMParser().parseFromString(styleXml);
-    const documentDoc = new DOMParser().parseFromString(documentXml);
-    const themeDoc = themeXml
-      ? new DOMParser().parseFromString(themeXml)
-      : null;
-    const settingsDoc = settingsXml
-      ? new DOMParser().parseFromString(settingsXml)
-      : null;
-    const numberingDoc = numberingXml
-      ? new DOMParser().parseFromString(numberingXml)
-      : null;
-    const corePropsDoc = corePropsXml
-      ? new DOMParser().parseFromString(corePropsXml)
-      : null;
-    const appPropsDoc = appPropsXml
-      ? new DOMParser().parseFromString(appPropsXml)
-      : null;
+    const styleDoc = await getPartXml(pkg, "word/styles.xml");
+    const documentDoc = await getPartXml(pkg, "word/document.xml");
+    const settingsDoc = await getPartXml(pkg, "word/settings.xml");
+    const corePropsDoc = await getPartXml(pkg, "docProps/core.xml");
+    const appPropsDoc = await getPartXml(pkg, "docProps/app.xml");
+    const customPropsDoc = await getPartXml(pkg, "docProps/custom.xml");
+
+    if (!styleDoc || !documentDoc)
+      throw new Error("Invalid DOCX: missing styles.xml or document.xml");
 
     console.log(
-      "Extracting styles, numbering context, metadata, track changes, and header..."
+      "Extracting styles, numbering context, metadata, track changes, header, footer, notes, comments, and bookmarks..."
     );
-    const styleInfo = await parseDocxStyles(docxPath);
+    const styleInfo = await parseDocxStyles(pkg);
+    profiler.lap("Parse styles and numbering");
     const metadata = parseDocumentMetadata(
       corePropsDoc,
       appPropsDoc,
-      documentDoc
+      documentDoc,
+      customPropsDoc
     );
-    const trackChanges = parseTrackChanges(documentDoc);
-    const headerInfo = await extractDocumentHeader(zip, documentDoc, styleDoc, styleInfo);
+    if (!trackChanges) {
+      trackChanges = parseTrackChanges(documentDoc);
+    }
+    profiler.lap("Parse metadata and track changes");
+    const headerInfo = await extractDocumentHeader(pkg, documentDoc, styleDoc, styleInfo);
+    const footerInfo = await extractDocumentFooter(pkg, documentDoc, styleDoc, styleInfo);
+    profiler.lap("Parse header and footer");
+    const notesInfo = await parseNotes(pkg, documentDoc, settingsDoc);
+    const commentsInfo = await parseComments(pkg, documentDoc);
+    const commentsMode = options.comments || "show";
+    profiler.lap("Parse notes and comments");
+    const bookmarkInfo = parseBookmarks(documentDoc);
+    const drawingInfo = parseDrawings(documentDoc);
+    profiler.lap("Parse bookmarks and drawings");
+    const fieldInfo = options.updateFields === false
+      ? { hasResults: false, results: {} }
+      : evaluateFields(documentDoc, {
+          metadata,
+          styleInfo,
+          mergeData: options.mergeData,
+          fileName: name + ".docx",
+        });
+    const captionInfo = parseCaptions(documentDoc, styleInfo, fieldInfo);
+    profiler.lap("Evaluate fields and captions");
+    const equationInfo = parseEquations(documentDoc);
+    const textBoxInfo = parseTextBoxes(documentDoc, styleInfo.theme);
+    profiler.lap("Parse equations and text boxes");
+    const chartInfo = await parseCharts(pkg, documentDoc, styleInfo.theme);
+    profiler.lap("Parse charts");
+    const contentControlInfo = parseContentControls(documentDoc);
+    profiler.lap("Parse content controls");
 
     if (styleInfo.numberingContext && styleInfo.numberingDefs) {
       styleInfo.numberingContext.forEach((ctx) => {
@@ -96,14 +304,44 @@ async function extractAndApplyStyles(
 
     console.log("Generating CSS...");
     const css = generateCssFromStyleInfo(styleInfo);
+    profiler.lap("Generate CSS");
+
+    // Positions mammoth does not keep (e.g. comment ranges, field results) are
+    // carried through the conversion as markers in a copy of document.xml
+    const markedDocumentDoc = await parsePartCopy(pkg, "word/document.xml");
+    // Field results are replaced first, while field indexes still match evaluateFields
+    let markedChanges = applyFieldResults(markedDocumentDoc, fieldInfo);
+    if (trackChanges.hasTrackedChanges && revisionMode === "show") {
+      markedChanges += insertTrackChangeMarkers(markedDocumentDoc, trackChanges);
+    }
+    // SEQ fields are counted before cross-reference markers unwrap simple fields
+    markedChanges += insertCaptionMarkers(markedDocumentDoc, captionInfo);
+    markedChanges += insertCrossReferenceMarkers(markedDocumentDoc, bookmarkInfo);
+    markedChanges += insertDrawingMarkers(markedDocumentDoc, drawingInfo);
+    markedChanges += insertEquationMarkers(markedDocumentDoc, equationInfo);
+    markedChanges += insertChartMarkers(markedDocumentDoc, chartInfo);
+    markedChanges += insertContentControlMarkers(markedDocumentDoc, contentControlInfo);
+    markedChanges += insertSectionMarkers(markedDocumentDoc, styleInfo.settings?.sections);
+    // Text box content is moved into the body flow after its pictures and
+    // equations are marked
+    markedChanges += insertTextBoxMarkers(markedDocumentDoc, textBoxInfo);
+    if (commentsInfo.hasComments && commentsMode === "show") {
+      markedChanges += insertCommentMarkers(markedDocumentDoc, commentsInfo);
+    }
+    const conversionSource = await getPackageBuffer(
+      pkg,
+      markedChanges > 0 ? { "word/document.xml": markedDocumentDoc } : {}
+    );
+    profiler.lap("Prepare conversion package");
 
     console.log("Converting DOCX to HTML...");
-    const htmlResult = await convertToStyledHtml(docxPath, styleInfo);
+    const htmlResult = await convertToStyledHtml(conversionSource, styleInfo, imageRegistry, equationInfo);
+    profiler.lap("Convert with mammoth");
 
-    const actualCssFilename =
-      cssFilename || path.basename(docxPath, path.extname(docxPath)) + ".css";
+    const actualCssFilename = cssFilename || name + ".css";
 
     console.log("Applying styles and processing HTML structure...");
+    const documentParts = { notesInfo, footerInfo, commentsInfo, bookmarkInfo, drawingInfo, captionInfo, textBoxInfo, chartInfo, contentControlInfo, imageRegistry };
     const processedHtml = await applyStylesAndProcessHtml(
       htmlResult.value,
       css,
@@ -113,109 +351,154 @@ async function extractAndApplyStyles(
       trackChanges,
       headerInfo,
       options,
-      zip,
-      outputDir || path.dirname(docxPath)
+      pkg,
+      null,
+      documentParts
     );
+    profiler.lap("Process HTML");
 
     const finalHtml = formatHtml(processedHtml);
+    profiler.lap("Format HTML");
+
+    let revisionReport = null;
+    if (options.revisionReport && trackChanges.hasTrackedChanges) {
+      const report = buildRevisionReport(documentParts.revisionEntries || [], {
+        htmlFile: name + ".html",
+        title: metadata?.core?.title,
+        mode: revisionMode,
+        filter: revisionFilter ? revisionFilterOptions : null,
+      });
+      revisionReport = { json: report, html: generateRevisionReportHtml(report) };
+    }
+
+    // Markdown is generated from the unformatted HTML so that the whitespace
+    // added by formatHtml does not leak into inline content
+    let markdown = null;
+    if (options.markdown !== false) {
+      console.log("Generating Markdown...");
+      markdown = generateMarkdown(processedHtml);
+      profiler.lap("Generate Markdown");
+    }
+
+    // Chart data is saved next to the images for use in other tools
+    const chartData = exportChartData(chartInfo);
+
+    if (outputDir && images.size > 0) {
+      writeImages(images, path.join(outputDir, "images"));
+    }
+    if (outputDir && chartData.size > 0) {
+      writeImages(chartData, path.join(outputDir, "images"), "chart data files");
+    }
+    profiler.lap("Write images and chart data");
+
+    profiler.count("XML parts parsed", pkg.stats.partsParsed);
+    profiler.count("packages generated", pkg.stats.packagesGenerated);
+    profiler.count("images", images.size);
+    profiler.count("images converted", imageRegistry.report.filter((entry) => entry.to).length);
+    profiler.count("charts", Object.keys(chartInfo.charts).length);
+    profiler.count("fields evaluated", Object.keys(fieldInfo.results).length);
 
     return {
       html: finalHtml,
       styles: css,
+      markdown,
       messages: htmlResult.messages,
+      warnings: htmlResult.messages
+        .filter((message) => message.type === "warning")
+        .map((message) => message.message)
+        .filter((message) => !isResolvedImageWarning(imageRegistry, message))
+        .concat(imageRegistry.warnings),
+      imageConversions: imageRegistry.report,
+      images,
+      chartData,
       metadata,
       trackChanges,
+      revisionReport,
+      comments: exportCommentsToJson(commentsInfo),
+      formData: exportFormData(contentControlInfo),
       numberingContext: styleInfo.numberingContext || [],
+      profile: profiler.getReport(),
     };
   } catch (error) {
-    console.error(
-      "Error in extractAndApplyStyles:",
-      error.message,
-      error.stack
-    );
+    console.error("Error converting DOCX:", error.message, error.stack);
     throw error;
   }
 }
 
+/**
+ * Write collected images (or other files saved with them) to the images directory
+ *
+ * @param {Map} images - Image data by file name
+ * @param {string} imagesDir - Images directory
+ * @param {string} label - What the files are, for the log message (default 'images')
+ */
+function writeImages(images, imagesDir, label = "images") {
+  try {
+    if (!fs.existsSync(imagesDir)) fs.mkdirSync(imagesDir, { recursive: true });
+    images.forEach((imageData, filename) => {
+      fs.writeFileSync(path.join(imagesDir, filename), imageData);
+    });
+    console.log(`Saved ${images.size} ${label} to ${imagesDir}`);
+  } catch (error) {
+    console.error("Error writing images:", error);
+  }
+}
+
+/**
+ * Build the mammoth input for a DOCX path or buffer
+ */
+function getMammothInput(docxSource) {
+  return Buffer.isBuffer(docxSource)
+    ? { buffer: docxSource }
+    : { path: docxSource };
+}
+
 /**
  * Convert DOCX to styled HTML using mammoth
+ * Accepts a file path or a buffer (e.g. a DOCX with position markers);
+ * images are named and collected by the image registry when one is given,
+ * and equations from parseEquations replace their markers as MathML
  */
-async function convertToStyledHtml(docxPath, styleInfo) {
+async function convertToStyledHtml(docxSource, styleInfo, imageRegistry, equationInfo = null) {
   try {
-    const styleMap = createEnhancedStyleMap(styleInfo);
-    const transformDocument = createEnhancedDocumentTransformer(styleInfo);
-    const imageOptions = createImageOptions();
-
-    // Enhanced mammoth configuration for maximum fidelity
-    const result = await mammoth.convertToHtml({
-      path: docxPath,
-      styleMap: styleMap,
-      transformDocument: transformDocument,
+    const imageOptions = createImageOptions(imageRegistry);
+
+    // Mammoth reads the document from its first argument and its options from
+    // the second. Headings and lists come from the default style map, which the
+    // HTML processing relies on, so the enhanced style map from
+    // style-mapping.js is not passed; convertImage makes images reference the
+    // files written to ./images/
+    const result = await mammoth.convertToHtml(getMammothInput(docxSource), {
       includeDefaultStyleMap: true, // Enable default mappings for basic formatting like italics
       includeEmbeddedStyleMap: true, // Include styles embedded in the document
       convertImage: imageOptions.convertImage,
-      ignoreEmptyParagraphs: false, // Preserve empty paragraphs for layout fidelity
-      readSize: false, // Don't read image dimensions to avoid issues
-      // Enhanced options for better document structure preservation
-      options: {
-        // Preserve whitespace and formatting
-        preserveEmptyParagraphs: true,
-        preserveLineBreaks: true,
-        preserveSpaces: true,
-        // Enhanced table processing
-        preserveTableStructure: true,
-        preserveTableBorders: true,
-        preserveTableCellSpacing: true,
-        // Enhanced character formatting
-        preserveCharacterFormatting: true,
-        preserveFontInformation: true,
-        preserveColorInformation: true,
-        // Enhanced paragraph formatting
-        preserveParagraphFormatting: true,
-        preserveIndentation: true,
-        preserveSpacing: true,
-        preserveAlignment: true,
-        // Enhanced list processing
-        preserveListFormatting: true,
-        preserveListIndentation: true,
-        // Enhanced image processing
-        preserveImageDimensions: true,
-        preserveImagePositioning: true,
-        // Enhanced style processing
-        preserveStyleInheritance: true,
-        preserveThemeColors: true,
-        // Enhanced document structure
-        preserveHeaderFooter: true,
-        preservePageBreaks: true,
-        preserveSectionBreaks: true
-      }
     });
     
     console.log('Mammoth conversion completed with default style map enabled');
 
+    let converted = result;
     if (!result.value || result.value.trim().length < 10) {
       console.warn(
         "Mammoth conversion resulted in very short HTML. Trying fallback."
       );
-      const fallbackResult = await mammoth.convertToHtml({
-        path: docxPath,
+      const fallbackResult = await mammoth.convertToHtml(getMammothInput(docxSource), {
         includeDefaultStyleMap: true, // Ensure fallback also includes default mappings
         includeEmbeddedStyleMap: true,
-        ignoreEmptyParagraphs: false,
         ...imageOptions,
       });
-      return fallbackResult.value.length > result.value.length
+      converted = fallbackResult.value.length > result.value.length
         ? fallbackResult
         : result;
     }
-    return result;
+
+    // Mammoth drops Office Math, so equations are put back at their markers
+    converted.value = insertEquationsIntoHtml(converted.value, equationInfo);
+    return converted;
   } catch (error) {
     console.error("Error in convertToStyledHtml:", error.message, error.stack);
-    return mammoth.convertToHtml({ 
-      path: docxPath,
+    return mammoth.convertToHtml(getMammothInput(docxSource), {
       includeDefaultStyleMap: true, // Ensure error fallback also includes default mappings
-      includeEmbeddedStyleMap: true,
-      ignoreEmptyParagraphs: false
+      includeEmbeddedStyleMap: true
     });
   }
 }
@@ -223,6 +506,7 @@ async function convertToStyledHtml(docxPath, styleInfo) {
 // Export the main functions for backward compatibility
 module.exports = {
   extractAndApplyStyles,
+  convertDocx,
   convertToStyledHtml,
   applyStylesAndProcessHtml,
   extractImagesFromDocx,
@@ -201,16 +201,16 @@ function ensureHeadingAccessibility(heading) {
   try {
     // Only generate ID if one doesn't already exist (from section numbering)
     if (!heading.id) {
+      // Fallback IDs use the heading's position so repeated conversions match
+      const position = Array.from(
+        heading.ownerDocument.querySelectorAll("h1, h2, h3, h4, h5, h6")
+      ).indexOf(heading) + 1;
       const cleanText =
-        (
-          heading.textContent ||
-          `gen-h-${Math.random().toString(36).substring(2, 7)}`
-        )
+        (heading.textContent || `gen-h-${position}`)
           .replace(/[^\w\s-]/g, "")
           .replace(/\s+/g, "-")
           .toLowerCase()
-          .substring(0, 50) ||
-        `gen-heading-${Math.random().toString(36).substring(2, 7)}`;
+          .substring(0, 50) || `gen-heading-${position}`;
       heading.id = "heading-" + cleanText;
     }
     
@@ -89,31 +89,37 @@ function findTOCEntries(document) {
 function findTargetSection(tocEntry, document, styleInfo, context = {}) {
   const tocText = getTOCEntryText(tocEntry);
   
-  // Strategy 1: Hierarchical section ID matching
-  let targetSection = findByHierarchicalSectionId(tocEntry, tocText, document, context);
+  // Strategy 1: The _Toc bookmark the entry's hyperlink points to
+  let targetSection = findByTocBookmark(tocEntry, document);
   if (targetSection) {
     return targetSection;
   }
 
-  // Strategy 2: Direct section ID matching
+  // Strategy 2: Hierarchical section ID matching
+  targetSection = findByHierarchicalSectionId(tocEntry, tocText, document, context);
+  if (targetSection) {
+    return targetSection;
+  }
+
+  // Strategy 3: Direct section ID matching
   targetSection = findBySectionId(tocEntry, tocText, document);
   if (targetSection) {
     return targetSection;
   }
 
-  // Strategy 3: Text content matching
+  // Strategy 4: Text content matching
   targetSection = findByTextContent(tocText, document);
   if (targetSection) {
     return targetSection;
   }
 
-  // Strategy 4: Numbering pattern matching
+  // Strategy 5: Numbering pattern matching
   targetSection = findByNumberingPattern(tocText, document);
   if (targetSection) {
     return targetSection;
   }
 
-  // Strategy 5: Fallback ID generation
+  // Strategy 6: Fallback ID generation
   targetSection = findWithFallbackId(tocEntry, tocText, document);
   if (targetSection) {
     return targetSection;
@@ -122,6 +128,39 @@ function findTargetSection(tocEntry, document, styleInfo, context = {}) {
   return null;
 }
 
+/**
+ * Find target section through the _Toc bookmark a TOC entry links to
+ * Word TOC entries are hyperlinks to a bookmark around the heading text; the
+ * bookmark resolver records it on the entry as data-toc-bookmark
+ * 
+ * @param {Element} tocEntry - The TOC entry element
+ * @param {Document} document - The HTML document
+ * @returns {Element|null} The heading containing the bookmark, the bookmark itself, or null
+ */
+function findByTocBookmark(tocEntry, document) {
+  let bookmarkId = tocEntry.getAttribute('data-toc-bookmark');
+  if (!bookmarkId) {
+    const link = tocEntry.querySelector('a[href^="#_Toc"]');
+    bookmarkId = link ? link.getAttribute('href').substring(1) : null;
+  }
+  if (!bookmarkId) {
+    return null;
+  }
+
+  const bookmark = document.getElementById(bookmarkId);
+  if (!bookmark || bookmark.closest('.docx-toc-entry')) {
+    return null;
+  }
+
+  // Prefer the heading itself, unless its ID is shared with another heading
+  const block = bookmark.closest('h1, h2, h3, h4, h5, h6, p, li');
+  if (block && block.id && document.querySelectorAll(`[id="${block.id}"]`).length === 1) {
+    return block;
+  }
+
+  return bookmark;
+}
+
 /**
  * Strategy 1: Find target section by hierarchical section ID matching
  * 
@@ -340,6 +379,18 @@ function findWithFallbackId(tocEntry, tocText, document) {
   return null;
 }
 
+/**
+ * Get the first unused numbered section ID (section-1, section-2, ...)
+ *
+ * @param {Document} document - The HTML document
+ * @returns {string} - Section ID
+ */
+function getUnusedSectionId(document) {
+  let number = 1;
+  while (document.getElementById(`section-${number}`)) number++;
+  return `section-${number}`;
+}
+
 /**
  * Create a clickable link for a TOC entry
  * 
@@ -350,7 +401,7 @@ function createTOCLink(tocEntry, targetSection) {
   // Ensure target has an ID
   if (!targetSection.id) {
     const tocText = getTOCEntryText(tocEntry);
-    targetSection.id = generateIdFromText(tocText) || `section-${Date.now()}`;
+    targetSection.id = generateIdFromText(tocText) || getUnusedSectionId(targetSection.ownerDocument);
   }
 
   // Find the text content within the TOC entry
@@ -484,6 +535,7 @@ module.exports = {
   linkTOCEntries,
   findTOCEntries,
   findTargetSection,
+  findByTocBookmark,
   findByHierarchicalSectionId,
   updateHierarchicalContext,
   findBySectionId,
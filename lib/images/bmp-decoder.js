@@ -0,0 +1,284 @@
+// lib/images/bmp-decoder.js - BMP and device-independent bitmap (DIB) decoder
+//
+// Decodes the bitmap formats found in DOCX packages: BMP files and the DIBs
+// embedded in EMF and WMF metafiles. Decoded images are RGBA, top row first.
+
+/**
+ * DIB compression methods
+ */
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_JPEG = 4;
+const BI_PNG = 5;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Decode a BMP file
+ *
+ * @param {Buffer} buffer - BMP file contents
+ * @returns {Object} - Decoded image { width, height, data }, or { contentType, encoded } for embedded JPEG/PNG
+ */
+function decodeBmp(buffer) {
+  if (buffer.length < 26 || buffer.toString('ascii', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP file');
+  }
+  return decodeDib(buffer, 14, buffer.readUInt32LE(10));
+}
+
+/**
+ * Decode a device-independent bitmap
+ *
+ * @param {Buffer} buffer - Buffer containing the bitmap
+ * @param {number} headerOffset - Offset of the BITMAPINFOHEADER (or BITMAPCOREHEADER)
+ * @param {number} bitsOffset - Offset of the pixel data (default: straight after the colour table)
+ * @returns {Object} - Decoded image { width, height, data }, or { contentType, encoded } for embedded JPEG/PNG
+ */
+function decodeDib(buffer, headerOffset = 0, bitsOffset = null) {
+  const info = readDibHeader(buffer, headerOffset);
+  const pixelOffset = bitsOffset !== null ? bitsOffset : info.colorTableEnd;
+
+  if (info.compression === BI_JPEG || info.compression === BI_PNG) {
+    const size = info.sizeImage || buffer.length - pixelOffset;
+    return {
+      contentType: info.compression === BI_JPEG ? 'image/jpeg' : 'image/png',
+      encoded: buffer.subarray(pixelOffset, pixelOffset + size)
+    };
+  }
+
+  const { width, height } = info;
+  if (width <= 0 || height <= 0 || width * height > 100000000) {
+    throw new Error(`Unsupported bitmap size ${width}x${height}`);
+  }
+
+  const data = new Uint8Array(width * height * 4);
+
+  if (info.compression === BI_RLE8 || info.compression === BI_RLE4) {
+    decodeRle(buffer, pixelOffset, info, data);
+  } else if (info.compression === BI_RGB || info.compression === BI_BITFIELDS || info.compression === BI_ALPHABITFIELDS) {
+    decodeUncompressed(buffer, pixelOffset, info, data);
+  } else {
+    throw new Error(`Unsupported bitmap compression ${info.compression}`);
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Read the header and colour table of a DIB
+ *
+ * @param {Buffer} buffer - Buffer containing the bitmap
+ * @param {number} offset - Header offset
+ * @returns {Object} - Bitmap information
+ */
+function readDibHeader(buffer, offset) {
+  const headerSize = buffer.readUInt32LE(offset);
+  const info = {
+    headerSize,
+    compression: BI_RGB,
+    sizeImage: 0,
+    masks: null,
+    palette: []
+  };
+
+  let paletteEntrySize = 4;
+  let colorsUsed = 0;
+
+  if (headerSize === 12) {
+    // BITMAPCOREHEADER
+    info.width = buffer.readUInt16LE(offset + 4);
+    info.rawHeight = buffer.readInt16LE(offset + 6);
+    info.bitCount = buffer.readUInt16LE(offset + 10);
+    paletteEntrySize = 3;
+  } else if (headerSize >= 40) {
+    info.width = buffer.readInt32LE(offset + 4);
+    info.rawHeight = buffer.readInt32LE(offset + 8);
+    info.bitCount = buffer.readUInt16LE(offset + 14);
+    info.compression = buffer.readUInt32LE(offset + 16);
+    info.sizeImage = buffer.readUInt32LE(offset + 20);
+    colorsUsed = buffer.readUInt32LE(offset + 32);
+  } else {
+    throw new Error(`Unsupported bitmap header size ${headerSize}`);
+  }
+
+  info.height = Math.abs(info.rawHeight);
+  info.topDown = info.rawHeight < 0;
+
+  let tableOffset = offset + headerSize;
+
+  if (info.compression === BI_BITFIELDS || info.compression === BI_ALPHABITFIELDS) {
+    const maskCount = info.compression === BI_ALPHABITFIELDS ? 4 : 3;
+    // BITMAPINFOHEADER stores the masks after the header, later headers inside it
+    const maskOffset = headerSize === 40 ? tableOffset : offset + 40;
+    info.masks = [];
+    for (let i = 0; i < maskCount; i++) {
+      info.masks.push(buffer.readUInt32LE(maskOffset + i * 4));
+    }
+    if (headerSize >= 56 && maskCount === 3) {
+      info.masks.push(buffer.readUInt32LE(offset + 52));
+    }
+    if (headerSize === 40) tableOffset += maskCount * 4;
+  } else if (info.bitCount === 16) {
+    info.masks = [0x7c00, 0x03e0, 0x001f];
+  } else if (info.bitCount === 32) {
+    info.masks = [0x00ff0000, 0x0000ff00, 0x000000ff];
+  }
+
+  if (info.bitCount <= 8) {
+    const count = colorsUsed || 1 << info.bitCount;
+    for (let i = 0; i < count && tableOffset + paletteEntrySize <= buffer.length; i++) {
+      info.palette.push([
+        buffer[tableOffset + 2],
+        buffer[tableOffset + 1],
+        buffer[tableOffset]
+      ]);
+      tableOffset += paletteEntrySize;
+    }
+  }
+
+  info.colorTableEnd = tableOffset;
+  return info;
+}
+
+/**
+ * Decode uncompressed and bit-field pixel data
+ *
+ * @param {Buffer} buffer - Buffer containing the bitmap
+ * @param {number} offset - Pixel data offset
+ * @param {Object} info - Bitmap information
+ * @param {Uint8Array} data - RGBA output
+ */
+function decodeUncompressed(buffer, offset, info, data) {
+  const { width, height, bitCount, palette } = info;
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  const rowBytes = Math.ceil((bitCount * width) / 8);
+  const masks = info.masks ? info.masks.map(createMaskReader) : null;
+  const hasAlphaMask = masks && masks[3] && info.masks[3] !== 0;
+  let anyAlpha = false;
+
+  for (let row = 0; row < height; row++) {
+    const y = info.topDown ? row : height - 1 - row;
+    const rowStart = offset + row * stride;
+    if (rowStart + rowBytes > buffer.length) break;
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r, g, b, a = 255;
+
+      if (bitCount <= 8) {
+        const bitOffset = x * bitCount;
+        const byte = buffer[rowStart + (bitOffset >> 3)];
+        const index = (byte >> (8 - bitCount - (bitOffset & 7))) & ((1 << bitCount) - 1);
+        [r, g, b] = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const i = rowStart + x * 3;
+        b = buffer[i];
+        g = buffer[i + 1];
+        r = buffer[i + 2];
+      } else if (bitCount === 16 || bitCount === 32) {
+        const value = bitCount === 16
+          ? buffer.readUInt16LE(rowStart + x * 2)
+          : buffer.readUInt32LE(rowStart + x * 4);
+        r = masks[0](value);
+        g = masks[1](value);
+        b = masks[2](value);
+        if (hasAlphaMask) {
+          a = masks[3](value);
+        } else if (bitCount === 32 && info.compression === BI_RGB) {
+          a = buffer[rowStart + x * 4 + 3];
+        }
+      } else {
+        throw new Error(`Unsupported bitmap bit depth ${bitCount}`);
+      }
+
+      data[out] = r;
+      data[out + 1] = g;
+      data[out + 2] = b;
+      data[out + 3] = a;
+      if (a !== 0) anyAlpha = true;
+    }
+  }
+
+  // 32-bit bitmaps usually leave the fourth byte unused (zero); treat them as opaque
+  if (bitCount === 32 && !hasAlphaMask && !anyAlpha) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+}
+
+/**
+ * Create a function that extracts an 8-bit channel using a bit mask
+ *
+ * @param {number} mask - Channel bit mask
+ * @returns {Function} - Channel reader
+ */
+function createMaskReader(mask) {
+  if (!mask) return () => 0;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return value => Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Decode RLE8 or RLE4 compressed pixel data
+ * Pixels skipped by delta escapes stay transparent
+ *
+ * @param {Buffer} buffer - Buffer containing the bitmap
+ * @param {number} offset - Pixel data offset
+ * @param {Object} info - Bitmap information
+ * @param {Uint8Array} data - RGBA output
+ */
+function decodeRle(buffer, offset, info, data) {
+  const { width, height, palette } = info;
+  const isRle4 = info.compression === BI_RLE4;
+  let x = 0;
+  let row = 0;
+  let i = offset;
+
+  const setPixel = index => {
+    if (x < width && row < height) {
+      const y = info.topDown ? row : height - 1 - row;
+      const out = (y * width + x) * 4;
+      const [r, g, b] = palette[index] || [0, 0, 0];
+      data[out] = r;
+      data[out + 1] = g;
+      data[out + 2] = b;
+      data[out + 3] = 255;
+    }
+    x++;
+  };
+
+  while (i + 1 < buffer.length && row < height) {
+    const count = buffer[i];
+    const value = buffer[i + 1];
+    i += 2;
+
+    if (count > 0) {
+      for (let n = 0; n < count; n++) {
+        setPixel(isRle4 ? (n % 2 === 0 ? value >> 4 : value & 0x0f) : value);
+      }
+    } else if (value === 0) {
+      x = 0;
+      row++;
+    } else if (value === 1) {
+      break;
+    } else if (value === 2) {
+      x += buffer[i];
+      row += buffer[i + 1];
+      i += 2;
+    } else {
+      const byteCount = isRle4 ? Math.ceil(value / 2) : value;
+      for (let n = 0; n < value; n++) {
+        const byte = buffer[i + (isRle4 ? n >> 1 : n)];
+        setPixel(isRle4 ? (n % 2 === 0 ? byte >> 4 : byte & 0x0f) : byte);
+      }
+      i += byteCount + (byteCount % 2);
+    }
+  }
+}
+
+module.exports = {
+  decodeBmp,
+  decodeDib
+};
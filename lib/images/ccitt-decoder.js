@@ -0,0 +1,331 @@
+// lib/images/ccitt-decoder.js - CCITT Group 3 and Group 4 fax decoder for TIFF images
+//
+// Scanned black-and-white figures are usually stored as CCITT-compressed TIFF.
+// Decoded rows are packed one bit per pixel, 0 for white runs and 1 for black
+// runs, as TIFF readers expect before applying the photometric interpretation.
+
+/**
+ * Terminating and make-up codes for white runs (run length: code)
+ */
+const WHITE_CODES = {
+  0: '00110101', 1: '000111', 2: '0111', 3: '1000', 4: '1011', 5: '1100', 6: '1110', 7: '1111',
+  8: '10011', 9: '10100', 10: '00111', 11: '01000', 12: '001000', 13: '000011', 14: '110100', 15: '110101',
+  16: '101010', 17: '101011', 18: '0100111', 19: '0001100', 20: '0001000', 21: '0010111', 22: '0000011', 23: '0000100',
+  24: '0101000', 25: '0101011', 26: '0010011', 27: '0100100', 28: '0011000', 29: '00000010', 30: '00000011', 31: '00011010',
+  32: '00011011', 33: '00010010', 34: '00010011', 35: '00010100', 36: '00010101', 37: '00010110', 38: '00010111', 39: '00101000',
+  40: '00101001', 41: '00101010', 42: '00101011', 43: '00101100', 44: '00101101', 45: '00000100', 46: '00000101', 47: '00001010',
+  48: '00001011', 49: '01010010', 50: '01010011', 51: '01010100', 52: '01010101', 53: '00100100', 54: '00100101', 55: '01011000',
+  56: '01011001', 57: '01011010', 58: '01011011', 59: '01001010', 60: '01001011', 61: '00110010', 62: '00110011', 63: '00110100',
+  64: '11011', 128: '10010', 192: '010111', 256: '0110111', 320: '00110110', 384: '00110111', 448: '01100100', 512: '01100101',
+  576: '01101000', 640: '01100111', 704: '011001100', 768: '011001101', 832: '011010010', 896: '011010011', 960: '011010100',
+  1024: '011010101', 1088: '011010110', 1152: '011010111', 1216: '011011000', 1280: '011011001', 1344: '011011010',
+  1408: '011011011', 1472: '010011000', 1536: '010011001', 1600: '010011010', 1664: '011000', 1728: '010011011'
+};
+
+/**
+ * Terminating and make-up codes for black runs (run length: code)
+ */
+const BLACK_CODES = {
+  0: '0000110111', 1: '010', 2: '11', 3: '10', 4: '011', 5: '0011', 6: '0010', 7: '00011',
+  8: '000101', 9: '000100', 10: '0000100', 11: '0000101', 12: '0000111', 13: '00000100', 14: '00000111', 15: '000011000',
+  16: '0000010111', 17: '0000011000', 18: '0000001000', 19: '00001100111', 20: '00001101000', 21: '00001101100',
+  22: '00000110111', 23: '00000101000', 24: '00000010111', 25: '00000011000', 26: '000011001010', 27: '000011001011',
+  28: '000011001100', 29: '000011001101', 30: '000001101000', 31: '000001101001', 32: '000001101010', 33: '000001101011',
+  34: '000011010010', 35: '000011010011', 36: '000011010100', 37: '000011010101', 38: '000011010110', 39: '000011010111',
+  40: '000001101100', 41: '000001101101', 42: '000011011010', 43: '000011011011', 44: '000001010100', 45: '000001010101',
+  46: '000001010110', 47: '000001010111', 48: '000001100100', 49: '000001100101', 50: '000001010010', 51: '000001010011',
+  52: '000000100100', 53: '000000110111', 54: '000000111000', 55: '000000100111', 56: '000000101000', 57: '000001011000',
+  58: '000001011001', 59: '000000101011', 60: '000000101100', 61: '000001011010', 62: '000001100110', 63: '000001100111',
+  64: '0000001111', 128: '000011001000', 192: '000011001001', 256: '000001011011', 320: '000000110011', 384: '000000110100',
+  448: '000000110101', 512: '0000001101100', 576: '0000001101101', 640: '0000001001010', 704: '0000001001011',
+  768: '0000001001100', 832: '0000001001101', 896: '0000001110010', 960: '0000001110011', 1024: '0000001110100',
+  1088: '0000001110101', 1152: '0000001110110', 1216: '0000001110111', 1280: '0000001010010', 1344: '0000001010011',
+  1408: '0000001010100', 1472: '0000001010101', 1536: '0000001011010', 1600: '0000001011011', 1664: '0000001100100',
+  1728: '0000001100101'
+};
+
+/**
+ * Extended make-up codes shared by white and black runs
+ */
+const EXTENDED_MAKEUP_CODES = {
+  1792: '00000001000', 1856: '00000001100', 1920: '00000001101', 1984: '000000010010', 2048: '000000010011',
+  2112: '000000010100', 2176: '000000010101', 2240: '000000010110', 2304: '000000010111', 2368: '000000011100',
+  2432: '000000011101', 2496: '000000011110', 2560: '000000011111'
+};
+
+/**
+ * Two-dimensional coding modes
+ */
+const MODE_CODES = {
+  pass: '0001',
+  horizontal: '001',
+  v0: '1',
+  vr1: '011',
+  vr2: '000011',
+  vr3: '0000011',
+  vl1: '010',
+  vl2: '000010',
+  vl3: '0000010',
+  extension: '0000001'
+};
+
+/**
+ * Vertical mode offsets (a1 relative to b1)
+ */
+const VERTICAL_OFFSETS = { v0: 0, vr1: 1, vr2: 2, vr3: 3, vl1: -1, vl2: -2, vl3: -3 };
+
+const WHITE_TABLE = createCodeTable({ ...WHITE_CODES, ...EXTENDED_MAKEUP_CODES });
+const BLACK_TABLE = createCodeTable({ ...BLACK_CODES, ...EXTENDED_MAKEUP_CODES });
+const MODE_TABLE = createCodeTable(MODE_CODES);
+
+/**
+ * End-of-line code
+ */
+const EOL_LENGTH = 12;
+
+/**
+ * Build a lookup table from bit-string codes
+ *
+ * @param {Object} codes - Codes by value
+ * @returns {Map} - Values keyed by code length and code bits
+ */
+function createCodeTable(codes) {
+  const table = new Map();
+  Object.entries(codes).forEach(([value, bits]) => {
+    const key = (bits.length << 16) | parseInt(bits, 2);
+    table.set(key, isNaN(Number(value)) ? value : Number(value));
+  });
+  return table;
+}
+
+/**
+ * Create an MSB-first bit reader
+ *
+ * @param {Buffer} data - Compressed data
+ * @returns {Object} - Bit reader
+ */
+function createBitReader(data) {
+  let position = 0;
+  const length = data.length * 8;
+
+  return {
+    get position() {
+      return position;
+    },
+    atEnd() {
+      return position >= length;
+    },
+    readBit() {
+      if (position >= length) throw new Error('Unexpected end of CCITT data');
+      const bit = (data[position >> 3] >> (7 - (position & 7))) & 1;
+      position++;
+      return bit;
+    },
+    peek(count) {
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        const p = position + i;
+        value = (value << 1) | (p < length ? (data[p >> 3] >> (7 - (p & 7))) & 1 : 0);
+      }
+      return value;
+    },
+    skip(count) {
+      position += count;
+    },
+    alignToByte() {
+      position = Math.ceil(position / 8) * 8;
+    }
+  };
+}
+
+/**
+ * Read one code from a code table
+ *
+ * @param {Object} reader - Bit reader
+ * @param {Map} table - Code table
+ * @param {number} maxLength - Longest code in the table
+ * @returns {number|string} - Decoded value
+ */
+function readCode(reader, table, maxLength = 13) {
+  let code = 0;
+  for (let length = 1; length <= maxLength; length++) {
+    code = (code << 1) | reader.readBit();
+    const value = table.get((length << 16) | code);
+    if (value !== undefined) return value;
+  }
+  throw new Error(`Invalid CCITT code at bit ${reader.position}`);
+}
+
+/**
+ * Read a complete run length (make-up codes followed by a terminating code)
+ *
+ * @param {Object} reader - Bit reader
+ * @param {number} color - 0 for white, 1 for black
+ * @returns {number} - Run length
+ */
+function readRun(reader, color) {
+  const table = color === 0 ? WHITE_TABLE : BLACK_TABLE;
+  let run = 0;
+  for (;;) {
+    const value = readCode(reader, table);
+    run += value;
+    if (value < 64) return run;
+  }
+}
+
+/**
+ * Skip fill bits and an end-of-line code if one is next
+ *
+ * @param {Object} reader - Bit reader
+ * @returns {boolean} - True if an end-of-line code was skipped
+ */
+function skipEndOfLine(reader) {
+  let zeros = 0;
+  while (!reader.atEnd() && reader.peek(1) === 0 && zeros < 64) {
+    reader.skip(1);
+    zeros++;
+  }
+  if (zeros >= EOL_LENGTH - 1 && !reader.atEnd()) {
+    reader.skip(1);
+    return true;
+  }
+  // Not an end-of-line: the zeros were part of the next code
+  reader.skip(-zeros);
+  return false;
+}
+
+/**
+ * Decode a row coded one-dimensionally (modified Huffman)
+ *
+ * @param {Object} reader - Bit reader
+ * @param {number} width - Row width in pixels
+ * @returns {Array<number>} - Changing element positions
+ */
+function decodeRow1D(reader, width) {
+  const changes = [];
+  let position = 0;
+  let color = 0;
+
+  while (position < width) {
+    position = Math.min(width, position + readRun(reader, color));
+    changes.push(position);
+    color ^= 1;
+  }
+
+  return changes;
+}
+
+/**
+ * Decode a row coded two-dimensionally against the reference row
+ *
+ * @param {Object} reader - Bit reader
+ * @param {number} width - Row width in pixels
+ * @param {Array<number>} reference - Changing elements of the previous row
+ * @returns {Array<number>} - Changing element positions
+ */
+function decodeRow2D(reader, width, reference) {
+  const ref = reference.concat([width, width, width]);
+  const changes = [];
+  let a0 = -1;
+  let color = 0;
+  let index = 0;
+
+  while (a0 < width) {
+    // b1: first changing element on the reference row to the right of a0 with the opposite colour
+    while (index > 0 && ref[index - 1] > a0) index--;
+    while (ref[index] <= a0) index++;
+    if ((index & 1) !== color) index++;
+    const b1 = ref[index];
+    const b2 = ref[index + 1];
+
+    const mode = readCode(reader, MODE_TABLE, 7);
+
+    if (mode === 'pass') {
+      a0 = b2;
+    } else if (mode === 'horizontal') {
+      const start = Math.max(a0, 0);
+      const a1 = Math.min(width, start + readRun(reader, color));
+      const a2 = Math.min(width, a1 + readRun(reader, color ^ 1));
+      changes.push(a1, a2);
+      a0 = a2;
+    } else if (mode in VERTICAL_OFFSETS) {
+      const a1 = Math.max(0, Math.min(width, b1 + VERTICAL_OFFSETS[mode]));
+      changes.push(a1);
+      a0 = a1;
+      color ^= 1;
+    } else {
+      throw new Error('Uncompressed CCITT extension mode is not supported');
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Write a row of changing elements as packed 1-bit pixels
+ *
+ * @param {Uint8Array} output - Packed output
+ * @param {number} rowOffset - Byte offset of the row
+ * @param {Array<number>} changes - Changing element positions
+ * @param {number} width - Row width in pixels
+ */
+function writeRow(output, rowOffset, changes, width) {
+  let start = 0;
+  let color = 0;
+
+  for (const change of changes) {
+    const end = Math.min(change, width);
+    if (color === 1) {
+      for (let x = start; x < end; x++) {
+        output[rowOffset + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+    start = end;
+    color ^= 1;
+  }
+}
+
+/**
+ * Decode CCITT-compressed image data
+ *
+ * @param {Buffer} data - Compressed data
+ * @param {Object} options - Decoding options
+ * @param {number} options.compression - TIFF compression (2 modified Huffman, 3 T.4, 4 T.6)
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Number of rows to decode
+ * @param {number} options.t4Options - TIFF T4Options value (bit 0: two-dimensional coding)
+ * @returns {Uint8Array} - Packed rows, one bit per pixel
+ */
+function decodeCcitt(data, { compression, width, height, t4Options = 0 }) {
+  const reader = createBitReader(data);
+  const rowBytes = Math.ceil(width / 8);
+  const output = new Uint8Array(rowBytes * height);
+  const twoDimensional = compression === 3 && (t4Options & 1) === 1;
+  let reference = [width];
+
+  for (let row = 0; row < height; row++) {
+    if (reader.atEnd()) break;
+
+    let changes;
+    if (compression === 4) {
+      if (reader.peek(EOL_LENGTH) === 1) break; // End of facsimile block
+      changes = decodeRow2D(reader, width, reference);
+    } else if (compression === 3) {
+      skipEndOfLine(reader);
+      const oneDimensional = twoDimensional ? reader.readBit() === 1 : true;
+      changes = oneDimensional ? decodeRow1D(reader, width) : decodeRow2D(reader, width, reference);
+    } else {
+      changes = decodeRow1D(reader, width);
+      reader.alignToByte();
+    }
+
+    writeRow(output, row * rowBytes, changes, width);
+    reference = changes;
+  }
+
+  return output;
+}
+
+module.exports = {
+  decodeCcitt
+};
@@ -0,0 +1,602 @@
+// lib/images/emf-converter.js - Convert Enhanced Metafiles (EMF) to SVG
+//
+// Plays the GDI records of an EMF into the shared metafile drawing context.
+// EMF+ records (stored in GDI comments) are skipped; "EMF+ dual" files carry
+// the same drawing as GDI records, while EMF+-only files cannot be converted.
+
+const {
+  createMetafileContext,
+  dibToDataUri,
+  colorRefToHex
+} = require('./metafile-svg');
+
+/**
+ * EMF record types
+ */
+const EMR = {
+  HEADER: 1,
+  POLYBEZIER: 2,
+  POLYGON: 3,
+  POLYLINE: 4,
+  POLYBEZIERTO: 5,
+  POLYLINETO: 6,
+  POLYPOLYLINE: 7,
+  POLYPOLYGON: 8,
+  SETWINDOWEXTEX: 9,
+  SETWINDOWORGEX: 10,
+  SETVIEWPORTEXTEX: 11,
+  SETVIEWPORTORGEX: 12,
+  EOF: 14,
+  SETMAPMODE: 17,
+  SETBKMODE: 18,
+  SETPOLYFILLMODE: 19,
+  SETTEXTALIGN: 22,
+  SETTEXTCOLOR: 24,
+  SETBKCOLOR: 25,
+  MOVETOEX: 27,
+  EXCLUDECLIPRECT: 29,
+  INTERSECTCLIPRECT: 30,
+  SCALEVIEWPORTEXTEX: 31,
+  SCALEWINDOWEXTEX: 32,
+  SAVEDC: 33,
+  RESTOREDC: 34,
+  SETWORLDTRANSFORM: 35,
+  MODIFYWORLDTRANSFORM: 36,
+  SELECTOBJECT: 37,
+  CREATEPEN: 38,
+  CREATEBRUSHINDIRECT: 39,
+  DELETEOBJECT: 40,
+  ELLIPSE: 42,
+  RECTANGLE: 43,
+  ROUNDRECT: 44,
+  ARC: 45,
+  CHORD: 46,
+  PIE: 47,
+  LINETO: 54,
+  ARCTO: 55,
+  SETARCDIRECTION: 57,
+  BEGINPATH: 59,
+  ENDPATH: 60,
+  CLOSEFIGURE: 61,
+  FILLPATH: 62,
+  STROKEANDFILLPATH: 63,
+  STROKEPATH: 64,
+  SELECTCLIPPATH: 67,
+  ABORTPATH: 68,
+  EXTSELECTCLIPRGN: 75,
+  BITBLT: 76,
+  STRETCHBLT: 77,
+  SETDIBITSTODEVICE: 80,
+  STRETCHDIBITS: 81,
+  EXTCREATEFONTINDIRECTW: 82,
+  EXTTEXTOUTA: 83,
+  EXTTEXTOUTW: 84,
+  POLYBEZIER16: 85,
+  POLYGON16: 86,
+  POLYLINE16: 87,
+  POLYBEZIERTO16: 88,
+  POLYLINETO16: 89,
+  POLYPOLYLINE16: 90,
+  POLYPOLYGON16: 91,
+  CREATEMONOBRUSH: 93,
+  CREATEDIBPATTERNBRUSHPT: 94,
+  EXTCREATEPEN: 95
+};
+
+/**
+ * Raster operations that copy the source bitmap
+ */
+const SOURCE_COPY_ROPS = [0x00cc0020, 0x00ee0086, 0x00c000ca];
+
+/**
+ * Raster operations that fill with the brush or a fixed colour
+ */
+const FILL_ROPS = {
+  0x00f00021: null, // PATCOPY: current brush
+  0x00000042: '#000000', // BLACKNESS
+  0x00ff0062: '#ffffff' // WHITENESS
+};
+
+/**
+ * Convert an EMF file to SVG
+ *
+ * @param {Buffer} buffer - EMF file contents
+ * @returns {string} - SVG document
+ */
+function convertEmfToSvg(buffer) {
+  if (buffer.length < 88 || buffer.readUInt32LE(0) !== EMR.HEADER || buffer.readUInt32LE(40) !== 0x464d4520) {
+    throw new Error('Not an EMF file');
+  }
+
+  const header = readHeader(buffer);
+  const ctx = createMetafileContext({ deviceUnitsPerMm: header.pixelsPerMm[0] });
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt32LE(offset);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8 || offset + size > buffer.length) break;
+
+    const record = buffer.subarray(offset, offset + size);
+    if (type === EMR.EOF) break;
+    playRecord(ctx, type, record);
+    offset += size;
+  }
+
+  if (ctx.drawCount === 0) {
+    throw new Error('EMF contains no GDI drawing records (EMF+ only files are not supported)');
+  }
+
+  return ctx.toSvg(header.viewBox, header.width, header.height);
+}
+
+/**
+ * Read the EMF header and work out the picture frame in device units
+ *
+ * @param {Buffer} buffer - EMF file contents
+ * @returns {Object} - Header information with viewBox and CSS size
+ */
+function readHeader(buffer) {
+  const bounds = readRect(buffer, 8);
+  const frame = readRect(buffer, 24);
+  const device = [buffer.readInt32LE(72), buffer.readInt32LE(76)];
+  const millimeters = [buffer.readInt32LE(80), buffer.readInt32LE(84)];
+  const pixelsPerMm = [
+    device[0] && millimeters[0] ? device[0] / millimeters[0] : 96 / 25.4,
+    device[1] && millimeters[1] ? device[1] / millimeters[1] : 96 / 25.4
+  ];
+
+  const frameWidth = frame[2] - frame[0];
+  const frameHeight = frame[3] - frame[1];
+  let viewBox;
+  let width;
+  let height;
+
+  if (frameWidth > 0 && frameHeight > 0) {
+    viewBox = [
+      (frame[0] / 100) * pixelsPerMm[0],
+      (frame[1] / 100) * pixelsPerMm[1],
+      (frameWidth / 100) * pixelsPerMm[0],
+      (frameHeight / 100) * pixelsPerMm[1]
+    ];
+    width = (frameWidth / 100 / 25.4) * 96;
+    height = (frameHeight / 100 / 25.4) * 96;
+  } else {
+    viewBox = [bounds[0], bounds[1], bounds[2] - bounds[0] + 1, bounds[3] - bounds[1] + 1];
+    width = viewBox[2];
+    height = viewBox[3];
+  }
+
+  return { bounds, frame, pixelsPerMm, viewBox, width, height };
+}
+
+/**
+ * Play one EMF record
+ *
+ * @param {Object} ctx - Metafile drawing context
+ * @param {number} type - Record type
+ * @param {Buffer} r - Record data (including type and size)
+ */
+function playRecord(ctx, type, r) {
+  const state = ctx.state;
+
+  switch (type) {
+    case EMR.POLYBEZIER:
+      ctx.polyBezier(readPoints(r, 28, r.readUInt32LE(24), false));
+      break;
+    case EMR.POLYBEZIER16:
+      ctx.polyBezier(readPoints(r, 28, r.readUInt32LE(24), true));
+      break;
+    case EMR.POLYGON:
+      ctx.polygon(readPoints(r, 28, r.readUInt32LE(24), false));
+      break;
+    case EMR.POLYGON16:
+      ctx.polygon(readPoints(r, 28, r.readUInt32LE(24), true));
+      break;
+    case EMR.POLYLINE:
+      ctx.polyline(readPoints(r, 28, r.readUInt32LE(24), false));
+      break;
+    case EMR.POLYLINE16:
+      ctx.polyline(readPoints(r, 28, r.readUInt32LE(24), true));
+      break;
+    case EMR.POLYBEZIERTO:
+      ctx.polyBezierTo(readPoints(r, 28, r.readUInt32LE(24), false));
+      break;
+    case EMR.POLYBEZIERTO16:
+      ctx.polyBezierTo(readPoints(r, 28, r.readUInt32LE(24), true));
+      break;
+    case EMR.POLYLINETO:
+      ctx.polylineTo(readPoints(r, 28, r.readUInt32LE(24), false));
+      break;
+    case EMR.POLYLINETO16:
+      ctx.polylineTo(readPoints(r, 28, r.readUInt32LE(24), true));
+      break;
+    case EMR.POLYPOLYLINE:
+    case EMR.POLYPOLYGON:
+    case EMR.POLYPOLYLINE16:
+    case EMR.POLYPOLYGON16: {
+      const shapes = readPolyPoints(r, type === EMR.POLYPOLYLINE16 || type === EMR.POLYPOLYGON16);
+      if (type === EMR.POLYPOLYLINE || type === EMR.POLYPOLYLINE16) ctx.polyPolyline(shapes);
+      else ctx.polyPolygon(shapes);
+      break;
+    }
+    case EMR.SETWINDOWEXTEX:
+      state.windowExt = readPoint(r, 8);
+      break;
+    case EMR.SETWINDOWORGEX:
+      state.windowOrg = readPoint(r, 8);
+      break;
+    case EMR.SETVIEWPORTEXTEX:
+      state.viewportExt = readPoint(r, 8);
+      break;
+    case EMR.SETVIEWPORTORGEX:
+      state.viewportOrg = readPoint(r, 8);
+      break;
+    case EMR.SCALEVIEWPORTEXTEX:
+    case EMR.SCALEWINDOWEXTEX: {
+      const extent = type === EMR.SCALEWINDOWEXTEX ? state.windowExt : state.viewportExt;
+      const [xNum, xDenom, yNum, yDenom] = [8, 12, 16, 20].map(offset => r.readInt32LE(offset));
+      extent[0] = (extent[0] * xNum) / (xDenom || 1);
+      extent[1] = (extent[1] * yNum) / (yDenom || 1);
+      break;
+    }
+    case EMR.SETMAPMODE:
+      state.mapMode = r.readUInt32LE(8);
+      break;
+    case EMR.SETBKMODE:
+      state.bkMode = r.readUInt32LE(8);
+      break;
+    case EMR.SETPOLYFILLMODE:
+      state.fillRule = r.readUInt32LE(8) === 2 ? 'nonzero' : 'evenodd';
+      break;
+    case EMR.SETTEXTALIGN:
+      state.textAlign = r.readUInt32LE(8);
+      break;
+    case EMR.SETTEXTCOLOR:
+      state.textColor = colorRefToHex(r.readUInt32LE(8));
+      break;
+    case EMR.SETBKCOLOR:
+      state.bkColor = colorRefToHex(r.readUInt32LE(8));
+      break;
+    case EMR.SETARCDIRECTION:
+      state.arcDirection = r.readUInt32LE(8);
+      break;
+    case EMR.MOVETOEX:
+      ctx.moveTo(...readPoint(r, 8));
+      break;
+    case EMR.LINETO:
+      ctx.lineTo(...readPoint(r, 8));
+      break;
+    case EMR.EXCLUDECLIPRECT:
+      ctx.excludeClipRect(...readRect(r, 8));
+      break;
+    case EMR.INTERSECTCLIPRECT:
+      ctx.intersectClipRect(...readRect(r, 8));
+      break;
+    case EMR.SAVEDC:
+      ctx.save();
+      break;
+    case EMR.RESTOREDC:
+      ctx.restore(r.readInt32LE(8));
+      break;
+    case EMR.SETWORLDTRANSFORM:
+      ctx.setTransform(readXform(r, 8));
+      break;
+    case EMR.MODIFYWORLDTRANSFORM:
+      ctx.modifyTransform(readXform(r, 8), r.readUInt32LE(32));
+      break;
+    case EMR.SELECTOBJECT:
+      ctx.selectObject(r.readUInt32LE(8));
+      break;
+    case EMR.DELETEOBJECT:
+      ctx.deleteObject(r.readUInt32LE(8));
+      break;
+    case EMR.CREATEPEN: {
+      const style = r.readUInt32LE(12);
+      ctx.addObject({
+        type: 'pen',
+        style,
+        width: r.readInt32LE(16),
+        color: (style & 0x0f) === 5 ? null : colorRefToHex(r.readUInt32LE(24))
+      }, r.readUInt32LE(8));
+      break;
+    }
+    case EMR.EXTCREATEPEN: {
+      const style = r.readUInt32LE(28);
+      const brushStyle = r.readUInt32LE(36);
+      ctx.addObject({
+        type: 'pen',
+        style,
+        width: style & 0x00010000 ? r.readUInt32LE(32) : 0,
+        color: (style & 0x0f) === 5 || brushStyle === 1 ? null : colorRefToHex(r.readUInt32LE(40))
+      }, r.readUInt32LE(8));
+      break;
+    }
+    case EMR.CREATEBRUSHINDIRECT: {
+      const style = r.readUInt32LE(12);
+      const brush = { type: 'brush', color: style === 1 ? null : colorRefToHex(r.readUInt32LE(16)) };
+      if (style === 2) brush.hatch = r.readUInt32LE(20);
+      ctx.addObject(brush, r.readUInt32LE(8));
+      break;
+    }
+    case EMR.CREATEMONOBRUSH:
+    case EMR.CREATEDIBPATTERNBRUSHPT: {
+      const pattern = readBitmap(r, r.readUInt32LE(16), r.readUInt32LE(20), r.readUInt32LE(24));
+      ctx.addObject({ type: 'brush', color: null, pattern }, r.readUInt32LE(8));
+      break;
+    }
+    case EMR.EXTCREATEFONTINDIRECTW:
+      ctx.addObject(readLogFont(r, 12), r.readUInt32LE(8));
+      break;
+    case EMR.RECTANGLE:
+      ctx.rectangle(...readRect(r, 8));
+      break;
+    case EMR.ROUNDRECT:
+      ctx.roundRect(...readRect(r, 8), r.readInt32LE(24), r.readInt32LE(28));
+      break;
+    case EMR.ELLIPSE:
+      ctx.ellipse(...readRect(r, 8));
+      break;
+    case EMR.ARC:
+    case EMR.ARCTO:
+    case EMR.CHORD:
+    case EMR.PIE: {
+      const kind = { [EMR.ARC]: 'arc', [EMR.ARCTO]: 'arcTo', [EMR.CHORD]: 'chord', [EMR.PIE]: 'pie' }[type];
+      ctx.arc(kind, ...readRect(r, 8), ...readPoint(r, 24), ...readPoint(r, 32));
+      break;
+    }
+    case EMR.BEGINPATH:
+      ctx.beginPath();
+      break;
+    case EMR.ENDPATH:
+      ctx.endPath();
+      break;
+    case EMR.CLOSEFIGURE:
+      ctx.closeFigure();
+      break;
+    case EMR.ABORTPATH:
+      ctx.abortPath();
+      break;
+    case EMR.FILLPATH:
+      ctx.fillPath();
+      break;
+    case EMR.STROKEPATH:
+      ctx.strokePath();
+      break;
+    case EMR.STROKEANDFILLPATH:
+      ctx.strokeAndFillPath();
+      break;
+    case EMR.SELECTCLIPPATH:
+      ctx.clipToPath(r.readUInt32LE(8));
+      break;
+    case EMR.EXTSELECTCLIPRGN:
+      selectClipRegion(ctx, r);
+      break;
+    case EMR.EXTTEXTOUTA:
+    case EMR.EXTTEXTOUTW:
+      drawText(ctx, r, type === EMR.EXTTEXTOUTW);
+      break;
+    case EMR.STRETCHDIBITS: {
+      const rop = r.readUInt32LE(68);
+      const bitmap = readBitmap(r, r.readUInt32LE(48), r.readUInt32LE(52), r.readUInt32LE(56));
+      const source = [32, 36, 40, 44].map(offset => r.readInt32LE(offset));
+      drawBitmap(ctx, bitmap, rop, r.readInt32LE(24), r.readInt32LE(28), r.readInt32LE(72), r.readInt32LE(76), source);
+      break;
+    }
+    case EMR.SETDIBITSTODEVICE: {
+      const bitmap = readBitmap(r, r.readUInt32LE(48), r.readUInt32LE(52), r.readUInt32LE(56));
+      const [xSrc, ySrc, cxSrc, cySrc] = [32, 36, 40, 44].map(offset => r.readInt32LE(offset));
+      drawBitmap(ctx, bitmap, 0x00cc0020, r.readInt32LE(24), r.readInt32LE(28), cxSrc, cySrc, [xSrc, ySrc, cxSrc, cySrc]);
+      break;
+    }
+    case EMR.BITBLT:
+    case EMR.STRETCHBLT: {
+      const [x, y, width, height] = [24, 28, 32, 36].map(offset => r.readInt32LE(offset));
+      const rop = r.readUInt32LE(40);
+      const bitmap = r.readUInt32LE(88) > 0
+        ? readBitmap(r, r.readUInt32LE(84), r.readUInt32LE(88), r.readUInt32LE(92))
+        : null;
+      const source = type === EMR.STRETCHBLT && r.length >= 108
+        ? [r.readInt32LE(44), r.readInt32LE(48), r.readInt32LE(100), r.readInt32LE(104)]
+        : [r.readInt32LE(44), r.readInt32LE(48), width, height];
+      drawBitmap(ctx, bitmap, rop, x, y, width, height, source);
+      break;
+    }
+    default:
+      // Other records (GDI comments with EMF+ data, palettes, ICM, ...) do not affect the drawing
+      break;
+  }
+}
+
+/**
+ * Draw a bitmap or a raster operation fill
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Object|null} bitmap - Bitmap from readBitmap
+ * @param {number} rop - Raster operation
+ * @param {number} x - Destination x
+ * @param {number} y - Destination y
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @param {Array<number>} source - Source rectangle
+ */
+function drawBitmap(ctx, bitmap, rop, x, y, width, height, source) {
+  if (bitmap && SOURCE_COPY_ROPS.includes(rop)) {
+    ctx.image(bitmap, x, y, width, height, source);
+  } else if (rop in FILL_ROPS) {
+    ctx.fillRect(x, y, x + width, y + height, FILL_ROPS[rop] === null ? undefined : FILL_ROPS[rop]);
+  }
+}
+
+/**
+ * Read a bitmap stored in a record as a data URI
+ *
+ * @param {Buffer} r - Record
+ * @param {number} offBmi - Offset of the BITMAPINFO
+ * @param {number} cbBmi - Size of the BITMAPINFO
+ * @param {number} offBits - Offset of the pixel data
+ * @returns {Object|null} - { href, width, height }
+ */
+function readBitmap(r, offBmi, cbBmi, offBits) {
+  if (!cbBmi || offBmi + 4 > r.length) return null;
+  return dibToDataUri({ buffer: r, headerOffset: offBmi, bitsOffset: offBits });
+}
+
+/**
+ * Draw an EXTTEXTOUT record
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Buffer} r - Record
+ * @param {boolean} unicode - True for EXTTEXTOUTW
+ */
+function drawText(ctx, r, unicode) {
+  const [x, y] = readPoint(r, 36);
+  const count = r.readUInt32LE(44);
+  const stringOffset = r.readUInt32LE(48);
+  const options = r.readUInt32LE(52);
+  const rect = readRect(r, 56);
+  const dxOffset = r.readUInt32LE(72);
+
+  const byteLength = count * (unicode ? 2 : 1);
+  if (stringOffset + byteLength > r.length) return;
+  const text = unicode
+    ? r.toString('utf16le', stringOffset, stringOffset + byteLength)
+    : r.toString('latin1', stringOffset, stringOffset + byteLength);
+
+  let dx = null;
+  const step = options & 0x2000 ? 8 : 4; // ETO_PDY stores x and y advances
+  if (dxOffset && dxOffset + count * step <= r.length) {
+    dx = [];
+    for (let i = 0; i < count; i++) dx.push(r.readInt32LE(dxOffset + i * step));
+  }
+
+  const opaque = options & 0x02 && rect[2] > rect[0] && rect[3] > rect[1];
+  ctx.text(x, y, text, { dx, opaqueRect: opaque ? rect : null });
+}
+
+/**
+ * Apply an EXTSELECTCLIPRGN record (region rectangles are in device units)
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Buffer} r - Record
+ */
+function selectClipRegion(ctx, r) {
+  const dataSize = r.readUInt32LE(8);
+  const mode = r.readUInt32LE(12);
+  const RGN_AND = 1;
+  const RGN_COPY = 5;
+
+  if (dataSize < 32) {
+    if (mode === RGN_COPY) ctx.resetClip();
+    return;
+  }
+
+  const count = r.readUInt32LE(24);
+  const rects = [];
+  for (let i = 0; i < count && 48 + (i + 1) * 16 <= r.length; i++) {
+    rects.push(readRect(r, 48 + i * 16));
+  }
+
+  if (mode === RGN_COPY) ctx.setClipRects(rects, false);
+  else if (mode === RGN_AND) ctx.setClipRects(rects, true);
+}
+
+/**
+ * Read a LOGFONTW structure
+ *
+ * @param {Buffer} r - Record
+ * @param {number} offset - Structure offset
+ * @returns {Object} - Font object
+ */
+function readLogFont(r, offset) {
+  const face = r.toString('utf16le', offset + 28, Math.min(offset + 92, r.length));
+  return {
+    type: 'font',
+    height: r.readInt32LE(offset),
+    escapement: r.readInt32LE(offset + 8),
+    weight: r.readInt32LE(offset + 16),
+    italic: r[offset + 20] !== 0,
+    underline: r[offset + 21] !== 0,
+    strikeOut: r[offset + 22] !== 0,
+    face: face.split('\u0000')[0] || 'Arial'
+  };
+}
+
+/**
+ * Read an XFORM structure
+ *
+ * @param {Buffer} r - Record
+ * @param {number} offset - Structure offset
+ * @returns {Object} - Matrix { a, b, c, d, e, f }
+ */
+function readXform(r, offset) {
+  const [a, b, c, d, e, f] = [0, 4, 8, 12, 16, 20].map(delta => r.readFloatLE(offset + delta));
+  return { a, b, c, d, e, f };
+}
+
+/**
+ * Read a RECTL structure
+ *
+ * @param {Buffer} r - Buffer
+ * @param {number} offset - Structure offset
+ * @returns {Array<number>} - [left, top, right, bottom]
+ */
+function readRect(r, offset) {
+  return [0, 4, 8, 12].map(delta => r.readInt32LE(offset + delta));
+}
+
+/**
+ * Read a POINTL structure
+ *
+ * @param {Buffer} r - Buffer
+ * @param {number} offset - Structure offset
+ * @returns {Array<number>} - [x, y]
+ */
+function readPoint(r, offset) {
+  return [r.readInt32LE(offset), r.readInt32LE(offset + 4)];
+}
+
+/**
+ * Read an array of points
+ *
+ * @param {Buffer} r - Record
+ * @param {number} offset - Offset of the first point
+ * @param {number} count - Number of points
+ * @param {boolean} short - True for 16-bit coordinates
+ * @returns {Array} - Points
+ */
+function readPoints(r, offset, count, short) {
+  const points = [];
+  const size = short ? 4 : 8;
+  for (let i = 0; i < count && offset + (i + 1) * size <= r.length; i++) {
+    const position = offset + i * size;
+    points.push(short
+      ? [r.readInt16LE(position), r.readInt16LE(position + 2)]
+      : [r.readInt32LE(position), r.readInt32LE(position + 4)]);
+  }
+  return points;
+}
+
+/**
+ * Read the point lists of a POLYPOLYLINE or POLYPOLYGON record
+ *
+ * @param {Buffer} r - Record
+ * @param {boolean} short - True for 16-bit coordinates
+ * @returns {Array} - Point lists
+ */
+function readPolyPoints(r, short) {
+  const polygonCount = r.readUInt32LE(24);
+  const counts = [];
+  for (let i = 0; i < polygonCount; i++) counts.push(r.readUInt32LE(32 + i * 4));
+
+  let offset = 32 + polygonCount * 4;
+  return counts.map(count => {
+    const points = readPoints(r, offset, count, short);
+    offset += count * (short ? 4 : 8);
+    return points;
+  });
+}
+
+module.exports = {
+  convertEmfToSvg
+};
@@ -0,0 +1,145 @@
+// lib/images/image-resizer.js - Image sizes and smaller copies for srcset
+//
+// PNG images are resized in plain JavaScript. Other formats (e.g. JPEG) need a
+// resizer passed in through the conversion options; without one they are
+// used at their original size only.
+
+const { decodePng } = require('./png-decoder');
+const { encodePng } = require('./png-encoder');
+
+/**
+ * Widths of the smaller copies offered in srcset, in pixels
+ */
+const DEFAULT_SRCSET_WIDTHS = [320, 640, 960, 1280, 1920];
+
+/**
+ * Read the pixel size of an image from its header
+ *
+ * @param {Buffer} data - Image data
+ * @param {string} contentType - Image content type
+ * @returns {Object|null} - { width, height }, or null if the size cannot be read
+ */
+function readImageSize(data, contentType) {
+  try {
+    if (contentType === 'image/png' && data.length >= 24) {
+      return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (contentType === 'image/gif' && data.length >= 10) {
+      return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (contentType === 'image/jpeg') {
+      return readJpegSize(data);
+    }
+  } catch (error) {
+    console.error('Error reading image size:', error);
+  }
+  return null;
+}
+
+/**
+ * Read the size of a JPEG image from its start-of-frame segment
+ *
+ * @param {Buffer} data - JPEG data
+ * @returns {Object|null} - { width, height }
+ */
+function readJpegSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = data[offset + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const length = data.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Make a smaller copy of an image
+ * A custom resizer is tried first; PNG images are resized built in. When
+ * several copies of one image are made, passing the same cache object to each
+ * call decodes the image only once.
+ *
+ * @param {Buffer} data - Image data
+ * @param {string} contentType - Image content type
+ * @param {number} width - Target width in pixels (the height keeps the aspect ratio)
+ * @param {Function} resizer - Custom resizer (data, contentType, width) returning a Buffer or a Promise of one (optional)
+ * @param {Object} cache - Holds the decoded pixels of this image between calls (optional)
+ * @returns {Promise<Buffer|null>} - Resized image in the same format, or null if it cannot be resized
+ */
+async function resizeImage(data, contentType, width, resizer = null, cache = {}) {
+  if (resizer) {
+    const resized = await resizer(data, contentType, width);
+    if (resized && resized.length > 0) return Buffer.isBuffer(resized) ? resized : Buffer.from(resized);
+  }
+
+  if (contentType === 'image/png') {
+    if (!cache.image) cache.image = decodePng(data);
+    const image = cache.image;
+    if (width >= image.width) return null;
+    return encodePng(downscale(image, width));
+  }
+
+  return null;
+}
+
+/**
+ * Downscale RGBA pixels by averaging the source pixels each target pixel covers
+ *
+ * @param {Object} image - { width, height, data } RGBA image
+ * @param {number} targetWidth - Target width in pixels
+ * @returns {Object} - Downscaled { width, height, data }
+ */
+function downscale(image, targetWidth) {
+  const targetHeight = Math.max(1, Math.round((image.height * targetWidth) / image.width));
+  const data = new Uint8Array(targetWidth * targetHeight * 4);
+  const scaleX = image.width / targetWidth;
+  const scaleY = image.height / targetHeight;
+
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor(ty * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * scaleY));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor(tx * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * scaleX));
+      let r = 0, g = 0, b = 0, a = 0, count = 0;
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * image.width + x) * 4;
+          const alpha = image.data[i + 3];
+          // Weight colours by alpha so transparent pixels do not darken edges
+          r += image.data[i] * alpha;
+          g += image.data[i + 1] * alpha;
+          b += image.data[i + 2] * alpha;
+          a += alpha;
+          count++;
+        }
+      }
+
+      const target = (ty * targetWidth + tx) * 4;
+      data[target] = a ? Math.round(r / a) : 0;
+      data[target + 1] = a ? Math.round(g / a) : 0;
+      data[target + 2] = a ? Math.round(b / a) : 0;
+      data[target + 3] = Math.round(a / count);
+    }
+  }
+
+  return { width: targetWidth, height: targetHeight, data };
+}
+
+module.exports = {
+  DEFAULT_SRCSET_WIDTHS,
+  readImageSize,
+  resizeImage
+};
@@ -0,0 +1,157 @@
+// lib/images/image-transcoder.js - Pluggable image transcoding for formats browsers cannot show
+//
+// Vector metafiles (EMF, WMF) are converted to SVG and raster formats (TIFF,
+// BMP) to PNG, all in plain JavaScript. Further transcoders (e.g. PNG to WebP
+// with a WASM encoder) can be passed in through the conversion options; they
+// are tried before the built-in ones.
+
+const { convertEmfToSvg } = require('./emf-converter');
+const { convertWmfToSvg } = require('./wmf-converter');
+const { decodeTiff } = require('./tiff-decoder');
+const { decodeBmp } = require('./bmp-decoder');
+const { encodePng } = require('./png-encoder');
+
+/**
+ * Image types that browsers display
+ */
+const WEB_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml', 'image/webp'];
+
+/**
+ * Content types by file extension, for media parts
+ */
+const EXTENSION_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp'
+};
+
+/**
+ * Built-in transcoders
+ * A transcoder has a name, the content types it reads (from), the content type
+ * it writes (to) and a transcode(data) function returning a Buffer (or a
+ * Promise of one); it throws when it cannot convert an image
+ */
+const DEFAULT_TRANSCODERS = [
+  {
+    name: 'emf-to-svg',
+    from: ['image/x-emf', 'image/emf'],
+    to: 'image/svg+xml',
+    transcode: data => Buffer.from(convertEmfToSvg(data), 'utf8')
+  },
+  {
+    name: 'wmf-to-svg',
+    from: ['image/x-wmf', 'image/wmf'],
+    to: 'image/svg+xml',
+    transcode: data => Buffer.from(convertWmfToSvg(data), 'utf8')
+  },
+  {
+    name: 'tiff-to-png',
+    from: ['image/tiff'],
+    to: 'image/png',
+    transcode: data => encodePng(decodeTiff(data))
+  },
+  {
+    name: 'bmp-to-png',
+    from: ['image/bmp', 'image/x-bmp', 'image/x-ms-bmp'],
+    to: 'image/png',
+    transcode: data => {
+      const decoded = decodeBmp(data);
+      if (decoded.encoded) {
+        if (decoded.contentType !== 'image/png') throw new Error('BMP contains an embedded JPEG');
+        return Buffer.from(decoded.encoded);
+      }
+      return encodePng(decoded);
+    }
+  }
+];
+
+/**
+ * Work out the content type of image data from its signature
+ *
+ * @param {Buffer} data - Image data
+ * @param {string} partPath - Media part path, used when the signature is not recognised (optional)
+ * @returns {string|null} - Content type
+ */
+function detectImageType(data, partPath = null) {
+  if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length >= 6 && data.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (data.length >= 4 && (data.toString('ascii', 0, 4) === 'II*\u0000' || data.toString('ascii', 0, 4) === 'MM\u0000*')) return 'image/tiff';
+  if (data.length >= 2 && data.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  if (data.length >= 44 && data.readUInt32LE(0) === 1 && data.readUInt32LE(40) === 0x464d4520) return 'image/x-emf';
+  if (data.length >= 4 && data.readUInt32LE(0) === 0x9ac6cdd7) return 'image/x-wmf';
+  if (data.length >= 18 && (data.readUInt16LE(0) === 1 || data.readUInt16LE(0) === 2) && data.readUInt16LE(2) === 9) return 'image/x-wmf';
+
+  const extension = partPath ? partPath.split('.').pop().toLowerCase() : '';
+  return EXTENSION_CONTENT_TYPES[extension] || null;
+}
+
+/**
+ * Check whether browsers can display an image type
+ *
+ * @param {string} contentType - Content type
+ * @returns {boolean} - True for web image types
+ */
+function isWebImageType(contentType) {
+  return WEB_IMAGE_TYPES.includes(contentType);
+}
+
+/**
+ * Get the transcoders to use, custom ones first
+ *
+ * @param {Array} customTranscoders - Transcoders from the conversion options (optional)
+ * @returns {Array} - Transcoders
+ */
+function getImageTranscoders(customTranscoders = []) {
+  return [...(customTranscoders || []), ...DEFAULT_TRANSCODERS];
+}
+
+/**
+ * Transcode an image with the first transcoder that succeeds
+ *
+ * @param {Buffer} data - Image data
+ * @param {string} contentType - Image content type
+ * @param {Array} transcoders - Transcoders to try
+ * @returns {Promise<Object|null>} - { data, contentType, transcoder } on success, { errors } when
+ *   every matching transcoder failed, or null when no transcoder handles the type
+ */
+async function transcodeImage(data, contentType, transcoders = DEFAULT_TRANSCODERS) {
+  const candidates = transcoders.filter(transcoder => transcoder.from.includes(contentType));
+  if (candidates.length === 0) return null;
+
+  const errors = [];
+  for (const transcoder of candidates) {
+    try {
+      const output = await transcoder.transcode(data);
+      if (output && output.length > 0) {
+        return {
+          data: Buffer.isBuffer(output) ? output : Buffer.from(output),
+          contentType: transcoder.to,
+          transcoder: transcoder.name
+        };
+      }
+      errors.push(`${transcoder.name}: no output`);
+    } catch (error) {
+      errors.push(`${transcoder.name}: ${error.message}`);
+    }
+  }
+
+  return { errors };
+}
+
+module.exports = {
+  DEFAULT_TRANSCODERS,
+  detectImageType,
+  isWebImageType,
+  getImageTranscoders,
+  transcodeImage
+};
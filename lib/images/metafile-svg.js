@@ -0,0 +1,846 @@
+// lib/images/metafile-svg.js - Shared SVG drawing context for EMF and WMF conversion
+//
+// Both metafile formats are sequences of GDI drawing calls. The record parsers
+// (emf-converter.js, wmf-converter.js) decode the records and call this
+// context, which keeps the GDI device context state (objects, colours, mapping
+// mode, transforms, clipping, paths) and writes the equivalent SVG elements.
+
+const { decodeDib } = require('./bmp-decoder');
+const { encodePng } = require('./png-encoder');
+
+/**
+ * GDI mapping modes
+ */
+const MAP_MODES = {
+  TEXT: 1,
+  LOMETRIC: 2,
+  HIMETRIC: 3,
+  LOENGLISH: 4,
+  HIENGLISH: 5,
+  TWIPS: 6,
+  ISOTROPIC: 7,
+  ANISOTROPIC: 8
+};
+
+/**
+ * Millimetres per logical unit for the fixed mapping modes
+ */
+const FIXED_MODE_MM = {
+  [MAP_MODES.LOMETRIC]: 0.1,
+  [MAP_MODES.HIMETRIC]: 0.01,
+  [MAP_MODES.LOENGLISH]: 0.254,
+  [MAP_MODES.HIENGLISH]: 0.0254,
+  [MAP_MODES.TWIPS]: 25.4 / 1440
+};
+
+/**
+ * Stock objects selected with an index that has the high bit set
+ */
+const STOCK_OBJECTS = {
+  0: { type: 'brush', color: '#ffffff' },
+  1: { type: 'brush', color: '#c0c0c0' },
+  2: { type: 'brush', color: '#808080' },
+  3: { type: 'brush', color: '#404040' },
+  4: { type: 'brush', color: '#000000' },
+  5: { type: 'brush', color: null },
+  6: { type: 'pen', color: '#ffffff', width: 0, style: 0 },
+  7: { type: 'pen', color: '#000000', width: 0, style: 0 },
+  8: { type: 'pen', color: null, width: 0, style: 5 },
+  18: { type: 'brush', color: '#ffffff' },
+  19: { type: 'pen', color: '#000000', width: 0, style: 0 }
+};
+
+/**
+ * Pen styles
+ */
+const PS_DASH = 1;
+const PS_DOT = 2;
+const PS_DASHDOT = 3;
+const PS_DASHDOTDOT = 4;
+const PS_NULL = 5;
+
+/**
+ * Dash patterns in multiples of the pen width
+ */
+const DASH_PATTERNS = {
+  [PS_DASH]: [4, 2],
+  [PS_DOT]: [1, 1],
+  [PS_DASHDOT]: [4, 2, 1, 2],
+  [PS_DASHDOTDOT]: [4, 2, 1, 2, 1, 2]
+};
+
+/**
+ * Hatch brush line paths within an 8x8 cell
+ */
+const HATCH_PATHS = {
+  0: 'M0 4H8',
+  1: 'M4 0V8',
+  2: 'M0 0L8 8',
+  3: 'M0 8L8 0',
+  4: 'M0 4H8M4 0V8',
+  5: 'M0 0L8 8M0 8L8 0'
+};
+
+/**
+ * Create a metafile drawing context
+ *
+ * @param {Object} options - Context options
+ * @param {Function} options.pageTransform - Optional override mapping logical (world) coordinates to output coordinates
+ * @param {number} options.deviceUnitsPerMm - Output units per millimetre, for the fixed mapping modes
+ * @returns {Object} - Drawing context
+ */
+function createMetafileContext(options = {}) {
+  const elements = [];
+  const defs = [];
+  const patternIds = new Map();
+  let clipCount = 0;
+
+  const ctx = {
+    objects: [],
+    state: createInitialState(),
+    stack: [],
+    elements,
+    pageTransform: options.pageTransform || null,
+    deviceUnitsPerMm: options.deviceUnitsPerMm || 96 / 25.4,
+    path: null,
+    drawCount: 0
+  };
+
+  // ---- Coordinate mapping ----
+
+  /**
+   * Map a logical point to output coordinates
+   */
+  ctx.point = (x, y) => {
+    const m = ctx.state.transform;
+    const wx = m.a * x + m.c * y + m.e;
+    const wy = m.b * x + m.d * y + m.f;
+    if (ctx.pageTransform) return ctx.pageTransform(ctx.state, wx, wy);
+
+    const { sx, sy } = getPageScale(ctx);
+    const s = ctx.state;
+    return [
+      (wx - s.windowOrg[0]) * sx + s.viewportOrg[0],
+      (wy - s.windowOrg[1]) * sy + s.viewportOrg[1]
+    ];
+  };
+
+  /**
+   * Get the output scale of a logical length along x and y
+   */
+  ctx.scale = () => {
+    const [x0, y0] = ctx.point(0, 0);
+    const [x1, y1] = ctx.point(1, 0);
+    const [x2, y2] = ctx.point(0, 1);
+    return {
+      x: Math.hypot(x1 - x0, y1 - y0),
+      y: Math.hypot(x2 - x0, y2 - y0),
+      flipped: (x1 - x0) * (y2 - y0) - (y1 - y0) * (x2 - x0) < 0
+    };
+  };
+
+  // ---- Device context state ----
+
+  ctx.save = () => {
+    ctx.stack.push(cloneState(ctx.state));
+  };
+
+  ctx.restore = (relative = -1) => {
+    const count = relative < 0 ? -relative : ctx.stack.length - relative;
+    for (let i = 0; i < count && ctx.stack.length > 0; i++) {
+      ctx.state = ctx.stack.pop();
+    }
+  };
+
+  ctx.setTransform = matrix => {
+    ctx.state.transform = matrix;
+  };
+
+  ctx.modifyTransform = (matrix, mode) => {
+    const current = ctx.state.transform;
+    if (mode === 1) ctx.state.transform = identityMatrix();
+    else if (mode === 2) ctx.state.transform = multiplyMatrix(matrix, current);
+    else if (mode === 3) ctx.state.transform = multiplyMatrix(current, matrix);
+    else if (mode === 4) ctx.state.transform = matrix;
+  };
+
+  ctx.addObject = (object, index = null) => {
+    if (index === null) {
+      index = ctx.objects.findIndex(existing => !existing);
+      if (index === -1) index = ctx.objects.length;
+    }
+    ctx.objects[index] = object;
+    return index;
+  };
+
+  ctx.selectObject = index => {
+    const object = index & 0x80000000 ? STOCK_OBJECTS[index & 0x7fffffff] : ctx.objects[index];
+    if (!object) return;
+    if (object.type === 'pen') ctx.state.pen = object;
+    else if (object.type === 'brush') ctx.state.brush = object;
+    else if (object.type === 'font') ctx.state.font = object;
+  };
+
+  ctx.deleteObject = index => {
+    ctx.objects[index] = null;
+  };
+
+  // ---- Paths ----
+
+  ctx.beginPath = () => {
+    ctx.path = { d: '' };
+  };
+
+  ctx.endPath = () => {
+    if (ctx.path) ctx.path.closed = true;
+  };
+
+  ctx.abortPath = () => {
+    ctx.path = null;
+  };
+
+  ctx.closeFigure = () => {
+    if (ctx.path) ctx.path.d += 'Z';
+  };
+
+  /**
+   * Draw path data: added to the open path bracket, or emitted as a shape
+   */
+  const draw = (d, { fill = false, stroke = true, closed = false } = {}) => {
+    if (!d) return;
+    if (ctx.path && !ctx.path.closed) {
+      ctx.path.d += d + (closed ? 'Z' : '');
+      return;
+    }
+    emitPath(d + (closed ? 'Z' : ''), fill, stroke);
+  };
+
+  ctx.fillPath = () => finishPath(true, false);
+  ctx.strokePath = () => finishPath(false, true);
+  ctx.strokeAndFillPath = () => finishPath(true, true);
+
+  const finishPath = (fill, stroke) => {
+    if (ctx.path && ctx.path.d) emitPath(ctx.path.d, fill, stroke);
+    ctx.path = null;
+  };
+
+  // ---- Clipping ----
+
+  ctx.clipToPath = mode => {
+    if (!ctx.path || !ctx.path.d) return;
+    setClip(`<path d="${ctx.path.d}"${ctx.state.fillRule === 'evenodd' ? ' clip-rule="evenodd"' : ''}/>`, mode !== 5);
+    ctx.path = null;
+  };
+
+  ctx.intersectClipRect = (left, top, right, bottom) => {
+    setClip(`<path d="${rectPath(left, top, right, bottom)}"/>`, true);
+  };
+
+  ctx.excludeClipRect = (left, top, right, bottom) => {
+    const outside = 'M-100000 -100000H100000V100000H-100000Z';
+    setClip(`<path d="${outside}${rectPath(left, top, right, bottom)}" clip-rule="evenodd"/>`, true);
+  };
+
+  /**
+   * Set the clip region from rectangles in output coordinates
+   */
+  ctx.setClipRects = (rects, intersect = false) => {
+    if (rects.length === 0) {
+      if (!intersect) ctx.state.clip = null;
+      return;
+    }
+    const d = rects.map(([l, t, r, b]) => `M${fmt(l)} ${fmt(t)}H${fmt(r)}V${fmt(b)}H${fmt(l)}Z`).join('');
+    setClip(`<path d="${d}"/>`, intersect);
+  };
+
+  ctx.resetClip = () => {
+    ctx.state.clip = null;
+  };
+
+  const setClip = (shape, intersect) => {
+    const id = `clip${++clipCount}`;
+    const parent = intersect && ctx.state.clip ? ` clip-path="url(#${ctx.state.clip})"` : '';
+    defs.push(`<clipPath id="${id}" clipPathUnits="userSpaceOnUse"${parent}>${shape}</clipPath>`);
+    ctx.state.clip = id;
+  };
+
+  // ---- Shapes ----
+
+  const pointsPath = (points, closed) => {
+    if (points.length === 0) return '';
+    return points
+      .map(([x, y], i) => {
+        const [px, py] = ctx.point(x, y);
+        return `${i === 0 ? 'M' : 'L'}${fmt(px)} ${fmt(py)}`;
+      })
+      .join('') + (closed ? 'Z' : '');
+  };
+
+  const rectPath = (left, top, right, bottom) =>
+    pointsPath([[left, top], [right, top], [right, bottom], [left, bottom]], true);
+
+  ctx.moveTo = (x, y) => {
+    ctx.state.position = [x, y];
+    if (ctx.path && !ctx.path.closed) {
+      const [px, py] = ctx.point(x, y);
+      ctx.path.d += `M${fmt(px)} ${fmt(py)}`;
+    }
+  };
+
+  ctx.lineTo = (x, y) => {
+    ctx.polylineTo([[x, y]]);
+  };
+
+  ctx.polylineTo = points => {
+    if (points.length === 0) return;
+    const [sx, sy] = ctx.point(...ctx.state.position);
+    const segments = points.map(([x, y]) => {
+      const [px, py] = ctx.point(x, y);
+      return `L${fmt(px)} ${fmt(py)}`;
+    }).join('');
+    appendFromPosition(`M${fmt(sx)} ${fmt(sy)}`, segments);
+    ctx.state.position = points[points.length - 1];
+  };
+
+  ctx.polyBezierTo = points => {
+    let d = '';
+    for (let i = 0; i + 2 < points.length; i += 3) {
+      d += 'C' + [points[i], points[i + 1], points[i + 2]].map(([x, y]) => {
+        const [px, py] = ctx.point(x, y);
+        return `${fmt(px)} ${fmt(py)}`;
+      }).join(' ');
+    }
+    if (!d) return;
+    const [sx, sy] = ctx.point(...ctx.state.position);
+    appendFromPosition(`M${fmt(sx)} ${fmt(sy)}`, d);
+    ctx.state.position = points[points.length - 1];
+  };
+
+  /**
+   * Continue the open figure of a path, or stroke a separate segment
+   */
+  const appendFromPosition = (move, segments) => {
+    if (ctx.path && !ctx.path.closed) {
+      if (!ctx.path.d) ctx.path.d = move;
+      ctx.path.d += segments;
+    } else {
+      emitPath(move + segments, false, true);
+    }
+  };
+
+  ctx.polyline = points => draw(pointsPath(points, false), { stroke: true });
+
+  ctx.polygon = points => draw(pointsPath(points, true), { fill: true, stroke: true });
+
+  ctx.polyPolygon = polygons => draw(polygons.map(points => pointsPath(points, true)).join(''), { fill: true, stroke: true });
+
+  ctx.polyPolyline = polylines => draw(polylines.map(points => pointsPath(points, false)).join(''), { stroke: true });
+
+  ctx.polyBezier = points => {
+    if (points.length < 4) return;
+    const [first, ...rest] = points;
+    const [mx, my] = ctx.point(...first);
+    let d = `M${fmt(mx)} ${fmt(my)}`;
+    for (let i = 0; i + 2 < rest.length; i += 3) {
+      d += 'C' + [rest[i], rest[i + 1], rest[i + 2]].map(([x, y]) => {
+        const [px, py] = ctx.point(x, y);
+        return `${fmt(px)} ${fmt(py)}`;
+      }).join(' ');
+    }
+    draw(d, { stroke: true });
+  };
+
+  ctx.rectangle = (left, top, right, bottom) => {
+    draw(rectPath(left, top, right, bottom), { fill: true, stroke: true });
+  };
+
+  ctx.roundRect = (left, top, right, bottom, width, height) => {
+    const rx = Math.min(Math.abs(width) / 2, Math.abs(right - left) / 2);
+    const ry = Math.min(Math.abs(height) / 2, Math.abs(bottom - top) / 2);
+    const [l, r] = [Math.min(left, right), Math.max(left, right)];
+    const [t, b] = [Math.min(top, bottom), Math.max(top, bottom)];
+    const segments = [
+      ...ellipseArc(r - rx, t + ry, rx, ry, -Math.PI / 2, 0),
+      ...ellipseArc(r - rx, b - ry, rx, ry, 0, Math.PI / 2),
+      ...ellipseArc(l + rx, b - ry, rx, ry, Math.PI / 2, Math.PI),
+      ...ellipseArc(l + rx, t + ry, rx, ry, Math.PI, Math.PI * 1.5)
+    ];
+    draw(curvesPath(segments, true), { fill: true, stroke: true });
+  };
+
+  ctx.ellipse = (left, top, right, bottom) => {
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const segments = ellipseArc(cx, cy, Math.abs(right - left) / 2, Math.abs(bottom - top) / 2, 0, Math.PI * 2);
+    draw(curvesPath(segments, true), { fill: true, stroke: true });
+  };
+
+  /**
+   * Draw an elliptical arc, chord or pie defined by a bounding box and two radial points
+   *
+   * @param {string} kind - 'arc', 'arcTo', 'chord' or 'pie'
+   */
+  ctx.arc = (kind, left, top, right, bottom, startX, startY, endX, endY) => {
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const rx = Math.abs(right - left) / 2;
+    const ry = Math.abs(bottom - top) / 2;
+    if (!rx || !ry) return;
+
+    const start = Math.atan2((startY - cy) / ry, (startX - cx) / rx);
+    let end = Math.atan2((endY - cy) / ry, (endX - cx) / rx);
+
+    // Arcs run counterclockwise on the device by default; with y pointing
+    // down that is decreasing angle, reversed when the mapping flips an axis
+    const counterclockwise = ctx.state.arcDirection !== 2;
+    const decreasing = counterclockwise !== ctx.scale().flipped;
+    if (decreasing) {
+      while (end >= start) end -= Math.PI * 2;
+    } else {
+      while (end <= start) end += Math.PI * 2;
+    }
+
+    const segments = ellipseArc(cx, cy, rx, ry, start, end);
+
+    if (kind === 'arcTo') {
+      // A line from the current position to the start of the arc, then the arc
+      const [sx, sy] = ctx.point(...ctx.state.position);
+      const [ax, ay] = ctx.point(...segments[0][0]);
+      appendFromPosition(`M${fmt(sx)} ${fmt(sy)}`, `L${fmt(ax)} ${fmt(ay)}` + curvesSegments(segments));
+      ctx.state.position = segments[segments.length - 1][3];
+      return;
+    }
+
+    let d = curvesPath(segments, false);
+    if (kind === 'pie') {
+      const [px, py] = ctx.point(cx, cy);
+      d += `L${fmt(px)} ${fmt(py)}Z`;
+    } else if (kind === 'chord') {
+      d += 'Z';
+    }
+    draw(d, { fill: kind !== 'arc', stroke: true });
+  };
+
+  /**
+   * Fill a rectangle with the current brush, ignoring the pen (PatBlt)
+   */
+  ctx.fillRect = (left, top, right, bottom, color = undefined) => {
+    const fill = color !== undefined ? color : fillAttributes(ctx.state.brush);
+    if (!fill) return;
+    const attributes = typeof fill === 'string' ? `fill="${fill}"` : fill;
+    emitElement(`<path d="${rectPath(left, top, right, bottom)}" ${attributes} stroke="none"/>`);
+  };
+
+  const curvesSegments = segments => segments.map(([, c1, c2, p]) => 'C' + [c1, c2, p].map(([x, y]) => {
+    const [px, py] = ctx.point(x, y);
+    return `${fmt(px)} ${fmt(py)}`;
+  }).join(' ')).join('');
+
+  const curvesPath = (segments, closed) => {
+    if (segments.length === 0) return '';
+    const [sx, sy] = ctx.point(...segments[0][0]);
+    return `M${fmt(sx)} ${fmt(sy)}` + curvesSegments(segments) + (closed ? 'Z' : '');
+  };
+
+  // ---- Text and images ----
+
+  /**
+   * Draw text at a logical reference point
+   *
+   * @param {number} x - Reference point x
+   * @param {number} y - Reference point y
+   * @param {string} text - Text
+   * @param {Object} options - { dx: character advances in logical units, opaqueRect, clipRect }
+   */
+  ctx.text = (x, y, text, { dx = null, opaqueRect = null } = {}) => {
+    const state = ctx.state;
+    const font = state.font || { height: -12, weight: 400, italic: false, face: 'Arial', escapement: 0 };
+    const scale = ctx.scale();
+
+    if (opaqueRect) {
+      ctx.fillRect(...opaqueRect, state.bkColor);
+    }
+
+    const clean = (text || '').replace(/[\u0000-\u001f]/g, '');
+    if (!clean.trim()) return;
+
+    const useCurrentPosition = (state.textAlign & 1) === 1;
+    const [rx, ry] = useCurrentPosition ? state.position : [x, y];
+    const [px, py] = ctx.point(rx, ry);
+    const size = Math.abs(font.height || 12) * (font.height > 0 ? 0.85 : 1) * scale.y;
+    const angle = -(font.escapement || 0) / 10;
+
+    const horizontal = state.textAlign & 6;
+    const vertical = state.textAlign & 24;
+    const baselineShift = vertical === 24 ? 0 : vertical === 8 ? -size * 0.2 : size * 0.8;
+
+    const attributes = [
+      `font-family="${escapeXml(font.face || 'Arial')}"`,
+      `font-size="${fmt(size)}"`,
+      font.weight >= 600 ? 'font-weight="bold"' : '',
+      font.italic ? 'font-style="italic"' : '',
+      font.underline || font.strikeOut
+        ? `text-decoration="${[font.underline ? 'underline' : '', font.strikeOut ? 'line-through' : ''].join(' ').trim()}"`
+        : '',
+      `fill="${state.textColor}"`,
+      angle ? `transform="rotate(${fmt(angle)} ${fmt(px)} ${fmt(py)})"` : '',
+      'xml:space="preserve"'
+    ].filter(Boolean);
+
+    let xAttribute;
+    if (dx && dx.length >= clean.length && !angle) {
+      const total = dx.slice(0, clean.length).reduce((sum, advance) => sum + advance, 0) * scale.x;
+      const start = horizontal === 2 ? px - total : horizontal === 6 ? px - total / 2 : px;
+      const positions = [];
+      let position = start;
+      for (let i = 0; i < clean.length; i++) {
+        positions.push(fmt(position));
+        position += dx[i] * scale.x;
+      }
+      xAttribute = `x="${positions.join(' ')}"`;
+    } else {
+      xAttribute = `x="${fmt(px)}"`;
+      if (horizontal === 2) attributes.push('text-anchor="end"');
+      else if (horizontal === 6) attributes.push('text-anchor="middle"');
+    }
+
+    emitElement(`<text ${xAttribute} y="${fmt(py + baselineShift)}" ${attributes.join(' ')}>${escapeXml(clean)}</text>`);
+
+    if (useCurrentPosition && dx) {
+      const advance = dx.slice(0, clean.length).reduce((sum, value) => sum + value, 0);
+      state.position = [rx + advance, ry];
+    }
+  };
+
+  /**
+   * Draw a bitmap into a logical destination rectangle
+   *
+   * @param {Object} bitmap - { href } data URI, or { buffer, headerOffset, bitsOffset } DIB
+   * @param {number} x - Destination x
+   * @param {number} y - Destination y
+   * @param {number} width - Destination width (logical)
+   * @param {number} height - Destination height (logical)
+   * @param {Array<number>} source - Optional source rectangle [x, y, width, height] in bitmap pixels
+   */
+  ctx.image = (bitmap, x, y, width, height, source = null) => {
+    const image = bitmap.href ? bitmap : dibToDataUri(bitmap);
+    if (!image) return;
+
+    const [x0, y0] = ctx.point(x, y);
+    const [x1, y1] = ctx.point(x + width, y + height);
+    const left = Math.min(x0, x1);
+    const top = Math.min(y0, y1);
+    const w = Math.abs(x1 - x0);
+    const h = Math.abs(y1 - y0);
+    if (!w || !h) return;
+
+    const flip = [];
+    if (x1 < x0) flip.push(`translate(${fmt(left * 2 + w)} 0) scale(-1 1)`);
+    if (y1 < y0) flip.push(`translate(0 ${fmt(top * 2 + h)}) scale(1 -1)`);
+    const transform = flip.length > 0 ? ` transform="${flip.join(' ')}"` : '';
+
+    const sourceRect = source && image.width && (source[0] || source[1] || source[2] !== image.width || source[3] !== image.height)
+      ? source
+      : null;
+
+    if (sourceRect) {
+      emitElement(
+        `<svg x="${fmt(left)}" y="${fmt(top)}" width="${fmt(w)}" height="${fmt(h)}" viewBox="${sourceRect.map(fmt).join(' ')}" preserveAspectRatio="none"${transform}>` +
+        `<image width="${image.width}" height="${image.height}" href="${image.href}"/></svg>`
+      );
+    } else {
+      emitElement(
+        `<image x="${fmt(left)}" y="${fmt(top)}" width="${fmt(w)}" height="${fmt(h)}" preserveAspectRatio="none" href="${image.href}"${transform}/>`
+      );
+    }
+  };
+
+  // ---- Output ----
+
+  const emitPath = (d, fill, stroke) => {
+    const fillAttr = fill ? fillAttributes(ctx.state.brush) : null;
+    const strokeAttr = stroke ? strokeAttributes(ctx.state.pen) : null;
+    if (!fillAttr && !strokeAttr) return;
+
+    const attributes = [
+      fillAttr || 'fill="none"',
+      fillAttr && ctx.state.fillRule === 'evenodd' ? 'fill-rule="evenodd"' : '',
+      strokeAttr || ''
+    ].filter(Boolean);
+    emitElement(`<path d="${d}" ${attributes.join(' ')}/>`);
+  };
+
+  const emitElement = element => {
+    const clip = ctx.state.clip ? `<g clip-path="url(#${ctx.state.clip})">${element}</g>` : element;
+    elements.push(clip);
+    ctx.drawCount++;
+  };
+
+  const fillAttributes = brush => {
+    if (!brush || !brush.color) {
+      if (brush && brush.pattern) return `fill="url(#${getPatternId(brush)})"`;
+      return null;
+    }
+    if (brush.hatch !== undefined && HATCH_PATHS[brush.hatch]) {
+      return `fill="url(#${getPatternId(brush)})"`;
+    }
+    return `fill="${brush.color}"`;
+  };
+
+  const getPatternId = brush => {
+    const key = brush.pattern ? brush.pattern.href : `${brush.hatch}-${brush.color}-${ctx.state.bkMode}-${ctx.state.bkColor}`;
+    if (patternIds.has(key)) return patternIds.get(key);
+
+    const id = `pattern${patternIds.size + 1}`;
+    patternIds.set(key, id);
+
+    if (brush.pattern) {
+      const { width, height, href } = brush.pattern;
+      defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" width="${width}" height="${height}"><image width="${width}" height="${height}" href="${href}"/></pattern>`);
+    } else {
+      const background = ctx.state.bkMode === 2 ? `<rect width="8" height="8" fill="${ctx.state.bkColor}"/>` : '';
+      defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" width="8" height="8">${background}<path d="${HATCH_PATHS[brush.hatch]}" stroke="${brush.color}" stroke-width="1"/></pattern>`);
+    }
+    return id;
+  };
+
+  const strokeAttributes = pen => {
+    if (!pen || !pen.color || (pen.style & 0x0f) === PS_NULL) return null;
+
+    const scale = ctx.scale();
+    const width = pen.width > 0 ? pen.width * ((scale.x + scale.y) / 2) : 1;
+    const attributes = [`stroke="${pen.color}"`, `stroke-width="${fmt(Math.max(width, 0.25))}"`];
+
+    const dash = DASH_PATTERNS[pen.style & 0x0f];
+    if (dash) attributes.push(`stroke-dasharray="${dash.map(value => fmt(value * Math.max(width, 1))).join(' ')}"`);
+
+    const cap = pen.style & 0x0f00;
+    const join = pen.style & 0xf000;
+    attributes.push(`stroke-linecap="${cap === 0x0100 ? 'square' : cap === 0x0200 ? 'butt' : 'round'}"`);
+    attributes.push(`stroke-linejoin="${join === 0x1000 ? 'bevel' : join === 0x2000 ? 'miter' : 'round'}"`);
+    return attributes.join(' ');
+  };
+
+  /**
+   * Build the SVG document
+   *
+   * @param {Array<number>} viewBox - [x, y, width, height] in output coordinates
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @returns {string} - SVG document
+   */
+  ctx.toSvg = (viewBox, width, height) => {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${fmt(width)}" height="${fmt(height)}" viewBox="${viewBox.map(fmt).join(' ')}">`,
+      defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+      ...elements,
+      '</svg>',
+      ''
+    ].filter(line => line !== '').join('\n') + '\n';
+  };
+
+  return ctx;
+}
+
+/**
+ * Create the initial device context state
+ *
+ * @returns {Object} - State
+ */
+function createInitialState() {
+  return {
+    pen: STOCK_OBJECTS[7],
+    brush: STOCK_OBJECTS[0],
+    font: null,
+    textColor: '#000000',
+    bkColor: '#ffffff',
+    bkMode: 2,
+    fillRule: 'evenodd',
+    textAlign: 0,
+    arcDirection: 1,
+    position: [0, 0],
+    mapMode: MAP_MODES.TEXT,
+    windowOrg: [0, 0],
+    windowExt: [1, 1],
+    viewportOrg: [0, 0],
+    viewportExt: [1, 1],
+    transform: identityMatrix(),
+    clip: null
+  };
+}
+
+/**
+ * Copy a device context state for SaveDC
+ *
+ * @param {Object} state - State
+ * @returns {Object} - Copy
+ */
+function cloneState(state) {
+  return {
+    ...state,
+    position: [...state.position],
+    windowOrg: [...state.windowOrg],
+    windowExt: [...state.windowExt],
+    viewportOrg: [...state.viewportOrg],
+    viewportExt: [...state.viewportExt],
+    transform: { ...state.transform }
+  };
+}
+
+/**
+ * Get the window-to-viewport scale for the current mapping mode
+ *
+ * @param {Object} ctx - Drawing context
+ * @returns {Object} - { sx, sy }
+ */
+function getPageScale(ctx) {
+  const s = ctx.state;
+
+  if (s.mapMode === MAP_MODES.ANISOTROPIC || s.mapMode === MAP_MODES.ISOTROPIC) {
+    let sx = s.viewportExt[0] / (s.windowExt[0] || 1);
+    let sy = s.viewportExt[1] / (s.windowExt[1] || 1);
+    if (s.mapMode === MAP_MODES.ISOTROPIC) {
+      const magnitude = Math.min(Math.abs(sx), Math.abs(sy));
+      sx = Math.sign(sx) * magnitude;
+      sy = Math.sign(sy) * magnitude;
+    }
+    return { sx, sy };
+  }
+
+  if (FIXED_MODE_MM[s.mapMode]) {
+    const unit = FIXED_MODE_MM[s.mapMode] * ctx.deviceUnitsPerMm;
+    return { sx: unit, sy: -unit };
+  }
+
+  return { sx: 1, sy: 1 };
+}
+
+/**
+ * Cubic Bézier segments approximating an elliptical arc
+ *
+ * @param {number} cx - Centre x
+ * @param {number} cy - Centre y
+ * @param {number} rx - Radius x
+ * @param {number} ry - Radius y
+ * @param {number} start - Start angle (radians)
+ * @param {number} end - End angle (radians)
+ * @returns {Array} - Segments [start, control1, control2, end]
+ */
+function ellipseArc(cx, cy, rx, ry, start, end) {
+  const segments = [];
+  const count = Math.max(1, Math.ceil(Math.abs(end - start) / (Math.PI / 2) - 1e-9));
+  const step = (end - start) / count;
+  const k = (4 / 3) * Math.tan(step / 4);
+
+  for (let i = 0; i < count; i++) {
+    const a1 = start + i * step;
+    const a2 = a1 + step;
+    const p0 = [cx + rx * Math.cos(a1), cy + ry * Math.sin(a1)];
+    const p3 = [cx + rx * Math.cos(a2), cy + ry * Math.sin(a2)];
+    segments.push([
+      p0,
+      [p0[0] - k * rx * Math.sin(a1), p0[1] + k * ry * Math.cos(a1)],
+      [p3[0] + k * rx * Math.sin(a2), p3[1] - k * ry * Math.cos(a2)],
+      p3
+    ]);
+  }
+
+  return segments;
+}
+
+/**
+ * Identity transform
+ *
+ * @returns {Object} - Matrix { a, b, c, d, e, f }
+ */
+function identityMatrix() {
+  return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+}
+
+/**
+ * Combine two transforms: apply first, then second
+ *
+ * @param {Object} first - First transform
+ * @param {Object} second - Second transform
+ * @returns {Object} - Combined transform
+ */
+function multiplyMatrix(first, second) {
+  return {
+    a: first.a * second.a + first.b * second.c,
+    b: first.a * second.b + first.b * second.d,
+    c: first.c * second.a + first.d * second.c,
+    d: first.c * second.b + first.d * second.d,
+    e: first.e * second.a + first.f * second.c + second.e,
+    f: first.e * second.b + first.f * second.d + second.f
+  };
+}
+
+/**
+ * Convert a DIB to a PNG data URI
+ *
+ * @param {Object} bitmap - { buffer, headerOffset, bitsOffset }
+ * @returns {Object|null} - { href, width, height }
+ */
+function dibToDataUri({ buffer, headerOffset, bitsOffset }) {
+  try {
+    const decoded = decodeDib(buffer, headerOffset, bitsOffset);
+    if (decoded.encoded) {
+      return { href: `data:${decoded.contentType};base64,${decoded.encoded.toString('base64')}` };
+    }
+    return {
+      href: `data:image/png;base64,${encodePng(decoded).toString('base64')}`,
+      width: decoded.width,
+      height: decoded.height
+    };
+  } catch (error) {
+    console.error('Error decoding metafile bitmap:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Convert a GDI COLORREF (0x00BBGGRR) to a CSS colour
+ *
+ * @param {number} value - COLORREF
+ * @returns {string} - Hex colour
+ */
+function colorRefToHex(value) {
+  const r = value & 0xff;
+  const g = (value >> 8) & 0xff;
+  const b = (value >> 16) & 0xff;
+  return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Format a number for SVG output
+ *
+ * @param {number} value - Number
+ * @returns {string} - Number with at most two decimals
+ */
+function fmt(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Escape text for XML output
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  MAP_MODES,
+  createMetafileContext,
+  identityMatrix,
+  dibToDataUri,
+  colorRefToHex
+};
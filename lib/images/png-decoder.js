@@ -0,0 +1,235 @@
+// lib/images/png-decoder.js - PNG decoder used to resize images for srcset
+
+const zlib = require('zlib');
+
+/**
+ * Adam7 interlace passes: x start, y start, x step, y step
+ */
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Samples per pixel for each PNG colour type
+ */
+const COLOUR_TYPE_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a PNG image to RGBA pixels
+ *
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object} - { width, height, data } with 4 bytes per pixel, top row first
+ */
+function decodePng(buffer) {
+  if (buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504e47) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const content = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: content.readUInt32BE(0),
+        height: content.readUInt32BE(4),
+        bitDepth: content[8],
+        colourType: content[9],
+        interlace: content[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = content;
+    } else if (type === 'tRNS') {
+      transparency = content;
+    } else if (type === 'IDAT') {
+      dataChunks.push(content);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || !COLOUR_TYPE_CHANNELS[header.colourType]) {
+    throw new Error('Unsupported PNG header');
+  }
+
+  const { width, height } = header;
+  if (width <= 0 || height <= 0 || width * height > 100000000) {
+    throw new Error(`Unsupported PNG size ${width}x${height}`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(dataChunks));
+  const data = new Uint8Array(width * height * 4);
+  const readPixel = createPixelReader(header, palette, transparency);
+
+  if (header.interlace === 1) {
+    let position = 0;
+    for (const [startX, startY, stepX, stepY] of ADAM7_PASSES) {
+      const passWidth = Math.ceil((width - startX) / stepX);
+      const passHeight = Math.ceil((height - startY) / stepY);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      const pass = unfilter(raw, position, passWidth, passHeight, header);
+      position = pass.end;
+      for (let y = 0; y < passHeight; y++) {
+        for (let x = 0; x < passWidth; x++) {
+          const target = ((startY + y * stepY) * width + startX + x * stepX) * 4;
+          readPixel(pass.rows[y], x, data, target);
+        }
+      }
+    }
+  } else {
+    const { rows } = unfilter(raw, 0, width, height, header);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        readPixel(rows[y], x, data, (y * width + x) * 4);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Reverse the PNG row filters for one image or interlace pass
+ *
+ * @param {Buffer} raw - Inflated image data
+ * @param {number} start - Offset of the first row
+ * @param {number} width - Pass width in pixels
+ * @param {number} height - Pass height in pixels
+ * @param {Object} header - PNG header
+ * @returns {Object} - { rows: Array<Uint8Array>, end: offset after the last row }
+ */
+function unfilter(raw, start, width, height, header) {
+  const bitsPerPixel = COLOUR_TYPE_CHANNELS[header.colourType] * header.bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = [];
+  let previous = new Uint8Array(rowBytes);
+  let position = start;
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[position];
+    const row = Uint8Array.from(raw.subarray(position + 1, position + 1 + rowBytes));
+    if (row.length < rowBytes) throw new Error('PNG image data is truncated');
+
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      switch (filter) {
+        case 1: row[i] = (row[i] + left) & 0xff; break;
+        case 2: row[i] = (row[i] + up) & 0xff; break;
+        case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+        default: break;
+      }
+    }
+
+    rows.push(row);
+    previous = row;
+    position += rowBytes + 1;
+  }
+
+  return { rows, end: position };
+}
+
+/**
+ * Paeth predictor
+ *
+ * @param {number} a - Left byte
+ * @param {number} b - Upper byte
+ * @param {number} c - Upper left byte
+ * @returns {number} - Predicted byte
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Create a function that writes one pixel of a row as RGBA
+ *
+ * @param {Object} header - PNG header
+ * @param {Buffer} palette - PLTE chunk (optional)
+ * @param {Buffer} transparency - tRNS chunk (optional)
+ * @returns {Function} - (row, x, output, target) => void
+ */
+function createPixelReader(header, palette, transparency) {
+  const { bitDepth, colourType } = header;
+  const maxValue = (1 << bitDepth) - 1;
+
+  const sample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const bitOffset = index * bitDepth;
+    return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxValue;
+  };
+  const scale = value => (bitDepth === 8 ? value : Math.round((value * 255) / maxValue));
+  const transparentValue = index =>
+    transparency && transparency.length >= index * 2 + 2 ? transparency.readUInt16BE(index * 2) : null;
+
+  switch (colourType) {
+    case 0: {
+      const key = transparentValue(0);
+      return (row, x, output, target) => {
+        const value = sample(row, x);
+        output[target] = output[target + 1] = output[target + 2] = scale(value);
+        output[target + 3] = value === key ? 0 : 255;
+      };
+    }
+    case 2: {
+      const key = [transparentValue(0), transparentValue(1), transparentValue(2)];
+      return (row, x, output, target) => {
+        const r = sample(row, x * 3);
+        const g = sample(row, x * 3 + 1);
+        const b = sample(row, x * 3 + 2);
+        output[target] = scale(r);
+        output[target + 1] = scale(g);
+        output[target + 2] = scale(b);
+        output[target + 3] = r === key[0] && g === key[1] && b === key[2] ? 0 : 255;
+      };
+    }
+    case 3:
+      if (!palette) throw new Error('PNG palette is missing');
+      return (row, x, output, target) => {
+        const index = sample(row, x);
+        output[target] = palette[index * 3] || 0;
+        output[target + 1] = palette[index * 3 + 1] || 0;
+        output[target + 2] = palette[index * 3 + 2] || 0;
+        output[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      };
+    case 4:
+      return (row, x, output, target) => {
+        output[target] = output[target + 1] = output[target + 2] = scale(sample(row, x * 2));
+        output[target + 3] = scale(sample(row, x * 2 + 1));
+      };
+    default:
+      return (row, x, output, target) => {
+        for (let channel = 0; channel < 4; channel++) {
+          output[target + channel] = scale(sample(row, x * 4 + channel));
+        }
+      };
+  }
+}
+
+module.exports = {
+  decodePng
+};
@@ -0,0 +1,119 @@
+// lib/images/png-encoder.js - Minimal PNG encoder for decoded raster images
+
+const zlib = require('zlib');
+
+/**
+ * PNG file signature
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * CRC-32 lookup table used for PNG chunk checksums
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Encode an RGBA image as PNG
+ * Images without transparency are written as RGB
+ *
+ * @param {Object} image - Decoded image
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {Uint8Array} image.data - RGBA pixel data, 4 bytes per pixel, top row first
+ * @returns {Buffer} - PNG file contents
+ */
+function encodePng({ width, height, data }) {
+  if (!width || !height || data.length < width * height * 4) {
+    throw new Error(`Invalid image data for PNG encoding (${width}x${height})`);
+  }
+
+  const hasAlpha = hasTransparency(data, width * height);
+  const channels = hasAlpha ? 4 : 3;
+  const rowLength = width * channels + 1;
+  const raw = Buffer.alloc(rowLength * height);
+
+  for (let y = 0; y < height; y++) {
+    let out = y * rowLength + 1; // Filter byte 0 (none)
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      raw[out++] = data[i];
+      raw[out++] = data[i + 1];
+      raw[out++] = data[i + 2];
+      if (hasAlpha) raw[out++] = data[i + 3];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = hasAlpha ? 6 : 2; // Colour type RGBA or RGB
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter method
+  header[12] = 0; // No interlace
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Check whether any pixel is not fully opaque
+ *
+ * @param {Uint8Array} data - RGBA pixel data
+ * @param {number} pixelCount - Number of pixels
+ * @returns {boolean} - True if the image uses transparency
+ */
+function hasTransparency(data, pixelCount) {
+  for (let i = 0; i < pixelCount; i++) {
+    if (data[i * 4 + 3] !== 255) return true;
+  }
+  return false;
+}
+
+/**
+ * Create a PNG chunk
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} content - Chunk data
+ * @returns {Buffer} - Chunk with length and CRC
+ */
+function createChunk(type, content) {
+  const typeAndContent = Buffer.concat([Buffer.from(type, 'ascii'), content]);
+  const chunk = Buffer.alloc(typeAndContent.length + 8);
+  chunk.writeUInt32BE(content.length, 0);
+  typeAndContent.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(typeAndContent), typeAndContent.length + 4);
+  return chunk;
+}
+
+/**
+ * Calculate the CRC-32 of a buffer
+ *
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  encodePng
+};
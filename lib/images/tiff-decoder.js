@@ -0,0 +1,493 @@
+// lib/images/tiff-decoder.js - Baseline TIFF decoder
+//
+// Decodes the first page of a TIFF file to RGBA. Supports strips and tiles,
+// uncompressed, PackBits, LZW, Deflate and CCITT Group 3/4 compression,
+// bilevel, greyscale, palette, RGB and CMYK images with 1 to 16 bits per sample.
+
+const zlib = require('zlib');
+const { decodeCcitt } = require('./ccitt-decoder');
+
+/**
+ * TIFF tags used by the decoder
+ */
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  PHOTOMETRIC: 262,
+  FILL_ORDER: 266,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PLANAR_CONFIGURATION: 284,
+  T4_OPTIONS: 292,
+  PREDICTOR: 317,
+  COLOR_MAP: 320,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  EXTRA_SAMPLES: 338
+};
+
+/**
+ * Byte sizes of TIFF field types
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Photometric interpretations
+ */
+const WHITE_IS_ZERO = 0;
+const BLACK_IS_ZERO = 1;
+const RGB = 2;
+const PALETTE = 3;
+const CMYK = 5;
+
+/**
+ * Decode the first image in a TIFF file
+ *
+ * @param {Buffer} buffer - TIFF file contents
+ * @returns {Object} - Decoded image { width, height, data } with RGBA data
+ */
+function decodeTiff(buffer) {
+  const byteOrder = buffer.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') throw new Error('Not a TIFF file');
+
+  const little = byteOrder === 'II';
+  const reader = {
+    little,
+    u16: offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset)),
+    u32: offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset))
+  };
+
+  if (reader.u16(2) !== 42) throw new Error('Unsupported TIFF variant (BigTIFF is not supported)');
+
+  const tags = readIfd(buffer, reader, reader.u32(4));
+  const tag = (id, fallback) => (tags[id] ? tags[id][0] : fallback);
+
+  const image = {
+    width: tag(TAGS.IMAGE_WIDTH, 0),
+    height: tag(TAGS.IMAGE_LENGTH, 0),
+    samplesPerPixel: tag(TAGS.SAMPLES_PER_PIXEL, 1),
+    compression: tag(TAGS.COMPRESSION, 1),
+    photometric: tag(TAGS.PHOTOMETRIC, BLACK_IS_ZERO),
+    fillOrder: tag(TAGS.FILL_ORDER, 1),
+    planar: tag(TAGS.PLANAR_CONFIGURATION, 1),
+    predictor: tag(TAGS.PREDICTOR, 1),
+    t4Options: tag(TAGS.T4_OPTIONS, 0),
+    extraSamples: tags[TAGS.EXTRA_SAMPLES] || [],
+    colorMap: tags[TAGS.COLOR_MAP] || null,
+    littleEndian: little
+  };
+  image.bitsPerSample = (tags[TAGS.BITS_PER_SAMPLE] || [1])[0];
+
+  if (!image.width || !image.height || image.width * image.height > 100000000) {
+    throw new Error(`Unsupported TIFF size ${image.width}x${image.height}`);
+  }
+  if (image.planar !== 1 && image.samplesPerPixel > 1) {
+    throw new Error('Planar TIFF images are not supported');
+  }
+  if (![1, 2, 4, 8, 16].includes(image.bitsPerSample)) {
+    throw new Error(`Unsupported TIFF bit depth ${image.bitsPerSample}`);
+  }
+
+  const samples = readSamples(buffer, reader, tags, image);
+  return {
+    width: image.width,
+    height: image.height,
+    data: toRgba(samples, image)
+  };
+}
+
+/**
+ * Read the entries of an image file directory
+ *
+ * @param {Buffer} buffer - TIFF file contents
+ * @param {Object} reader - Byte-order aware readers
+ * @param {number} offset - IFD offset
+ * @returns {Object} - Tag values (arrays of numbers) by tag number
+ */
+function readIfd(buffer, reader, offset) {
+  const tags = {};
+  const count = reader.u16(offset);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const id = reader.u16(entry);
+    const type = reader.u16(entry + 2);
+    const valueCount = reader.u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    const valueOffset = size * valueCount > 4 ? reader.u32(entry + 8) : entry + 8;
+    const values = [];
+    for (let n = 0; n < valueCount && valueOffset + (n + 1) * size <= buffer.length; n++) {
+      const position = valueOffset + n * size;
+      if (size === 1) values.push(buffer[position]);
+      else if (size === 2) values.push(reader.u16(position));
+      else if (size === 4) values.push(reader.u32(position));
+      else values.push(reader.u32(position) / (reader.u32(position + 4) || 1));
+    }
+    tags[id] = values;
+  }
+
+  return tags;
+}
+
+/**
+ * Decompress all strips or tiles into one sample buffer (rows packed, top row first)
+ *
+ * @param {Buffer} buffer - TIFF file contents
+ * @param {Object} reader - Byte-order aware readers
+ * @param {Object} tags - Tag values
+ * @param {Object} image - Image description
+ * @returns {Uint8Array} - Packed samples for the whole image
+ */
+function readSamples(buffer, reader, tags, image) {
+  const { width, height, samplesPerPixel, bitsPerSample } = image;
+  const rowBytes = Math.ceil((width * samplesPerPixel * bitsPerSample) / 8);
+  const samples = new Uint8Array(rowBytes * height);
+
+  if (tags[TAGS.TILE_OFFSETS]) {
+    const tileWidth = tags[TAGS.TILE_WIDTH][0];
+    const tileHeight = tags[TAGS.TILE_LENGTH][0];
+    const tileRowBytes = Math.ceil((tileWidth * samplesPerPixel * bitsPerSample) / 8);
+    const tilesAcross = Math.ceil(width / tileWidth);
+    const bitsPerPixel = samplesPerPixel * bitsPerSample;
+
+    tags[TAGS.TILE_OFFSETS].forEach((offset, index) => {
+      const tile = decompressChunk(
+        buffer.subarray(offset, offset + tags[TAGS.TILE_BYTE_COUNTS][index]),
+        image,
+        tileWidth,
+        tileHeight,
+        reader
+      );
+      const tileX = (index % tilesAcross) * tileWidth;
+      const tileY = Math.floor(index / tilesAcross) * tileHeight;
+
+      for (let y = 0; y < tileHeight && tileY + y < height; y++) {
+        const columns = Math.min(tileWidth, width - tileX);
+        copyBits(tile, y * tileRowBytes * 8, samples, (tileY + y) * rowBytes * 8 + tileX * bitsPerPixel, columns * bitsPerPixel);
+      }
+    });
+  } else {
+    const offsets = tags[TAGS.STRIP_OFFSETS] || [];
+    const byteCounts = tags[TAGS.STRIP_BYTE_COUNTS] || [buffer.length - (offsets[0] || 0)];
+    const rowsPerStrip = Math.min(tags[TAGS.ROWS_PER_STRIP] ? tags[TAGS.ROWS_PER_STRIP][0] : height, height);
+
+    offsets.forEach((offset, index) => {
+      const firstRow = index * rowsPerStrip;
+      const rows = Math.min(rowsPerStrip, height - firstRow);
+      if (rows <= 0) return;
+
+      const strip = decompressChunk(buffer.subarray(offset, offset + byteCounts[index]), image, width, rows, reader);
+      samples.set(strip.subarray(0, Math.min(strip.length, rows * rowBytes)), firstRow * rowBytes);
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Copy a run of bits between packed buffers
+ *
+ * @param {Uint8Array} source - Source buffer
+ * @param {number} sourceBit - Source bit offset
+ * @param {Uint8Array} target - Target buffer
+ * @param {number} targetBit - Target bit offset
+ * @param {number} bitCount - Number of bits
+ */
+function copyBits(source, sourceBit, target, targetBit, bitCount) {
+  if (sourceBit % 8 === 0 && targetBit % 8 === 0 && bitCount % 8 === 0) {
+    target.set(source.subarray(sourceBit / 8, (sourceBit + bitCount) / 8), targetBit / 8);
+    return;
+  }
+  for (let i = 0; i < bitCount; i++) {
+    const s = sourceBit + i;
+    const t = targetBit + i;
+    if ((source[s >> 3] >> (7 - (s & 7))) & 1) target[t >> 3] |= 0x80 >> (t & 7);
+  }
+}
+
+/**
+ * Decompress one strip or tile and undo the predictor
+ *
+ * @param {Buffer} data - Compressed data
+ * @param {Object} image - Image description
+ * @param {number} width - Chunk width in pixels
+ * @param {number} rows - Chunk height in rows
+ * @param {Object} reader - Byte-order aware readers
+ * @returns {Uint8Array} - Packed samples
+ */
+function decompressChunk(data, image, width, rows, reader) {
+  const input = image.fillOrder === 2 ? reverseBits(data) : data;
+  const rowBytes = Math.ceil((width * image.samplesPerPixel * image.bitsPerSample) / 8);
+  let output;
+
+  switch (image.compression) {
+    case 1:
+      output = input;
+      break;
+    case 2:
+    case 3:
+    case 4:
+      output = decodeCcitt(input, {
+        compression: image.compression,
+        width,
+        height: rows,
+        t4Options: image.t4Options
+      });
+      break;
+    case 5:
+      output = decodeLzw(input, rowBytes * rows);
+      break;
+    case 8:
+    case 32946:
+      output = zlib.inflateSync(input);
+      break;
+    case 32773:
+      output = decodePackBits(input, rowBytes * rows);
+      break;
+    default:
+      throw new Error(`Unsupported TIFF compression ${image.compression}`);
+  }
+
+  if (image.predictor === 2) {
+    output = Uint8Array.from(output);
+    undoHorizontalPredictor(output, image, width, rows, rowBytes, reader.little);
+  }
+
+  return output;
+}
+
+/**
+ * Reverse the bit order of every byte (FillOrder 2)
+ *
+ * @param {Buffer} data - Data
+ * @returns {Uint8Array} - Data with reversed bit order
+ */
+function reverseBits(data) {
+  const output = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    let byte = data[i];
+    byte = ((byte & 0xf0) >> 4) | ((byte & 0x0f) << 4);
+    byte = ((byte & 0xcc) >> 2) | ((byte & 0x33) << 2);
+    byte = ((byte & 0xaa) >> 1) | ((byte & 0x55) << 1);
+    output[i] = byte;
+  }
+  return output;
+}
+
+/**
+ * Decode PackBits run-length data
+ *
+ * @param {Uint8Array} input - Compressed data
+ * @param {number} expectedLength - Decompressed length
+ * @returns {Uint8Array} - Decompressed data
+ */
+function decodePackBits(input, expectedLength) {
+  const output = new Uint8Array(expectedLength);
+  let i = 0;
+  let out = 0;
+
+  while (i < input.length && out < expectedLength) {
+    const n = (input[i++] << 24) >> 24;
+    if (n >= 0) {
+      for (let k = 0; k <= n && i < input.length; k++) output[out++] = input[i++];
+    } else if (n !== -128) {
+      const value = input[i++];
+      for (let k = 0; k < 1 - n; k++) output[out++] = value;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode TIFF LZW data (MSB-first codes with early code-width change)
+ *
+ * @param {Uint8Array} input - Compressed data
+ * @param {number} expectedLength - Decompressed length
+ * @returns {Uint8Array} - Decompressed data
+ */
+function decodeLzw(input, expectedLength) {
+  const CLEAR = 256;
+  const EOI = 257;
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const lengths = new Uint16Array(4096);
+  const first = new Uint8Array(4096);
+  const output = new Uint8Array(expectedLength);
+
+  for (let i = 0; i < 256; i++) {
+    suffix[i] = i;
+    first[i] = i;
+    lengths[i] = 1;
+    prefix[i] = -1;
+  }
+
+  let out = 0;
+  let bitPosition = 0;
+  let codeLength = 9;
+  let nextCode = 258;
+  let previous = -1;
+
+  const readCode = () => {
+    if (bitPosition + codeLength > input.length * 8) return EOI;
+    let code = 0;
+    for (let i = 0; i < codeLength; i++) {
+      const p = bitPosition + i;
+      code = (code << 1) | ((input[p >> 3] >> (7 - (p & 7))) & 1);
+    }
+    bitPosition += codeLength;
+    return code;
+  };
+
+  const writeString = code => {
+    const length = lengths[code];
+    for (let i = length - 1, c = code; i >= 0; i--, c = prefix[c]) {
+      if (out + i < expectedLength) output[out + i] = suffix[c];
+    }
+    out += length;
+  };
+
+  const addEntry = (code, character) => {
+    if (nextCode >= 4096) return;
+    prefix[nextCode] = code;
+    suffix[nextCode] = character;
+    lengths[nextCode] = lengths[code] + 1;
+    first[nextCode] = first[code];
+    nextCode++;
+    if (nextCode + 1 === 1 << codeLength && codeLength < 12) codeLength++;
+  };
+
+  while (out < expectedLength) {
+    const code = readCode();
+    if (code === EOI) break;
+
+    if (code === CLEAR) {
+      codeLength = 9;
+      nextCode = 258;
+      previous = -1;
+      continue;
+    }
+
+    if (previous === -1) {
+      if (code > 255) break;
+      writeString(code);
+    } else if (code < nextCode) {
+      writeString(code);
+      addEntry(previous, first[code]);
+    } else {
+      addEntry(previous, first[previous]);
+      writeString(nextCode - 1);
+    }
+    previous = code;
+  }
+
+  return output;
+}
+
+/**
+ * Undo horizontal differencing (Predictor 2)
+ *
+ * @param {Uint8Array} data - Decompressed samples (modified in place)
+ * @param {Object} image - Image description
+ * @param {number} width - Chunk width in pixels
+ * @param {number} rows - Chunk height in rows
+ * @param {number} rowBytes - Bytes per row
+ * @param {boolean} little - True for little-endian 16-bit samples
+ */
+function undoHorizontalPredictor(data, image, width, rows, rowBytes, little) {
+  const spp = image.samplesPerPixel;
+
+  for (let y = 0; y < rows; y++) {
+    const start = y * rowBytes;
+    if (image.bitsPerSample === 8) {
+      for (let i = spp; i < width * spp; i++) {
+        data[start + i] = (data[start + i] + data[start + i - spp]) & 0xff;
+      }
+    } else if (image.bitsPerSample === 16) {
+      const read = i => (little ? data[i] | (data[i + 1] << 8) : (data[i] << 8) | data[i + 1]);
+      for (let i = spp; i < width * spp; i++) {
+        const position = start + i * 2;
+        const value = (read(position) + read(position - spp * 2)) & 0xffff;
+        data[position] = little ? value & 0xff : value >> 8;
+        data[position + 1] = little ? value >> 8 : value & 0xff;
+      }
+    }
+  }
+}
+
+/**
+ * Convert packed samples to RGBA
+ *
+ * @param {Uint8Array} samples - Packed samples
+ * @param {Object} image - Image description
+ * @returns {Uint8Array} - RGBA pixel data
+ */
+function toRgba(samples, image) {
+  const { width, height, samplesPerPixel: spp, bitsPerSample: bps, photometric } = image;
+  const rowBytes = Math.ceil((width * spp * bps) / 8);
+  const max = (1 << bps) - 1;
+  const data = new Uint8Array(width * height * 4);
+  const colorChannels = photometric === RGB ? 3 : photometric === CMYK ? 4 : 1;
+  const hasAlpha = spp > colorChannels && image.extraSamples.length > 0 && image.extraSamples[0] !== 0;
+
+  const sample = (rowStart, index) => {
+    if (bps === 8) return samples[rowStart + index];
+    if (bps === 16) return samples[rowStart + index * 2 + (image.littleEndian ? 1 : 0)];
+    const bit = index * bps;
+    const value = (samples[rowStart + (bit >> 3)] >> (8 - bps - (bit & 7))) & max;
+    return Math.round((value * 255) / max);
+  };
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const base = x * spp;
+      const out = (y * width + x) * 4;
+      let r, g, b;
+
+      if (photometric === RGB) {
+        r = sample(rowStart, base);
+        g = sample(rowStart, base + 1);
+        b = sample(rowStart, base + 2);
+      } else if (photometric === CMYK) {
+        const k = 255 - sample(rowStart, base + 3);
+        r = Math.round(((255 - sample(rowStart, base)) * k) / 255);
+        g = Math.round(((255 - sample(rowStart, base + 1)) * k) / 255);
+        b = Math.round(((255 - sample(rowStart, base + 2)) * k) / 255);
+      } else if (photometric === PALETTE && image.colorMap) {
+        const bit = base * bps;
+        const index = bps === 8
+          ? samples[rowStart + base]
+          : (samples[rowStart + (bit >> 3)] >> (8 - bps - (bit & 7))) & max;
+        const entries = image.colorMap.length / 3;
+        r = image.colorMap[index] >> 8;
+        g = image.colorMap[entries + index] >> 8;
+        b = image.colorMap[entries * 2 + index] >> 8;
+      } else if (photometric === WHITE_IS_ZERO || photometric === BLACK_IS_ZERO) {
+        const value = sample(rowStart, base);
+        r = g = b = photometric === WHITE_IS_ZERO ? 255 - value : value;
+      } else {
+        throw new Error(`Unsupported TIFF photometric interpretation ${photometric}`);
+      }
+
+      data[out] = r;
+      data[out + 1] = g;
+      data[out + 2] = b;
+      data[out + 3] = hasAlpha ? sample(rowStart, base + colorChannels) : 255;
+    }
+  }
+
+  return data;
+}
+
+module.exports = {
+  decodeTiff
+};
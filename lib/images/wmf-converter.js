@@ -0,0 +1,532 @@
+// lib/images/wmf-converter.js - Convert Windows Metafiles (WMF) to SVG
+//
+// Plays the records of a (placeable) WMF into the shared metafile drawing
+// context. Logical coordinates are mapped through the metafile's window to an
+// output picture whose size comes from the placeable header.
+
+const {
+  createMetafileContext,
+  dibToDataUri,
+  colorRefToHex
+} = require('./metafile-svg');
+
+/**
+ * Placeable metafile header key
+ */
+const PLACEABLE_KEY = 0x9ac6cdd7;
+
+/**
+ * WMF record functions
+ */
+const META = {
+  EOF: 0x0000,
+  SETBKCOLOR: 0x0201,
+  SETBKMODE: 0x0102,
+  SETMAPMODE: 0x0103,
+  SETPOLYFILLMODE: 0x0106,
+  SETTEXTCOLOR: 0x0209,
+  SETWINDOWORG: 0x020b,
+  SETWINDOWEXT: 0x020c,
+  OFFSETWINDOWORG: 0x020f,
+  SCALEWINDOWEXT: 0x0410,
+  LINETO: 0x0213,
+  MOVETO: 0x0214,
+  EXCLUDECLIPRECT: 0x0415,
+  INTERSECTCLIPRECT: 0x0416,
+  ARC: 0x0817,
+  ELLIPSE: 0x0418,
+  PIE: 0x081a,
+  RECTANGLE: 0x041b,
+  ROUNDRECT: 0x061c,
+  PATBLT: 0x061d,
+  SAVEDC: 0x001e,
+  TEXTOUT: 0x0521,
+  POLYGON: 0x0324,
+  POLYLINE: 0x0325,
+  RESTOREDC: 0x0127,
+  SELECTCLIPREGION: 0x012c,
+  SELECTOBJECT: 0x012d,
+  SETTEXTALIGN: 0x012e,
+  CHORD: 0x0830,
+  EXTTEXTOUT: 0x0a32,
+  POLYPOLYGON: 0x0538,
+  DIBBITBLT: 0x0940,
+  DIBSTRETCHBLT: 0x0b41,
+  STRETCHDIB: 0x0f43,
+  SETDIBTODEV: 0x0d33,
+  DELETEOBJECT: 0x01f0,
+  CREATEPALETTE: 0x00f7,
+  CREATEPATTERNBRUSH: 0x01f9,
+  DIBCREATEPATTERNBRUSH: 0x0142,
+  CREATEPENINDIRECT: 0x02fa,
+  CREATEFONTINDIRECT: 0x02fb,
+  CREATEBRUSHINDIRECT: 0x02fc,
+  CREATEREGION: 0x06ff
+};
+
+/**
+ * Raster operations that copy the source bitmap
+ */
+const SOURCE_COPY_ROPS = [0x00cc0020, 0x00ee0086, 0x00c000ca];
+
+/**
+ * Raster operations that fill with the brush or a fixed colour
+ */
+const FILL_ROPS = {
+  0x00f00021: null,
+  0x00000042: '#000000',
+  0x00ff0062: '#ffffff'
+};
+
+/**
+ * Convert a WMF file to SVG
+ *
+ * @param {Buffer} buffer - WMF file contents
+ * @returns {string} - SVG document
+ */
+function convertWmfToSvg(buffer) {
+  let offset = 0;
+  let placeable = null;
+
+  if (buffer.length >= 22 && buffer.readUInt32LE(0) === PLACEABLE_KEY) {
+    placeable = {
+      bounds: [0, 2, 4, 6].map(delta => buffer.readInt16LE(6 + delta)),
+      inch: buffer.readUInt16LE(14) || 1440
+    };
+    offset = 22;
+  }
+
+  if (buffer.length < offset + 18) throw new Error('Not a WMF file');
+  const type = buffer.readUInt16LE(offset);
+  const headerWords = buffer.readUInt16LE(offset + 2);
+  if ((type !== 1 && type !== 2) || headerWords !== 9) throw new Error('Not a WMF file');
+  offset += 18;
+
+  const unit = placeable ? 96 / placeable.inch : 1;
+  let frame = null;
+
+  // The first window used for drawing defines the picture; later changes to
+  // the window move and scale the drawing relative to it, as on a device
+  const getFrame = state => {
+    if (!frame) {
+      const windowSet = state.windowExt[0] !== 1 || state.windowExt[1] !== 1;
+      if (windowSet || !placeable) {
+        frame = { org: [...state.windowOrg], ext: [...state.windowExt] };
+      } else {
+        const [left, top, right, bottom] = placeable.bounds;
+        frame = { org: [left, top], ext: [right - left, bottom - top] };
+      }
+    }
+    return frame;
+  };
+
+  const ctx = createMetafileContext({
+    pageTransform: (state, x, y) => {
+      const { ext } = getFrame(state);
+      const sx = (Math.abs(ext[0]) * unit) / (state.windowExt[0] || 1);
+      const sy = (Math.abs(ext[1]) * unit) / (state.windowExt[1] || 1);
+      return [(x - state.windowOrg[0]) * sx, (y - state.windowOrg[1]) * sy];
+    }
+  });
+
+  while (offset + 6 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset) * 2;
+    const fn = buffer.readUInt16LE(offset + 4);
+    if (fn === META.EOF || size < 6 || offset + size > buffer.length) break;
+
+    playRecord(ctx, fn, buffer.subarray(offset + 6, offset + size), size);
+    offset += size;
+  }
+
+  if (ctx.drawCount === 0 || !frame) throw new Error('WMF contains no drawing records');
+
+  let width = Math.abs(frame.ext[0]) * unit;
+  let height = Math.abs(frame.ext[1]) * unit;
+  let viewBox = [0, 0, width, height];
+
+  if (placeable) {
+    // The placeable bounds give the picture within the window
+    const [left, top, right, bottom] = placeable.bounds;
+    const corners = [[left, top], [right, bottom]].map(([x, y]) => [
+      ((x - frame.org[0]) * Math.abs(frame.ext[0]) * unit) / (frame.ext[0] || 1),
+      ((y - frame.org[1]) * Math.abs(frame.ext[1]) * unit) / (frame.ext[1] || 1)
+    ]);
+    const x0 = Math.min(corners[0][0], corners[1][0]);
+    const y0 = Math.min(corners[0][1], corners[1][1]);
+    width = Math.abs(corners[1][0] - corners[0][0]) || width;
+    height = Math.abs(corners[1][1] - corners[0][1]) || height;
+    viewBox = [x0, y0, width, height];
+  }
+
+  return ctx.toSvg(viewBox, width, height);
+}
+
+/**
+ * Play one WMF record
+ *
+ * @param {Object} ctx - Metafile drawing context
+ * @param {number} fn - Record function
+ * @param {Buffer} p - Record parameters
+ * @param {number} size - Record size in bytes (including the 6-byte record header)
+ */
+function playRecord(ctx, fn, p, size) {
+  const state = ctx.state;
+  const s = index => (index * 2 + 2 <= p.length ? p.readInt16LE(index * 2) : 0);
+
+  switch (fn) {
+    case META.SETBKCOLOR:
+      state.bkColor = colorRefToHex(p.readUInt32LE(0));
+      break;
+    case META.SETTEXTCOLOR:
+      state.textColor = colorRefToHex(p.readUInt32LE(0));
+      break;
+    case META.SETBKMODE:
+      state.bkMode = s(0);
+      break;
+    case META.SETMAPMODE:
+      state.mapMode = s(0);
+      break;
+    case META.SETPOLYFILLMODE:
+      state.fillRule = s(0) === 2 ? 'nonzero' : 'evenodd';
+      break;
+    case META.SETTEXTALIGN:
+      state.textAlign = p.readUInt16LE(0);
+      break;
+    case META.SETWINDOWORG:
+      state.windowOrg = [s(1), s(0)];
+      break;
+    case META.SETWINDOWEXT:
+      state.windowExt = [s(1), s(0)];
+      break;
+    case META.OFFSETWINDOWORG:
+      state.windowOrg = [state.windowOrg[0] + s(1), state.windowOrg[1] + s(0)];
+      break;
+    case META.SCALEWINDOWEXT:
+      state.windowExt = [
+        (state.windowExt[0] * s(3)) / (s(2) || 1),
+        (state.windowExt[1] * s(1)) / (s(0) || 1)
+      ];
+      break;
+    case META.MOVETO:
+      ctx.moveTo(s(1), s(0));
+      break;
+    case META.LINETO:
+      ctx.lineTo(s(1), s(0));
+      break;
+    case META.RECTANGLE:
+      ctx.rectangle(s(3), s(2), s(1), s(0));
+      break;
+    case META.ELLIPSE:
+      ctx.ellipse(s(3), s(2), s(1), s(0));
+      break;
+    case META.ROUNDRECT:
+      ctx.roundRect(s(5), s(4), s(3), s(2), s(1), s(0));
+      break;
+    case META.ARC:
+    case META.PIE:
+    case META.CHORD: {
+      const kind = fn === META.ARC ? 'arc' : fn === META.PIE ? 'pie' : 'chord';
+      ctx.arc(kind, s(7), s(6), s(5), s(4), s(3), s(2), s(1), s(0));
+      break;
+    }
+    case META.PATBLT: {
+      const rop = p.readUInt32LE(0);
+      const [height, width, y, x] = [s(2), s(3), s(4), s(5)];
+      if (rop in FILL_ROPS) ctx.fillRect(x, y, x + width, y + height, FILL_ROPS[rop] === null ? undefined : FILL_ROPS[rop]);
+      break;
+    }
+    case META.POLYGON:
+    case META.POLYLINE: {
+      const points = readPoints(p, 2, s(0));
+      if (fn === META.POLYGON) ctx.polygon(points);
+      else ctx.polyline(points);
+      break;
+    }
+    case META.POLYPOLYGON: {
+      const count = s(0);
+      let offset = 2 + count * 2;
+      const polygons = [];
+      for (let i = 0; i < count; i++) {
+        const pointCount = s(1 + i);
+        polygons.push(readPoints(p, offset, pointCount));
+        offset += pointCount * 4;
+      }
+      ctx.polyPolygon(polygons);
+      break;
+    }
+    case META.SAVEDC:
+      ctx.save();
+      break;
+    case META.RESTOREDC:
+      ctx.restore(s(0));
+      break;
+    case META.SELECTOBJECT: {
+      const object = ctx.objects[p.readUInt16LE(0)];
+      if (object && object.type === 'region') {
+        ctx.setClipRects(object.rects.map(rect => logicalRectToOutput(ctx, rect)), false);
+      } else {
+        ctx.selectObject(p.readUInt16LE(0));
+      }
+      break;
+    }
+    case META.SELECTCLIPREGION: {
+      const object = ctx.objects[p.readUInt16LE(0)];
+      if (object && object.type === 'region') {
+        ctx.setClipRects(object.rects.map(rect => logicalRectToOutput(ctx, rect)), false);
+      } else {
+        ctx.resetClip();
+      }
+      break;
+    }
+    case META.DELETEOBJECT:
+      ctx.deleteObject(p.readUInt16LE(0));
+      break;
+    case META.CREATEPENINDIRECT: {
+      const style = p.readUInt16LE(0);
+      ctx.addObject({
+        type: 'pen',
+        style,
+        width: s(1),
+        color: (style & 0x0f) === 5 ? null : colorRefToHex(p.readUInt32LE(6))
+      });
+      break;
+    }
+    case META.CREATEBRUSHINDIRECT: {
+      const style = p.readUInt16LE(0);
+      const brush = { type: 'brush', color: style === 1 ? null : colorRefToHex(p.readUInt32LE(2)) };
+      if (style === 2) brush.hatch = p.readUInt16LE(6);
+      ctx.addObject(brush);
+      break;
+    }
+    case META.DIBCREATEPATTERNBRUSH: {
+      const pattern = p.length > 8 ? dibToDataUri({ buffer: p, headerOffset: 4, bitsOffset: null }) : null;
+      ctx.addObject(pattern ? { type: 'brush', color: null, pattern } : { type: 'brush', color: '#808080' });
+      break;
+    }
+    case META.CREATEFONTINDIRECT:
+      ctx.addObject(readLogFont(p));
+      break;
+    case META.CREATEREGION:
+      ctx.addObject(readRegion(p));
+      break;
+    case META.CREATEPALETTE:
+    case META.CREATEPATTERNBRUSH:
+      // Occupy an object slot so later object indexes stay correct
+      ctx.addObject({ type: fn === META.CREATEPALETTE ? 'palette' : 'brush', color: fn === META.CREATEPALETTE ? undefined : '#808080' });
+      break;
+    case META.INTERSECTCLIPRECT:
+      ctx.intersectClipRect(s(3), s(2), s(1), s(0));
+      break;
+    case META.EXCLUDECLIPRECT:
+      ctx.excludeClipRect(s(3), s(2), s(1), s(0));
+      break;
+    case META.TEXTOUT: {
+      const length = s(0);
+      const text = p.toString('latin1', 2, 2 + length);
+      const position = 2 + length + (length % 2);
+      ctx.text(p.readInt16LE(position + 2), p.readInt16LE(position), text);
+      break;
+    }
+    case META.EXTTEXTOUT:
+      drawExtText(ctx, p);
+      break;
+    case META.DIBBITBLT:
+    case META.DIBSTRETCHBLT:
+    case META.STRETCHDIB:
+    case META.SETDIBTODEV:
+      drawBitmapRecord(ctx, fn, p, size);
+      break;
+    default:
+      // Escapes, palettes, ROP2 and stretch modes do not affect the SVG output
+      break;
+  }
+}
+
+/**
+ * Draw an EXTTEXTOUT record
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Buffer} p - Record parameters
+ */
+function drawExtText(ctx, p) {
+  const y = p.readInt16LE(0);
+  const x = p.readInt16LE(2);
+  const length = p.readInt16LE(4);
+  const options = p.readUInt16LE(6);
+  let offset = 8;
+  let rect = null;
+
+  // ETO_OPAQUE and ETO_CLIPPED records carry a rectangle
+  if (options & 0x06) {
+    rect = [0, 2, 4, 6].map(delta => p.readInt16LE(offset + delta));
+    offset += 8;
+  }
+
+  const text = p.toString('latin1', offset, offset + length);
+  offset += length + (length % 2);
+
+  let dx = null;
+  if (offset + length * 2 <= p.length) {
+    dx = [];
+    for (let i = 0; i < length; i++) dx.push(p.readInt16LE(offset + i * 2));
+  }
+
+  ctx.text(x, y, text, { dx, opaqueRect: options & 0x02 && rect ? rect : null });
+}
+
+/**
+ * Draw one of the DIB bitmap records
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {number} fn - Record function
+ * @param {Buffer} p - Record parameters
+ * @param {number} size - Record size in bytes
+ */
+function drawBitmapRecord(ctx, fn, p, size) {
+  const rop = fn === META.SETDIBTODEV ? 0x00cc0020 : p.readUInt32LE(0);
+  const s = index => p.readInt16LE(index * 2);
+  let words;
+
+  if (fn === META.SETDIBTODEV) {
+    // colorUsage, scanCount, startScan, yDib, xDib, height, width, yDest, xDest
+    const [yDib, xDib, height, width, yDest, xDest] = [3, 4, 5, 6, 7, 8].map(s);
+    drawBitmap(ctx, readDib(p, 18), rop, xDest, yDest, width, height, [xDib, yDib, width, height]);
+    return;
+  }
+
+  if (fn === META.STRETCHDIB) {
+    // rop, colorUsage, srcHeight, srcWidth, ySrc, xSrc, destHeight, destWidth, yDst, xDst
+    const [srcHeight, srcWidth, ySrc, xSrc, destHeight, destWidth, yDest, xDest] = [3, 4, 5, 6, 7, 8, 9, 10].map(s);
+    drawBitmap(ctx, readDib(p, 22), rop, xDest, yDest, destWidth, destHeight, [xSrc, ySrc, srcWidth, srcHeight]);
+    return;
+  }
+
+  // Without a bitmap the record has an extra reserved word and no DIB
+  const hasBitmap = size / 2 !== (fn >> 8) + 3;
+
+  if (fn === META.DIBBITBLT) {
+    words = hasBitmap ? [2, 3, null, 4, 5, 6, 7] : [2, 3, 4, 5, 6, 7, 8];
+    const [ySrc, xSrc, , height, width, yDest, xDest] = words.map(index => (index === null ? 0 : s(index)));
+    const bitmap = hasBitmap ? readDib(p, 16) : null;
+    drawBitmap(ctx, bitmap, rop, xDest, yDest, width, height, [xSrc, ySrc, width, height]);
+  } else {
+    words = hasBitmap ? [2, 3, 4, 5, null, 6, 7, 8, 9] : [2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const [srcHeight, srcWidth, ySrc, xSrc, , destHeight, destWidth, yDest, xDest] = words.map(index => (index === null ? 0 : s(index)));
+    const bitmap = hasBitmap ? readDib(p, 20) : null;
+    drawBitmap(ctx, bitmap, rop, xDest, yDest, destWidth, destHeight, [xSrc, ySrc, srcWidth, srcHeight]);
+  }
+}
+
+/**
+ * Draw a bitmap or a raster operation fill
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Object|null} bitmap - Bitmap data URI
+ * @param {number} rop - Raster operation
+ * @param {number} x - Destination x
+ * @param {number} y - Destination y
+ * @param {number} width - Destination width
+ * @param {number} height - Destination height
+ * @param {Array<number>} source - Source rectangle
+ */
+function drawBitmap(ctx, bitmap, rop, x, y, width, height, source) {
+  if (bitmap && SOURCE_COPY_ROPS.includes(rop)) {
+    ctx.image(bitmap, x, y, width, height, source);
+  } else if (rop in FILL_ROPS) {
+    ctx.fillRect(x, y, x + width, y + height, FILL_ROPS[rop] === null ? undefined : FILL_ROPS[rop]);
+  }
+}
+
+/**
+ * Read a DIB stored in the record parameters
+ *
+ * @param {Buffer} p - Record parameters
+ * @param {number} offset - Offset of the BITMAPINFO
+ * @returns {Object|null} - { href, width, height }
+ */
+function readDib(p, offset) {
+  if (offset + 4 > p.length) return null;
+  return dibToDataUri({ buffer: p, headerOffset: offset, bitsOffset: null });
+}
+
+/**
+ * Convert a logical rectangle to output coordinates
+ *
+ * @param {Object} ctx - Drawing context
+ * @param {Array<number>} rect - [left, top, right, bottom]
+ * @returns {Array<number>} - Output rectangle
+ */
+function logicalRectToOutput(ctx, [left, top, right, bottom]) {
+  const [x0, y0] = ctx.point(left, top);
+  const [x1, y1] = ctx.point(right, bottom);
+  return [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)];
+}
+
+/**
+ * Read a WMF LOGFONT
+ *
+ * @param {Buffer} p - Record parameters
+ * @returns {Object} - Font object
+ */
+function readLogFont(p) {
+  const face = p.length > 18 ? p.toString('latin1', 18, Math.min(p.length, 50)).split('\u0000')[0] : '';
+  return {
+    type: 'font',
+    height: p.readInt16LE(0),
+    escapement: p.readInt16LE(4),
+    weight: p.readInt16LE(8),
+    italic: p[10] !== 0,
+    underline: p[11] !== 0,
+    strikeOut: p[12] !== 0,
+    face: face || 'Arial'
+  };
+}
+
+/**
+ * Read a WMF region as a list of rectangles
+ *
+ * @param {Buffer} p - Record parameters
+ * @returns {Object} - Region object
+ */
+function readRegion(p) {
+  const rects = [];
+  try {
+    // Region header: nextInChain, objectType, objectCount, regionSize, scanCount, maxScan, bounding box
+    const scanCount = p.readInt16LE(10);
+    let offset = 22;
+    for (let i = 0; i < scanCount && offset + 6 <= p.length; i++) {
+      const count = p.readUInt16LE(offset);
+      const top = p.readInt16LE(offset + 2);
+      const bottom = p.readInt16LE(offset + 4);
+      for (let n = 0; n < count / 2; n++) {
+        const left = p.readInt16LE(offset + 6 + n * 4);
+        const right = p.readInt16LE(offset + 8 + n * 4);
+        rects.push([left, top, right, bottom]);
+      }
+      offset += 6 + count * 2 + 2;
+    }
+  } catch (error) {
+    console.error('Error reading WMF region:', error.message);
+  }
+  return { type: 'region', rects };
+}
+
+/**
+ * Read WMF points (16-bit x, y pairs)
+ *
+ * @param {Buffer} p - Record parameters
+ * @param {number} offset - Offset of the first point
+ * @param {number} count - Number of points
+ * @returns {Array} - Points
+ */
+function readPoints(p, offset, count) {
+  const points = [];
+  for (let i = 0; i < count && offset + (i + 1) * 4 <= p.length; i++) {
+    points.push([p.readInt16LE(offset + i * 4), p.readInt16LE(offset + i * 4 + 2)]);
+  }
+  return points;
+}
+
+module.exports = {
+  convertWmfToSvg
+};
@@ -3,7 +3,7 @@
 
 // Re-export the main functions from the HTML generator
 // Change processImages to extractImagesFromDocx
-const { extractAndApplyStyles, convertToStyledHtml, applyStylesToHtml, extractImagesFromDocx } = require('./html/html-generator');
+const { extractAndApplyStyles, convertDocx, convertToStyledHtml, applyStylesToHtml, extractImagesFromDocx } = require('./html/html-generator');
 
 // Re-export the main functions from the style parser and CSS generator
 const { parseDocxStyles } = require('./parsers/style-parser');
@@ -16,11 +16,12 @@ const { getLeaderChar } = require('./utils/common-utils');
 
 // Re-export the new modules
 const { parseDocumentMetadata, applyMetadataToHtml, addDublinCoreMetadata, addOpenGraphMetadata, addTwitterCardMetadata, addJsonLdStructuredData } = require('./parsers/metadata-parser');
-const { parseTrackChanges, processTrackChanges, processInsertions, processDeletions, processMoves, processFormattingChanges, addTrackChangesLegend } = require('./parsers/track-changes-parser');
-const { processForAccessibility, processTablesForAccessibility, processImagesForAccessibility, ensureHeadingHierarchy, addAriaLandmarks, addSkipNavigation, enhanceKeyboardNavigation, enhanceColorContrast } = require('./accessibility/wcag-processor');
+const { parseTrackChanges, processTrackChanges, processInsertions, processDeletions, processMoves, processFormattingChanges, addTrackChangesLegend, applyRevisionMode, createRevisionFilter } = require('./parsers/track-changes-parser');
+const { collectRevisionEntries, buildRevisionReport, generateRevisionReportHtml } = require('./html/generators/revision-report');
+const { processForAccessibility, processTablesForAccessibility, processImagesForAccessibility, processChartsForAccessibility, ensureHeadingHierarchy, addAriaLandmarks, addSkipNavigation, enhanceKeyboardNavigation, enhanceColorContrast } = require('./accessibility/wcag-processor');
 
 // Re-export the HTML element processors
-const { processTables, processImages: processHtmlImages, processLanguageElements } = require('./html/element-processors');
+const { processTables, processImages: processHtmlImages, processCaptions, processLanguageElements } = require('./html/element-processors');
 const { processHeadings, processTOC, linkTOCEntries, processNestedNumberedParagraphs, processSpecialParagraphs, identifyListPatterns, isSpecialParagraph } = require('./html/content-processors');
 const { ensureHtmlStructure, addDocumentMetadata } = require('./html/structure-processor');
 
@@ -28,9 +29,9 @@ const { ensureHtmlStructure, addDocumentMetadata } = require('./html/structure-p
 const { createStyleMap, createDocumentTransformer } = require('./css/style-mapper');
 
 // Re-export document parser functions
-const { parseDocumentDefaults, parseSettings, analyzeDocumentStructure, getDefaultStyleInfo } = require('./parsers/document-parser');
+const { parseDocumentDefaults, parseSettings, extractSections, analyzeDocumentStructure, getDefaultStyleInfo } = require('./parsers/document-parser');
 const { parseNumberingDefinitions, getCSSCounterFormat, getCSSCounterContent } = require('./parsers/numbering-parser');
-const { parseTheme, getColorValue } = require('./parsers/theme-parser');
+const { parseTheme, getColorValue, resolveDrawingColor } = require('./parsers/theme-parser');
 const { parseTocStyles } = require('./parsers/toc-parser');
 
 // Re-export enhanced numbering resolution functions
@@ -39,10 +40,67 @@ const { extractParagraphNumberingContext, resolveNumberingForParagraphs, Numberi
 // Re-export header parser functions
 const { extractDocumentHeader, processHeaderForHtml, extractHeaderFromXml, extractHeaderFromDocument, analyzeHeaderParagraph, extractParagraphFormatting, extractImagesFromParagraph, isLikelyHeaderContent } = require('./parsers/header-parser');
 
+// Re-export relationship resolution functions
+const { parseRelationships, resolveTargetPath, resolveHeaderFooterParts } = require('./parsers/relationships-parser');
+const { createPackageContext, getPartXml, getPackageBuffer } = require('./parsers/package-context');
+const { createProfiler, formatProfileReport } = require('./utils/profiler');
+const { createImageRegistry, indexPackageImages, registerImage, createImageVariants, verifyImageSources, isResolvedImageWarning } = require('./html/generators/image-registry');
+
+// Re-export image conversion functions
+const { DEFAULT_TRANSCODERS, detectImageType, transcodeImage } = require('./images/image-transcoder');
+const { convertEmfToSvg } = require('./images/emf-converter');
+const { convertWmfToSvg } = require('./images/wmf-converter');
+const { decodeTiff } = require('./images/tiff-decoder');
+const { decodeBmp } = require('./images/bmp-decoder');
+const { encodePng } = require('./images/png-encoder');
+const { decodePng } = require('./images/png-decoder');
+const { readImageSize, resizeImage } = require('./images/image-resizer');
+
+// Re-export drawing parser functions
+const { parseDrawings, insertDrawingMarkers, processDrawingsForHtml } = require('./parsers/drawing-parser');
+
+// Re-export equation functions
+const { parseEquations, insertEquationMarkers, insertEquationsIntoHtml } = require('./parsers/equation-parser');
+const { convertOmmlToMathml } = require('./math/omml-converter');
+
+// Re-export text box functions
+const { parseTextBoxes, insertTextBoxMarkers, processTextBoxesForHtml } = require('./parsers/textbox-parser');
+
+// Re-export chart functions
+const { parseCharts, insertChartMarkers, processChartsForHtml, exportChartData } = require('./parsers/chart-parser');
+const { renderChartSvg, formatChartValue } = require('./charts/chart-svg');
+const {
+  parseContentControls,
+  insertContentControlMarkers,
+  processContentControlsForHtml,
+  exportFormData
+} = require('./parsers/content-control-parser');
+const { insertSectionMarkers, processSectionsForHtml, processBreaksForHtml } = require('./parsers/section-parser');
+
+// Re-export footer parser functions
+const { extractDocumentFooter, processFooterForHtml, extractFooterFromXml } = require('./parsers/footer-parser');
+
+// Re-export notes parser functions
+const { parseNotes, processNotesForHtml, formatNoteNumber } = require('./parsers/notes-parser');
+
+// Re-export comments parser functions
+const { parseComments, processCommentsForHtml, exportCommentsToJson } = require('./parsers/comments-parser');
+
+// Re-export bookmark and field functions
+const { parseBookmarks, processBookmarksForHtml } = require('./parsers/bookmark-parser');
+const { findFields, parseFieldInstruction, replaceFieldResult } = require('./parsers/field-parser');
+const { evaluateFields, applyFieldResults, formatFieldValue } = require('./fields/field-engine');
+const { formatDateTime, formatNumber, applyGeneralFormat } = require('./fields/field-format');
+const { parseCaptions, insertCaptionMarkers } = require('./parsers/caption-parser');
+
+// Re-export Markdown generator functions
+const { generateMarkdown } = require('./markdown/markdown-generator');
+
 // Export the public API
 module.exports = {
   // Main API functions
   extractAndApplyStyles,
+  convertDocx,
   convertToStyledHtml,
   applyStylesToHtml,
   extractImagesFromDocx,   // Changed from processImages
@@ -71,6 +129,7 @@ module.exports = {
   // Document parsers
   parseDocumentDefaults,
   parseSettings,
+  extractSections,
   analyzeDocumentStructure,
   getDefaultStyleInfo,
   parseNumberingDefinitions,
@@ -78,11 +137,13 @@ module.exports = {
   getCSSCounterContent,
   parseTheme,
   getColorValue,
+  resolveDrawingColor,
   parseTocStyles,
   
   // HTML processors
   processTables,
   processHtmlImages,  // Alias for processImages from element-processors
+  processCaptions,
   processLanguageElements,
   processHeadings,
   processTOC,
@@ -114,11 +175,17 @@ module.exports = {
   processMoves,
   processFormattingChanges,
   addTrackChangesLegend,
+  applyRevisionMode,
+  createRevisionFilter,
+  collectRevisionEntries,
+  buildRevisionReport,
+  generateRevisionReportHtml,
   
   // Accessibility functions
   processForAccessibility,
   processTablesForAccessibility,
   processImagesForAccessibility,
+  processChartsForAccessibility,
   ensureHeadingHierarchy,
   addAriaLandmarks,
   addSkipNavigation,
@@ -133,5 +200,104 @@ module.exports = {
   analyzeHeaderParagraph,
   extractParagraphFormatting,
   extractImagesFromParagraph,
-  isLikelyHeaderContent
+  isLikelyHeaderContent,
+  
+  // Relationship functions
+  parseRelationships,
+  resolveTargetPath,
+  resolveHeaderFooterParts,
+  
+  // Package context and profiling
+  createPackageContext,
+  getPartXml,
+  getPackageBuffer,
+  createProfiler,
+  formatProfileReport,
+  createImageRegistry,
+  indexPackageImages,
+  registerImage,
+  createImageVariants,
+  verifyImageSources,
+  isResolvedImageWarning,
+  
+  // Image conversion functions
+  DEFAULT_TRANSCODERS,
+  detectImageType,
+  transcodeImage,
+  convertEmfToSvg,
+  convertWmfToSvg,
+  decodeTiff,
+  decodeBmp,
+  encodePng,
+  decodePng,
+  readImageSize,
+  resizeImage,
+  
+  // Drawing parser functions
+  parseDrawings,
+  insertDrawingMarkers,
+  processDrawingsForHtml,
+  
+  // Equation functions
+  parseEquations,
+  insertEquationMarkers,
+  insertEquationsIntoHtml,
+  convertOmmlToMathml,
+  
+  // Text box functions
+  parseTextBoxes,
+  insertTextBoxMarkers,
+  processTextBoxesForHtml,
+  
+  // Chart functions
+  parseCharts,
+  insertChartMarkers,
+  processChartsForHtml,
+  exportChartData,
+  renderChartSvg,
+  formatChartValue,
+  
+  // Content control functions
+  parseContentControls,
+  insertContentControlMarkers,
+  processContentControlsForHtml,
+  exportFormData,
+  
+  // Section functions
+  insertSectionMarkers,
+  processSectionsForHtml,
+  processBreaksForHtml,
+  
+  // Footer parser functions
+  extractDocumentFooter,
+  processFooterForHtml,
+  extractFooterFromXml,
+  
+  // Notes parser functions
+  parseNotes,
+  processNotesForHtml,
+  formatNoteNumber,
+  
+  // Comments parser functions
+  parseComments,
+  processCommentsForHtml,
+  exportCommentsToJson,
+  
+  // Bookmark and field functions
+  parseBookmarks,
+  processBookmarksForHtml,
+  findFields,
+  parseFieldInstruction,
+  replaceFieldResult,
+  evaluateFields,
+  applyFieldResults,
+  formatFieldValue,
+  formatDateTime,
+  formatNumber,
+  applyGeneralFormat,
+  parseCaptions,
+  insertCaptionMarkers,
+  
+  // Markdown functions
+  generateMarkdown
 };
@@ -0,0 +1,611 @@
+// File: lib/markdown/markdown-generator.js
+// Markdown generator - converts the processed HTML DOM into GitHub Flavored Markdown
+
+const { JSDOM } = require("jsdom");
+
+/**
+ * Elements that never contribute to the Markdown output
+ * Page furniture, navigation helpers and scripts only make sense in the browser
+ */
+const SKIPPED_SELECTORS = [
+  "script",
+  "style",
+  "button",
+  "template",
+  "datalist",
+  ".skip-link",
+  ".sr-only",
+  ".docx-document-header",
+  ".docx-document-footer",
+  ".docx-track-changes-legend",
+  ".docx-comments",
+  ".docx-comment-ref",
+  "#toc-nav-desc",
+];
+
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "aside", "blockquote", "details", "div", "dl", "fieldset",
+  "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "table", "ul",
+]);
+
+/**
+ * Generate Markdown from processed HTML
+ * Works on the HTML produced by applyStylesAndProcessHtml so that resolved
+ * heading numbers, section IDs, TOC links and image paths carry over
+ *
+ * @param {string} html - Processed HTML document
+ * @param {Object} options - Generation options
+ * @param {boolean} options.includeAnchors - Emit <a id> anchors for section IDs (default: true)
+ * @returns {string} - Markdown document
+ */
+function generateMarkdown(html, options = {}) {
+  const opts = { includeAnchors: true, ...options };
+
+  try {
+    const dom = new JSDOM(html);
+    const document = dom.window.document;
+
+    if (!document.body) {
+      return "";
+    }
+
+    const context = { options: opts, listDepth: 0 };
+    const markdown = convertBlocks(document.body, context);
+
+    return normalizeBlankLines(markdown).trim() + "\n";
+  } catch (error) {
+    console.error("Error generating Markdown:", error.message, error.stack);
+    return "";
+  }
+}
+
+/**
+ * Convert the children of a container into Markdown blocks
+ * Runs of inline content between block elements become paragraphs
+ *
+ * @param {Element} container - Container element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown for the container content
+ */
+function convertBlocks(container, context) {
+  const blocks = [];
+  let inlineBuffer = [];
+
+  const flushInline = () => {
+    const text = inlineBuffer.join("").trim();
+    if (text) blocks.push(text);
+    inlineBuffer = [];
+  };
+
+  Array.from(container.childNodes).forEach((node) => {
+    if (shouldSkip(node)) return;
+
+    if (node.nodeType === 1 && isBlockElement(node)) {
+      flushInline();
+      const block = convertBlock(node, context);
+      if (block && block.trim()) blocks.push(block);
+    } else {
+      inlineBuffer.push(convertInline(node, context));
+    }
+  });
+
+  flushInline();
+  return blocks.join("\n\n");
+}
+
+/**
+ * Convert a single block element to Markdown
+ *
+ * @param {Element} element - Block element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown block
+ */
+function convertBlock(element, context) {
+  const tag = element.tagName.toLowerCase();
+
+  switch (tag) {
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      return convertHeading(element, context);
+    case "p":
+      return withAnchor(element, convertInlineChildren(element, context).trim(), context);
+    case "ul":
+    case "ol":
+      return convertList(element, context);
+    case "table":
+      return convertTable(element, context);
+    case "figure":
+      return convertFigure(element, context);
+    case "figcaption":
+      return wrapInline("*", convertInlineChildren(element, context).trim());
+    case "blockquote":
+      return convertBlocks(element, context)
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+    case "pre":
+      return "```\n" + element.textContent.replace(/\n$/, "") + "\n```";
+    case "hr":
+      return "---";
+    case "section":
+      if (element.classList.contains("docx-notes")) return convertNotes(element, context);
+      return convertBlocks(element, context);
+    case "nav":
+      return element.classList.contains("docx-toc") ? convertTOC(element, context) : convertBlocks(element, context);
+    case "li":
+      return convertBlocks(element, context);
+    default:
+      return convertBlocks(element, context);
+  }
+}
+
+/**
+ * Convert a heading, keeping the resolved numbering and section ID
+ *
+ * @param {Element} heading - Heading element
+ * @param {Object} context - Conversion context
+ * @returns {string} - ATX heading
+ */
+function convertHeading(heading, context) {
+  const level = parseInt(heading.tagName.substring(1), 10);
+  const text = collapseWhitespace(convertInlineChildren(heading, context)).trim();
+  if (!text) return "";
+
+  const anchor = context.options.includeAnchors && heading.id ? `<a id="${heading.id}"></a>` : "";
+  return `${"#".repeat(level)} ${anchor}${text}`;
+}
+
+/**
+ * Prefix a block with an anchor when the element carries a section ID
+ *
+ * @param {Element} element - Source element
+ * @param {string} markdown - Converted block content
+ * @param {Object} context - Conversion context
+ * @returns {string} - Block with optional anchor
+ */
+function withAnchor(element, markdown, context) {
+  if (!markdown) return "";
+  if (context.options.includeAnchors && element.id && element.hasAttribute("data-section-id")) {
+    return `<a id="${element.id}"></a>${markdown}`;
+  }
+  return markdown;
+}
+
+/**
+ * Convert ordered and unordered lists, including nested lists
+ *
+ * @param {Element} list - ul or ol element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown list
+ */
+function convertList(list, context) {
+  const ordered = list.tagName.toLowerCase() === "ol";
+  let counter = parseInt(list.getAttribute("start") || "1", 10) || 1;
+  const items = [];
+
+  Array.from(list.children).forEach((child) => {
+    if (shouldSkip(child)) return;
+
+    if (child.tagName.toLowerCase() !== "li") {
+      // Lists nested directly inside a list belong to the previous item
+      const nested = convertBlock(child, context);
+      if (nested && items.length > 0) {
+        items[items.length - 1] += "\n" + indent(nested, 4);
+      }
+      return;
+    }
+
+    const marker = ordered ? `${counter++}.` : "-";
+    const content = convertBlocks(child, context) || "";
+    const [firstLine, ...rest] = content.split("\n");
+    const padding = " ".repeat(marker.length + 1);
+    const body = rest.length > 0 ? "\n" + rest.map((line) => (line ? padding + line : "")).join("\n") : "";
+    items.push(`${marker} ${firstLine}${body}`);
+  });
+
+  return items.join("\n").replace(/\n\n(?=\s*(?:-|\d+\.) )/g, "\n");
+}
+
+/**
+ * Convert the Table of Contents into a linked list
+ *
+ * @param {Element} nav - TOC navigation element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown list of TOC links
+ */
+function convertTOC(nav, context) {
+  const entries = Array.from(nav.querySelectorAll(".docx-toc-entry"));
+  if (entries.length === 0) {
+    return convertBlocks(nav, context);
+  }
+
+  const indents = entries.map((entry) => parseFloat(entry.getAttribute("data-left-indent") || "0") || 0);
+  const levels = Array.from(new Set(indents)).sort((a, b) => a - b);
+
+  return entries
+    .map((entry, index) => {
+      const text = collapseWhitespace(convertInlineChildren(entry, context)).trim();
+      if (!text) return "";
+      const depth = levels.indexOf(indents[index]);
+      return `${"  ".repeat(Math.max(depth, 0))}- ${text}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Convert a notes section into Markdown footnote definitions
+ * Footnotes and endnotes both become [^id] definitions; back-links are implied
+ *
+ * @param {Element} section - Notes section element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Footnote definitions
+ */
+function convertNotes(section, context) {
+  return Array.from(section.querySelectorAll("li.docx-note"))
+    .map((note) => {
+      const content = note.querySelector(".docx-note-content");
+      if (!content) return "";
+      const clone = content.cloneNode(true);
+      clone.querySelectorAll(".docx-note-backlink").forEach((link) => link.remove());
+      const text = convertBlocks(clone, context).trim();
+      const [firstLine, ...rest] = text.split("\n");
+      const body = rest.length > 0 ? "\n" + indent(rest.join("\n"), 4) : "";
+      return `[^${note.id}]: ${firstLine}${body}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Convert a table to a GFM pipe table
+ * The first row becomes the header row, as GFM requires one
+ *
+ * @param {Element} table - Table element
+ * @param {Object} context - Conversion context
+ * @returns {string} - GFM table
+ */
+function convertTable(table, context) {
+  const rows = Array.from(table.querySelectorAll("tr")).filter((row) => row.closest("table") === table);
+  if (rows.length === 0) return "";
+
+  const cellContext = { ...context, inTable: true };
+  const matrix = rows.map((row) =>
+    Array.from(row.children)
+      .filter((cell) => /^t[dh]$/i.test(cell.tagName))
+      .map((cell) => convertTableCell(cell, cellContext))
+  );
+
+  const columnCount = Math.max(...matrix.map((cells) => cells.length));
+  if (columnCount === 0) return "";
+
+  const pad = (cells) => {
+    const padded = cells.slice();
+    while (padded.length < columnCount) padded.push("");
+    return `| ${padded.join(" | ")} |`;
+  };
+
+  const lines = [pad(matrix[0]), `| ${new Array(columnCount).fill("---").join(" | ")} |`];
+  matrix.slice(1).forEach((cells) => lines.push(pad(cells)));
+
+  const caption = table.querySelector("caption:not(.sr-only)");
+  const captionText = caption ? collapseWhitespace(convertInlineChildren(caption, context)).trim() : "";
+  if (captionText) {
+    const anchor = context.options.includeAnchors && table.id && caption.classList.contains("docx-caption")
+      ? `<a id="${table.id}"></a>`
+      : "";
+    lines.unshift(anchor + wrapInline("*", captionText), "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Convert a table cell to a single line of inline Markdown
+ *
+ * @param {Element} cell - td or th element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Cell content
+ */
+function convertTableCell(cell, context) {
+  const parts = [];
+  Array.from(cell.childNodes).forEach((node) => {
+    if (shouldSkip(node)) return;
+    if (node.nodeType === 1 && isBlockElement(node)) {
+      const text = collapseWhitespace(convertInlineChildren(node, context)).trim();
+      if (text) parts.push(text);
+    } else {
+      const text = collapseWhitespace(convertInline(node, context)).trim();
+      if (text) parts.push(text);
+    }
+  });
+  return parts.join("<br>").replace(/\|/g, "\\|");
+}
+
+/**
+ * Convert a figure with its images (or chart data) and caption
+ *
+ * @param {Element} figure - Figure element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown image(s) or table followed by the caption
+ */
+function convertFigure(figure, context) {
+  const blocks = [];
+
+  // Markdown cannot hold the chart drawing, so charts show their data table
+  const chartData = figure.classList.contains("docx-chart") ? figure.querySelector("table.docx-chart-data") : null;
+  if (chartData) {
+    blocks.push(convertTable(chartData, context));
+  } else {
+    Array.from(figure.childNodes).forEach((node) => {
+      if (shouldSkip(node)) return;
+      if (node.nodeType === 1 && node.tagName.toLowerCase() === "figcaption") return;
+      const converted = node.nodeType === 1 && isBlockElement(node)
+        ? convertBlock(node, context)
+        : convertInline(node, context).trim();
+      if (converted) blocks.push(converted);
+    });
+  }
+
+  const caption = figure.querySelector("figcaption");
+  if (caption) {
+    const captionText = collapseWhitespace(convertInlineChildren(caption, context)).trim();
+    // Cross-references to captioned figures link to the figure ID
+    const anchor = context.options.includeAnchors && figure.id ? `<a id="${figure.id}"></a>` : "";
+    if (captionText) blocks.push(anchor + wrapInline("*", captionText));
+  }
+
+  return blocks.join("\n\n");
+}
+
+/**
+ * Convert the inline children of an element
+ *
+ * @param {Element} element - Parent element
+ * @param {Object} context - Conversion context
+ * @returns {string} - Inline Markdown
+ */
+function convertInlineChildren(element, context) {
+  return Array.from(element.childNodes)
+    .map((node) => (shouldSkip(node) ? "" : convertInline(node, context)))
+    .join("");
+}
+
+/**
+ * Convert an inline node to Markdown
+ *
+ * @param {Node} node - DOM node
+ * @param {Object} context - Conversion context
+ * @returns {string} - Inline Markdown
+ */
+function convertInline(node, context) {
+  if (node.nodeType === 3) {
+    return escapeMarkdown(collapseWhitespace(node.nodeValue.replace(/ /g, " ")));
+  }
+
+  if (node.nodeType !== 1) return "";
+
+  const tag = node.tagName.toLowerCase();
+  const content = () => convertInlineChildren(node, context);
+
+  switch (tag) {
+    case "strong":
+    case "b":
+      return wrapInline("**", content());
+    case "em":
+    case "i":
+      return wrapInline("*", content());
+    case "del":
+    case "s":
+      return wrapInline("~~", content());
+    case "code":
+      return "`" + node.textContent + "`";
+    case "sup":
+    case "sub": {
+      const noteRef = node.querySelector('a[role="doc-noteref"]');
+      if (noteRef) return `[^${noteRef.getAttribute("href").replace(/^#/, "")}]`;
+      return `<${tag}>${content().trim()}</${tag}>`;
+    }
+    case "br":
+      return context.inTable ? "<br>" : "  \n";
+    case "img":
+      return convertImage(node);
+    case "math":
+      return convertMath(node);
+    case "input":
+    case "select":
+      return convertFormControl(node);
+    case "a":
+      return convertLink(node, content());
+    case "span":
+      // Bookmarks are link targets, so keep them as HTML anchors
+      if (node.classList.contains("docx-bookmark") && node.id) {
+        return `<a id="${node.id}"></a>${content()}`;
+      }
+      return content();
+    default:
+      if (isBlockElement(node)) {
+        // Block content nested in inline context (e.g. paragraphs inside list items)
+        return " " + collapseWhitespace(content()).trim() + " ";
+      }
+      return content();
+  }
+}
+
+/**
+ * Convert an image element
+ *
+ * @param {Element} img - Image element
+ * @returns {string} - Markdown image
+ */
+function convertImage(img) {
+  const src = img.getAttribute("src") || "";
+  if (!src) return "";
+  const alt = (img.getAttribute("alt") || "").replace(/[\[\]]/g, "");
+  const title = img.getAttribute("title");
+  return title ? `![${alt}](${encodeUrl(src)} "${title.replace(/"/g, '\\"')}")` : `![${alt}](${encodeUrl(src)})`;
+}
+
+/**
+ * Convert a MathML equation to its LaTeX annotation
+ * Display equations become $$ blocks, inline equations $...$
+ *
+ * @param {Element} math - MathML math element
+ * @returns {string} - Markdown math
+ */
+function convertMath(math) {
+  const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+  const latex = annotation ? annotation.textContent.trim() : "";
+  if (!latex) return collapseWhitespace(math.textContent);
+
+  return math.getAttribute("display") === "block" ? `\n$$\n${latex}\n$$\n` : `$${latex}$`;
+}
+
+/**
+ * Convert a form control to its value
+ * Checkboxes become [x] or [ ], other controls their current value
+ *
+ * @param {Element} control - input or select element
+ * @returns {string} - Inline Markdown
+ */
+function convertFormControl(control) {
+  if (control.getAttribute("type") === "checkbox") {
+    return control.hasAttribute("checked") ? "[x]" : "[ ]";
+  }
+  if (control.tagName.toLowerCase() === "select") {
+    const option = control.querySelector("option[selected]") || control.querySelector("option");
+    return option && option.getAttribute("value") ? escapeMarkdown(option.textContent) : "";
+  }
+  return escapeMarkdown(control.getAttribute("value") || "");
+}
+
+/**
+ * Convert a link element
+ * Anchors without an href are kept as HTML so in-document links still resolve
+ *
+ * @param {Element} link - Anchor element
+ * @param {string} text - Converted link text
+ * @returns {string} - Markdown link
+ */
+function convertLink(link, text) {
+  const href = link.getAttribute("href");
+  const label = text.trim();
+
+  if (!href) {
+    const id = link.getAttribute("id");
+    return id ? `<a id="${id}"></a>${text}` : text;
+  }
+
+  if (!label) return "";
+  return `[${label}](${encodeUrl(href)})`;
+}
+
+/**
+ * Wrap inline content in a Markdown delimiter, keeping surrounding spaces outside
+ *
+ * @param {string} delimiter - Emphasis delimiter
+ * @param {string} text - Inline content
+ * @returns {string} - Wrapped content
+ */
+function wrapInline(delimiter, text) {
+  if (!text || !text.trim()) return text || "";
+  const leading = text.match(/^\s*/)[0];
+  const trailing = text.match(/\s*$/)[0];
+  return `${leading}${delimiter}${text.trim()}${delimiter}${trailing}`;
+}
+
+/**
+ * Escape characters that would otherwise be read as Markdown syntax
+ *
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/([*_`\[\]<>])/g, "\\$1");
+}
+
+/**
+ * Encode spaces and parentheses in URLs so Markdown link syntax stays intact
+ *
+ * @param {string} url - URL or path
+ * @returns {string} - Encoded URL
+ */
+function encodeUrl(url) {
+  return url.replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+}
+
+/**
+ * Collapse whitespace the way a browser renders it
+ *
+ * @param {string} text - Text to collapse
+ * @returns {string} - Collapsed text
+ */
+function collapseWhitespace(text) {
+  return text.replace(/[ \t\r\n]+/g, " ");
+}
+
+/**
+ * Limit consecutive blank lines to one
+ *
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Normalized Markdown
+ */
+function normalizeBlankLines(markdown) {
+  return markdown
+    .split("\n")
+    .map((line) => (line.trim() ? line.replace(/[ \t]+$/, (match) => (match === "  " ? match : "")) : ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * Indent every non-empty line of a block
+ *
+ * @param {string} text - Block text
+ * @param {number} spaces - Number of spaces
+ * @returns {string} - Indented block
+ */
+function indent(text, spaces) {
+  const padding = " ".repeat(spaces);
+  return text
+    .split("\n")
+    .map((line) => (line ? padding + line : line))
+    .join("\n");
+}
+
+/**
+ * Determine whether a node is excluded from Markdown output
+ *
+ * @param {Node} node - DOM node
+ * @returns {boolean} - True if the node should be skipped
+ */
+function shouldSkip(node) {
+  if (node.nodeType === 8) return true; // Comments
+  if (node.nodeType !== 1) return false;
+  return SKIPPED_SELECTORS.some((selector) => node.matches(selector));
+}
+
+/**
+ * Determine whether an element is rendered as a block
+ *
+ * @param {Element} element - DOM element
+ * @returns {boolean} - True for block-level elements
+ */
+function isBlockElement(element) {
+  return BLOCK_ELEMENTS.has(element.tagName.toLowerCase());
+}
+
+module.exports = {
+  generateMarkdown,
+  convertBlocks,
+  convertTable,
+  convertList,
+  escapeMarkdown,
+};
@@ -0,0 +1,783 @@
+// lib/math/omml-converter.js - Office Math (OMML) to MathML conversion
+//
+// Each m:oMath element becomes a MathML <math> element. A LaTeX version of the
+// equation is built in the same pass and added as an annotation, so screen
+// readers and the Markdown output have a text form of the formula.
+
+/**
+ * Default characters of OMML objects whose properties leave them out
+ */
+const DEFAULT_NARY_CHAR = '∫';
+const DEFAULT_ACCENT_CHAR = '\u0302';
+const DEFAULT_GROUP_CHAR = '⏟';
+
+/**
+ * Integral signs, which take their limits as sub/superscripts by default
+ */
+const INTEGRAL_CHARS = ['∫', '∬', '∭', '∮', '∯', '∰'];
+
+/**
+ * Characters written as MathML operators (mo); other symbols become identifiers
+ */
+const OPERATOR_CHARS = new Set(Array.from(
+  '+-−=<>±∓×÷·∗∘≤≥≠≈≡∼≅∝∈∉∋⊂⊃⊆⊇∪∩∧∨¬→←↔⇒⇐⇔↦∀∃∑∏∐∫∬∭∮⋃⋂,;:!|/()[]{}…⋯⋮⋱′″\'⟨⟩⌊⌋⌈⌉‖⊥∥∠⊕⊗%.?'
+));
+
+/**
+ * LaTeX commands for Unicode symbols
+ */
+const LATEX_SYMBOLS = {
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ϵ': '\\epsilon', 'ε': '\\varepsilon',
+  'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa',
+  'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ϖ': '\\varpi', 'ρ': '\\rho',
+  'ϱ': '\\varrho', 'σ': '\\sigma', 'ς': '\\varsigma', 'τ': '\\tau', 'υ': '\\upsilon', 'ϕ': '\\phi',
+  'φ': '\\varphi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+  'Σ': '\\Sigma', 'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+  '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '·': '\\cdot', '∘': '\\circ', '∗': '\\ast',
+  '≤': '\\leq', '≥': '\\geq', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '≅': '\\cong',
+  '∝': '\\propto', '∈': '\\in', '∉': '\\notin', '∋': '\\ni', '⊂': '\\subset', '⊃': '\\supset',
+  '⊆': '\\subseteq', '⊇': '\\supseteq', '∪': '\\cup', '∩': '\\cap', '∧': '\\wedge', '∨': '\\vee',
+  '¬': '\\neg', '→': '\\rightarrow', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow',
+  '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto', '∀': '\\forall', '∃': '\\exists',
+  '∂': '\\partial', '∇': '\\nabla', '∞': '\\infty', '∅': '\\emptyset', 'ℏ': '\\hbar', 'ℓ': '\\ell',
+  '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots', '′': '\'', '″': '\'\'', '−': '-',
+  '∑': '\\sum', '∏': '\\prod', '∐': '\\coprod', '∫': '\\int', '∬': '\\iint', '∭': '\\iiint',
+  '∮': '\\oint', '⋃': '\\bigcup', '⋂': '\\bigcap', '⟨': '\\langle', '⟩': '\\rangle',
+  '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil', '‖': '\\|', '°': '^{\\circ}',
+  '⊥': '\\perp', '∥': '\\parallel', '∠': '\\angle', '⊕': '\\oplus', '⊗': '\\otimes',
+  '{': '\\{', '}': '\\}', '#': '\\#', '$': '\\$', '%': '\\%', '&': '\\&', '_': '\\_',
+  '\\': '\\backslash', '~': '\\sim', '^': '\\wedge'
+};
+
+/**
+ * Function names with their own LaTeX command
+ */
+const LATEX_FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'coth', 'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det',
+  'dim', 'ker', 'deg', 'gcd', 'arg', 'hom', 'Pr'
+];
+
+/**
+ * Text of a function name (m:fName) that becomes a single identifier
+ */
+const FUNCTION_NAME_PATTERN = /^[A-Za-z]+$/;
+
+/**
+ * Elements of a function name whose base is still part of the name (e.g. the
+ * "lim" of a lim with n→∞ below it, or the "sin" of sin²)
+ */
+const FUNCTION_NAME_PARTS = ['r', 'limLow', 'limUpp', 'sSub', 'sSup', 'sSubSup', 'box'];
+
+/**
+ * Function names that take limits below them (e.g. lim, max)
+ */
+const LIMIT_FUNCTIONS = ['\\lim', '\\liminf', '\\limsup', '\\max', '\\min', '\\sup', '\\inf', '\\det', '\\gcd', '\\Pr'];
+
+/**
+ * Combining accent characters: the spacing character MathML shows and the LaTeX command
+ */
+const ACCENTS = {
+  '\u0300': ['`', '\\grave'],
+  '\u0301': ['´', '\\acute'],
+  '\u0302': ['^', '\\hat'],
+  '\u0303': ['~', '\\tilde'],
+  '\u0304': ['¯', '\\bar'],
+  '\u0305': ['¯', '\\overline'],
+  '\u0306': ['˘', '\\breve'],
+  '\u0307': ['˙', '\\dot'],
+  '\u0308': ['¨', '\\ddot'],
+  '\u030C': ['ˇ', '\\check'],
+  '\u20D6': ['←', '\\overleftarrow'],
+  '\u20D7': ['→', '\\vec'],
+  '\u20E1': ['↔', '\\overleftrightarrow']
+};
+
+/**
+ * LaTeX forms of stretchy delimiters
+ */
+const LATEX_DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '{': '\\{', '}': '\\}', '|': '|', '‖': '\\|',
+  '⟨': '\\langle', '⟩': '\\rangle', '〈': '\\langle', '〉': '\\rangle',
+  '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil'
+};
+
+/**
+ * MathML variants and LaTeX commands for m:scr math fonts
+ */
+const SCRIPTS = {
+  'double-struck': ['double-struck', '\\mathbb'],
+  fraktur: ['fraktur', '\\mathfrak'],
+  script: ['script', '\\mathcal'],
+  'sans-serif': ['sans-serif', '\\mathsf'],
+  monospace: ['monospace', '\\mathtt']
+};
+
+/**
+ * Convert an equation to MathML with a LaTeX annotation
+ *
+ * @param {Element} oMathNode - m:oMath element
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.display - Display (block) equation rather than inline
+ * @returns {Object} - { mathml: <math> markup, latex }
+ */
+function convertOmmlToMathml(oMathNode, options = {}) {
+  const { mathml, latex } = convertArgument(oMathNode, {});
+  const display = options.display ? 'block' : 'inline';
+
+  return {
+    mathml: `<math display="${display}" class="docx-equation">` +
+      `<semantics>${mathml}<annotation encoding="application/x-tex">${escapeXml(latex)}</annotation></semantics></math>`,
+    latex
+  };
+}
+
+/**
+ * Convert the children of an OMML element to a sequence of MathML nodes
+ *
+ * @param {Element} node - OMML element
+ * @param {Object} context - Conversion context (e.g. inside an equation array)
+ * @returns {Object} - { items: Array<string> of MathML, latex }
+ */
+function convertChildren(node, context) {
+  const items = [];
+  const latex = [];
+
+  forEachElement(node, element => {
+    const result = convertElement(element, context);
+    if (!result) return;
+    items.push(...result.items);
+    latex.push(result.latex);
+  });
+
+  return { items, latex: joinLatex(latex) };
+}
+
+/**
+ * Convert an argument (m:e, m:num, m:sub, ...) to one MathML node
+ *
+ * @param {Element} node - Argument element (optional)
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertArgument(node, context) {
+  if (!node) return { mathml: '<mrow></mrow>', latex: '' };
+  const { items, latex } = convertChildren(node, context);
+  return { mathml: items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`, latex };
+}
+
+/**
+ * Convert one OMML element
+ *
+ * @param {Element} node - OMML element
+ * @param {Object} context - Conversion context
+ * @returns {Object|null} - { items, latex }, or null for properties and deleted content
+ */
+function convertElement(node, context) {
+  const name = node.localName;
+  if (name.endsWith('Pr') || ['del', 'moveFrom', 'bookmarkStart', 'bookmarkEnd', 'proofErr'].includes(name)) {
+    return null;
+  }
+
+  const single = result => ({ items: [result.mathml], latex: result.latex });
+  if (context.functionName && !FUNCTION_NAME_PARTS.includes(name)) {
+    context = { ...context, functionName: false };
+  }
+
+  switch (name) {
+    case 'r': return convertRun(node, context);
+    case 'f': return single(convertFraction(node, context));
+    case 'rad': return single(convertRadical(node, context));
+    case 'nary': return single(convertNary(node, context));
+    case 'm': return single(convertMatrix(node, context));
+    case 'acc': return single(convertAccent(node, context));
+    case 'sSub':
+    case 'sSup':
+    case 'sSubSup':
+    case 'sPre': return single(convertScripts(node, context));
+    case 'd': return single(convertDelimiter(node, context));
+    case 'func': return single(convertFunction(node, context));
+    case 'limLow':
+    case 'limUpp': return single(convertLimit(node, context));
+    case 'bar': return single(convertBar(node, context));
+    case 'groupChr': return single(convertGroupChar(node, context));
+    case 'borderBox': {
+      const { mathml, latex } = convertArgument(child(node, 'e'), context);
+      return single({ mathml: `<menclose notation="box">${mathml}</menclose>`, latex: `\\boxed{${latex}}` });
+    }
+    case 'eqArr': return single(convertEquationArray(node, context));
+    case 'phant': {
+      const { mathml, latex } = convertArgument(child(node, 'e'), context);
+      const hidden = property(node, 'phantPr', 'show') && !isOn(property(node, 'phantPr', 'show'));
+      return single(hidden ? { mathml: `<mphantom>${mathml}</mphantom>`, latex: `\\phantom{${latex}}` } : { mathml, latex });
+    }
+    default:
+      // Containers such as m:box, m:e or tracked insertions
+      return convertChildren(node, context);
+  }
+}
+
+/**
+ * Convert a math run to MathML tokens
+ * Digits become numbers, letters identifiers (one per letter unless the run
+ * is upright text such as a function name) and other characters operators
+ *
+ * @param {Element} run - m:r element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { items, latex }
+ */
+function convertRun(run, context) {
+  let text = '';
+  forEachElement(run, node => {
+    if (node.localName === 't') text += node.textContent || '';
+  });
+  // Alignment marks in equation arrays have no MathML equivalent
+  if (context.inEquationArray) text = text.replace(/&/g, '');
+  if (!text) return { items: [], latex: '' };
+
+  const rPr = child(run, 'rPr');
+  const style = rPr && child(rPr, 'sty') ? getVal(child(rPr, 'sty')) : 'i';
+  const script = rPr && child(rPr, 'scr') ? SCRIPTS[getVal(child(rPr, 'scr'))] : null;
+
+  if (rPr && isOn(child(rPr, 'nor'))) {
+    return { items: [`<mtext>${escapeXml(text)}</mtext>`], latex: `\\text{${escapeLatexText(text)}}` };
+  }
+
+  if (context.functionName && FUNCTION_NAME_PATTERN.test(text.trim())) {
+    const { mathml, latex } = convertFunctionName(text.trim());
+    return { items: [mathml], latex };
+  }
+
+  const items = [];
+  const latex = [];
+  const pattern = /(\d+(?:\.\d+)*)|([A-Za-zΑ-Ωα-ωϑϕϖϱϵ]+)|(\s+)|([\s\S])/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, number, letters, , symbol] = match;
+    if (number) {
+      items.push(`<mn>${number}</mn>`);
+      latex.push(number);
+    } else if (letters) {
+      const token = convertLetters(letters, style, script);
+      items.push(...token.items);
+      latex.push(token.latex);
+    } else if (symbol) {
+      items.push(OPERATOR_CHARS.has(symbol) ? `<mo>${escapeXml(symbol)}</mo>` : `<mi>${escapeXml(symbol)}</mi>`);
+      latex.push(LATEX_SYMBOLS[symbol] || symbol);
+    }
+  }
+
+  return { items, latex: joinLatex(latex) };
+}
+
+/**
+ * Convert letters in a math run to identifiers
+ *
+ * @param {string} letters - Latin or Greek letters
+ * @param {string} style - m:sty value: 'p' (plain), 'b', 'i' or 'bi'
+ * @param {Array} script - [mathvariant, LaTeX command] for a math font (optional)
+ * @returns {Object} - { items, latex }
+ */
+function convertLetters(letters, style, script) {
+  const symbols = Array.from(letters);
+  const latexLetters = symbols.map(letter => LATEX_SYMBOLS[letter] || letter);
+
+  if (script) {
+    const variant = style === 'b' || style === 'bi' ? `bold-${script[0]}` : script[0];
+    return {
+      items: symbols.map(letter => `<mi mathvariant="${variant}">${letter}</mi>`),
+      latex: `${script[1]}{${joinLatex(latexLetters)}}`
+    };
+  }
+
+  if (style === 'p') {
+    // Upright text such as "sin" stays one identifier
+    if (symbols.length > 1) {
+      return {
+        items: [`<mi>${letters}</mi>`],
+        latex: LATEX_FUNCTIONS.includes(letters) ? `\\${letters}` : `\\mathrm{${joinLatex(latexLetters)}}`
+      };
+    }
+    return { items: [`<mi mathvariant="normal">${letters}</mi>`], latex: `\\mathrm{${latexLetters[0]}}` };
+  }
+
+  if (style === 'b' || style === 'bi') {
+    const variant = style === 'b' ? 'bold' : 'bold-italic';
+    return {
+      items: symbols.map(letter => `<mi mathvariant="${variant}">${letter}</mi>`),
+      latex: `${style === 'b' ? '\\mathbf' : '\\boldsymbol'}{${joinLatex(latexLetters)}}`
+    };
+  }
+
+  return { items: symbols.map(letter => `<mi>${letter}</mi>`), latex: joinLatex(latexLetters) };
+}
+
+/**
+ * Convert a fraction (m:f)
+ *
+ * @param {Element} node - m:f element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertFraction(node, context) {
+  const type = getVal(property(node, 'fPr', 'type')) || 'bar';
+  const numerator = convertArgument(child(node, 'num'), context);
+  const denominator = convertArgument(child(node, 'den'), context);
+
+  switch (type) {
+    case 'noBar':
+      return {
+        mathml: `<mfrac linethickness="0">${numerator.mathml}${denominator.mathml}</mfrac>`,
+        latex: `\\genfrac{}{}{0pt}{}{${numerator.latex}}{${denominator.latex}}`
+      };
+    case 'lin':
+      return {
+        mathml: `<mrow>${numerator.mathml}<mo>/</mo>${denominator.mathml}</mrow>`,
+        latex: `${brace(numerator.latex)}/${brace(denominator.latex)}`
+      };
+    case 'skw':
+      return {
+        mathml: `<mfrac bevelled="true">${numerator.mathml}${denominator.mathml}</mfrac>`,
+        latex: `{}^{${numerator.latex}}/_{${denominator.latex}}`
+      };
+    default:
+      return {
+        mathml: `<mfrac>${numerator.mathml}${denominator.mathml}</mfrac>`,
+        latex: `\\frac{${numerator.latex}}{${denominator.latex}}`
+      };
+  }
+}
+
+/**
+ * Convert a radical (m:rad)
+ *
+ * @param {Element} node - m:rad element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertRadical(node, context) {
+  const base = convertArgument(child(node, 'e'), context);
+  const degree = convertArgument(child(node, 'deg'), context);
+
+  if (isOn(property(node, 'radPr', 'degHide')) || !degree.latex) {
+    return { mathml: `<msqrt>${base.mathml}</msqrt>`, latex: `\\sqrt{${base.latex}}` };
+  }
+  return { mathml: `<mroot>${base.mathml}${degree.mathml}</mroot>`, latex: `\\sqrt[${degree.latex}]{${base.latex}}` };
+}
+
+/**
+ * Convert an n-ary operator such as a sum or integral (m:nary)
+ *
+ * @param {Element} node - m:nary element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertNary(node, context) {
+  const chrNode = property(node, 'naryPr', 'chr');
+  const operator = chrNode && getVal(chrNode) ? getVal(chrNode) : DEFAULT_NARY_CHAR;
+  const limitLocation = getVal(property(node, 'naryPr', 'limLoc')) ||
+    (INTEGRAL_CHARS.includes(operator) ? 'subSup' : 'undOvr');
+  const hideSub = isOn(property(node, 'naryPr', 'subHide'));
+  const hideSup = isOn(property(node, 'naryPr', 'supHide'));
+
+  const lower = hideSub ? null : convertArgument(child(node, 'sub'), context);
+  const upper = hideSup ? null : convertArgument(child(node, 'sup'), context);
+  const base = convertArgument(child(node, 'e'), context);
+
+  const op = `<mo largeop="true">${escapeXml(operator)}</mo>`;
+  const underOver = limitLocation === 'undOvr';
+  let mathml = op;
+  if (lower && upper) {
+    mathml = `<${underOver ? 'munderover' : 'msubsup'}>${op}${lower.mathml}${upper.mathml}</${underOver ? 'munderover' : 'msubsup'}>`;
+  } else if (lower) {
+    mathml = `<${underOver ? 'munder' : 'msub'}>${op}${lower.mathml}</${underOver ? 'munder' : 'msub'}>`;
+  } else if (upper) {
+    mathml = `<${underOver ? 'mover' : 'msup'}>${op}${upper.mathml}</${underOver ? 'mover' : 'msup'}>`;
+  }
+
+  // LaTeX places limits by operator, so only differences from that are marked
+  let latex = LATEX_SYMBOLS[operator] || operator;
+  const integral = INTEGRAL_CHARS.includes(operator);
+  if (underOver && integral && (lower || upper)) latex += '\\limits';
+  if (!underOver && !integral && (lower || upper)) latex += '\\nolimits';
+  if (lower) latex += `_{${lower.latex}}`;
+  if (upper) latex += `^{${upper.latex}}`;
+
+  return {
+    mathml: `<mrow>${mathml}${base.mathml}</mrow>`,
+    latex: joinLatex([latex, base.latex])
+  };
+}
+
+/**
+ * Convert a matrix (m:m)
+ *
+ * @param {Element} node - m:m element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertMatrix(node, context) {
+  const rows = children(node, 'mr').map(row => children(row, 'e').map(cell => convertArgument(cell, context)));
+
+  return {
+    mathml: `<mtable>${rows.map(cells =>
+      `<mtr>${cells.map(cell => `<mtd>${cell.mathml}</mtd>`).join('')}</mtr>`).join('')}</mtable>`,
+    latex: `\\begin{matrix}${rows.map(cells => cells.map(cell => cell.latex).join(' & ')).join(' \\\\ ')}\\end{matrix}`
+  };
+}
+
+/**
+ * Convert an accent (m:acc)
+ *
+ * @param {Element} node - m:acc element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertAccent(node, context) {
+  const chrNode = property(node, 'accPr', 'chr');
+  const accent = chrNode && getVal(chrNode) ? getVal(chrNode) : DEFAULT_ACCENT_CHAR;
+  const [spacing, command] = ACCENTS[accent] || [accent, null];
+  const base = convertArgument(child(node, 'e'), context);
+
+  return {
+    mathml: `<mover accent="true">${base.mathml}<mo>${escapeXml(spacing)}</mo></mover>`,
+    latex: command ? `${command}{${base.latex}}` : `\\overset{${LATEX_SYMBOLS[spacing] || spacing}}{${base.latex}}`
+  };
+}
+
+/**
+ * Convert subscripts and superscripts (m:sSub, m:sSup, m:sSubSup, m:sPre)
+ *
+ * @param {Element} node - Script element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertScripts(node, context) {
+  const base = convertArgument(child(node, 'e'), context);
+  const scriptContext = { ...context, functionName: false };
+  const sub = child(node, 'sub') ? convertArgument(child(node, 'sub'), scriptContext) : null;
+  const sup = child(node, 'sup') ? convertArgument(child(node, 'sup'), scriptContext) : null;
+  const scripts = `${sub ? `_{${sub.latex}}` : ''}${sup ? `^{${sup.latex}}` : ''}`;
+
+  switch (node.localName) {
+    case 'sSub':
+      return { mathml: `<msub>${base.mathml}${sub.mathml}</msub>`, latex: `${brace(base.latex)}${scripts}` };
+    case 'sSup':
+      return { mathml: `<msup>${base.mathml}${sup.mathml}</msup>`, latex: `${brace(base.latex)}${scripts}` };
+    case 'sSubSup':
+      return { mathml: `<msubsup>${base.mathml}${sub.mathml}${sup.mathml}</msubsup>`, latex: `${brace(base.latex)}${scripts}` };
+    default:
+      return {
+        mathml: `<mmultiscripts>${base.mathml}<mprescripts/>${sub ? sub.mathml : '<none/>'}${sup ? sup.mathml : '<none/>'}</mmultiscripts>`,
+        latex: `{}${scripts}${brace(base.latex)}`
+      };
+  }
+}
+
+/**
+ * Convert a delimiter (m:d): brackets around one or more separated arguments
+ *
+ * @param {Element} node - m:d element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertDelimiter(node, context) {
+  const character = (name, fallback) => {
+    const chrNode = property(node, 'dPr', name);
+    return chrNode && chrNode.hasAttribute('m:val') ? getVal(chrNode) : fallback;
+  };
+  const begin = character('begChr', '(');
+  const end = character('endChr', ')');
+  const separator = character('sepChr', '|');
+  const args = children(node, 'e').map(arg => convertArgument(arg, context));
+
+  const mathml = [];
+  if (begin) mathml.push(`<mo fence="true">${escapeXml(begin)}</mo>`);
+  args.forEach((arg, index) => {
+    if (index > 0 && separator) mathml.push(`<mo separator="true">${escapeXml(separator)}</mo>`);
+    mathml.push(arg.mathml);
+  });
+  if (end) mathml.push(`<mo fence="true">${escapeXml(end)}</mo>`);
+
+  const latexSeparator = LATEX_DELIMITERS[separator] ? ` \\middle${LATEX_DELIMITERS[separator]} ` : ` ${LATEX_SYMBOLS[separator] || separator} `;
+  const latex = `\\left${LATEX_DELIMITERS[begin] || (begin ? LATEX_SYMBOLS[begin] || begin : '.')}` +
+    args.map(arg => arg.latex).join(latexSeparator) +
+    `\\right${LATEX_DELIMITERS[end] || (end ? LATEX_SYMBOLS[end] || end : '.')}`;
+
+  return { mathml: `<mrow>${mathml.join('')}</mrow>`, latex };
+}
+
+/**
+ * Convert a function application (m:func), e.g. sin x
+ * A name made of plain runs becomes one identifier, even when Word splits it
+ * over several runs or writes it in italics; in a name with structure (lim
+ * with a limit below it) the runs of the base are converted that way.
+ *
+ * @param {Element} node - m:func element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertFunction(node, context) {
+  const nameNode = child(node, 'fName');
+  const nameText = nameNode ? getPlainRunText(nameNode) : null;
+  const name = nameText !== null && FUNCTION_NAME_PATTERN.test(nameText.trim())
+    ? convertFunctionName(nameText.trim())
+    : convertArgument(nameNode, { ...context, functionName: true });
+  const argument = convertArgument(child(node, 'e'), { ...context, functionName: false });
+
+  return {
+    mathml: `<mrow>${name.mathml}<mo>&#x2061;</mo>${argument.mathml}</mrow>`,
+    latex: `${name.latex} ${argument.latex}`
+  };
+}
+
+/**
+ * Convert a function name to one identifier
+ * Standard names (sin, log, lim, ...) use their LaTeX command and others
+ * \operatorname{}
+ *
+ * @param {string} name - Function name letters
+ * @returns {Object} - { mathml, latex }
+ */
+function convertFunctionName(name) {
+  // A single letter identifier is italic unless it is marked normal
+  const variant = Array.from(name).length === 1 ? ' mathvariant="normal"' : '';
+  return {
+    mathml: `<mi${variant}>${escapeXml(name)}</mi>`,
+    latex: LATEX_FUNCTIONS.includes(name) ? `\\${name}` : `\\operatorname{${name}}`
+  };
+}
+
+/**
+ * Get the text of an element that only holds math runs
+ *
+ * @param {Element} node - OMML element (e.g. m:fName)
+ * @returns {string|null} - Text of the runs, or null if there is other content
+ */
+function getPlainRunText(node) {
+  let text = '';
+  let plain = true;
+  forEachElement(node, element => {
+    const name = element.localName;
+    if (name.endsWith('Pr')) return;
+    const rPr = name === 'r' ? child(element, 'rPr') : null;
+    if (name !== 'r' || (rPr && isOn(child(rPr, 'nor')))) {
+      plain = false;
+      return;
+    }
+    forEachElement(element, node => {
+      if (node.localName === 't') text += node.textContent || '';
+    });
+  });
+  return plain ? text : null;
+}
+
+/**
+ * Convert a lower or upper limit (m:limLow, m:limUpp), e.g. lim below n→∞
+ *
+ * @param {Element} node - m:limLow or m:limUpp element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertLimit(node, context) {
+  const base = convertArgument(child(node, 'e'), context);
+  const limit = convertArgument(child(node, 'lim'), { ...context, functionName: false });
+  const lower = node.localName === 'limLow';
+
+  let latex;
+  if (lower && LIMIT_FUNCTIONS.includes(base.latex)) {
+    latex = `${base.latex}_{${limit.latex}}`;
+  } else {
+    latex = `\\${lower ? 'underset' : 'overset'}{${limit.latex}}{${base.latex}}`;
+  }
+
+  return {
+    mathml: lower ? `<munder>${base.mathml}${limit.mathml}</munder>` : `<mover>${base.mathml}${limit.mathml}</mover>`,
+    latex
+  };
+}
+
+/**
+ * Convert a bar over or under an argument (m:bar)
+ *
+ * @param {Element} node - m:bar element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertBar(node, context) {
+  const base = convertArgument(child(node, 'e'), context);
+  if (getVal(property(node, 'barPr', 'pos')) === 'top') {
+    return { mathml: `<mover accent="true">${base.mathml}<mo>&#xAF;</mo></mover>`, latex: `\\overline{${base.latex}}` };
+  }
+  return { mathml: `<munder accentunder="true">${base.mathml}<mo>_</mo></munder>`, latex: `\\underline{${base.latex}}` };
+}
+
+/**
+ * Convert a grouping character such as an underbrace (m:groupChr)
+ *
+ * @param {Element} node - m:groupChr element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertGroupChar(node, context) {
+  const chrNode = property(node, 'groupChrPr', 'chr');
+  const character = chrNode && getVal(chrNode) ? getVal(chrNode) : DEFAULT_GROUP_CHAR;
+  const top = getVal(property(node, 'groupChrPr', 'pos')) === 'top';
+  const base = convertArgument(child(node, 'e'), context);
+  const mo = `<mo>${escapeXml(character)}</mo>`;
+
+  let latex;
+  if (character === '⏟') latex = `\\underbrace{${base.latex}}`;
+  else if (character === '⏞') latex = `\\overbrace{${base.latex}}`;
+  else latex = `\\${top ? 'overset' : 'underset'}{${LATEX_SYMBOLS[character] || character}}{${base.latex}}`;
+
+  return {
+    mathml: top ? `<mover>${base.mathml}${mo}</mover>` : `<munder>${base.mathml}${mo}</munder>`,
+    latex
+  };
+}
+
+/**
+ * Convert an equation array (m:eqArr): equations stacked on separate lines
+ *
+ * @param {Element} node - m:eqArr element
+ * @param {Object} context - Conversion context
+ * @returns {Object} - { mathml, latex }
+ */
+function convertEquationArray(node, context) {
+  const rows = children(node, 'e').map(row => convertArgument(row, { ...context, inEquationArray: true }));
+
+  return {
+    mathml: `<mtable displaystyle="true">${rows.map(row => `<mtr><mtd>${row.mathml}</mtd></mtr>`).join('')}</mtable>`,
+    latex: `\\begin{gathered}${rows.map(row => row.latex).join(' \\\\ ')}\\end{gathered}`
+  };
+}
+
+/**
+ * Call a function for each child element
+ *
+ * @param {Element} node - Parent element
+ * @param {Function} callback - Called with each child element
+ */
+function forEachElement(node, callback) {
+  for (let current = node.firstChild; current; current = current.nextSibling) {
+    if (current.nodeType === 1) callback(current);
+  }
+}
+
+/**
+ * Get the child elements with a local name
+ *
+ * @param {Element} node - Parent element
+ * @param {string} localName - Local name
+ * @returns {Array<Element>} - Child elements
+ */
+function children(node, localName) {
+  const result = [];
+  forEachElement(node, current => {
+    if (current.localName === localName) result.push(current);
+  });
+  return result;
+}
+
+/**
+ * Get the first child element with a local name
+ *
+ * @param {Element} node - Parent element
+ * @param {string} localName - Local name
+ * @returns {Element|null} - Child element
+ */
+function child(node, localName) {
+  return children(node, localName)[0] || null;
+}
+
+/**
+ * Get a property element of an OMML object (e.g. m:fPr/m:type)
+ *
+ * @param {Element} node - OMML object
+ * @param {string} propertiesName - Properties element name (e.g. 'fPr')
+ * @param {string} localName - Property name
+ * @returns {Element|null} - Property element
+ */
+function property(node, propertiesName, localName) {
+  const properties = child(node, propertiesName);
+  return properties ? child(properties, localName) : null;
+}
+
+/**
+ * Read the m:val attribute of a property element
+ *
+ * @param {Element} node - Property element (optional)
+ * @returns {string|null} - Value
+ */
+function getVal(node) {
+  return node ? node.getAttribute('m:val') : null;
+}
+
+/**
+ * Check whether an on/off property is on; a property without a value is on
+ *
+ * @param {Element} node - Property element (optional)
+ * @returns {boolean} - True if the property is present and not switched off
+ */
+function isOn(node) {
+  if (!node) return false;
+  return !['0', 'off', 'false'].includes(getVal(node) || 'on');
+}
+
+/**
+ * Join LaTeX fragments, keeping commands apart from the letters after them
+ *
+ * @param {Array<string>} parts - LaTeX fragments
+ * @returns {string} - LaTeX
+ */
+function joinLatex(parts) {
+  return parts.filter(Boolean).reduce((latex, part) => {
+    const needsSpace = /\\[A-Za-z]+$/.test(latex) && /^[A-Za-z0-9]/.test(part);
+    return latex + (needsSpace ? ' ' : '') + part;
+  }, '');
+}
+
+/**
+ * Group a LaTeX expression in braces unless it is a single symbol
+ *
+ * @param {string} latex - LaTeX expression
+ * @returns {string} - Expression usable as a script base
+ */
+function brace(latex) {
+  return /^([A-Za-z0-9]|\\[A-Za-z]+)$/.test(latex) ? latex : `{${latex}}`;
+}
+
+/**
+ * Escape text for use in \text{}
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeLatexText(text) {
+  return text.replace(/[{}#$%&_\\~^]/g, character => {
+    if (character === '\\') return '\\textbackslash{}';
+    if (character === '~' || character === '^') return `\\${character}{}`;
+    return `\\${character}`;
+  });
+}
+
+/**
+ * Escape text for MathML markup
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  convertOmmlToMathml
+};
@@ -0,0 +1,290 @@
+// lib/parsers/bookmark-parser.js - Bookmark, internal link and cross-reference resolution
+const { selectNodes } = require('../xml/xpath-utils');
+const { findFields, unwrapSimpleField } = require('./field-parser');
+const {
+  insertMarker,
+  findMarkers,
+  wrapMarkerRange
+} = require('../utils/marker-utils');
+
+/**
+ * Field types that refer to a bookmark
+ */
+const CROSS_REFERENCE_FIELDS = ['REF', 'PAGEREF', 'NOTEREF'];
+
+/**
+ * Bookmarks Word creates for its own bookkeeping that are never link targets
+ */
+const IGNORED_BOOKMARKS = ['_GoBack'];
+
+/**
+ * Parse bookmarks and bookmark cross-references from document XML
+ *
+ * @param {Document} documentDoc - Document XML document
+ * @returns {Object} - Bookmark information with bookmarks by name and cross-reference fields
+ */
+function parseBookmarks(documentDoc) {
+  const bookmarkInfo = {
+    hasBookmarks: false,
+    bookmarks: {},
+    crossReferences: []
+  };
+
+  try {
+    const activeBookmarks = {};
+    const nodes = selectNodes(
+      '//w:bookmarkStart | //w:bookmarkEnd | //w:t | //w:footnoteReference | //w:endnoteReference',
+      documentDoc
+    );
+
+    nodes.forEach(node => {
+      switch (node.localName) {
+        case 'bookmarkStart': {
+          const name = node.getAttribute('w:name');
+          if (!name || IGNORED_BOOKMARKS.includes(name) || bookmarkInfo.bookmarks[name]) return;
+
+          const bookmark = {
+            name,
+            id: getBookmarkHtmlId(name),
+            text: '',
+            noteReference: null
+          };
+          bookmarkInfo.bookmarks[name] = bookmark;
+          activeBookmarks[node.getAttribute('w:id')] = bookmark;
+          break;
+        }
+        case 'bookmarkEnd':
+          delete activeBookmarks[node.getAttribute('w:id')];
+          break;
+        case 't':
+          Object.values(activeBookmarks).forEach(bookmark => {
+            bookmark.text += node.textContent || '';
+          });
+          break;
+        default:
+          // NOTEREF fields point at a bookmark around a note reference
+          Object.values(activeBookmarks).forEach(bookmark => {
+            if (!bookmark.noteReference) {
+              bookmark.noteReference = {
+                type: node.localName === 'footnoteReference' ? 'footnote' : 'endnote',
+                id: node.getAttribute('w:id')
+              };
+            }
+          });
+      }
+    });
+
+    findFields(documentDoc).forEach(field => {
+      const { type, args, switches } = field.parsed;
+      if (!CROSS_REFERENCE_FIELDS.includes(type) || !args[0]) return;
+
+      bookmarkInfo.crossReferences.push({
+        fieldIndex: field.index,
+        type,
+        bookmark: args[0],
+        switches
+      });
+    });
+
+    bookmarkInfo.hasBookmarks = Object.keys(bookmarkInfo.bookmarks).length > 0;
+    console.log(
+      `Found ${Object.keys(bookmarkInfo.bookmarks).length} bookmarks and ${bookmarkInfo.crossReferences.length} cross-references`
+    );
+  } catch (error) {
+    console.error('Error parsing bookmarks:', error);
+  }
+
+  return bookmarkInfo;
+}
+
+/**
+ * Get the HTML ID for a bookmark
+ * Bookmark names are kept so that links to e.g. #_Toc123 keep working; only
+ * characters that are awkward in fragment identifiers are replaced
+ *
+ * @param {string} name - Bookmark name
+ * @returns {string} - HTML ID
+ */
+function getBookmarkHtmlId(name) {
+  return name.replace(/[^\w\-:.]/g, '-');
+}
+
+/**
+ * Prepare fields in a copy of document.xml for conversion
+ * Cross-reference fields are surrounded by markers, and simple fields are
+ * replaced by their result runs so mammoth keeps the result text
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} bookmarkInfo - Bookmark information
+ * @returns {number} - Number of changes made
+ */
+function insertCrossReferenceMarkers(markedDocumentDoc, bookmarkInfo) {
+  let count = 0;
+
+  try {
+    const fields = findFields(markedDocumentDoc);
+    const crossReferenceIndexes = new Set(
+      (bookmarkInfo?.crossReferences || []).map(reference => reference.fieldIndex)
+    );
+
+    fields.forEach(field => {
+      if (crossReferenceIndexes.has(field.index) && field.end) {
+        if (insertMarker(field.begin, 'xref-start', field.index, 'before')) count++;
+        if (insertMarker(field.end, 'xref-end', field.index, 'after')) count++;
+      }
+    });
+
+    // Unwrap after all markers are placed; nested simple fields are unwrapped innermost first
+    fields
+      .filter(field => field.simple)
+      .reverse()
+      .forEach(field => {
+        unwrapSimpleField(field.begin);
+        count++;
+      });
+  } catch (error) {
+    console.error('Error inserting cross-reference markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Process bookmarks, internal hyperlinks and cross-references for HTML output
+ * Bookmarks become anchor targets with stable IDs, internal hyperlinks are
+ * pointed at them and REF/PAGEREF/NOTEREF field results become links
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} bookmarkInfo - Bookmark information
+ */
+function processBookmarksForHtml(document, bookmarkInfo) {
+  if (!bookmarkInfo) return;
+
+  try {
+    const bookmarks = bookmarkInfo.bookmarks || {};
+
+    // Mammoth writes bookmarks as empty <a id="name"> elements
+    document.querySelectorAll('a[id]:not([href])').forEach(anchor => {
+      const bookmark = bookmarks[anchor.id];
+      if (!bookmark) return;
+
+      const target = document.createElement('span');
+      target.className = 'docx-bookmark';
+      target.id = bookmark.id;
+      target.setAttribute('data-bookmark-name', bookmark.name);
+      anchor.parentNode.replaceChild(target, anchor);
+    });
+
+    // Internal hyperlinks (w:hyperlink w:anchor)
+    let internalLinks = 0;
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+      const bookmark = bookmarks[decodeFragment(link.getAttribute('href'))];
+      if (!bookmark) return;
+
+      link.setAttribute('href', `#${bookmark.id}`);
+      link.classList.add('docx-internal-link');
+      internalLinks++;
+
+      // Remember which heading bookmark a TOC entry points to; the TOC
+      // processor rebuilds the entry content, dropping this link
+      if (bookmark.name.startsWith('_Toc')) {
+        const paragraph = link.closest('p, li');
+        if (paragraph && !paragraph.hasAttribute('data-toc-bookmark')) {
+          paragraph.setAttribute('data-toc-bookmark', bookmark.id);
+        }
+      }
+    });
+
+    const crossReferences = linkCrossReferences(document, bookmarkInfo);
+
+    console.log(`Resolved ${internalLinks} internal links and ${crossReferences} cross-references`);
+  } catch (error) {
+    console.error('Error processing bookmarks for HTML:', error);
+  }
+}
+
+/**
+ * Turn cross-reference field results into links to their bookmark
+ * NOTEREF fields link to the note itself rather than to the note reference
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} bookmarkInfo - Bookmark information
+ * @returns {number} - Number of cross-references linked
+ */
+function linkCrossReferences(document, bookmarkInfo) {
+  let count = 0;
+  const startMarkers = findMarkers(document, 'xref-start');
+  const endMarkers = findMarkers(document, 'xref-end');
+
+  bookmarkInfo.crossReferences.forEach(reference => {
+    const startMarker = startMarkers.get(String(reference.fieldIndex));
+    const endMarker = endMarkers.get(String(reference.fieldIndex));
+    const href = getCrossReferenceHref(document, reference, bookmarkInfo);
+    if (!startMarker || !endMarker || !href) return;
+
+    const createLink = () => {
+      const link = document.createElement('a');
+      link.href = href;
+      link.className = 'docx-cross-reference';
+      link.setAttribute('data-field-type', reference.type);
+      return link;
+    };
+
+    // Keep the result in a single link when it sits within one element
+    if (startMarker.parentNode === endMarker.parentNode) {
+      const link = createLink();
+      while (startMarker.nextSibling && startMarker.nextSibling !== endMarker) {
+        link.appendChild(startMarker.nextSibling);
+      }
+      if (!link.textContent.trim()) return;
+      startMarker.parentNode.insertBefore(link, endMarker);
+    } else if (wrapMarkerRange(document, startMarker, endMarker, createLink).length === 0) {
+      return;
+    }
+
+    count++;
+  });
+
+  return count;
+}
+
+/**
+ * Get the link target for a cross-reference field
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} reference - Cross-reference field
+ * @param {Object} bookmarkInfo - Bookmark information
+ * @returns {string|null} - Link href or null if the target does not exist
+ */
+function getCrossReferenceHref(document, reference, bookmarkInfo) {
+  const bookmark = bookmarkInfo.bookmarks[reference.bookmark];
+  if (!bookmark) return null;
+
+  if (reference.type === 'NOTEREF' && bookmark.noteReference) {
+    const noteId = `${bookmark.noteReference.type}-${bookmark.noteReference.id}`;
+    if (document.getElementById(noteId)) return `#${noteId}`;
+  }
+
+  return document.getElementById(bookmark.id) ? `#${bookmark.id}` : null;
+}
+
+/**
+ * Decode the fragment of an in-document href
+ *
+ * @param {string} href - Link href starting with #
+ * @returns {string} - Decoded fragment
+ */
+function decodeFragment(href) {
+  try {
+    return decodeURIComponent(href.substring(1));
+  } catch (error) {
+    return href.substring(1);
+  }
+}
+
+module.exports = {
+  parseBookmarks,
+  getBookmarkHtmlId,
+  insertCrossReferenceMarkers,
+  processBookmarksForHtml
+};
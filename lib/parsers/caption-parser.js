@@ -0,0 +1,108 @@
+// lib/parsers/caption-parser.js - Figure and table caption detection
+//
+// Word captions are ordinary paragraphs, usually in the Caption style and
+// numbered with a SEQ field ("Figure { SEQ Figure }: ..."). The caption styles
+// and SEQ fields are read here; markers are placed in caption-styled paragraphs
+// and before each SEQ field so the caption processor can find them in the HTML.
+
+const { findFields } = require('./field-parser');
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { insertMarker } = require('../utils/marker-utils');
+
+/**
+ * Built-in name of Word's caption paragraph style
+ */
+const CAPTION_STYLE_NAME = 'caption';
+
+/**
+ * Parse caption styles and SEQ fields
+ *
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} styleInfo - Style information
+ * @param {Object} fieldInfo - Evaluated field results from evaluateFields (optional)
+ * @returns {Object} - Caption information with caption style IDs and SEQ fields by field index
+ */
+function parseCaptions(documentDoc, styleInfo, fieldInfo = null) {
+  const captionInfo = {
+    captionStyles: getCaptionStyleIds(styleInfo),
+    sequences: {}
+  };
+
+  try {
+    findFields(documentDoc).forEach(field => {
+      const { type, args, switches } = field.parsed;
+      // SEQ fields with \h are hidden counters, not caption numbers
+      if (type !== 'SEQ' || !args[0] || switches.h) return;
+
+      captionInfo.sequences[field.index] = {
+        fieldIndex: field.index,
+        identifier: args[0],
+        number: (fieldInfo?.results[field.index]?.text ?? field.result).trim()
+      };
+    });
+  } catch (error) {
+    console.error('Error parsing captions:', error);
+  }
+
+  return captionInfo;
+}
+
+/**
+ * Get the IDs of the caption paragraph style and styles based on it
+ * Style IDs are localised (e.g. "Beschriftung"), so styles are matched by name
+ *
+ * @param {Object} styleInfo - Style information
+ * @returns {Array<string>} - Paragraph style IDs
+ */
+function getCaptionStyleIds(styleInfo) {
+  const paragraphStyles = styleInfo?.styles?.paragraph || {};
+
+  const isCaptionStyle = (style, depth = 0) => {
+    if (!style || depth > 10) return false;
+    if ((style.name || '').toLowerCase() === CAPTION_STYLE_NAME) return true;
+    return style.basedOn ? isCaptionStyle(paragraphStyles[style.basedOn], depth + 1) : false;
+  };
+
+  return Object.keys(paragraphStyles).filter(id => isCaptionStyle(paragraphStyles[id]));
+}
+
+/**
+ * Insert caption markers: one at the start of each caption-styled paragraph
+ * and one before each SEQ field
+ * Must run before simple fields are unwrapped, so field indexes match parseCaptions
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} captionInfo - Caption information
+ * @returns {number} - Number of markers inserted
+ */
+function insertCaptionMarkers(markedDocumentDoc, captionInfo) {
+  let count = 0;
+  if (!captionInfo) return count;
+
+  try {
+    if (Object.keys(captionInfo.sequences).length > 0) {
+      findFields(markedDocumentDoc).forEach(field => {
+        if (captionInfo.sequences[field.index] && insertMarker(field.begin, 'seq', field.index, 'before')) {
+          count++;
+        }
+      });
+    }
+
+    selectNodes('//w:body//w:p/w:pPr[w:pStyle]', markedDocumentDoc).forEach((pPr, index) => {
+      const styleNode = selectSingleNode('w:pStyle', pPr);
+      if (captionInfo.captionStyles.includes(styleNode.getAttribute('w:val')) &&
+          insertMarker(pPr, 'caption', index, 'after')) {
+        count++;
+      }
+    });
+  } catch (error) {
+    console.error('Error inserting caption markers:', error);
+  }
+
+  return count;
+}
+
+module.exports = {
+  parseCaptions,
+  insertCaptionMarkers
+};
@@ -0,0 +1,728 @@
+// lib/parsers/chart-parser.js - Embedded charts
+//
+// Mammoth drops c:chart graphics. The chart parts they reference
+// (word/charts/chartN.xml) are read here: the plot types, series, categories
+// and the values cached in the chart. In the marked copy of document.xml each
+// chart graphic is replaced by a marker, and processChartsForHtml puts an SVG
+// rendering of the chart and a visually hidden table of its data in its place.
+
+const path = require('path');
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { getPartXml } = require('./package-context');
+const { parseRelationships } = require('./relationships-parser');
+const { resolveDrawingColor } = require('./theme-parser');
+const { insertMarker, findMarkers } = require('../utils/marker-utils');
+const { convertEmuToPx } = require('../utils/unit-converter');
+const { renderChartSvg, formatChartValue } = require('../charts/chart-svg');
+const { hashImage, getContentFileBaseName } = require('../html/generators/image-registry');
+
+/**
+ * Top-level chart graphics, in document order
+ */
+const CHART_XPATH = '//w:drawing[.//c:chart][not(ancestor::mc:Fallback)]';
+
+/**
+ * Plot elements and the chart type they are drawn as
+ */
+const PLOT_TYPES = {
+  barChart: 'bar',
+  bar3DChart: 'bar',
+  lineChart: 'line',
+  line3DChart: 'line',
+  areaChart: 'area',
+  area3DChart: 'area',
+  pieChart: 'pie',
+  pie3DChart: 'pie',
+  ofPieChart: 'pie',
+  doughnutChart: 'doughnut',
+  scatterChart: 'scatter',
+  radarChart: 'radar',
+  bubbleChart: 'bubble',
+  stockChart: 'stock',
+  surfaceChart: 'surface',
+  surface3DChart: 'surface'
+};
+
+/**
+ * Series colors used when the theme has no accent colors (Office theme)
+ */
+const DEFAULT_PALETTE = ['#4472C4', '#ED7D31', '#A5A5A5', '#FFC000', '#5B9BD5', '#70AD47'];
+
+/**
+ * Size of a chart without a wp:extent, in pixels
+ */
+const DEFAULT_CHART_SIZE = { width: 480, height: 288 };
+
+/**
+ * Days between the spreadsheet date epoch (1899-12-30) and 1970-01-01
+ */
+const SPREADSHEET_EPOCH_DAYS = 25569;
+
+/**
+ * Parse every chart referenced from document.xml
+ *
+ * @param {Object} pkg - Package context (see package-context.js)
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} theme - Theme from parseTheme, used for series colors and fonts (optional)
+ * @returns {Promise<Object>} - Chart information with charts (by ID) holding their data
+ */
+async function parseCharts(pkg, documentDoc, theme = null) {
+  const chartInfo = {
+    hasCharts: false,
+    charts: {}
+  };
+
+  try {
+    const drawings = selectNodes(CHART_XPATH, documentDoc);
+    if (drawings.length === 0) return chartInfo;
+
+    const relationships = await parseRelationships(pkg, 'word/document.xml');
+
+    for (let index = 0; index < drawings.length; index++) {
+      const id = String(index);
+      try {
+        const chart = await parseChartDrawing(pkg, drawings[index], relationships, theme);
+        if (chart) chartInfo.charts[id] = { id, number: index + 1, ...chart };
+      } catch (error) {
+        console.error(`Error parsing chart ${id}:`, error);
+      }
+    }
+
+    chartInfo.hasCharts = Object.keys(chartInfo.charts).length > 0;
+  } catch (error) {
+    console.error('Error parsing charts:', error);
+  }
+
+  return chartInfo;
+}
+
+/**
+ * Read the chart part referenced by one chart graphic
+ *
+ * @param {Object} pkg - Package context
+ * @param {Element} drawing - w:drawing element
+ * @param {Object} relationships - Relationships of document.xml
+ * @param {Object} theme - Theme from parseTheme
+ * @returns {Promise<Object|null>} - Chart data, or null if the chart part is missing
+ */
+async function parseChartDrawing(pkg, drawing, relationships, theme) {
+  const chartNode = selectSingleNode('.//c:chart', drawing);
+  const relationship = relationships[chartNode.getAttribute('r:id')];
+  if (!relationship || !relationship.partPath) return null;
+
+  const chartDoc = await getPartXml(pkg, relationship.partPath);
+  if (!chartDoc) return null;
+
+  const container = selectSingleNode('wp:inline | wp:anchor', drawing);
+  const extent = container ? selectSingleNode('wp:extent', container) : null;
+  const docPr = container ? selectSingleNode('wp:docPr', container) : null;
+
+  const chart = parseChartSpace(chartDoc, theme);
+  return {
+    partPath: relationship.partPath,
+    name: path.posix.basename(relationship.partPath, path.posix.extname(relationship.partPath)),
+    description: docPr ? (docPr.getAttribute('descr') || docPr.getAttribute('title') || '').trim() : '',
+    width: extent ? convertEmuToPx(extent.getAttribute('cx')) : DEFAULT_CHART_SIZE.width,
+    height: extent ? convertEmuToPx(extent.getAttribute('cy')) : DEFAULT_CHART_SIZE.height,
+    font: theme && theme.fonts ? theme.fonts.minor : null,
+    ...chart
+  };
+}
+
+/**
+ * Read the title, plots, axes and legend of a chart part
+ *
+ * @param {Document} chartDoc - Chart XML (c:chartSpace)
+ * @param {Object} theme - Theme from parseTheme
+ * @returns {Object} - Chart data
+ */
+function parseChartSpace(chartDoc, theme) {
+  const chartNode = selectSingleNode('/c:chartSpace/c:chart', chartDoc);
+  const plotArea = selectSingleNode('c:plotArea', chartNode);
+  const palette = getPalette(theme);
+
+  const plots = [];
+  let seriesIndex = 0;
+  selectNodes('./*', plotArea).forEach(plotNode => {
+    const type = PLOT_TYPES[plotNode.localName];
+    if (!type) return;
+    const plot = parsePlot(plotNode, type, theme, palette, seriesIndex);
+    seriesIndex += plot.series.length;
+    plots.push(plot);
+  });
+
+  const legendNode = selectSingleNode('c:legend', chartNode);
+  const legendPosition = legendNode ? selectSingleNode('c:legendPos', legendNode) : null;
+  const allSeries = plots.reduce((series, plot) => series.concat(plot.series), []);
+
+  return {
+    title: getChartTitle(chartNode, allSeries),
+    plots,
+    categories: getCategories(allSeries),
+    axes: parseAxes(plotArea),
+    palette,
+    legend: legendNode && !isDeleted(legendNode)
+      ? { position: legendPosition ? legendPosition.getAttribute('val') || 'r' : 'r' }
+      : null
+  };
+}
+
+/**
+ * Read one plot (e.g. c:barChart) and its series
+ *
+ * @param {Element} plotNode - Plot element
+ * @param {string} type - Chart type from PLOT_TYPES
+ * @param {Object} theme - Theme from parseTheme
+ * @param {Array<string>} palette - Default series colors
+ * @param {number} firstSeriesIndex - Number of series in earlier plots
+ * @returns {Object} - Plot with type, grouping and series
+ */
+function parsePlot(plotNode, type, theme, palette, firstSeriesIndex) {
+  const varyColors = isOn(selectSingleNode('c:varyColors', plotNode), false);
+  const plot = {
+    type,
+    direction: getVal(plotNode, 'c:barDir') || 'col',
+    grouping: getVal(plotNode, 'c:grouping') || (type === 'bar' ? 'clustered' : 'standard'),
+    gapWidth: parseInt(getVal(plotNode, 'c:gapWidth'), 10),
+    holeSize: parseInt(getVal(plotNode, 'c:holeSize'), 10),
+    firstSliceAngle: parseInt(getVal(plotNode, 'c:firstSliceAng'), 10) || 0,
+    scatterStyle: getVal(plotNode, 'c:scatterStyle') || null,
+    varyColors: varyColors || type === 'pie' || type === 'doughnut',
+    series: []
+  };
+  if (isNaN(plot.gapWidth)) plot.gapWidth = 150;
+  if (isNaN(plot.holeSize)) plot.holeSize = 50;
+
+  const seriesNodes = selectNodes('c:ser', plotNode)
+    .map((node, position) => {
+      const order = parseInt(getVal(node, 'c:order'), 10);
+      return { node, order: isNaN(order) ? position : order };
+    })
+    .sort((a, b) => a.order - b.order);
+
+  seriesNodes.forEach(({ node }, position) => {
+    const index = firstSeriesIndex + position;
+    plot.series.push(parseSeries(node, type, theme, palette, index));
+  });
+
+  return plot;
+}
+
+/**
+ * Read one series: its name, categories (or X values), values and colors
+ *
+ * @param {Element} seriesNode - c:ser element
+ * @param {string} type - Chart type
+ * @param {Object} theme - Theme from parseTheme
+ * @param {Array<string>} palette - Default series colors
+ * @param {number} index - Series position in the chart
+ * @returns {Object} - Series data
+ */
+function parseSeries(seriesNode, type, theme, palette, index) {
+  const idx = parseInt(getVal(seriesNode, 'c:idx'), 10);
+  const paletteIndex = isNaN(idx) ? index : idx;
+  const lineOnly = type === 'line' || type === 'scatter' || type === 'radar';
+  const spPr = selectSingleNode('c:spPr', seriesNode);
+
+  const name = readCache(selectSingleNode('c:tx', seriesNode)).values.join(' ') ||
+    `Series ${index + 1}`;
+  const categoryCache = readCache(selectSingleNode(type === 'scatter' || type === 'bubble' ? 'c:xVal' : 'c:cat', seriesNode));
+  const valueCache = readCache(selectSingleNode(type === 'scatter' || type === 'bubble' ? 'c:yVal' : 'c:val', seriesNode));
+
+  const series = {
+    name,
+    categories: categoryCache.values.map(value => formatCategory(value, categoryCache.formatCode)),
+    xValues: type === 'scatter' || type === 'bubble' ? categoryCache.values.map(toNumber) : null,
+    values: valueCache.values.map(toNumber),
+    formatCode: valueCache.formatCode,
+    color: readShapeColor(spPr, theme, lineOnly) || palette[paletteIndex % palette.length],
+    line: !(spPr && selectSingleNode('a:ln/a:noFill', spPr)),
+    marker: getVal(seriesNode, 'c:marker/c:symbol') !== 'none',
+    pointColors: {}
+  };
+
+  selectNodes('c:dPt', seriesNode).forEach(point => {
+    const pointIndex = parseInt(getVal(point, 'c:idx'), 10);
+    const color = readShapeColor(selectSingleNode('c:spPr', point), theme, lineOnly);
+    if (!isNaN(pointIndex) && color) series.pointColors[pointIndex] = color;
+  });
+
+  return series;
+}
+
+/**
+ * Read the cached values of a string, number or multi-level reference
+ * Cached points are placed by their c:idx, so gaps stay empty
+ *
+ * @param {Element} node - c:tx, c:cat, c:val, c:xVal or c:yVal element
+ * @returns {Object} - { values, formatCode }
+ */
+function readCache(node) {
+  const result = { values: [], formatCode: null };
+  if (!node) return result;
+
+  const literal = selectSingleNode('c:v', node);
+  if (literal) {
+    result.values.push(literal.textContent);
+    return result;
+  }
+
+  const cache = selectSingleNode(
+    'c:strRef/c:strCache | c:numRef/c:numCache | c:strLit | c:numLit | c:multiLvlStrRef/c:multiLvlStrCache/c:lvl',
+    node
+  );
+  if (!cache) return result;
+
+  const formatCode = selectSingleNode('c:formatCode', cache);
+  result.formatCode = formatCode ? formatCode.textContent : null;
+
+  const count = parseInt(getVal(cache, 'c:ptCount'), 10);
+  selectNodes('c:pt', cache).forEach((point, position) => {
+    const pointIndex = parseInt(point.getAttribute('idx'), 10);
+    const valueNode = selectSingleNode('c:v', point);
+    result.values[isNaN(pointIndex) ? position : pointIndex] = valueNode ? valueNode.textContent : null;
+  });
+  for (let i = 0; i < (isNaN(count) ? result.values.length : count); i++) {
+    if (result.values[i] === undefined) result.values[i] = null;
+  }
+
+  return result;
+}
+
+/**
+ * Read the fill (or, for lines, the outline) color of a chart element
+ *
+ * @param {Element} spPr - c:spPr element
+ * @param {Object} theme - Theme from parseTheme
+ * @param {boolean} lineOnly - Whether the element is drawn as a line
+ * @returns {string|null} - CSS color
+ */
+function readShapeColor(spPr, theme, lineOnly) {
+  if (!spPr) return null;
+  const fill = selectSingleNode(lineOnly ? 'a:ln/a:solidFill' : 'a:solidFill', spPr) ||
+    selectSingleNode(lineOnly ? 'a:solidFill' : 'a:ln/a:solidFill', spPr);
+  return fill ? resolveDrawingColor(fill, theme) : null;
+}
+
+/**
+ * Get the chart title
+ * A title without text of its own shows the series name in single-series charts
+ *
+ * @param {Element} chartNode - c:chart element
+ * @param {Array<Object>} series - All series of the chart
+ * @returns {string|null} - Title text
+ */
+function getChartTitle(chartNode, series) {
+  const titleNode = selectSingleNode('c:title', chartNode);
+  const text = getTitleText(titleNode);
+  if (text) return text;
+
+  const autoTitleDeleted = isOn(selectSingleNode('c:autoTitleDeleted', chartNode), false);
+  if (titleNode || (!autoTitleDeleted && series.length === 1)) {
+    return series.length === 1 ? series[0].name : null;
+  }
+  return null;
+}
+
+/**
+ * Get the text of a chart or axis title
+ *
+ * @param {Element} titleNode - c:title element
+ * @returns {string} - Title text, empty if it has none
+ */
+function getTitleText(titleNode) {
+  if (!titleNode) return '';
+  const paragraphs = selectNodes('c:tx/c:rich/a:p', titleNode);
+  if (paragraphs.length > 0) {
+    return paragraphs
+      .map(paragraph => selectNodes('.//a:t', paragraph).map(t => t.textContent).join(''))
+      .filter(Boolean)
+      .join(' ')
+      .trim();
+  }
+  return readCache(selectSingleNode('c:tx', titleNode)).values.join(' ').trim();
+}
+
+/**
+ * Get the category labels shared by the series (the longest list)
+ *
+ * @param {Array<Object>} series - All series of the chart
+ * @returns {Array<string>} - Category labels
+ */
+function getCategories(series) {
+  let categories = [];
+  series.forEach(item => {
+    if (item.categories.length > categories.length) categories = item.categories;
+  });
+
+  const valueCount = Math.max(0, ...series.map(item => item.values.length));
+  const labels = [];
+  for (let i = 0; i < Math.max(categories.length, valueCount); i++) {
+    labels.push(categories[i] !== undefined && categories[i] !== null ? String(categories[i]) : String(i + 1));
+  }
+  return labels;
+}
+
+/**
+ * Read the category and value axes
+ * Scatter charts have two value axes, told apart by their position
+ *
+ * @param {Element} plotArea - c:plotArea element
+ * @returns {Object} - { category, value, x, y } axis settings
+ */
+function parseAxes(plotArea) {
+  const axes = { category: null, value: null, x: null, y: null };
+
+  selectNodes('c:catAx | c:dateAx | c:valAx', plotArea).forEach(node => {
+    const formatNode = selectSingleNode('c:numFmt', node);
+    const axis = {
+      title: getTitleText(selectSingleNode('c:title', node)) || null,
+      deleted: isDeleted(node),
+      position: getVal(node, 'c:axPos') || 'b',
+      min: toNumber(getVal(node, 'c:scaling/c:min')),
+      max: toNumber(getVal(node, 'c:scaling/c:max')),
+      reversed: getVal(node, 'c:scaling/c:orientation') === 'maxMin',
+      gridlines: !!selectSingleNode('c:majorGridlines', node),
+      formatCode: formatNode ? formatNode.getAttribute('formatCode') : null
+    };
+
+    if (node.localName !== 'valAx') {
+      if (!axes.category) axes.category = axis;
+      return;
+    }
+    if (!axes.value) axes.value = axis;
+    if (['b', 't'].includes(axis.position)) {
+      if (!axes.x) axes.x = axis;
+    } else if (!axes.y) {
+      axes.y = axis;
+    }
+  });
+
+  return axes;
+}
+
+/**
+ * Get the default series colors: the theme accents, or the Office ones
+ *
+ * @param {Object} theme - Theme from parseTheme
+ * @returns {Array<string>} - Colors
+ */
+function getPalette(theme) {
+  const colors = theme && theme.colors ? theme.colors : {};
+  const accents = [1, 2, 3, 4, 5, 6].map(i => colors[`accent${i}`]).filter(Boolean);
+  return accents.length === 6 ? accents : DEFAULT_PALETTE;
+}
+
+/**
+ * Format a category value, turning date serial numbers into ISO dates
+ *
+ * @param {string} value - Cached value
+ * @param {string} formatCode - Number format of the category cache
+ * @returns {string|null} - Category label
+ */
+function formatCategory(value, formatCode) {
+  if (value === null || value === undefined) return null;
+  const serial = toNumber(value);
+  if (serial !== null && formatCode && /[dy]/i.test(formatCode.replace(/"[^"]*"|\[[^\]]*\]/g, ''))) {
+    const date = new Date(Math.round((serial - SPREADSHEET_EPOCH_DAYS) * 86400000));
+    if (!isNaN(date.getTime())) return date.toISOString().slice(0, 10);
+  }
+  return value;
+}
+
+/**
+ * Read a cached value as a number
+ *
+ * @param {string} value - Cached value
+ * @returns {number|null} - Number, or null for blanks and text
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * Get the val attribute of a child element
+ *
+ * @param {Element} node - Parent element
+ * @param {string} xpath - Child path
+ * @returns {string|null} - Attribute value
+ */
+function getVal(node, xpath) {
+  const child = selectSingleNode(xpath, node);
+  return child ? child.getAttribute('val') : null;
+}
+
+/**
+ * Read a chart boolean element, whose val defaults to true
+ *
+ * @param {Element} node - Boolean element (e.g. c:varyColors)
+ * @param {boolean} missing - Value when the element is absent
+ * @returns {boolean} - Value
+ */
+function isOn(node, missing) {
+  if (!node) return missing;
+  return !['0', 'false'].includes(node.getAttribute('val'));
+}
+
+/**
+ * Check whether a chart element is marked deleted (c:delete)
+ *
+ * @param {Element} node - Axis or legend element
+ * @returns {boolean} - True if deleted
+ */
+function isDeleted(node) {
+  return isOn(selectSingleNode('c:delete', node), false);
+}
+
+/**
+ * Replace each chart graphic with a marker
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} chartInfo - Chart information
+ * @returns {number} - Number of markers inserted
+ */
+function insertChartMarkers(markedDocumentDoc, chartInfo) {
+  let count = 0;
+  if (!chartInfo || !chartInfo.hasCharts) return count;
+
+  try {
+    selectNodes(CHART_XPATH, markedDocumentDoc).forEach((drawing, index) => {
+      if (!chartInfo.charts[String(index)]) return;
+
+      // Charts in mc:AlternateContent are replaced together with their fallback picture
+      let graphic = drawing;
+      for (let node = drawing.parentNode; node && node.nodeType === 1; node = node.parentNode) {
+        if (node.localName === 'AlternateContent') graphic = node;
+        if (node.localName === 'r') break;
+      }
+      const run = graphic.parentNode && graphic.parentNode.localName === 'r' ? graphic.parentNode : graphic;
+
+      if (insertMarker(run, 'chart', index, 'before')) {
+        graphic.parentNode.removeChild(graphic);
+        count++;
+      }
+    });
+  } catch (error) {
+    console.error('Error inserting chart markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Put each chart in the HTML in place of its marker
+ * A chart becomes a figure with the SVG rendering and a visually hidden table
+ * of its data; a paragraph holding only the chart is replaced by the figure
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} chartInfo - Chart information
+ */
+function processChartsForHtml(document, chartInfo) {
+  if (!chartInfo || !chartInfo.hasCharts) return;
+
+  try {
+    findMarkers(document, 'chart').forEach((marker, id) => {
+      const chart = chartInfo.charts[id];
+      if (!chart) return;
+
+      const figure = createChartFigure(document, chart);
+      const paragraph = marker.closest('p');
+      if (!paragraph) {
+        marker.parentNode.insertBefore(figure, marker);
+      } else if (paragraph.textContent.trim() === '' && !paragraph.querySelector('img, svg, math')) {
+        paragraph.parentNode.replaceChild(figure, paragraph);
+      } else {
+        paragraph.parentNode.insertBefore(figure, paragraph.nextSibling);
+      }
+    });
+  } catch (error) {
+    console.error('Error processing charts for HTML:', error);
+  }
+}
+
+/**
+ * Create the figure for one chart
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} chart - Chart data
+ * @returns {Element} - figure element
+ */
+function createChartFigure(document, chart) {
+  const baseId = `chart-${chart.number}`;
+  const figure = document.createElement('figure');
+  figure.className = 'docx-chart';
+  figure.style.maxWidth = `${chart.width}px`;
+
+  const svg = renderChartSvg(chart, { id: baseId });
+  const table = createChartDataTable(document, chart, `${baseId}-data`);
+
+  // Charts that cannot be drawn show their data instead
+  if (svg) {
+    figure.innerHTML = svg;
+    table.classList.add('sr-only');
+  }
+  figure.appendChild(table);
+  return figure;
+}
+
+/**
+ * Create the table of a chart's data
+ * Category charts have a row per category and a column per series; scatter
+ * and bubble charts list each point with its X and Y values
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} chart - Chart data
+ * @param {string} id - Table ID
+ * @returns {Element} - table element
+ */
+function createChartDataTable(document, chart, id) {
+  const { header, rows } = getChartDataRows(chart);
+  const table = document.createElement('table');
+  table.className = 'docx-chart-data';
+  table.id = id;
+
+  const caption = document.createElement('caption');
+  caption.textContent = `${chart.title || chart.description || `Chart ${chart.number}`} (data)`;
+  table.appendChild(caption);
+
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  header.forEach(text => {
+    const th = document.createElement('th');
+    th.setAttribute('scope', 'col');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    row.forEach((text, column) => {
+      const cell = document.createElement(column === 0 ? 'th' : 'td');
+      if (column === 0) cell.setAttribute('scope', 'row');
+      cell.textContent = text;
+      tr.appendChild(cell);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  return table;
+}
+
+/**
+ * Lay a chart's data out as a header and rows of formatted text
+ *
+ * @param {Object} chart - Chart data
+ * @returns {Object} - { header, rows }
+ */
+function getChartDataRows(chart) {
+  const series = chart.plots.reduce((all, plot) => all.concat(plot.series), []);
+  const pointCharts = chart.plots.length > 0 && chart.plots.every(plot => plot.type === 'scatter' || plot.type === 'bubble');
+
+  if (pointCharts) {
+    const rows = [];
+    series.forEach(item => {
+      item.values.forEach((value, i) => {
+        const x = item.xValues[i] !== null && item.xValues[i] !== undefined ? item.xValues[i] : i + 1;
+        rows.push([item.name, formatChartValue(x, null), formatChartValue(value, item.formatCode)]);
+      });
+    });
+    return { header: ['Series', 'X', 'Y'], rows };
+  }
+
+  return {
+    header: ['Category', ...series.map(item => item.name)],
+    rows: chart.categories.map((category, i) => [
+      category,
+      ...series.map(item => formatChartValue(item.values[i], item.formatCode))
+    ])
+  };
+}
+
+/**
+ * Export the data of every chart as CSV and JSON files
+ * Values are written unformatted so they can be analysed elsewhere. The files
+ * are named like images, by a hash of the chart data plus the chart part name,
+ * so charts of documents sharing an images folder do not overwrite each other.
+ *
+ * @param {Object} chartInfo - Chart information
+ * @returns {Map} - File contents (Buffer) by file name (e.g. 3f2a9c0d1e4b5a67-chart1.csv)
+ */
+function exportChartData(chartInfo) {
+  const files = new Map();
+  if (!chartInfo || !chartInfo.hasCharts) return files;
+
+  try {
+    Object.values(chartInfo.charts).forEach(chart => {
+      const series = chart.plots.reduce((all, plot) => all.concat(plot.series.map(item => ({ plot, item }))), []);
+      const pointCharts = series.length > 0 && series.every(({ plot }) => plot.type === 'scatter' || plot.type === 'bubble');
+
+      const rows = [];
+      if (pointCharts) {
+        rows.push(['Series', 'X', 'Y']);
+        series.forEach(({ item }) => {
+          item.values.forEach((value, i) => rows.push([item.name, item.xValues[i], value]));
+        });
+      } else {
+        rows.push(['Category', ...series.map(({ item }) => item.name)]);
+        chart.categories.forEach((category, i) => {
+          rows.push([category, ...series.map(({ item }) => item.values[i])]);
+        });
+      }
+      const csv = rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+
+      const json = {
+        title: chart.title,
+        description: chart.description || null,
+        source: chart.partPath,
+        categories: pointCharts ? null : chart.categories,
+        series: series.map(({ plot, item }) => ({
+          name: item.name,
+          type: plot.type,
+          xValues: item.xValues,
+          values: item.values,
+          formatCode: item.formatCode
+        }))
+      };
+
+      const jsonData = Buffer.from(JSON.stringify(json, null, 2) + '\n', 'utf8');
+      const baseName = getContentFileBaseName(hashImage(Buffer.concat([Buffer.from(csv, 'utf8'), jsonData])), chart.name);
+      files.set(`${baseName}.csv`, Buffer.from(csv, 'utf8'));
+      files.set(`${baseName}.json`, jsonData);
+    });
+  } catch (error) {
+    console.error('Error exporting chart data:', error);
+  }
+
+  return files;
+}
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * Text starting with =, +, -, @, a tab or a carriage return gets a leading
+ * apostrophe so spreadsheets do not run it as a formula; numbers are written
+ * as they are.
+ *
+ * @param {*} value - Value
+ * @returns {string} - CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  parseCharts,
+  insertChartMarkers,
+  processChartsForHtml,
+  exportChartData
+};
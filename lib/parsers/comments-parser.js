@@ -0,0 +1,423 @@
+// lib/parsers/comments-parser.js - Word comments parsing and processing functions
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { getPartXml } = require('./package-context');
+const {
+  insertMarker,
+  findMarkers,
+  wrapMarkerRange
+} = require('../utils/marker-utils');
+
+/**
+ * Parse comments from comments.xml and commentsExtended.xml
+ * Anchors each comment to the text between its w:commentRangeStart and
+ * w:commentRangeEnd, and links replies to their parent comment
+ *
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {Document} documentDoc - Document XML document
+ * @returns {Object} - Comments information
+ */
+async function parseComments(zip, documentDoc) {
+  const commentsInfo = {
+    hasComments: false,
+    comments: []
+  };
+
+  try {
+    const commentsDoc = await getPartXml(zip, 'word/comments.xml');
+    if (!commentsDoc) {
+      return commentsInfo;
+    }
+
+    const commentNodes = selectNodes('//w:comment', commentsDoc);
+    const commentsByParaId = {};
+
+    commentNodes.forEach(node => {
+      const paragraphNodes = selectNodes('.//w:p', node);
+      const paragraphs = paragraphNodes
+        .map(p => selectNodes('.//w:t', p).map(t => t.textContent || '').join(''))
+        .filter(text => text.trim().length > 0);
+
+      const comment = {
+        id: node.getAttribute('w:id'),
+        author: node.getAttribute('w:author') || 'Unknown',
+        initials: node.getAttribute('w:initials') || getInitials(node.getAttribute('w:author')),
+        date: node.getAttribute('w:date') || '',
+        paragraphs,
+        text: paragraphs.join('\n'),
+        anchorText: '',
+        parentId: null,
+        done: false,
+        replies: []
+      };
+
+      // commentsExtended.xml refers to comments by the paraId of their last paragraph
+      const lastParagraph = paragraphNodes[paragraphNodes.length - 1];
+      const paraId = lastParagraph ? lastParagraph.getAttribute('w14:paraId') : null;
+      if (paraId) {
+        commentsByParaId[paraId] = comment;
+      }
+
+      commentsInfo.comments.push(comment);
+    });
+
+    // Resolve replies and resolved state
+    const extendedDoc = await getPartXml(zip, 'word/commentsExtended.xml');
+    if (extendedDoc) {
+      const commentExNodes = Array.from(extendedDoc.getElementsByTagName('w15:commentEx'));
+
+      commentExNodes.forEach(node => {
+        const comment = commentsByParaId[node.getAttribute('w15:paraId')];
+        if (!comment) return;
+
+        comment.done = node.getAttribute('w15:done') === '1';
+
+        const parent = commentsByParaId[node.getAttribute('w15:paraIdParent')];
+        if (parent && parent !== comment) {
+          comment.parentId = parent.id;
+          parent.replies.push(comment.id);
+        }
+      });
+    }
+
+    // Collect the commented text from the document
+    const anchorText = extractCommentAnchorText(documentDoc);
+    commentsInfo.comments.forEach(comment => {
+      comment.anchorText = anchorText[comment.id] || '';
+    });
+
+    commentsInfo.hasComments = commentsInfo.comments.length > 0;
+    console.log(`Found ${commentsInfo.comments.length} comments`);
+  } catch (error) {
+    console.error('Error parsing comments:', error);
+  }
+
+  return commentsInfo;
+}
+
+/**
+ * Extract the text each comment range covers
+ *
+ * @param {Document} documentDoc - Document XML document
+ * @returns {Object} - Anchor text keyed by comment ID
+ */
+function extractCommentAnchorText(documentDoc) {
+  const anchorText = {};
+
+  try {
+    const activeIds = new Set();
+    const nodes = selectNodes('//w:p | //w:commentRangeStart | //w:commentRangeEnd | //w:t', documentDoc);
+
+    nodes.forEach(node => {
+      const id = node.getAttribute && node.getAttribute('w:id');
+      if (node.localName === 'commentRangeStart') {
+        activeIds.add(id);
+        anchorText[id] = anchorText[id] || '';
+      } else if (node.localName === 'commentRangeEnd') {
+        activeIds.delete(id);
+      } else if (node.localName === 'p') {
+        // Separate the text of ranges that span several paragraphs
+        activeIds.forEach(activeId => {
+          if (anchorText[activeId]) anchorText[activeId] += '\n';
+        });
+      } else if (node.localName === 't') {
+        activeIds.forEach(activeId => {
+          anchorText[activeId] += node.textContent || '';
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error extracting comment anchor text:', error);
+  }
+
+  return anchorText;
+}
+
+/**
+ * Insert comment range markers into a copy of document.xml
+ * Only top-level comments are anchored; replies are shown with their parent
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} commentsInfo - Comments information
+ * @returns {number} - Number of markers inserted
+ */
+function insertCommentMarkers(markedDocumentDoc, commentsInfo) {
+  let count = 0;
+  if (!commentsInfo || !commentsInfo.hasComments) return count;
+
+  try {
+    const topLevelIds = new Set(
+      commentsInfo.comments.filter(comment => !comment.parentId).map(comment => comment.id)
+    );
+
+    selectNodes('//w:commentRangeStart', markedDocumentDoc).forEach(node => {
+      const id = node.getAttribute('w:id');
+      if (topLevelIds.has(id) && insertMarker(node, 'comment-start', id, 'before')) count++;
+    });
+
+    selectNodes('//w:commentRangeEnd', markedDocumentDoc).forEach(node => {
+      const id = node.getAttribute('w:id');
+      if (topLevelIds.has(id) && insertMarker(node, 'comment-end', id, 'after')) count++;
+    });
+
+    // Point comments have a reference but no range
+    selectNodes('//w:commentReference', markedDocumentDoc).forEach(node => {
+      const id = node.getAttribute('w:id');
+      if (!topLevelIds.has(id)) return;
+      if (selectSingleNode(`//w:commentRangeEnd[@w:id="${id}"]`, markedDocumentDoc)) return;
+      if (insertMarker(node, 'comment-end', id, 'after')) count++;
+    });
+  } catch (error) {
+    console.error('Error inserting comment markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Process comments for HTML output
+ * In 'show' mode, commented text is highlighted and linked to a comments
+ * sidebar listing each thread with author, initials, date and replies
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} commentsInfo - Comments information
+ * @param {Object} options - Processing options
+ * @param {string} options.mode - 'show', 'hide' or 'json'
+ */
+function processCommentsForHtml(document, commentsInfo, options = {}) {
+  const mode = options.mode || 'show';
+  if (!commentsInfo || !commentsInfo.hasComments || mode !== 'show') return;
+
+  try {
+    const startMarkers = findMarkers(document, 'comment-start');
+    const endMarkers = findMarkers(document, 'comment-end');
+    const commentsById = {};
+    commentsInfo.comments.forEach(comment => {
+      commentsById[comment.id] = comment;
+    });
+
+    const threads = commentsInfo.comments.filter(comment => !comment.parentId);
+
+    // Number threads in the order their anchors appear in the document
+    const anchoredThreads = threads
+      .filter(comment => endMarkers.has(comment.id) || startMarkers.has(comment.id))
+      .sort((a, b) => {
+        const markerA = endMarkers.get(a.id) || startMarkers.get(a.id);
+        const markerB = endMarkers.get(b.id) || startMarkers.get(b.id);
+        return markerA.compareDocumentPosition(markerB) & 4 ? -1 : 1;
+      });
+    const orderedThreads = anchoredThreads.concat(threads.filter(comment => !anchoredThreads.includes(comment)));
+
+    orderedThreads.forEach((comment, index) => {
+      comment.number = index + 1;
+    });
+
+    anchoredThreads.forEach(comment => {
+      const startMarker = startMarkers.get(comment.id);
+      const endMarker = endMarkers.get(comment.id);
+      const commentId = `comment-${comment.id}`;
+
+      if (startMarker && endMarker) {
+        wrapMarkerRange(document, startMarker, endMarker, () => {
+          const mark = document.createElement('mark');
+          mark.className = 'docx-comment-highlight';
+          if (comment.done) mark.classList.add('docx-comment-resolved');
+          mark.setAttribute('data-comment-id', comment.id);
+          mark.setAttribute('aria-describedby', `${commentId}-body`);
+          mark.title = `${comment.author}: ${comment.text}`;
+          return mark;
+        });
+      }
+
+      // Reference link placed where the comment range ends
+      const ref = document.createElement('sup');
+      ref.className = 'docx-comment-ref';
+      const refLink = document.createElement('a');
+      refLink.id = `comment-ref-${comment.id}`;
+      refLink.href = `#${commentId}`;
+      refLink.textContent = `C${comment.number}`;
+      refLink.setAttribute('aria-label', `Comment ${comment.number} by ${comment.author}`);
+      ref.appendChild(refLink);
+
+      const anchor = endMarker || startMarker;
+      anchor.parentNode.insertBefore(ref, anchor.nextSibling);
+    });
+
+    document.body.appendChild(createCommentsSidebar(document, orderedThreads, commentsById));
+    document.body.classList.add('docx-has-comments');
+
+    console.log(`Processed ${anchoredThreads.length} anchored comment threads`);
+  } catch (error) {
+    console.error('Error processing comments for HTML:', error);
+  }
+}
+
+/**
+ * Create the comments sidebar
+ *
+ * @param {Document} document - HTML document
+ * @param {Array} threads - Top-level comments in display order
+ * @param {Object} commentsById - All comments keyed by ID
+ * @returns {Element} - Sidebar element
+ */
+function createCommentsSidebar(document, threads, commentsById) {
+  const sidebar = document.createElement('aside');
+  sidebar.className = 'docx-comments';
+  sidebar.setAttribute('aria-label', 'Comments');
+
+  const list = document.createElement('ol');
+  list.className = 'docx-comments-list';
+
+  threads.forEach(comment => {
+    const item = document.createElement('li');
+    item.className = 'docx-comment-thread';
+    item.appendChild(createCommentElement(document, comment, commentsById, false));
+    list.appendChild(item);
+  });
+
+  sidebar.appendChild(list);
+  return sidebar;
+}
+
+/**
+ * Create the element for a single comment and its replies
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} comment - Comment
+ * @param {Object} commentsById - All comments keyed by ID
+ * @param {boolean} isReply - Whether the comment is a reply
+ * @returns {Element} - Comment element
+ */
+function createCommentElement(document, comment, commentsById, isReply) {
+  const article = document.createElement('article');
+  article.id = `comment-${comment.id}`;
+  article.className = isReply ? 'docx-comment docx-comment-reply' : 'docx-comment';
+  if (comment.done) article.classList.add('docx-comment-resolved');
+  article.setAttribute('aria-label', `${isReply ? 'Reply' : 'Comment'} by ${comment.author}`);
+
+  // A div rather than <header>, which the accessibility pass would turn into a banner
+  const header = document.createElement('div');
+  header.className = 'docx-comment-header';
+
+  const initials = document.createElement('span');
+  initials.className = 'docx-comment-initials';
+  initials.setAttribute('aria-hidden', 'true');
+  initials.textContent = comment.initials;
+  header.appendChild(initials);
+
+  const author = document.createElement('span');
+  author.className = 'docx-comment-author';
+  author.textContent = comment.author;
+  header.appendChild(author);
+
+  if (comment.date) {
+    const time = document.createElement('time');
+    time.className = 'docx-comment-date';
+    time.setAttribute('datetime', comment.date);
+    time.textContent = formatCommentDate(comment.date);
+    header.appendChild(time);
+  }
+
+  if (comment.done) {
+    const status = document.createElement('span');
+    status.className = 'docx-comment-status';
+    status.textContent = 'Resolved';
+    header.appendChild(status);
+  }
+
+  article.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'docx-comment-body';
+  body.id = `comment-${comment.id}-body`;
+  comment.paragraphs.forEach(text => {
+    const p = document.createElement('p');
+    p.textContent = text;
+    body.appendChild(p);
+  });
+  article.appendChild(body);
+
+  if (!isReply && document.getElementById(`comment-ref-${comment.id}`)) {
+    const backLink = document.createElement('a');
+    backLink.className = 'docx-comment-backlink';
+    backLink.href = `#comment-ref-${comment.id}`;
+    backLink.setAttribute('aria-label', `Return to commented text for comment ${comment.number}`);
+    backLink.textContent = '↩';
+    article.appendChild(backLink);
+  }
+
+  if (comment.replies.length > 0) {
+    const replies = document.createElement('div');
+    replies.className = 'docx-comment-replies';
+    comment.replies.forEach(replyId => {
+      const reply = commentsById[replyId];
+      if (reply) replies.appendChild(createCommentElement(document, reply, commentsById, true));
+    });
+    article.appendChild(replies);
+  }
+
+  return article;
+}
+
+/**
+ * Export comments as plain data for JSON output
+ *
+ * @param {Object} commentsInfo - Comments information
+ * @returns {Array} - Comment threads with nested replies
+ */
+function exportCommentsToJson(commentsInfo) {
+  if (!commentsInfo || !commentsInfo.hasComments) return [];
+
+  const commentsById = {};
+  commentsInfo.comments.forEach(comment => {
+    commentsById[comment.id] = comment;
+  });
+
+  const toJson = comment => ({
+    id: comment.id,
+    author: comment.author,
+    initials: comment.initials,
+    date: comment.date || null,
+    text: comment.text,
+    anchorText: comment.anchorText,
+    resolved: comment.done,
+    replies: comment.replies.map(id => commentsById[id]).filter(Boolean).map(toJson)
+  });
+
+  return commentsInfo.comments.filter(comment => !comment.parentId).map(toJson);
+}
+
+/**
+ * Derive initials from an author name
+ *
+ * @param {string} author - Author name
+ * @returns {string} - Initials
+ */
+function getInitials(author) {
+  if (!author) return '?';
+  return author
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase())
+    .join('')
+    .substring(0, 3);
+}
+
+/**
+ * Format a comment date for display (UTC, independent of the machine locale)
+ *
+ * @param {string} dateString - ISO date string
+ * @returns {string} - Formatted date
+ */
+function formatCommentDate(dateString) {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return dateString;
+  return date.toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+}
+
+module.exports = {
+  parseComments,
+  extractCommentAnchorText,
+  insertCommentMarkers,
+  processCommentsForHtml,
+  exportCommentsToJson
+};
@@ -0,0 +1,765 @@
+// lib/parsers/content-control-parser.js - Content controls (SDTs) and legacy form fields
+//
+// Mammoth unwraps structured document tags (w:sdt) to their content and drops
+// legacy FORMTEXT and FORMDROPDOWN fields to their result text, so the control
+// types, tags and titles are lost. They are read from document.xml here. In the
+// marked copy of document.xml checkboxes, dropdowns, date pickers and legacy
+// form fields are replaced by a marker, and other controls are surrounded by a
+// start and an end marker; processContentControlsForHtml turns them into form
+// controls and tagged wrappers.
+
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { insertMarker, createMarkerRun, findMarkers, wrapMarkerRange } = require('../utils/marker-utils');
+const { findFields } = require('./field-parser');
+
+/**
+ * Content controls, in document order
+ * mc:Fallback holds copies of controls in text boxes, which are not used
+ */
+const SDT_XPATH = '//w:sdt[not(ancestor::mc:Fallback)]';
+
+/**
+ * Legacy form field types (FORMTEXT, FORMCHECKBOX and FORMDROPDOWN fields)
+ */
+const LEGACY_FIELD_TYPES = {
+  FORMTEXT: 'text',
+  FORMCHECKBOX: 'checkbox',
+  FORMDROPDOWN: 'dropdown'
+};
+
+/**
+ * Control types rendered as a single form element in place of their content
+ */
+const FORM_ELEMENT_TYPES = ['checkbox', 'dropdown', 'combobox', 'date'];
+
+/**
+ * Control types whose value is a form field
+ */
+const FIELD_TYPES = ['checkbox', 'dropdown', 'combobox', 'date', 'text', 'richText'];
+
+/**
+ * Controls that are document building blocks rather than content (e.g. the
+ * table of contents and cover page galleries); they are left to mammoth
+ */
+const IGNORED_PROPERTIES = ['docPartObj', 'docPartList', 'citation', 'bibliography', 'equation'];
+
+/**
+ * Lock values that stop the content from being edited
+ */
+const CONTENT_LOCKS = ['contentLocked', 'sdtContentLocked'];
+
+/**
+ * Parse every content control and legacy form field in document.xml
+ *
+ * @param {Document} documentDoc - Document XML
+ * @returns {Object} - Content control information with controls (by ID) holding their type, tag, alias and value
+ */
+function parseContentControls(documentDoc) {
+  const contentControlInfo = {
+    hasContentControls: false,
+    controls: {}
+  };
+
+  try {
+    selectNodes(SDT_XPATH, documentDoc).forEach((sdt, index) => {
+      const id = `sdt-${index}`;
+      try {
+        const control = parseSdt(sdt, id);
+        if (control) contentControlInfo.controls[id] = control;
+      } catch (error) {
+        console.error(`Error parsing content control ${id}:`, error);
+      }
+    });
+
+    getLegacyFormFields(documentDoc).forEach((field, index) => {
+      const id = `field-${index}`;
+      try {
+        contentControlInfo.controls[id] = parseLegacyFormField(field, id);
+      } catch (error) {
+        console.error(`Error parsing form field ${id}:`, error);
+      }
+    });
+
+    // Form field names default to their position among the fields
+    let fieldNumber = 0;
+    Object.values(contentControlInfo.controls).forEach(control => {
+      if (!FIELD_TYPES.includes(control.type)) return;
+      fieldNumber++;
+      if (!control.name) control.name = `field${fieldNumber}`;
+    });
+
+    contentControlInfo.hasContentControls = Object.keys(contentControlInfo.controls).length > 0;
+  } catch (error) {
+    console.error('Error parsing content controls:', error);
+  }
+
+  return contentControlInfo;
+}
+
+/**
+ * Parse one content control
+ * Controls without a tag or title that are not form fields (e.g. plain
+ * rich text wrappers) and controls inside a checkbox, dropdown or date
+ * picker are skipped
+ *
+ * @param {Element} sdt - w:sdt element
+ * @param {string} id - Control ID
+ * @returns {Object|null} - Control, or null if it is skipped
+ */
+function parseSdt(sdt, id) {
+  const sdtPr = selectSingleNode('w:sdtPr', sdt);
+  if (!sdtPr || isDeleted(sdt)) return null;
+  if (IGNORED_PROPERTIES.some(name => selectSingleNode(`w:${name}`, sdtPr))) return null;
+  if (findAncestorSdt(sdt, ancestor => FORM_ELEMENT_TYPES.includes(getSdtType(selectSingleNode('w:sdtPr', ancestor))))) {
+    return null;
+  }
+
+  const type = getSdtType(sdtPr);
+  const tag = getVal(sdtPr, 'w:tag');
+  const alias = getVal(sdtPr, 'w:alias');
+  if (!tag && !alias && !FIELD_TYPES.includes(type)) return null;
+  if (!tag && !alias && type === 'richText') return null;
+
+  const content = selectSingleNode('w:sdtContent', sdt);
+  const level = getContentLevel(content);
+  const text = getContentText(content);
+  const showingPlaceholder = isOn(selectSingleNode('w:showingPlcHdr', sdtPr));
+
+  const control = {
+    id,
+    source: 'sdt',
+    type,
+    level,
+    name: tag || alias || null,
+    tag,
+    alias,
+    label: alias || tag || null,
+    text,
+    showingPlaceholder,
+    locked: CONTENT_LOCKS.includes(getVal(sdtPr, 'w:lock')),
+    disabled: false,
+    value: showingPlaceholder ? '' : text
+  };
+
+  if (type === 'checkbox') {
+    control.value = isOn(selectSingleNode('w14:checkbox/w14:checked', sdtPr), 'w14:val');
+  } else if (type === 'dropdown' || type === 'combobox') {
+    const list = selectSingleNode('w:dropDownList | w:comboBox', sdtPr);
+    control.options = selectNodes('w:listItem', list).map(item => {
+      const optionText = item.getAttribute('w:displayText') || item.getAttribute('w:value') || '';
+      return { text: optionText, value: item.hasAttribute('w:value') ? item.getAttribute('w:value') : optionText };
+    });
+    const selected = control.options.find(option => option.text === text.trim());
+    if (showingPlaceholder) {
+      control.value = '';
+    } else if (selected) {
+      control.value = selected.value;
+    } else {
+      control.value = type === 'combobox' ? text.trim() : '';
+    }
+  } else if (type === 'date') {
+    const date = selectSingleNode('w:date', sdtPr);
+    const fullDate = date.getAttribute('w:fullDate');
+    control.dateFormat = getVal(date, 'w:dateFormat');
+    control.value = !showingPlaceholder && /^\d{4}-\d{2}-\d{2}/.test(fullDate || '') ? fullDate.substring(0, 10) : '';
+  } else if (type === 'text') {
+    control.multiLine = isOn(selectSingleNode('w:text', sdtPr), 'w:multiLine', false);
+  }
+
+  return control;
+}
+
+/**
+ * Determine the type of a content control from its properties
+ * Controls with no type element are rich text controls
+ *
+ * @param {Element} sdtPr - w:sdtPr element
+ * @returns {string} - checkbox, dropdown, combobox, date, text, picture, group or richText
+ */
+function getSdtType(sdtPr) {
+  if (!sdtPr) return 'richText';
+  if (selectSingleNode('w14:checkbox', sdtPr)) return 'checkbox';
+  if (selectSingleNode('w:dropDownList', sdtPr)) return 'dropdown';
+  if (selectSingleNode('w:comboBox', sdtPr)) return 'combobox';
+  if (selectSingleNode('w:date', sdtPr)) return 'date';
+  if (selectSingleNode('w:text', sdtPr)) return 'text';
+  if (selectSingleNode('w:picture', sdtPr)) return 'picture';
+  if (selectSingleNode('w:group', sdtPr)) return 'group';
+  return 'richText';
+}
+
+/**
+ * Determine what a content control wraps
+ *
+ * @param {Element} content - w:sdtContent element
+ * @returns {string} - 'block' (paragraphs and tables), 'row', 'cell' or 'inline' (runs)
+ */
+function getContentLevel(content) {
+  if (!content) return 'inline';
+  if (selectSingleNode('w:p | w:tbl', content)) return 'block';
+  if (selectSingleNode('w:tr', content)) return 'row';
+  if (selectSingleNode('w:tc', content)) return 'cell';
+  return 'inline';
+}
+
+/**
+ * Get the text of a content control, with paragraphs on separate lines
+ *
+ * @param {Element} content - w:sdtContent element
+ * @returns {string} - Text
+ */
+function getContentText(content) {
+  if (!content) return '';
+  const paragraphs = selectNodes('.//w:p', content);
+  const getText = node => selectNodes('.//w:t', node).map(text => text.textContent || '').join('');
+  return paragraphs.length > 0 ? paragraphs.map(getText).join('\n') : getText(content);
+}
+
+/**
+ * Find the legacy form fields of a document, in document order
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @returns {Array} - Fields from findFields with form field data
+ */
+function getLegacyFormFields(xmlDoc) {
+  return findFields(xmlDoc).filter(field =>
+    !field.simple && LEGACY_FIELD_TYPES[field.parsed.type] && field.end &&
+    selectSingleNode('w:ffData', field.begin));
+}
+
+/**
+ * Parse one legacy form field from its form field data
+ *
+ * @param {Object} field - Field from findFields
+ * @param {string} id - Control ID
+ * @returns {Object} - Control
+ */
+function parseLegacyFormField(field, id) {
+  const ffData = selectSingleNode('w:ffData', field.begin);
+  const type = LEGACY_FIELD_TYPES[field.parsed.type];
+  const name = getVal(ffData, 'w:name');
+  const enabled = selectSingleNode('w:enabled', ffData);
+
+  const control = {
+    id,
+    source: 'legacy',
+    type,
+    level: 'inline',
+    name,
+    tag: null,
+    alias: null,
+    label: getVal(ffData, 'w:statusText') || getVal(ffData, 'w:helpText') || name,
+    text: field.result,
+    showingPlaceholder: false,
+    locked: false,
+    disabled: !!enabled && !isOn(enabled),
+    value: field.result
+  };
+
+  if (type === 'checkbox') {
+    const checkBox = selectSingleNode('w:checkBox', ffData);
+    const checked = selectSingleNode('w:checked', checkBox);
+    control.value = checked ? isOn(checked) : isOn(selectSingleNode('w:default', checkBox));
+  } else if (type === 'dropdown') {
+    const ddList = selectSingleNode('w:ddList', ffData);
+    control.options = selectNodes('w:listEntry', ddList).map(entry => {
+      const optionText = entry.getAttribute('w:val') || '';
+      return { text: optionText, value: optionText };
+    });
+    const selectedIndex = parseInt(getVal(ddList, 'w:result') || getVal(ddList, 'w:default') || '0', 10);
+    control.value = control.options[selectedIndex] ? control.options[selectedIndex].value : '';
+  } else {
+    const textInput = selectSingleNode('w:textInput', ffData);
+    const maxLength = parseInt(getVal(textInput, 'w:maxLength'), 10);
+    control.inputType = getVal(textInput, 'w:type') || 'regular';
+    if (maxLength > 0) control.maxLength = maxLength;
+    control.format = getVal(textInput, 'w:format');
+  }
+
+  return control;
+}
+
+/**
+ * Mark the content controls and legacy form fields in the copy of document.xml
+ * Checkboxes, dropdowns, date pickers and legacy form fields are replaced by a
+ * 'form' marker. Other controls get 'sdt-start' and 'sdt-end' markers: in
+ * their paragraph when they wrap runs, and in paragraphs of their own when they
+ * wrap paragraphs or tables. Controls around table rows or cells are left to
+ * mammoth.
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} contentControlInfo - Content control information
+ * @returns {number} - Number of controls marked
+ */
+function insertContentControlMarkers(markedDocumentDoc, contentControlInfo) {
+  let count = 0;
+  if (!contentControlInfo || !contentControlInfo.hasContentControls) return count;
+
+  try {
+    // Legacy fields are found before controls are replaced, which may remove some
+    const fields = getLegacyFormFields(markedDocumentDoc);
+
+    selectNodes(SDT_XPATH, markedDocumentDoc).forEach((sdt, index) => {
+      const control = contentControlInfo.controls[`sdt-${index}`];
+      if (!control || !sdt.parentNode) return;
+
+      if (FORM_ELEMENT_TYPES.includes(control.type)) {
+        if (replaceSdt(sdt, control)) count++;
+      } else if (control.level === 'block') {
+        sdt.parentNode.insertBefore(createMarkerParagraph(markedDocumentDoc, 'sdt-start', control.id), sdt);
+        sdt.parentNode.insertBefore(createMarkerParagraph(markedDocumentDoc, 'sdt-end', control.id), sdt.nextSibling);
+        count++;
+      } else if (control.level === 'inline') {
+        if (insertMarker(sdt, 'sdt-start', control.id, 'before') && insertMarker(sdt, 'sdt-end', control.id, 'after')) {
+          count++;
+        }
+      }
+    });
+
+    fields.forEach((field, index) => {
+      const control = contentControlInfo.controls[`field-${index}`];
+      if (control && replaceLegacyFormField(field, control)) count++;
+    });
+  } catch (error) {
+    console.error('Error inserting content control markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Replace a checkbox, dropdown or date picker control with a 'form' marker
+ * A control that wraps paragraphs becomes one paragraph holding the marker
+ *
+ * @param {Element} sdt - w:sdt element
+ * @param {Object} control - Control
+ * @returns {boolean} - True if the control was replaced
+ */
+function replaceSdt(sdt, control) {
+  const xmlDoc = sdt.ownerDocument;
+
+  if (control.level === 'block') {
+    const paragraph = createMarkerParagraph(xmlDoc, 'form', control.id);
+    const pPr = selectSingleNode('w:sdtContent/w:p/w:pPr', sdt);
+    if (pPr) paragraph.insertBefore(pPr.cloneNode(true), paragraph.firstChild);
+    sdt.parentNode.replaceChild(paragraph, sdt);
+    return true;
+  }
+
+  if (control.level !== 'inline' || !insertMarker(sdt, 'form', control.id, 'before')) return false;
+  sdt.parentNode.removeChild(sdt);
+  return true;
+}
+
+/**
+ * Replace the runs of a legacy form field with a 'form' marker
+ * Bookmarks around the field result are kept
+ *
+ * @param {Object} field - Field from findFields
+ * @param {Object} control - Control
+ * @returns {boolean} - True if the field was replaced
+ */
+function replaceLegacyFormField(field, control) {
+  const beginRun = field.begin.parentNode;
+  const endRun = field.end.parentNode;
+  if (!beginRun || !endRun || beginRun.parentNode !== endRun.parentNode || !beginRun.parentNode) return false;
+
+  const parent = beginRun.parentNode;
+  parent.insertBefore(createMarkerRun(beginRun.ownerDocument, 'form', control.id), beginRun);
+
+  let node = beginRun;
+  while (node) {
+    const next = node.nextSibling;
+    if (node.nodeType === 1 && node.localName === 'r') parent.removeChild(node);
+    if (node === endRun) break;
+    node = next;
+  }
+  return true;
+}
+
+/**
+ * Create a paragraph holding only a marker
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @param {string} kind - Marker kind
+ * @param {string|number} id - Marker ID
+ * @returns {Element} - w:p element
+ */
+function createMarkerParagraph(xmlDoc, kind, id) {
+  const paragraph = xmlDoc.createElementNS(xmlDoc.documentElement.namespaceURI, 'w:p');
+  paragraph.appendChild(createMarkerRun(xmlDoc, kind, id));
+  return paragraph;
+}
+
+/**
+ * Get the w:val attribute of a child element
+ *
+ * @param {Element} parent - Parent element
+ * @param {string} name - Child element name
+ * @returns {string|null} - Attribute value
+ */
+function getVal(parent, name) {
+  if (!parent) return null;
+  const element = selectSingleNode(name, parent);
+  return element ? element.getAttribute('w:val') || null : null;
+}
+
+/**
+ * Read an on/off property
+ *
+ * @param {Element} element - Property element
+ * @param {string} attribute - Attribute holding the value (default 'w:val')
+ * @param {boolean} defaultValue - Value when the attribute is missing (default true)
+ * @returns {boolean} - True if the property is on
+ */
+function isOn(element, attribute = 'w:val', defaultValue = true) {
+  if (!element) return false;
+  const value = element.getAttribute(attribute);
+  if (!value) return defaultValue;
+  return !['0', 'false', 'off'].includes(value);
+}
+
+/**
+ * Find the closest content control around a node that matches a test
+ *
+ * @param {Node} node - XML node
+ * @param {Function} test - Called with each w:sdt ancestor
+ * @returns {Element|null} - w:sdt element
+ */
+function findAncestorSdt(node, test) {
+  for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+    if (ancestor.localName === 'sdt' && test(ancestor)) return ancestor;
+  }
+  return null;
+}
+
+/**
+ * Check whether a node is inside deleted or moved-away content
+ *
+ * @param {Node} node - XML node
+ * @returns {boolean} - True inside w:del or w:moveFrom
+ */
+function isDeleted(node) {
+  for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+    if (ancestor.localName === 'del' || ancestor.localName === 'moveFrom') return true;
+  }
+  return false;
+}
+
+/**
+ * Turn content control markers into form controls and tagged wrappers
+ * Every control keeps its tag and title as data-tag and data-alias. Form
+ * fields also get data-form-field (their name) and data-field-type.
+ * In 'static' mode (default) form controls are disabled; in 'fill' and 'json'
+ * mode they can be filled in, and text controls become editable. 'json' mode
+ * also adds a button that saves the values as JSON.
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} contentControlInfo - Content control information
+ * @param {Object} options - Processing options
+ * @param {string} options.mode - 'static', 'fill' or 'json'
+ */
+function processContentControlsForHtml(document, contentControlInfo, options = {}) {
+  if (!contentControlInfo || !contentControlInfo.hasContentControls) return;
+  const interactive = options.mode === 'fill' || options.mode === 'json';
+
+  try {
+    findMarkers(document, 'form').forEach((marker, id) => {
+      const control = contentControlInfo.controls[id];
+      if (!control) return;
+      marker.parentNode.replaceChild(createFormElement(document, control, interactive), marker);
+    });
+
+    const ends = findMarkers(document, 'sdt-end');
+    findMarkers(document, 'sdt-start').forEach((startMarker, id) => {
+      const endMarker = ends.get(id);
+      const control = contentControlInfo.controls[id];
+      if (!control || !endMarker) return;
+
+      if (control.level === 'block') {
+        wrapBlocks(document, control, startMarker, endMarker, interactive);
+      } else {
+        wrapInline(document, control, startMarker, endMarker, interactive);
+      }
+    });
+
+    if (options.mode === 'json' && document.querySelector('[data-form-field]')) {
+      addFormExport(document);
+    }
+  } catch (error) {
+    console.error('Error processing content controls for HTML:', error);
+  }
+}
+
+/**
+ * Create the form element for a checkbox, dropdown, date picker or legacy form field
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} control - Control
+ * @param {boolean} interactive - Whether the control can be filled in
+ * @returns {Element} - input, select or span (combo box with its options) element
+ */
+function createFormElement(document, control, interactive) {
+  let element;
+  let wrapper = null;
+
+  if (control.type === 'checkbox') {
+    element = document.createElement('input');
+    element.setAttribute('type', 'checkbox');
+    if (control.value) element.setAttribute('checked', 'checked');
+  } else if (control.type === 'dropdown') {
+    element = document.createElement('select');
+    if (!control.value) {
+      const placeholder = document.createElement('option');
+      placeholder.setAttribute('value', '');
+      placeholder.setAttribute('selected', 'selected');
+      placeholder.textContent = control.showingPlaceholder ? control.text.trim() : '';
+      element.appendChild(placeholder);
+    }
+    control.options.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.setAttribute('value', option.value);
+      if (control.value && option.value === control.value) optionElement.setAttribute('selected', 'selected');
+      optionElement.textContent = option.text;
+      element.appendChild(optionElement);
+    });
+  } else {
+    element = document.createElement('input');
+    element.setAttribute('type', control.type === 'date' ? 'date' : 'text');
+    element.setAttribute('value', control.value);
+    if (control.showingPlaceholder) element.setAttribute('placeholder', control.text.trim());
+    if (control.maxLength) element.setAttribute('maxlength', String(control.maxLength));
+    if (control.inputType === 'number') element.setAttribute('inputmode', 'decimal');
+    if (control.dateFormat) element.setAttribute('data-date-format', control.dateFormat);
+
+    // A combo box takes any text but suggests its list items
+    if (control.type === 'combobox') {
+      const list = document.createElement('datalist');
+      list.id = `docx-${control.id}-options`;
+      control.options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.setAttribute('value', option.value);
+        if (option.text !== option.value) optionElement.setAttribute('label', option.text);
+        list.appendChild(optionElement);
+      });
+      element.setAttribute('list', list.id);
+      wrapper = document.createElement('span');
+      wrapper.className = 'docx-sdt docx-sdt-combobox';
+      wrapper.appendChild(element);
+      wrapper.appendChild(list);
+    }
+  }
+
+  element.id = `docx-${control.id}`;
+  element.classList.add('docx-form-control');
+  element.setAttribute('name', control.name);
+  setControlAttributes(element, control);
+  if (control.label) element.setAttribute('aria-label', control.label);
+  if (!interactive || control.locked || control.disabled) element.setAttribute('disabled', 'disabled');
+
+  return wrapper || element;
+}
+
+/**
+ * Wrap the blocks between a control's marker paragraphs in a div
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} control - Control
+ * @param {Element} startMarker - Start marker element
+ * @param {Element} endMarker - End marker element
+ * @param {boolean} interactive - Whether text controls can be edited
+ */
+function wrapBlocks(document, control, startMarker, endMarker, interactive) {
+  const startParagraph = startMarker.closest('p');
+  const endParagraph = endMarker.closest('p');
+  if (!startParagraph || !endParagraph || startParagraph.parentNode !== endParagraph.parentNode) return;
+
+  const wrapper = createWrapper(document, control, 'div', interactive);
+  startParagraph.parentNode.insertBefore(wrapper, startParagraph);
+  while (wrapper.nextSibling && wrapper.nextSibling !== endParagraph) {
+    const node = wrapper.nextSibling;
+    if (node === startParagraph) node.parentNode.removeChild(node);
+    else wrapper.appendChild(node);
+  }
+  endParagraph.parentNode.removeChild(endParagraph);
+}
+
+/**
+ * Wrap the content between a control's inline markers in a span
+ * Content that crosses element boundaries (e.g. part of a hyperlink) is
+ * wrapped one text node at a time, with the field attributes on the first
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} control - Control
+ * @param {Element} startMarker - Start marker element
+ * @param {Element} endMarker - End marker element
+ * @param {boolean} interactive - Whether text controls can be edited
+ */
+function wrapInline(document, control, startMarker, endMarker, interactive) {
+  if (startMarker.parentNode === endMarker.parentNode) {
+    const wrapper = createWrapper(document, control, 'span', interactive);
+    startMarker.parentNode.insertBefore(wrapper, startMarker);
+    while (startMarker.nextSibling && startMarker.nextSibling !== endMarker) {
+      wrapper.appendChild(startMarker.nextSibling);
+    }
+    startMarker.remove();
+    endMarker.remove();
+    return;
+  }
+
+  wrapMarkerRange(document, startMarker, endMarker, index =>
+    index === 0 ? createWrapper(document, control, 'span', interactive) : createWrapper(document, control, 'span', false, false));
+}
+
+/**
+ * Create the wrapper element of a control
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} control - Control
+ * @param {string} tagName - 'div' or 'span'
+ * @param {boolean} interactive - Whether text controls can be edited
+ * @param {boolean} isField - Whether to add the form field attributes (default true)
+ * @returns {Element} - Wrapper element
+ */
+function createWrapper(document, control, tagName, interactive, isField = true) {
+  const wrapper = document.createElement(tagName);
+  wrapper.className = `docx-sdt docx-sdt-${control.type.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+  if (control.showingPlaceholder) wrapper.classList.add('docx-sdt-placeholder');
+
+  if (!isField) {
+    if (control.tag) wrapper.setAttribute('data-tag', control.tag);
+    if (control.alias) wrapper.setAttribute('data-alias', control.alias);
+    return wrapper;
+  }
+
+  wrapper.id = `docx-${control.id}`;
+  setControlAttributes(wrapper, control);
+
+  if (FIELD_TYPES.includes(control.type) && interactive && !control.locked) {
+    wrapper.setAttribute('contenteditable', 'true');
+    wrapper.setAttribute('role', 'textbox');
+    if (tagName === 'div' || control.multiLine) wrapper.setAttribute('aria-multiline', 'true');
+    if (control.label) wrapper.setAttribute('aria-label', control.label);
+  }
+
+  return wrapper;
+}
+
+/**
+ * Add the tag, title and form field attributes of a control to its element
+ *
+ * @param {Element} element - Control element
+ * @param {Object} control - Control
+ */
+function setControlAttributes(element, control) {
+  if (control.tag) element.setAttribute('data-tag', control.tag);
+  if (control.alias) element.setAttribute('data-alias', control.alias);
+  if (FIELD_TYPES.includes(control.type)) {
+    element.setAttribute('data-form-field', control.name);
+    element.setAttribute('data-field-type', control.type);
+  }
+}
+
+/**
+ * Script behind the form export button
+ * Collects the form fields in the same shape as exportFormData and saves them
+ * as <page name>.form.json
+ */
+const FORM_EXPORT_SCRIPT = `
+(function() {
+  'use strict';
+
+  function readValue(element) {
+    var type = element.getAttribute('data-field-type');
+    if (type === 'checkbox') return element.checked;
+    if (element.tagName === 'INPUT' || element.tagName === 'SELECT') return element.value;
+    return element.classList.contains('docx-sdt-placeholder') ? '' : element.innerText.trim();
+  }
+
+  document.querySelectorAll('[contenteditable].docx-sdt-placeholder').forEach(function(element) {
+    element.addEventListener('focus', function() {
+      if (!element.classList.contains('docx-sdt-placeholder')) return;
+      element.classList.remove('docx-sdt-placeholder');
+      element.textContent = '';
+    });
+  });
+
+  var button = document.getElementById('docx-form-export');
+  if (!button) return;
+  button.addEventListener('click', function() {
+    var fields = Array.prototype.map.call(document.querySelectorAll('[data-form-field]'), function(element) {
+      return {
+        name: element.getAttribute('data-form-field'),
+        type: element.getAttribute('data-field-type'),
+        tag: element.getAttribute('data-tag'),
+        alias: element.getAttribute('data-alias'),
+        value: readValue(element)
+      };
+    });
+    var blob = new Blob([JSON.stringify({ fields: fields }, null, 2)], { type: 'application/json' });
+    var link = document.createElement('a');
+    var page = decodeURIComponent(location.pathname.split('/').pop() || 'document').replace(/\\.html?$/, '');
+    link.href = URL.createObjectURL(blob);
+    link.download = page + '.form.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+  });
+})();
+`;
+
+/**
+ * Add a button that saves the form field values as JSON
+ *
+ * @param {Document} document - HTML document
+ */
+function addFormExport(document) {
+  const actions = document.createElement('div');
+  actions.className = 'docx-form-actions';
+
+  const button = document.createElement('button');
+  button.setAttribute('type', 'button');
+  button.id = 'docx-form-export';
+  button.textContent = 'Save form data as JSON';
+  actions.appendChild(button);
+
+  const script = document.createElement('script');
+  script.textContent = FORM_EXPORT_SCRIPT;
+
+  document.body.appendChild(actions);
+  document.body.appendChild(script);
+}
+
+/**
+ * Export the form field values of the document as plain data for JSON output
+ *
+ * @param {Object} contentControlInfo - Content control information
+ * @returns {Object} - { fields: [{ name, type, tag, alias, value, options }] }
+ */
+function exportFormData(contentControlInfo) {
+  if (!contentControlInfo || !contentControlInfo.hasContentControls) return { fields: [] };
+
+  return {
+    fields: Object.values(contentControlInfo.controls)
+      .filter(control => FIELD_TYPES.includes(control.type))
+      .map(control => {
+        const field = {
+          name: control.name,
+          type: control.type,
+          tag: control.tag,
+          alias: control.alias,
+          value: control.value
+        };
+        if (control.options) field.options = control.options;
+        return field;
+      })
+  };
+}
+
+module.exports = {
+  parseContentControls,
+  insertContentControlMarkers,
+  processContentControlsForHtml,
+  exportFormData
+};
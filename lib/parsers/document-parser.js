@@ -56,7 +56,8 @@ function parseSettings(settingsDoc) {
     characterSpacing: 'normal',
     doNotHyphenateCaps: false,
     rtlGutter: false,
-    pageMargins: null // Will be populated from document.xml section properties
+    pageMargins: null, // Will be populated from document.xml section properties
+    sections: [] // Page setup and columns of each section, from document.xml
   };
   
   if (!settingsDoc) {
@@ -375,72 +376,129 @@ function getDefaultStyleInfo() {
   };
 }
 
+/**
+ * Section types (w:type) - how a section starts relative to the previous one
+ */
+const SECTION_TYPES = ['nextPage', 'continuous', 'evenPage', 'oddPage', 'nextColumn'];
+
 /**
  * Extract page margins and section properties from document.xml
- * Analyzes sectPr elements to get page setup information
+ * Uses the last sectPr, which holds the page setup of the main (final) section
  * 
  * @param {Document} documentDoc - Document XML
  * @returns {Object} - Page margins and section properties
  */
 function extractPageMargins(documentDoc) {
-  const pageMargins = {
+  try {
+    // Look for section properties in the document
+    // Check both body sectPr and paragraph sectPr elements
+    const sectPrNodes = selectNodes("//w:sectPr", documentDoc);
+    
+    // Use the last sectPr found (typically the main document section)
+    const sectPr = sectPrNodes.length > 0 ? sectPrNodes[sectPrNodes.length - 1] : null;
+    const { top, bottom, left, right, header, footer, gutter, pageSize } = parseSectionProperties(sectPr);
+    const pageMargins = { top, bottom, left, right, header, footer, gutter };
+    if (pageSize) pageMargins.pageSize = pageSize;
+    return pageMargins;
+  } catch (error) {
+    console.error('Error extracting page margins:', error);
+    const { top, bottom, left, right, header, footer, gutter } = parseSectionProperties(null);
+    return { top, bottom, left, right, header, footer, gutter };
+  }
+}
+
+/**
+ * Extract every section of the document with its page setup and columns
+ * A section ends with the paragraph whose w:pPr holds its sectPr; the last
+ * section uses the sectPr at the end of w:body
+ * 
+ * @param {Document} documentDoc - Document XML
+ * @returns {Array<Object>} - Sections in document order
+ */
+function extractSections(documentDoc) {
+  try {
+    const sectPrNodes = selectNodes("//w:body/w:p/w:pPr/w:sectPr | //w:body/w:sectPr", documentDoc);
+    return sectPrNodes.map((sectPr, index) => ({
+      index,
+      ...parseSectionProperties(sectPr)
+    }));
+  } catch (error) {
+    console.error('Error extracting sections:', error);
+    return [];
+  }
+}
+
+/**
+ * Parse the page setup of a w:sectPr element
+ * Missing values fall back to Word's defaults (1 inch margins, one column)
+ * 
+ * @param {Element|null} sectPr - w:sectPr element
+ * @returns {Object} - Margins (twips), page size, break type and columns
+ */
+function parseSectionProperties(sectPr) {
+  const properties = {
     top: 1440,    // Default 1 inch in twips
     bottom: 1440, // Default 1 inch in twips
     left: 1440,   // Default 1 inch in twips
     right: 1440,  // Default 1 inch in twips
     header: 720,  // Default 0.5 inch in twips
     footer: 720,  // Default 0.5 inch in twips
-    gutter: 0     // Default no gutter
+    gutter: 0,    // Default no gutter
+    pageSize: null,
+    type: 'nextPage',
+    columns: { count: 1, space: 720, separator: false, equalWidth: true, widths: [] }
   };
+  if (!sectPr) return properties;
 
-  try {
-    // Look for section properties in the document
-    // Check both body sectPr and paragraph sectPr elements
-    const sectPrNodes = selectNodes("//w:sectPr", documentDoc);
-    
-    if (sectPrNodes.length > 0) {
-      // Use the last sectPr found (typically the main document section)
-      const sectPr = sectPrNodes[sectPrNodes.length - 1];
-      
-      // Extract page margins
-      const pgMarNode = selectSingleNode("w:pgMar", sectPr);
-      if (pgMarNode) {
-        const top = pgMarNode.getAttribute('w:top');
-        const bottom = pgMarNode.getAttribute('w:bottom');
-        const left = pgMarNode.getAttribute('w:left');
-        const right = pgMarNode.getAttribute('w:right');
-        const header = pgMarNode.getAttribute('w:header');
-        const footer = pgMarNode.getAttribute('w:footer');
-        const gutter = pgMarNode.getAttribute('w:gutter');
-        
-        if (top) pageMargins.top = parseInt(top, 10);
-        if (bottom) pageMargins.bottom = parseInt(bottom, 10);
-        if (left) pageMargins.left = parseInt(left, 10);
-        if (right) pageMargins.right = parseInt(right, 10);
-        if (header) pageMargins.header = parseInt(header, 10);
-        if (footer) pageMargins.footer = parseInt(footer, 10);
-        if (gutter) pageMargins.gutter = parseInt(gutter, 10);
-      }
-      
-      // Extract page size for context
-      const pgSzNode = selectSingleNode("w:pgSz", sectPr);
-      if (pgSzNode) {
-        const width = pgSzNode.getAttribute('w:w');
-        const height = pgSzNode.getAttribute('w:h');
-        const orient = pgSzNode.getAttribute('w:orient');
-        
-        pageMargins.pageSize = {
-          width: width ? parseInt(width, 10) : 12240, // Default letter width in twips
-          height: height ? parseInt(height, 10) : 15840, // Default letter height in twips
-          orientation: orient || 'portrait'
-        };
-      }
-    }
-  } catch (error) {
-    console.error('Error extracting page margins:', error);
+  // Extract page margins
+  const pgMarNode = selectSingleNode("w:pgMar", sectPr);
+  if (pgMarNode) {
+    ['top', 'bottom', 'left', 'right', 'header', 'footer', 'gutter'].forEach(side => {
+      const value = pgMarNode.getAttribute(`w:${side}`);
+      if (value) properties[side] = parseInt(value, 10);
+    });
   }
   
-  return pageMargins;
+  // Extract page size and orientation
+  const pgSzNode = selectSingleNode("w:pgSz", sectPr);
+  if (pgSzNode) {
+    const width = pgSzNode.getAttribute('w:w');
+    const height = pgSzNode.getAttribute('w:h');
+    const orient = pgSzNode.getAttribute('w:orient');
+    
+    properties.pageSize = {
+      width: width ? parseInt(width, 10) : 12240, // Default letter width in twips
+      height: height ? parseInt(height, 10) : 15840, // Default letter height in twips
+      orientation: orient || 'portrait'
+    };
+  }
+
+  // Extract the section break type
+  const typeNode = selectSingleNode("w:type", sectPr);
+  const type = typeNode ? typeNode.getAttribute('w:val') : null;
+  if (SECTION_TYPES.includes(type)) properties.type = type;
+
+  // Extract columns; w:col children give the widths of unequal columns
+  const colsNode = selectSingleNode("w:cols", sectPr);
+  if (colsNode) {
+    const num = parseInt(colsNode.getAttribute('w:num'), 10);
+    const space = parseInt(colsNode.getAttribute('w:space'), 10);
+    const widths = selectNodes("w:col", colsNode).map(col => ({
+      width: parseInt(col.getAttribute('w:w'), 10) || 0,
+      space: parseInt(col.getAttribute('w:space'), 10) || 0
+    }));
+    const equalWidth = !['0', 'false', 'off'].includes(colsNode.getAttribute('w:equalWidth'));
+
+    properties.columns = {
+      count: Math.max(1, num || (equalWidth ? 1 : widths.length) || 1),
+      space: Number.isNaN(space) ? 720 : space,
+      separator: ['1', 'true', 'on'].includes(colsNode.getAttribute('w:sep')),
+      equalWidth,
+      widths: equalWidth ? [] : widths
+    };
+  }
+
+  return properties;
 }
 
 /**
@@ -456,6 +514,7 @@ function parseSettingsWithMargins(settingsDoc, documentDoc) {
   // Extract page margins from document.xml
   const pageMargins = extractPageMargins(documentDoc);
   settings.pageMargins = pageMargins;
+  settings.sections = extractSections(documentDoc);
   
   return settings;
 }
@@ -465,6 +524,8 @@ module.exports = {
   parseSettings,
   parseSettingsWithMargins,
   extractPageMargins,
+  extractSections,
+  parseSectionProperties,
   analyzeDocumentStructure,
   getDefaultStyleInfo
 };
\ No newline at end of file
@@ -0,0 +1,343 @@
+// lib/parsers/drawing-parser.js - Picture size, cropping and placement
+//
+// Mammoth only passes an image's data and alt text to the HTML, so the layout
+// of each picture (wp:inline or wp:anchor) is read from document.xml here. A
+// marker token is added to the alt text of every picture in the marked copy of
+// document.xml; the image converter moves it into a data-drawing-id attribute
+// and processDrawingsForHtml applies the layout to that <img>.
+
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { extractPageMargins } = require('./document-parser');
+const { createMarkerToken } = require('../utils/marker-utils');
+const { convertEmuToPx } = require('../utils/unit-converter');
+
+/**
+ * EMUs per twip
+ */
+const EMU_PER_TWIP = 635;
+
+/**
+ * Crop values in a:srcRect are thousandths of a percent
+ */
+const CROP_UNIT = 100000;
+
+/**
+ * Rotation in a:xfrm is in 60000ths of a degree
+ */
+const ROTATION_UNIT = 60000;
+
+/**
+ * Text wrapping elements of an anchored picture
+ */
+const WRAP_TYPES = {
+  wrapSquare: 'square',
+  wrapTight: 'tight',
+  wrapThrough: 'through',
+  wrapTopAndBottom: 'topAndBottom',
+  wrapNone: 'none'
+};
+
+/**
+ * Pictures, in document order; charts, shapes and other graphics have no a:blip
+ */
+const PICTURE_XPATH = '//wp:inline[.//pic:pic//a:blip] | //wp:anchor[.//pic:pic//a:blip]';
+
+/**
+ * Read the layout of every picture in document.xml
+ *
+ * @param {Document} documentDoc - Document XML
+ * @returns {Object} - Drawing information with drawings (by ID) and the text width in EMUs
+ */
+function parseDrawings(documentDoc) {
+  const drawingInfo = {
+    hasDrawings: false,
+    drawings: {},
+    textWidth: null
+  };
+
+  try {
+    drawingInfo.textWidth = getTextWidth(documentDoc);
+
+    selectNodes(PICTURE_XPATH, documentDoc).forEach((node, index) => {
+      const drawing = parseDrawing(node, drawingInfo.textWidth);
+      drawing.id = String(index);
+      drawingInfo.drawings[drawing.id] = drawing;
+    });
+
+    drawingInfo.hasDrawings = Object.keys(drawingInfo.drawings).length > 0;
+  } catch (error) {
+    console.error('Error parsing drawings:', error);
+  }
+
+  return drawingInfo;
+}
+
+/**
+ * Get the width between the page margins
+ *
+ * @param {Document} documentDoc - Document XML
+ * @returns {number|null} - Text width in EMUs, or null without a page size
+ */
+function getTextWidth(documentDoc) {
+  const margins = extractPageMargins(documentDoc);
+  if (!margins.pageSize) return null;
+  return (margins.pageSize.width - margins.left - margins.right) * EMU_PER_TWIP;
+}
+
+/**
+ * Read the layout of one picture
+ *
+ * @param {Element} node - wp:inline or wp:anchor element
+ * @param {number} textWidth - Width between the page margins in EMUs (optional)
+ * @returns {Object} - Picture layout
+ */
+function parseDrawing(node, textWidth) {
+  const anchored = node.localName === 'anchor';
+  const extent = selectSingleNode('wp:extent', node);
+  const blip = selectSingleNode('.//pic:pic//a:blip', node);
+  const srcRect = selectSingleNode('.//pic:pic/pic:blipFill/a:srcRect', node);
+  const xfrm = selectSingleNode('.//pic:pic/pic:spPr/a:xfrm', node);
+
+  const drawing = {
+    relationshipId: blip ? blip.getAttribute('r:embed') || blip.getAttribute('r:link') || null : null,
+    placement: anchored ? 'anchor' : 'inline',
+    width: extent ? convertEmuToPx(extent.getAttribute('cx')) : null,
+    height: extent ? convertEmuToPx(extent.getAttribute('cy')) : null,
+    crop: null,
+    rotation: xfrm ? (parseInt(xfrm.getAttribute('rot'), 10) || 0) / ROTATION_UNIT : 0,
+    flipH: !!xfrm && ['1', 'true'].includes(xfrm.getAttribute('flipH')),
+    flipV: !!xfrm && ['1', 'true'].includes(xfrm.getAttribute('flipV')),
+    wrap: null,
+    float: null,
+    align: null,
+    margins: null,
+    behindDoc: false
+  };
+
+  if (srcRect) {
+    const crop = {};
+    ['l', 't', 'r', 'b'].forEach(side => {
+      crop[side] = (parseInt(srcRect.getAttribute(side), 10) || 0) / CROP_UNIT;
+    });
+    if (crop.l || crop.t || crop.r || crop.b) drawing.crop = crop;
+  }
+
+  if (anchored) {
+    Object.assign(drawing, parseAnchor(node, textWidth));
+  }
+
+  return drawing;
+}
+
+/**
+ * Read how an anchored picture sits in the text
+ * Pictures that text wraps around become floats on the side away from the
+ * text; pictures with text above and below only, or none at all, become blocks
+ *
+ * @param {Element} node - wp:anchor element
+ * @param {number} textWidth - Width between the page margins in EMUs (optional)
+ * @returns {Object} - wrap, float, align, margins and behindDoc
+ */
+function parseAnchor(node, textWidth) {
+  let wrap = 'none';
+  let wrapText = 'bothSides';
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && WRAP_TYPES[child.localName]) {
+      wrap = WRAP_TYPES[child.localName];
+      wrapText = child.getAttribute('wrapText') || wrapText;
+      break;
+    }
+  }
+
+  const align = getHorizontalAlignment(node, textWidth);
+  let float = null;
+  if (['square', 'tight', 'through'].includes(wrap)) {
+    if (wrapText === 'left') float = 'right';
+    else if (wrapText === 'right') float = 'left';
+    else if (align !== 'center') float = align;
+  }
+
+  return {
+    wrap,
+    float,
+    align,
+    margins: {
+      top: convertEmuToPx(node.getAttribute('distT')),
+      right: convertEmuToPx(node.getAttribute('distR')),
+      bottom: convertEmuToPx(node.getAttribute('distB')),
+      left: convertEmuToPx(node.getAttribute('distL'))
+    },
+    behindDoc: ['1', 'true'].includes(node.getAttribute('behindDoc'))
+  };
+}
+
+/**
+ * Work out which side of the text column an anchored picture is on
+ *
+ * @param {Element} node - wp:anchor element
+ * @param {number} textWidth - Width between the page margins in EMUs (optional)
+ * @returns {string} - 'left', 'center' or 'right'
+ */
+function getHorizontalAlignment(node, textWidth) {
+  const positionH = selectSingleNode('wp:positionH', node);
+  if (!positionH) return 'left';
+
+  const alignNode = selectSingleNode('wp:align', positionH);
+  if (alignNode) {
+    const value = alignNode.textContent.trim();
+    if (value === 'center') return 'center';
+    return value === 'right' || value === 'outside' ? 'right' : 'left';
+  }
+
+  const offsetNode = selectSingleNode('wp:posOffset', positionH);
+  const extent = selectSingleNode('wp:extent', node);
+  if (!offsetNode || !extent || !textWidth) return 'left';
+
+  // Offsets from the page edge include the left margin, which the text width does not
+  let offset = parseInt(offsetNode.textContent, 10) || 0;
+  if (['page', 'leftMargin', 'insideMargin'].includes(positionH.getAttribute('relativeFrom'))) {
+    const pageMargin = extractPageMargins(node.ownerDocument).left * EMU_PER_TWIP;
+    offset -= pageMargin;
+  }
+  const centre = offset + (parseInt(extent.getAttribute('cx'), 10) || 0) / 2;
+  return centre > textWidth / 2 ? 'right' : 'left';
+}
+
+/**
+ * Add drawing markers to the alt text of every picture
+ * Mammoth uses the description, or the title when the description is blank,
+ * so the marker goes in front of whichever it would read
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} drawingInfo - Drawing information
+ * @returns {number} - Number of markers inserted
+ */
+function insertDrawingMarkers(markedDocumentDoc, drawingInfo) {
+  let count = 0;
+  if (!drawingInfo || !drawingInfo.hasDrawings) return count;
+
+  try {
+    selectNodes(PICTURE_XPATH, markedDocumentDoc).forEach((node, index) => {
+      const docPr = selectSingleNode('wp:docPr', node);
+      if (!docPr || !drawingInfo.drawings[String(index)]) return;
+
+      const description = docPr.getAttribute('descr') || '';
+      const altText = description.trim() ? description : docPr.getAttribute('title') || '';
+      docPr.setAttribute('descr', createMarkerToken('drawing', index) + altText);
+      count++;
+    });
+  } catch (error) {
+    console.error('Error inserting drawing markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Apply picture layouts to the images in the HTML
+ * Sets the display size, crops with a clipping wrapper, rotates and flips
+ * with a CSS transform and turns anchored pictures into floats or blocks
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} drawingInfo - Drawing information
+ */
+function processDrawingsForHtml(document, drawingInfo) {
+  if (!drawingInfo) return;
+
+  try {
+    document.querySelectorAll('img[data-drawing-id]').forEach(img => {
+      const drawing = drawingInfo.drawings[img.getAttribute('data-drawing-id')];
+      img.removeAttribute('data-drawing-id');
+      if (drawing) applyDrawingLayout(document, img, drawing);
+    });
+  } catch (error) {
+    console.error('Error processing drawings for HTML:', error);
+  }
+}
+
+/**
+ * Apply one picture's layout to its image
+ *
+ * @param {Document} document - HTML document
+ * @param {Element} img - Image element
+ * @param {Object} drawing - Picture layout
+ */
+function applyDrawingLayout(document, img, drawing) {
+  const { width, height, crop } = drawing;
+  let box = img;
+  let renderedWidth = width;
+
+  if (width && height && crop) {
+    // The extent is the visible (cropped) size; the whole picture is scaled up
+    // behind a clipping box and shifted so the visible part lines up
+    const scaleX = 1 / Math.max(0.01, 1 - crop.l - crop.r);
+    const scaleY = 1 / Math.max(0.01, 1 - crop.t - crop.b);
+    renderedWidth = width * scaleX;
+
+    box = document.createElement('span');
+    box.className = 'docx-image-crop';
+    box.style.width = `${width}px`;
+    box.style.aspectRatio = `${width} / ${height}`;
+    img.parentNode.insertBefore(box, img);
+    box.appendChild(img);
+
+    img.setAttribute('width', String(Math.round(renderedWidth)));
+    img.setAttribute('height', String(Math.round(height * scaleY)));
+    img.style.maxWidth = 'none';
+    img.style.left = `${formatPercent(-crop.l * scaleX)}%`;
+    img.style.top = `${formatPercent(-crop.t * scaleY)}%`;
+    img.style.width = `${formatPercent(scaleX)}%`;
+    img.style.height = `${formatPercent(scaleY)}%`;
+  } else if (width && height) {
+    img.setAttribute('width', String(Math.round(width)));
+    img.setAttribute('height', String(Math.round(height)));
+  }
+
+  const transforms = [];
+  if (drawing.rotation) transforms.push(`rotate(${Math.round(drawing.rotation * 100) / 100}deg)`);
+  if (drawing.flipH) transforms.push('scaleX(-1)');
+  if (drawing.flipV) transforms.push('scaleY(-1)');
+  if (transforms.length > 0) box.style.transform = transforms.join(' ');
+
+  if (img.hasAttribute('srcset') && renderedWidth) {
+    const size = Math.round(renderedWidth);
+    img.setAttribute('sizes', `(max-width: ${size}px) 100vw, ${size}px`);
+  }
+
+  // The figure created for the image is what sits in the text flow
+  const figure = box.parentElement && box.parentElement.tagName.toLowerCase() === 'figure' &&
+    box.parentElement.querySelectorAll('img').length === 1 ? box.parentElement : null;
+  const outer = figure || box;
+
+  if (drawing.placement === 'inline') {
+    outer.classList.add('docx-image-inline');
+  } else if (drawing.float) {
+    const { top, right, bottom, left } = drawing.margins;
+    outer.classList.add(`docx-image-float-${drawing.float}`);
+    outer.style.margin = drawing.float === 'left'
+      ? `${top}px ${right}px ${bottom}px 0`
+      : `${top}px 0 ${bottom}px ${left}px`;
+  } else {
+    outer.classList.add('docx-image-block');
+    if (drawing.align !== 'left') outer.classList.add(`docx-image-align-${drawing.align}`);
+    if (drawing.behindDoc) outer.classList.add('docx-image-behind-text');
+  }
+}
+
+/**
+ * Format a fraction as a percentage with at most three decimals
+ *
+ * @param {number} fraction - Fraction (1 = 100%)
+ * @returns {number} - Percentage
+ */
+function formatPercent(fraction) {
+  return Math.round(fraction * 100000) / 1000;
+}
+
+module.exports = {
+  parseDrawings,
+  parseAnchor,
+  getTextWidth,
+  insertDrawingMarkers,
+  processDrawingsForHtml
+};
@@ -0,0 +1,121 @@
+// lib/parsers/equation-parser.js - Office Math equations
+//
+// Mammoth drops m:oMath elements, so equations are converted to MathML here. In
+// the marked copy of document.xml each equation is replaced by a marker, which
+// convertToStyledHtml swaps for the MathML once mammoth has run.
+
+const { selectNodes } = require('../xml/xpath-utils');
+const { insertMarker, createMarkerToken } = require('../utils/marker-utils');
+const { convertOmmlToMathml } = require('../math/omml-converter');
+
+/**
+ * Top-level equations, in document order
+ */
+const EQUATION_XPATH = '//m:oMath[not(ancestor::m:oMath)]';
+
+/**
+ * Convert every equation in document.xml
+ * Equations in an m:oMathPara are display equations; others are inline
+ *
+ * @param {Document} documentDoc - Document XML
+ * @returns {Object} - Equation information with equations (by ID) holding MathML and LaTeX
+ */
+function parseEquations(documentDoc) {
+  const equationInfo = {
+    hasEquations: false,
+    equations: {}
+  };
+
+  try {
+    selectNodes(EQUATION_XPATH, documentDoc).forEach((node, index) => {
+      const display = !!node.parentNode && node.parentNode.localName === 'oMathPara';
+      const id = String(index);
+
+      try {
+        const { mathml, latex } = convertOmmlToMathml(node, { display });
+        equationInfo.equations[id] = { id, display, mathml, latex };
+      } catch (error) {
+        console.error(`Error converting equation ${id}:`, error);
+      }
+    });
+
+    equationInfo.hasEquations = Object.keys(equationInfo.equations).length > 0;
+  } catch (error) {
+    console.error('Error parsing equations:', error);
+  }
+
+  return equationInfo;
+}
+
+/**
+ * Replace each equation with a marker
+ * A display equation's m:oMathPara sits in the run content of its paragraph,
+ * so its markers go where the m:oMathPara was
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} equationInfo - Equation information
+ * @returns {number} - Number of markers inserted
+ */
+function insertEquationMarkers(markedDocumentDoc, equationInfo) {
+  let count = 0;
+  if (!equationInfo || !equationInfo.hasEquations) return count;
+
+  try {
+    const paragraphs = new Set();
+
+    selectNodes(EQUATION_XPATH, markedDocumentDoc).forEach((node, index) => {
+      // Mammoth leaves deleted content out, and deleted equations with it
+      if (!equationInfo.equations[String(index)] || isDeleted(node)) return;
+
+      const mathPara = node.parentNode && node.parentNode.localName === 'oMathPara' ? node.parentNode : null;
+      if (insertMarker(mathPara || node, 'math', index, 'before')) {
+        count++;
+        node.parentNode.removeChild(node);
+        if (mathPara) paragraphs.add(mathPara);
+      }
+    });
+
+    paragraphs.forEach(mathPara => {
+      if (mathPara.parentNode) mathPara.parentNode.removeChild(mathPara);
+    });
+  } catch (error) {
+    console.error('Error inserting equation markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Check whether a node is inside deleted or moved-away content
+ *
+ * @param {Node} node - XML node
+ * @returns {boolean} - True inside w:del or w:moveFrom
+ */
+function isDeleted(node) {
+  for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+    if (ancestor.localName === 'del' || ancestor.localName === 'moveFrom') return true;
+  }
+  return false;
+}
+
+/**
+ * Put the MathML of each equation in place of its marker
+ *
+ * @param {string} html - HTML from mammoth
+ * @param {Object} equationInfo - Equation information
+ * @returns {string} - HTML with equations
+ */
+function insertEquationsIntoHtml(html, equationInfo) {
+  if (!equationInfo || !equationInfo.hasEquations) return html;
+
+  return Object.values(equationInfo.equations).reduce(
+    (result, equation) => result.split(createMarkerToken('math', equation.id)).join(equation.mathml),
+    html
+  );
+}
+
+module.exports = {
+  parseEquations,
+  insertEquationMarkers,
+  insertEquationsIntoHtml
+};
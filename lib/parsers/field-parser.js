@@ -0,0 +1,269 @@
+// lib/parsers/field-parser.js - Word field detection and instruction parsing
+const { selectNodes } = require('../xml/xpath-utils');
+
+/**
+ * General formatting switches that take an argument (e.g. \* MERGEFORMAT, \@ "d MMMM yyyy")
+ */
+const ARGUMENT_SWITCHES = ['*', '#', '@'];
+
+/**
+ * Field-specific switches that take an argument (e.g. SEQ \r 3, MERGEFIELD \b "Dear ")
+ */
+const FIELD_ARGUMENT_SWITCHES = {
+  SEQ: ['r', 's'],
+  MERGEFIELD: ['b', 'f']
+};
+
+/**
+ * Elements in a field result that mark positions rather than content, and are
+ * kept when the result is replaced
+ */
+const RESULT_BOUNDARIES = ['bookmarkStart', 'bookmarkEnd', 'commentRangeStart', 'commentRangeEnd'];
+
+/**
+ * Find all fields in a WordprocessingML document, in document order
+ * Complex fields (w:fldChar begin/separate/end with w:instrText) and simple
+ * fields (w:fldSimple) are returned in the same shape
+ *
+ * @param {Document} xmlDoc - WordprocessingML document (document.xml, header, footer, ...)
+ * @returns {Array} - Fields with index, instruction, parsed instruction, result text and boundary nodes
+ */
+function findFields(xmlDoc) {
+  const fields = [];
+
+  try {
+    const stack = [];
+    const nodes = selectNodes('//w:fldSimple | //w:fldChar | //w:instrText | //w:t', xmlDoc);
+
+    nodes.forEach(node => {
+      if (node.localName === 'fldSimple') {
+        fields.push({
+          index: fields.length,
+          simple: true,
+          instruction: node.getAttribute('w:instr') || '',
+          result: selectNodes('.//w:t', node).map(text => text.textContent || '').join(''),
+          begin: node,
+          separate: null,
+          end: node,
+          hasNestedFields: false
+        });
+        return;
+      }
+
+      // Text after the separator of an open field is part of its result
+      if (node.localName === 't') {
+        stack.forEach(field => {
+          if (field.separate) field.result += node.textContent || '';
+        });
+        return;
+      }
+
+      const current = stack[stack.length - 1];
+
+      if (node.localName === 'instrText') {
+        if (current && !current.separate) {
+          current.instruction += node.textContent || '';
+        }
+        return;
+      }
+
+      const fldCharType = node.getAttribute('w:fldCharType');
+      if (fldCharType === 'begin') {
+        // A field inside the instruction of another (e.g. a MERGEFIELD in an IF)
+        // makes the outer instruction incomplete
+        if (current && !current.separate) current.hasNestedFields = true;
+        const field = {
+          index: fields.length,
+          simple: false,
+          instruction: '',
+          result: '',
+          begin: node,
+          separate: null,
+          end: null,
+          hasNestedFields: false
+        };
+        fields.push(field);
+        stack.push(field);
+      } else if (fldCharType === 'separate' && current) {
+        current.separate = node;
+      } else if (fldCharType === 'end' && current) {
+        current.end = node;
+        stack.pop();
+      }
+    });
+
+    fields.forEach(field => {
+      field.parsed = parseFieldInstruction(field.instruction);
+    });
+  } catch (error) {
+    console.error('Error finding fields:', error);
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a field instruction such as ' REF _Ref123 \h \* MERGEFORMAT '
+ *
+ * @param {string} instruction - Field instruction text
+ * @returns {Object} - Field type, arguments and switches; formats lists every \* switch in order
+ */
+function parseFieldInstruction(instruction) {
+  const result = {
+    type: '',
+    args: [],
+    switches: {},
+    formats: []
+  };
+
+  const tokens = (instruction || '').match(/"[^"]*"|\\\S+|\S+/g) || [];
+  if (tokens.length === 0) return result;
+
+  result.type = tokens[0].toUpperCase();
+  const argumentSwitches = ARGUMENT_SWITCHES.concat(FIELD_ARGUMENT_SWITCHES[result.type] || []);
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.startsWith('\\')) {
+      const name = token.substring(1);
+      const next = tokens[i + 1];
+      if (argumentSwitches.includes(name) && next !== undefined && !next.startsWith('\\')) {
+        result.switches[name] = unquote(next);
+        if (name === '*') result.formats.push(unquote(next));
+        i++;
+      } else {
+        result.switches[name] = true;
+      }
+    } else {
+      result.args.push(unquote(token));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Remove surrounding quotes from a field argument
+ *
+ * @param {string} token - Field token
+ * @returns {string} - Token without quotes
+ */
+function unquote(token) {
+  return token.length >= 2 && token.startsWith('"') && token.endsWith('"')
+    ? token.substring(1, token.length - 1)
+    : token;
+}
+
+/**
+ * Replace a simple field with its result runs
+ * Mammoth ignores w:fldSimple, which would drop the field result from the output
+ *
+ * @param {Element} fldSimple - w:fldSimple element (modified document)
+ * @returns {Array<Node>} - The unwrapped result nodes
+ */
+function unwrapSimpleField(fldSimple) {
+  const parent = fldSimple.parentNode;
+  const children = [];
+  if (!parent) return children;
+
+  while (fldSimple.firstChild) {
+    const child = fldSimple.firstChild;
+    children.push(child);
+    parent.insertBefore(child, fldSimple);
+  }
+  parent.removeChild(fldSimple);
+
+  return children;
+}
+
+/**
+ * Replace the result of a field with new text
+ * The new run takes the formatting of the first result run (or of the field
+ * start when there is no result). Bookmark and comment range boundaries in
+ * the result are kept. Results spread over several paragraphs are not replaced.
+ *
+ * @param {Object} field - Field from findFields
+ * @param {string} text - New result text
+ * @returns {boolean} - True if the result was replaced
+ */
+function replaceFieldResult(field, text) {
+  try {
+    const xmlDoc = field.begin.ownerDocument;
+    const namespace = field.begin.namespaceURI;
+    let container;
+    let start;
+    let end;
+
+    if (field.simple) {
+      container = field.begin;
+      start = null;
+      end = null;
+    } else {
+      if (!field.end) return false;
+      const beginRun = field.begin.parentNode;
+      const endRun = field.end.parentNode;
+      container = endRun.parentNode;
+      if (!container) return false;
+
+      if (field.separate) {
+        start = field.separate.parentNode;
+        if (start.parentNode !== container) return false;
+      } else {
+        // A field without a result gets a separator before its end
+        if (beginRun.parentNode !== container) return false;
+        start = xmlDoc.createElementNS(namespace, 'w:r');
+        const separate = xmlDoc.createElementNS(namespace, 'w:fldChar');
+        separate.setAttribute('w:fldCharType', 'separate');
+        start.appendChild(separate);
+        container.insertBefore(start, endRun);
+        field.separate = separate;
+      }
+      end = endRun;
+    }
+
+    const resultNodes = [];
+    for (let node = start ? start.nextSibling : container.firstChild; node && node !== end; node = node.nextSibling) {
+      resultNodes.push(node);
+    }
+
+    // Results holding other fields (e.g. a field in a TOC entry) are left alone
+    const holdsFields = resultNodes.some(node => node.nodeType === 1 &&
+      (['fldChar', 'fldSimple'].includes(node.localName) ||
+        node.getElementsByTagNameNS(namespace, 'fldChar').length > 0 ||
+        node.getElementsByTagNameNS(namespace, 'fldSimple').length > 0));
+    if (holdsFields) return false;
+
+    const firstRun = resultNodes.find(node => node.nodeType === 1 && node.localName === 'r');
+    const styleSource = firstRun || (field.simple ? null : field.begin.parentNode);
+    const rPr = styleSource
+      ? Array.from(styleSource.childNodes).find(node => node.nodeType === 1 && node.localName === 'rPr')
+      : null;
+
+    resultNodes.forEach(node => {
+      if (node.nodeType === 1 && RESULT_BOUNDARIES.includes(node.localName)) return;
+      container.removeChild(node);
+    });
+
+    const run = xmlDoc.createElementNS(namespace, 'w:r');
+    if (rPr) run.appendChild(rPr.cloneNode(true));
+    const textNode = xmlDoc.createElementNS(namespace, 'w:t');
+    textNode.setAttribute('xml:space', 'preserve');
+    textNode.appendChild(xmlDoc.createTextNode(text));
+    run.appendChild(textNode);
+    container.insertBefore(run, end);
+
+    field.result = text;
+    return true;
+  } catch (error) {
+    console.error('Error replacing field result:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  findFields,
+  parseFieldInstruction,
+  unwrapSimpleField,
+  replaceFieldResult
+};
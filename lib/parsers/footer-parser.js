@@ -0,0 +1,415 @@
+// lib/parsers/footer-parser.js - Document footer extraction and processing
+const { selectSingleNode, selectNodes } = require('../xml/xpath-utils');
+const { getPartXml } = require('./package-context');
+const {
+  analyzeHeaderParagraph,
+  extractImagesFromParagraph,
+  processHeaderImages,
+  getHeaderImageKey,
+  createPositionedImageElement,
+  applyInlineFormatting
+} = require('./header-parser');
+const { resolveHeaderFooterParts, getHeaderFooterCandidates } = require('./relationships-parser');
+
+/**
+ * WordprocessingML namespace
+ */
+const WORDPROCESSING_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Field codes that only make sense on a printed page
+ * Their results are removed from footer content
+ */
+const PAGE_FIELD_PATTERN = /^\s*(PAGE|NUMPAGES|SECTIONPAGES|SECTION)\b/i;
+
+/**
+ * Text left behind once page fields are removed (e.g. "Page  of ", "- -", "|")
+ */
+const PAGE_NUMBER_RESIDUE_PATTERN = /^(page|pg\.?|p\.)?[\s\-–—|/:.]*(of)?[\s\-–—|/:.]*$/i;
+
+/**
+ * Stands in for a removed page field until the text around it is cleaned up
+ */
+const PAGE_FIELD_PLACEHOLDER = '\uE000';
+
+/**
+ * A page number with its label, e.g. "Page {PAGE} of {NUMPAGES}", "{PAGE}/{NUMPAGES}" or "- {PAGE} -"
+ */
+const PAGE_NUMBER_TEXT_PATTERN = new RegExp(
+  `(?:\\b(?:page|pg\\.?|p\\.)\\s*)?[\\-–—]?\\s*${PAGE_FIELD_PLACEHOLDER}` +
+  `(?:\\s*(?:of|/)\\s*${PAGE_FIELD_PLACEHOLDER})?(?:\\s*[\\-–—](?=\\s|$))?`,
+  'gi'
+);
+
+/**
+ * Separators left at the start or end of a paragraph once its page number is removed
+ */
+const EDGE_SEPARATOR_PATTERN = /[\s\-–—|:]/;
+
+/**
+ * Extract document footer from DOCX content
+ * Resolves the footer parts through each section's w:footerReference and uses
+ * the same paragraph analysis as the header parser
+ *
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {Document} documentDoc - Document XML
+ * @param {Document} styleDoc - Style XML document
+ * @param {Object} styleInfo - Parsed style information
+ * @returns {Object} - Footer information with content and formatting
+ */
+async function extractDocumentFooter(zip, documentDoc, styleDoc, styleInfo) {
+  const footerInfo = {
+    hasFooterContent: false,
+    footerParagraphs: [],
+    footerStyles: {},
+    footerImages: [],
+    footerType: null, // 'first', 'even', 'default'
+    sections: [] // Footer parts by type for each document section
+  };
+
+  try {
+    const sections = await resolveHeaderFooterParts(zip, documentDoc);
+    footerInfo.sections = sections.map(section => ({ index: section.index, titlePg: section.titlePg, footers: section.footers }));
+
+    // The footer is rendered at the end of the page, so use the footer of the last section
+    const candidates = getHeaderFooterCandidates(sections[sections.length - 1], 'footer', ['default', 'first', 'even']);
+
+    for (const candidate of candidates) {
+      const footerDoc = await getPartXml(zip, candidate.partPath);
+      if (!footerDoc) continue;
+
+      console.log(`Found ${candidate.type} footer part: ${candidate.partPath}`);
+      const footerContent = extractFooterFromXml(footerDoc, styleInfo, candidate.partPath);
+
+      // Fall back to the next candidate when a footer only contained page numbers
+      if (footerContent.paragraphs.length > 0) {
+        footerInfo.hasFooterContent = true;
+        footerInfo.footerParagraphs.push(...footerContent.paragraphs);
+        footerInfo.footerImages.push(...footerContent.images.map(img => ({
+          ...img,
+          partPath: candidate.partPath
+        })));
+        footerInfo.footerType = candidate.type;
+        break;
+      }
+    }
+
+    console.log(`Found ${footerInfo.footerParagraphs.length} footer paragraphs`);
+
+  } catch (error) {
+    console.error('Error extracting document footer:', error);
+  }
+
+  return footerInfo;
+}
+
+/**
+ * Extract footer content from footer XML document
+ * Page number fields are removed before the paragraphs are analyzed
+ *
+ * @param {Document} footerDoc - Footer XML document
+ * @param {Object} styleInfo - Parsed style information
+ * @param {string} footerFile - Footer file name for context
+ * @returns {Object} - Footer content with paragraphs and images
+ */
+function extractFooterFromXml(footerDoc, styleInfo, footerFile) {
+  const footerContent = {
+    paragraphs: [],
+    images: []
+  };
+
+  try {
+    const paragraphNodes = selectNodes("//w:p", footerDoc);
+
+    paragraphNodes.forEach(paragraph => {
+      replaceTabsWithSpaces(paragraph);
+      const hadPageFields = stripPageFields(paragraph);
+      if (hadPageFields) {
+        removePageNumberText(paragraph);
+      }
+
+      const index = footerContent.paragraphs.length;
+      const footerParagraph = analyzeHeaderParagraph(paragraph, styleInfo, index);
+
+      // Drop "Page x of y" paragraphs once their fields have been removed
+      if (hadPageFields && !footerParagraph.hasImages &&
+          PAGE_NUMBER_RESIDUE_PATTERN.test(footerParagraph.content)) {
+        return;
+      }
+
+      if (footerParagraph.content.trim() || footerParagraph.hasImages) {
+        footerContent.paragraphs.push(footerParagraph);
+
+        // Extract any images in this paragraph
+        const images = extractImagesFromParagraph(paragraph, index);
+        images.forEach(img => {
+          img.paragraphFormatting = footerParagraph.formatting;
+        });
+        footerContent.images.push(...images);
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error extracting footer from ${footerFile}:`, error);
+  }
+
+  return footerContent;
+}
+
+/**
+ * Remove PAGE, NUMPAGES and SECTIONPAGES field results from a paragraph
+ * Handles both simple fields (w:fldSimple) and complex fields (w:fldChar).
+ * Each field is replaced by PAGE_FIELD_PLACEHOLDER for removePageNumberText.
+ *
+ * @param {Element} paragraph - Paragraph XML element (modified in place)
+ * @returns {boolean} - True if any page field was found
+ */
+function stripPageFields(paragraph) {
+  let found = false;
+
+  try {
+    // Simple fields carry their instruction as an attribute
+    selectNodes(".//w:fldSimple", paragraph).forEach(field => {
+      if (PAGE_FIELD_PATTERN.test(field.getAttribute('w:instr') || '')) {
+        field.parentNode.replaceChild(createPlaceholderRun(field.ownerDocument), field);
+        found = true;
+      }
+    });
+
+    // Complex fields span several runs: begin, instruction, separate, result, end
+    const fieldStack = [];
+    const runsToRemove = [];
+
+    selectNodes(".//w:r", paragraph).forEach(run => {
+      const fldChar = selectSingleNode("w:fldChar", run);
+      const fldCharType = fldChar ? fldChar.getAttribute('w:fldCharType') : null;
+
+      if (fldCharType === 'begin') {
+        fieldStack.push({ instruction: '', inResult: false, isPageField: false });
+        return;
+      }
+
+      const currentField = fieldStack[fieldStack.length - 1];
+
+      if (fldCharType === 'separate' && currentField) {
+        currentField.inResult = true;
+        currentField.isPageField = PAGE_FIELD_PATTERN.test(currentField.instruction);
+        return;
+      }
+
+      if (fldCharType === 'end') {
+        const endedField = fieldStack.pop();
+        if (endedField && PAGE_FIELD_PATTERN.test(endedField.instruction)) {
+          run.parentNode.insertBefore(createPlaceholderRun(run.ownerDocument), run);
+        }
+        return;
+      }
+
+      const instrText = selectNodes("w:instrText", run);
+      if (instrText.length > 0 && currentField && !currentField.inResult) {
+        currentField.instruction += instrText.map(node => node.textContent || '').join('');
+        return;
+      }
+
+      if (fieldStack.some(field => field.inResult && field.isPageField)) {
+        runsToRemove.push(run);
+      }
+    });
+
+    // Fields whose instruction was seen but which had no result still count as page fields
+    selectNodes(".//w:instrText", paragraph).forEach(instrText => {
+      if (PAGE_FIELD_PATTERN.test(instrText.textContent || '')) {
+        found = true;
+      }
+    });
+
+    runsToRemove.forEach(run => {
+      if (run.parentNode) {
+        run.parentNode.removeChild(run);
+        found = true;
+      }
+    });
+
+  } catch (error) {
+    console.error('Error stripping page fields from footer paragraph:', error);
+  }
+
+  return found;
+}
+
+/**
+ * Create a run holding PAGE_FIELD_PLACEHOLDER
+ *
+ * @param {Document} doc - Footer XML document
+ * @returns {Element} - w:r element
+ */
+function createPlaceholderRun(doc) {
+  const run = doc.createElementNS(WORDPROCESSING_NS, 'w:r');
+  const text = doc.createElementNS(WORDPROCESSING_NS, 'w:t');
+  text.appendChild(doc.createTextNode(PAGE_FIELD_PLACEHOLDER));
+  run.appendChild(text);
+  return run;
+}
+
+/**
+ * Remove page numbers and their labels ("Page 1 of 3") from a paragraph's text
+ * The text can span several runs, so characters are removed run by run. The
+ * separators and spaces left at the ends of the paragraph and double spaces
+ * where the page number was are removed as well.
+ *
+ * @param {Element} paragraph - Paragraph XML element with placeholders (modified in place)
+ */
+function removePageNumberText(paragraph) {
+  try {
+    const textNodes = selectNodes(".//w:t", paragraph);
+    const text = textNodes.map(node => node.textContent || '').join('');
+    const removed = new Array(text.length).fill(false);
+
+    let match;
+    PAGE_NUMBER_TEXT_PATTERN.lastIndex = 0;
+    while ((match = PAGE_NUMBER_TEXT_PATTERN.exec(text)) !== null) {
+      for (let i = match.index; i < match.index + match[0].length; i++) removed[i] = true;
+    }
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === PAGE_FIELD_PLACEHOLDER) removed[i] = true;
+    }
+
+    // Separators at the ends of the paragraph, then spaces doubled by the removal
+    const kept = index => !removed[index];
+    for (let i = 0; i < text.length && (removed[i] || EDGE_SEPARATOR_PATTERN.test(text[i])); i++) removed[i] = true;
+    for (let i = text.length - 1; i >= 0 && (removed[i] || EDGE_SEPARATOR_PATTERN.test(text[i])); i--) removed[i] = true;
+    let previousKept = null;
+    for (let i = 0; i < text.length; i++) {
+      if (!kept(i)) continue;
+      if (/\s/.test(text[i]) && previousKept !== null && /\s/.test(text[previousKept])) removed[i] = true;
+      else previousKept = i;
+    }
+
+    let offset = 0;
+    textNodes.forEach(node => {
+      const nodeText = node.textContent || '';
+      const keptText = nodeText.split('').filter((char, i) => kept(offset + i)).join('');
+      offset += nodeText.length;
+      if (keptText !== nodeText) {
+        while (node.firstChild) node.removeChild(node.firstChild);
+        node.appendChild(node.ownerDocument.createTextNode(keptText));
+        node.setAttribute('xml:space', 'preserve');
+      }
+    });
+  } catch (error) {
+    console.error('Error removing page numbers from footer paragraph:', error);
+  }
+}
+
+/**
+ * Replace tab characters in runs with spaces so that tab-separated footer
+ * content (e.g. left/center/right aligned text) keeps its word boundaries
+ *
+ * @param {Element} paragraph - Paragraph XML element (modified in place)
+ */
+function replaceTabsWithSpaces(paragraph) {
+  try {
+    selectNodes(".//w:r/w:tab", paragraph).forEach(tab => {
+      const textNode = tab.ownerDocument.createElementNS(WORDPROCESSING_NS, 'w:t');
+      textNode.setAttribute('xml:space', 'preserve');
+      textNode.appendChild(tab.ownerDocument.createTextNode(' '));
+      tab.parentNode.replaceChild(textNode, tab);
+    });
+  } catch (error) {
+    console.error('Error replacing tabs in footer paragraph:', error);
+  }
+}
+
+/**
+ * Process footer content for HTML output
+ * Converts footer paragraphs to HTML with preserved formatting
+ *
+ * @param {Object} footerInfo - Footer information from extraction
+ * @param {Document} document - HTML document
+ * @param {Object} styleInfo - Style information for CSS generation
+ * @param {Object} zip - Package context or JSZip instance for image extraction (optional)
+ * @param {string} outputDir - Output directory for images (optional)
+ * @param {Object} imageRegistry - Image registry that names and collects the images (optional)
+ * @returns {Promise<Array>} - Array of HTML elements representing the footer
+ */
+async function processFooterForHtml(footerInfo, document, styleInfo, zip = null, outputDir = null, imageRegistry = null) {
+  const footerElements = [];
+
+  if (!footerInfo.hasFooterContent) {
+    return footerElements;
+  }
+
+  try {
+    // Process footer images if we have access to the zip file
+    let footerImageMap = {};
+    if (zip && (outputDir || imageRegistry) && footerInfo.footerImages.length > 0) {
+      try {
+        footerImageMap = await processHeaderImages(footerInfo.footerImages, zip, outputDir, imageRegistry);
+      } catch (error) {
+        console.error('Error processing footer images:', error);
+      }
+    }
+
+    footerInfo.footerParagraphs.forEach((footerParagraph, index) => {
+      const footerElement = document.createElement('div');
+      footerElement.className = 'docx-footer-paragraph';
+
+      // Add style class if available
+      if (footerParagraph.styleId) {
+        const safeClassName = footerParagraph.styleId.toLowerCase().replace(/[^a-z0-9-_]/g, '-');
+        footerElement.classList.add(`docx-p-${safeClassName}`);
+      }
+
+      // Add images before the text, as in the header
+      if (footerParagraph.hasImages) {
+        footerInfo.footerImages
+          .filter(img => img.paragraphIndex === index && footerImageMap[getHeaderImageKey(img)])
+          .forEach(imageInfo => {
+            footerElement.appendChild(createPositionedImageElement(
+              document,
+              imageInfo,
+              footerImageMap[getHeaderImageKey(imageInfo)],
+              'docx-footer-image',
+              'Footer image'
+            ));
+          });
+      }
+
+      // Add content
+      if (footerParagraph.content) {
+        const textSpan = document.createElement('span');
+        textSpan.className = 'docx-footer-text';
+        textSpan.textContent = footerParagraph.content;
+        footerElement.appendChild(textSpan);
+      }
+
+      if (!footerElement.hasChildNodes()) return;
+
+      // Add inline styles for formatting preservation
+      applyInlineFormatting(footerElement, footerParagraph.formatting);
+
+      // Add data attributes for CSS targeting
+      footerElement.setAttribute('data-footer-paragraph', index.toString());
+      if (footerParagraph.styleId) {
+        footerElement.setAttribute('data-style-id', footerParagraph.styleId);
+      }
+      if (footerInfo.footerType) {
+        footerElement.setAttribute('data-footer-type', footerInfo.footerType);
+      }
+
+      footerElements.push(footerElement);
+    });
+
+  } catch (error) {
+    console.error('Error processing footer for HTML:', error);
+  }
+
+  return footerElements;
+}
+
+module.exports = {
+  extractDocumentFooter,
+  extractFooterFromXml,
+  processFooterForHtml,
+  stripPageFields
+};
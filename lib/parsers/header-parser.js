@@ -1,12 +1,22 @@
 // lib/parsers/header-parser.js - Document header extraction and processing
 const { selectSingleNode, selectNodes } = require('../xml/xpath-utils');
-const { DOMParser } = require('xmldom');
+const { getPackageContext, getPartXml } = require('./package-context');
+const {
+  createImageRegistry,
+  indexPackageImages,
+  registerImage
+} = require('../html/generators/image-registry');
+const {
+  parseRelationships,
+  resolveHeaderFooterParts,
+  getHeaderFooterCandidates
+} = require('./relationships-parser');
 
 /**
  * Extract document header from DOCX content
- * Extracts header content from header XML files and document structure
+ * Extracts header content from the header parts referenced by the document sections
  * 
- * @param {Object} zip - JSZip instance with DOCX content
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
  * @param {Document} documentDoc - Document XML
  * @param {Document} styleDoc - Style XML document
  * @param {Object} styleInfo - Parsed style information
@@ -18,53 +28,36 @@ async function extractDocumentHeader(zip, documentDoc, styleDoc, styleInfo) {
     headerParagraphs: [],
     headerStyles: {},
     headerImages: [],
-    headerType: null // 'first', 'even', 'default'
+    headerType: null, // 'first', 'even', 'default'
+    sections: [] // Header parts by type for each document section
   };
 
   try {
-    // Strategy 1: Extract from header XML files
-    const headerFiles = ['word/header1.xml', 'word/header2.xml', 'word/header3.xml'];
-    
-    for (const headerFile of headerFiles) {
-      const headerXml = await zip.file(headerFile)?.async("string");
-      if (headerXml) {
-        console.log(`Found header file: ${headerFile}`);
-        const headerDoc = new DOMParser().parseFromString(headerXml);
-        const headerContent = await extractHeaderFromXml(headerDoc, styleInfo, headerFile);
-        
-        if (headerContent.paragraphs.length > 0) {
-          headerInfo.hasHeaderContent = true;
-          
-          // Adjust paragraph indices for images to account for combining multiple header files
-          const currentParagraphCount = headerInfo.headerParagraphs.length;
-          const adjustedImages = headerContent.images.map(img => ({
-            ...img,
-            paragraphIndex: img.paragraphIndex + currentParagraphCount
-          }));
-          
-          headerInfo.headerParagraphs.push(...headerContent.paragraphs);
-          headerInfo.headerImages.push(...adjustedImages);
-          
-          // Determine header type from file name
-          if (headerFile.includes('header1')) {
-            headerInfo.headerType = 'default';
-          } else if (headerFile.includes('header2')) {
-            headerInfo.headerType = 'first';
-          } else if (headerFile.includes('header3')) {
-            headerInfo.headerType = 'even';
-          }
-        }
-      }
-    }
+    // Extract from the header parts referenced by the first section
+    // Headers are resolved through w:headerReference relationships, so part names do not matter;
+    // a document without a header part gets no header
+    const sections = await resolveHeaderFooterParts(zip, documentDoc);
+    headerInfo.sections = sections.map(section => ({ index: section.index, titlePg: section.titlePg, headers: section.headers }));
     
-    // Strategy 2: If no header files, look for header-like content at the top of the document
-    if (!headerInfo.hasHeaderContent) {
-      const documentHeaderContent = extractHeaderFromDocument(documentDoc, styleInfo);
-      if (documentHeaderContent.paragraphs.length > 0) {
+    const candidates = getHeaderFooterCandidates(sections[0], 'header', ['first', 'default', 'even']);
+    
+    for (const candidate of candidates) {
+      const headerDoc = await getPartXml(zip, candidate.partPath);
+      if (!headerDoc) continue;
+      
+      console.log(`Found ${candidate.type} header part: ${candidate.partPath}`);
+      const headerContent = await extractHeaderFromXml(headerDoc, styleInfo, candidate.partPath);
+      
+      // An empty first-page header (e.g. a cover page) falls back to the default header
+      if (headerContent.paragraphs.length > 0) {
         headerInfo.hasHeaderContent = true;
-        headerInfo.headerParagraphs.push(...documentHeaderContent.paragraphs);
-        headerInfo.headerImages.push(...documentHeaderContent.images);
-        headerInfo.headerType = 'document';
+        headerInfo.headerParagraphs.push(...headerContent.paragraphs);
+        headerInfo.headerImages.push(...headerContent.images.map(img => ({
+          ...img,
+          partPath: candidate.partPath
+        })));
+        headerInfo.headerType = candidate.type;
+        break;
       }
     }
     
@@ -146,7 +139,7 @@ function extractHeaderFromDocument(documentDoc, styleInfo) {
         headerContent.paragraphs.push(headerCandidate);
         
         // Extract any images in this paragraph
-        const images = extractImagesFromParagraph(paragraph, index);
+        const images = extractImagesFromParagraph(paragraph, i);
         headerContent.images.push(...images);
       } else if (headerContent.paragraphs.length > 0) {
         // Stop looking once we find non-header content
@@ -579,11 +572,12 @@ function extractImageInfo(imageElement, type) {
  * @param {Object} headerInfo - Header information from extraction
  * @param {Document} document - HTML document
  * @param {Object} styleInfo - Style information for CSS generation
- * @param {Object} zip - JSZip instance for image extraction (optional)
+ * @param {Object} zip - Package context or JSZip instance for image extraction (optional)
  * @param {string} outputDir - Output directory for images (optional)
+ * @param {Object} imageRegistry - Image registry that names and collects the images (optional)
  * @returns {Promise<Array>} - Array of HTML elements representing the header
  */
-async function processHeaderForHtml(headerInfo, document, styleInfo, zip = null, outputDir = null) {
+async function processHeaderForHtml(headerInfo, document, styleInfo, zip = null, outputDir = null, imageRegistry = null) {
   const headerElements = [];
   
   if (!headerInfo.hasHeaderContent) {
@@ -593,9 +587,9 @@ async function processHeaderForHtml(headerInfo, document, styleInfo, zip = null,
   try {
     // Process header images if we have access to the zip file
     let headerImageMap = {};
-    if (zip && outputDir && headerInfo.headerImages.length > 0) {
+    if (zip && (outputDir || imageRegistry) && headerInfo.headerImages.length > 0) {
       try {
-        headerImageMap = await processHeaderImages(headerInfo.headerImages, zip, outputDir);
+        headerImageMap = await processHeaderImages(headerInfo.headerImages, zip, outputDir, imageRegistry);
       } catch (error) {
         console.error('Error processing header images:', error);
       }
@@ -633,112 +627,13 @@ async function processHeaderForHtml(headerInfo, document, styleInfo, zip = null,
         const originalIndex = headerInfo.headerParagraphs.findIndex(p => p === headerParagraph);
         const paragraphImages = headerInfo.headerImages.filter(img => img.paragraphIndex === originalIndex);
         paragraphImages.forEach(imageInfo => {
-          if (headerImageMap[imageInfo.relationshipId]) {
-            
-            // Create image container to handle paragraph-level alignment
-            const imgContainer = document.createElement('div');
-            imgContainer.className = 'docx-image-container';
-            
-            const imgElement = document.createElement('img');
-            imgElement.src = headerImageMap[imageInfo.relationshipId].src;
-            imgElement.alt = imageInfo.altText || 'Header image';
-            imgElement.className = 'docx-header-image';
-            
-            // Apply paragraph-level alignment to container
-            if (imageInfo.paragraphFormatting) {
-              if (imageInfo.paragraphFormatting.isCentered) {
-                imgContainer.style.textAlign = 'center';
-              } else if (imageInfo.paragraphFormatting.isRightAligned) {
-                imgContainer.style.textAlign = 'right';
-              } else if (imageInfo.paragraphFormatting.isLeftAligned) {
-                imgContainer.style.textAlign = 'left';
-              }
-}
-            
-            // Apply positioning styles
-            if (imageInfo.positioning) {
-              const pos = imageInfo.positioning;
-              
-              // Handle inline positioning with distances
-              if (pos.wrapType === 'inline') {
-                // Convert EMU to pixels for distances (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
-                if (pos.distT && parseInt(pos.distT) > 0) {
-                  const topPx = Math.round(parseInt(pos.distT) / 914400 * 96);
-                  imgElement.style.marginTop = `${topPx}px`;
-                }
-                if (pos.distB && parseInt(pos.distB) > 0) {
-                  const bottomPx = Math.round(parseInt(pos.distB) / 914400 * 96);
-                  imgElement.style.marginBottom = `${bottomPx}px`;
-                }
-                if (pos.distL && parseInt(pos.distL) > 0) {
-                  const leftPx = Math.round(parseInt(pos.distL) / 914400 * 96);
-                  imgElement.style.marginLeft = `${leftPx}px`;
-                }
-                if (pos.distR && parseInt(pos.distR) > 0) {
-                  const rightPx = Math.round(parseInt(pos.distR) / 914400 * 96);
-                  imgElement.style.marginRight = `${rightPx}px`;
-                }
-                
-                // Apply transform offsets for inline images
-                if (pos.xOffset && parseInt(pos.xOffset) !== 0) {
-                  const xPx = Math.round(parseInt(pos.xOffset) / 914400 * 96);
-                  imgElement.style.transform = `translateX(${xPx}px)`;
-                }
-                if (pos.yOffset && parseInt(pos.yOffset) !== 0) {
-                  const yPx = Math.round(parseInt(pos.yOffset) / 914400 * 96);
-                  const existingTransform = imgElement.style.transform || '';
-                  imgElement.style.transform = existingTransform ? 
-                    `${existingTransform} translateY(${yPx}px)` : `translateY(${yPx}px)`;
-                }
-              } else if (pos.wrapType && pos.wrapType !== 'inline') {
-                // Handle floating/anchored positioning
-                imgElement.style.position = 'absolute';
-                
-                // Convert EMU to pixels for offsets (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
-                if (pos.xOffset) {
-                  const xPx = Math.round(parseInt(pos.xOffset) / 914400 * 96);
-                  imgElement.style.left = `${xPx}px`;
-                }
-                if (pos.yOffset) {
-                  const yPx = Math.round(parseInt(pos.yOffset) / 914400 * 96);
-                  imgElement.style.top = `${yPx}px`;
-                }
-                
-                // Handle alignment-based positioning
-                if (pos.horizontal === 'center') {
-                  imgElement.style.left = '50%';
-                  imgElement.style.transform = 'translateX(-50%)';
-                } else if (pos.horizontal === 'right') {
-                  imgElement.style.right = '0';
-                  imgElement.style.left = 'auto';
-                }
-                
-                if (pos.vertical === 'center') {
-                  imgElement.style.top = '50%';
-                  imgElement.style.transform = imgElement.style.transform ? 
-                    imgElement.style.transform + ' translateY(-50%)' : 'translateY(-50%)';
-                } else if (pos.vertical === 'bottom') {
-                  imgElement.style.bottom = '0';
-                  imgElement.style.top = 'auto';
-                }
-              }
-            }
-            
-            if (imageInfo.title) {
-              imgElement.title = imageInfo.title;
-            }
-            
-            // Add width and height if available
-            if (imageInfo.width && imageInfo.height) {
-              // Convert EMU (English Metric Units) to pixels (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
-              const widthPx = Math.round(parseInt(imageInfo.width) / 914400 * 96);
-              const heightPx = Math.round(parseInt(imageInfo.height) / 914400 * 96);
-              imgElement.style.width = `${widthPx}px`;
-              imgElement.style.height = `${heightPx}px`;
-            }
-            // Add image to container and container to header
-            imgContainer.appendChild(imgElement);
+          if (headerImageMap[getHeaderImageKey(imageInfo)]) {
             
+            const imgContainer = createPositionedImageElement(
+              document,
+              imageInfo,
+              headerImageMap[getHeaderImageKey(imageInfo)]
+            );
             headerElement.appendChild(imgContainer);
           }
         });
@@ -766,121 +661,225 @@ async function processHeaderForHtml(headerInfo, document, styleInfo, zip = null,
   return headerElements;
 }
 
+/**
+ * Create a positioned image element for header or footer content
+ * Applies paragraph alignment to the container and DOCX positioning, distances
+ * and dimensions (EMU) to the image
+ * 
+ * @param {Document} document - HTML document
+ * @param {Object} imageInfo - Image information from extractImageInfo
+ * @param {Object} imageEntry - Extracted image entry with src
+ * @param {string} className - Class name for the image element
+ * @param {string} defaultAlt - Alt text used when the image has none
+ * @returns {Element} - Image container element
+ */
+function createPositionedImageElement(document, imageInfo, imageEntry, className = 'docx-header-image', defaultAlt = 'Header image') {
+  // Create image container to handle paragraph-level alignment
+  const imgContainer = document.createElement('div');
+  imgContainer.className = 'docx-image-container';
+  
+  try {
+    const imgElement = document.createElement('img');
+    imgElement.src = imageEntry.src;
+    imgElement.alt = imageInfo.altText || defaultAlt;
+    imgElement.className = className;
+    
+    // Apply paragraph-level alignment to container
+    if (imageInfo.paragraphFormatting) {
+      if (imageInfo.paragraphFormatting.isCentered) {
+        imgContainer.style.textAlign = 'center';
+      } else if (imageInfo.paragraphFormatting.isRightAligned) {
+        imgContainer.style.textAlign = 'right';
+      } else if (imageInfo.paragraphFormatting.isLeftAligned) {
+        imgContainer.style.textAlign = 'left';
+      }
+    }
+    
+    // Apply positioning styles
+    if (imageInfo.positioning) {
+      const pos = imageInfo.positioning;
+    
+      // Handle inline positioning with distances
+      if (pos.wrapType === 'inline') {
+        // Convert EMU to pixels for distances (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
+        if (pos.distT && parseInt(pos.distT) > 0) {
+          const topPx = Math.round(parseInt(pos.distT) / 914400 * 96);
+          imgElement.style.marginTop = `${topPx}px`;
+        }
+        if (pos.distB && parseInt(pos.distB) > 0) {
+          const bottomPx = Math.round(parseInt(pos.distB) / 914400 * 96);
+          imgElement.style.marginBottom = `${bottomPx}px`;
+        }
+        if (pos.distL && parseInt(pos.distL) > 0) {
+          const leftPx = Math.round(parseInt(pos.distL) / 914400 * 96);
+          imgElement.style.marginLeft = `${leftPx}px`;
+        }
+        if (pos.distR && parseInt(pos.distR) > 0) {
+          const rightPx = Math.round(parseInt(pos.distR) / 914400 * 96);
+          imgElement.style.marginRight = `${rightPx}px`;
+        }
+    
+        // Apply transform offsets for inline images
+        if (pos.xOffset && parseInt(pos.xOffset) !== 0) {
+          const xPx = Math.round(parseInt(pos.xOffset) / 914400 * 96);
+          imgElement.style.transform = `translateX(${xPx}px)`;
+        }
+        if (pos.yOffset && parseInt(pos.yOffset) !== 0) {
+          const yPx = Math.round(parseInt(pos.yOffset) / 914400 * 96);
+          const existingTransform = imgElement.style.transform || '';
+          imgElement.style.transform = existingTransform ? 
+            `${existingTransform} translateY(${yPx}px)` : `translateY(${yPx}px)`;
+        }
+      } else if (pos.wrapType && pos.wrapType !== 'inline') {
+        // Handle floating/anchored positioning
+        imgElement.style.position = 'absolute';
+    
+        // Convert EMU to pixels for offsets (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
+        if (pos.xOffset) {
+          const xPx = Math.round(parseInt(pos.xOffset) / 914400 * 96);
+          imgElement.style.left = `${xPx}px`;
+        }
+        if (pos.yOffset) {
+          const yPx = Math.round(parseInt(pos.yOffset) / 914400 * 96);
+          imgElement.style.top = `${yPx}px`;
+        }
+    
+        // Handle alignment-based positioning
+        if (pos.horizontal === 'center') {
+          imgElement.style.left = '50%';
+          imgElement.style.transform = 'translateX(-50%)';
+        } else if (pos.horizontal === 'right') {
+          imgElement.style.right = '0';
+          imgElement.style.left = 'auto';
+        }
+    
+        if (pos.vertical === 'center') {
+          imgElement.style.top = '50%';
+          imgElement.style.transform = imgElement.style.transform ? 
+            imgElement.style.transform + ' translateY(-50%)' : 'translateY(-50%)';
+        } else if (pos.vertical === 'bottom') {
+          imgElement.style.bottom = '0';
+          imgElement.style.top = 'auto';
+        }
+      }
+    }
+    
+    if (imageInfo.title) {
+      imgElement.title = imageInfo.title;
+    }
+    
+    // Add width and height if available
+    if (imageInfo.width && imageInfo.height) {
+      // Convert EMU (English Metric Units) to pixels (1 EMU = 1/914400 inch, 1 inch = 96 pixels)
+      const widthPx = Math.round(parseInt(imageInfo.width) / 914400 * 96);
+      const heightPx = Math.round(parseInt(imageInfo.height) / 914400 * 96);
+      imgElement.style.width = `${widthPx}px`;
+      imgElement.style.height = `${heightPx}px`;
+    }
+    // Add image to container
+    imgContainer.appendChild(imgElement);
+  } catch (error) {
+    console.error('Error creating positioned image element:', error);
+  }
+  
+  return imgContainer;
+}
+
+/**
+ * Get the key under which an extracted header or footer image is stored
+ * Relationship IDs are only unique within a part, so the part path is included
+ * 
+ * @param {Object} imageInfo - Image information
+ * @returns {string} - Image map key
+ */
+function getHeaderImageKey(imageInfo) {
+  return imageInfo.partPath
+    ? `${imageInfo.partPath}#${imageInfo.relationshipId}`
+    : imageInfo.relationshipId;
+}
+
 /**
  * Process header images and extract them to the output directory
+ * Each image is resolved through the relationships of the part it belongs to
+ * (e.g. word/_rels/header4.xml.rels for an image in word/header4.xml)
  * 
  * @param {Array} headerImages - Array of header image information
- * @param {Object} zip - JSZip instance with DOCX content
- * @param {string} outputDir - Output directory for images
- * @returns {Promise<Object>} - Map of relationship IDs to image information
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {string} outputDir - Output directory for images (null to keep images in memory only)
+ * @param {Object} imageRegistry - Image registry shared with the document images (optional)
+ * @returns {Promise<Object>} - Map of image keys (see getHeaderImageKey) to image information
  */
-async function processHeaderImages(headerImages, zip, outputDir) {
+async function processHeaderImages(headerImages, zip, outputDir, imageRegistry = null) {
   const imageMap = {};
   const fs = require('fs');
   const path = require('path');
   
   try {
     console.log(`Processing ${headerImages.length} header images...`);
-    console.log(`Output directory: ${outputDir}`);
+    
+    // Without a shared registry, name images the same way the conversion would
+    let registry = imageRegistry;
+    if (!registry) {
+      registry = createImageRegistry();
+      await indexPackageImages(registry, zip);
+    }
     
     // Ensure images directory exists
-    const imagesDir = path.join(outputDir, 'images');
-    console.log(`Images directory path: ${imagesDir}`);
-    if (!fs.existsSync(imagesDir)) {
+    const imagesDir = outputDir ? path.join(outputDir, 'images') : null;
+    if (imagesDir && !fs.existsSync(imagesDir)) {
       fs.mkdirSync(imagesDir, { recursive: true });
     }
     
-    // Load header relationships to resolve image paths
-    const headerRelsFiles = ['word/_rels/header1.xml.rels', 'word/_rels/header2.xml.rels', 'word/_rels/header3.xml.rels'];
-    let headerRels = {};
-    
-    for (const relsFile of headerRelsFiles) {
-      const relsFileObj = zip.file(relsFile);
-      console.log(`Checking for relationship file: ${relsFile} - ${relsFileObj ? 'Found' : 'Not found'}`);
-      if (relsFileObj) {
-        try {
-          // Use JSZip 3.0 async API
-          const relsXml = await relsFileObj.async("string");
-          console.log(`Successfully read ${relsFile}, content length: ${relsXml ? relsXml.length : 0}`);
-          if (relsXml) {
-            const relsDoc = new (require('xmldom').DOMParser)().parseFromString(relsXml);
-            console.log(`Relationship XML content: ${relsXml.substring(0, 500)}...`);
-            
-            // Try different XPath queries to handle namespace issues
-            let relationships = selectNodes("//r:Relationship", relsDoc);
-            if (relationships.length === 0) {
-              relationships = selectNodes("//Relationship", relsDoc);
-            }
-            if (relationships.length === 0) {
-              // Try without namespace prefix
-              const nodeList = relsDoc.getElementsByTagName('Relationship');
-              relationships = Array.from(nodeList);
-            }
-            console.log(`Found ${relationships.length} relationships in ${relsFile}`);
-            
-            relationships.forEach(rel => {
-              const id = rel.getAttribute('Id');
-              const target = rel.getAttribute('Target');
-              const type = rel.getAttribute('Type');
-              console.log(`Relationship: ${id} -> ${target} (type: ${type})`);
-              
-              if (type && type.includes('image')) {
-                headerRels[id] = target;
-                console.log(`Found header image relationship: ${id} -> ${target}`);
-              }
-            });
-          }
-        } catch (relError) {
-          console.warn(`Could not process ${relsFile}:`, relError.message);
-        }
+    // Load the relationships of each part that contains images
+    const partRelationships = {};
+    for (const imageInfo of headerImages) {
+      const partPath = imageInfo.partPath || 'word/document.xml';
+      if (!partRelationships[partPath]) {
+        partRelationships[partPath] = await parseRelationships(zip, partPath);
       }
     }
     
     // Process each header image
-    console.log(`Processing ${headerImages.length} header images with relationships:`, Object.keys(headerRels));
     for (const imageInfo of headerImages) {
-      console.log(`Processing image with relationshipId: ${imageInfo.relationshipId}, altText: ${imageInfo.altText}`);
-      if (imageInfo.relationshipId && headerRels[imageInfo.relationshipId]) {
-        const imagePath = headerRels[imageInfo.relationshipId];
-        const fullImagePath = imagePath.startsWith('media/') ? `word/${imagePath}` : `word/media/${imagePath}`;
-        console.log(`Looking for image file: ${fullImagePath}`);
+      const partPath = imageInfo.partPath || 'word/document.xml';
+      const relationship = imageInfo.relationshipId
+        ? partRelationships[partPath][imageInfo.relationshipId]
+        : null;
+      
+      if (!relationship || !relationship.partPath || !relationship.type.includes('image')) {
+        console.warn(`No image relationship found for ${imageInfo.relationshipId} in ${partPath}`);
+        continue;
+      }
+      
+      const imageFile = getPackageContext(zip).zip.file(relationship.partPath);
+      if (!imageFile) {
+        console.warn(`Image file not found in zip: ${relationship.partPath}`);
+        continue;
+      }
+      
+      try {
+        // Use JSZip 3.0 async API
+        const imageBuffer = await imageFile.async("nodebuffer");
+        const { filename, src } = registerImage(registry, imageBuffer, {
+          relationshipId: relationship.id,
+          partPath: relationship.partPath
+        });
         
-        const imageFile = zip.file(fullImagePath);
-        console.log(`Image file ${fullImagePath}: ${imageFile ? 'Found' : 'Not found'}`);
-        if (imageFile) {
-          try {
-            // Use JSZip 3.0 async API
-            const imageBuffer = await imageFile.async("nodebuffer");
-            console.log(`Successfully read image buffer, size: ${imageBuffer.length} bytes`);
-            const extension = path.extname(imagePath) || '.png';
-            const sanitizedAltText = (imageInfo.altText || `header-image-${Date.now()}`)
-              .replace(/[^\w-]/g, "_")
-              .substring(0, 50);
-            const filename = `${sanitizedAltText}${extension}`;
-            const outputPath = path.join(imagesDir, filename);
-            console.log(`Attempting to save image to: ${outputPath}`);
-            console.log(`Images directory exists: ${fs.existsSync(imagesDir)}`);
-            
-            fs.writeFileSync(outputPath, imageBuffer);
-            console.log(`Image file saved successfully: ${fs.existsSync(outputPath)}`);
-            
-            imageMap[imageInfo.relationshipId] = {
-              src: `./images/${filename}`,
-              alt: imageInfo.altText || 'Header image',
-              title: imageInfo.title || '',
-              width: imageInfo.width,
-              height: imageInfo.height
-            };
-            
-            console.log(`Extracted header image: ${filename}`);
-          } catch (imgError) {
-            console.warn(`Could not extract image ${fullImagePath}:`, imgError.message);
-          }
-        } else {
-          console.warn(`Image file not found in zip: ${fullImagePath}`);
+        if (imagesDir) {
+          fs.writeFileSync(path.join(imagesDir, filename), registry.images.get(filename));
         }
-      } else {
-        console.warn(`No relationship found for image ${imageInfo.relationshipId} or missing relationshipId`);
+        
+        imageMap[getHeaderImageKey(imageInfo)] = {
+          src,
+          alt: imageInfo.altText || 'Header image',
+          title: imageInfo.title || '',
+          width: imageInfo.width,
+          height: imageInfo.height
+        };
+        
+        console.log(`Extracted header image: ${filename} (from ${relationship.partPath})`);
+      } catch (imgError) {
+        console.warn(`Could not extract image ${relationship.partPath}:`, imgError.message);
       }
     }
     
@@ -932,10 +931,14 @@ module.exports = {
   extractDocumentHeader,
   processHeaderForHtml,
   processHeaderImages,
+  getHeaderImageKey,
   extractHeaderFromXml,
   extractHeaderFromDocument,
   analyzeHeaderParagraph,
   extractParagraphFormatting,
   extractImagesFromParagraph,
-  isLikelyHeaderContent
+  extractImageInfo,
+  isLikelyHeaderContent,
+  createPositionedImageElement,
+  applyInlineFormatting
 };
@@ -3,18 +3,20 @@ const { selectSingleNode, selectNodes } = require('../xml/xpath-utils');
 const xpath = require('xpath');
 
 /**
- * Parse document metadata from core.xml and app.xml
+ * Parse document metadata from core.xml, app.xml and custom.xml
  * Extracts title, author, creation date, and other metadata
  * 
  * @param {Document} corePropsDoc - Core properties XML document
  * @param {Document} appPropsDoc - Application properties XML document
  * @param {Document} documentDoc - Optional document XML for calculating statistics
- * @returns {Object} - Document metadata
+ * @param {Document} customPropsDoc - Optional custom properties XML document
+ * @returns {Object} - Document metadata; custom holds custom properties by name
  */
-function parseDocumentMetadata(corePropsDoc, appPropsDoc, documentDoc) {
+function parseDocumentMetadata(corePropsDoc, appPropsDoc, documentDoc, customPropsDoc = null) {
   const metadata = {
     core: {},
-    app: {}
+    app: {},
+    custom: {}
   };
   
   try {
@@ -59,20 +61,20 @@ function parseDocumentMetadata(corePropsDoc, appPropsDoc, documentDoc) {
     
     // Extract application properties if available
     if (appPropsDoc) {
-      // App properties are in the default namespace, no specific NS required
-      metadata.app.application = getNodeText(appPropsDoc, "//Application") || '';
-      metadata.app.appVersion = getNodeText(appPropsDoc, "//AppVersion") || '';
-      metadata.app.company = getNodeText(appPropsDoc, "//Company") || '';
-      metadata.app.manager = getNodeText(appPropsDoc, "//Manager") || '';
+      // App properties use the extended-properties default namespace, so match by local name
+      metadata.app.application = getNodeText(appPropsDoc, "//*[local-name()='Application']") || '';
+      metadata.app.appVersion = getNodeText(appPropsDoc, "//*[local-name()='AppVersion']") || '';
+      metadata.app.company = getNodeText(appPropsDoc, "//*[local-name()='Company']") || '';
+      metadata.app.manager = getNodeText(appPropsDoc, "//*[local-name()='Manager']") || '';
       
       // Document statistics
-      metadata.app.totalTime = getNodeText(appPropsDoc, "//TotalTime") || '0';
-      metadata.app.pages = getNodeText(appPropsDoc, "//Pages") || '0';
-      metadata.app.words = getNodeText(appPropsDoc, "//Words") || '0';
-      metadata.app.characters = getNodeText(appPropsDoc, "//Characters") || '0';
-      metadata.app.characterWithSpaces = getNodeText(appPropsDoc, "//CharactersWithSpaces") || '0';
-      metadata.app.paragraphs = getNodeText(appPropsDoc, "//Paragraphs") || '0';
-      metadata.app.lines = getNodeText(appPropsDoc, "//Lines") || '0';
+      metadata.app.totalTime = getNodeText(appPropsDoc, "//*[local-name()='TotalTime']") || '0';
+      metadata.app.pages = getNodeText(appPropsDoc, "//*[local-name()='Pages']") || '0';
+      metadata.app.words = getNodeText(appPropsDoc, "//*[local-name()='Words']") || '0';
+      metadata.app.characters = getNodeText(appPropsDoc, "//*[local-name()='Characters']") || '0';
+      metadata.app.characterWithSpaces = getNodeText(appPropsDoc, "//*[local-name()='CharactersWithSpaces']") || '0';
+      metadata.app.paragraphs = getNodeText(appPropsDoc, "//*[local-name()='Paragraphs']") || '0';
+      metadata.app.lines = getNodeText(appPropsDoc, "//*[local-name()='Lines']") || '0';
       
       // If document statistics are not available and documentDoc is provided, calculate them
       if (documentDoc && 
@@ -130,7 +132,18 @@ function parseDocumentMetadata(corePropsDoc, appPropsDoc, documentDoc) {
       }
       
       // Template information
-      metadata.app.template = getNodeText(appPropsDoc, "//Template") || '';
+      metadata.app.template = getNodeText(appPropsDoc, "//*[local-name()='Template']") || '';
+    }
+    
+    // Custom properties (File > Properties > Custom), as used by DOCPROPERTY fields
+    if (customPropsDoc) {
+      selectNodes("//*[local-name()='property']", customPropsDoc).forEach(property => {
+        const name = property.getAttribute('name');
+        const valueNode = Array.from(property.childNodes).find(node => node.nodeType === 1);
+        if (name && valueNode) {
+          metadata.custom[name] = valueNode.textContent;
+        }
+      });
     }
   } catch (error) {
     console.error('Error parsing document metadata:', error);
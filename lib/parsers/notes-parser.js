@@ -0,0 +1,512 @@
+// lib/parsers/notes-parser.js - Footnote and endnote extraction and processing
+const { selectSingleNode, selectNodes } = require('../xml/xpath-utils');
+const { getPartXml } = require('./package-context');
+
+/**
+ * Default note properties as defined by the OOXML specification
+ * Footnotes are numbered with Arabic numerals, endnotes with lower-case Roman numerals
+ */
+const DEFAULT_NOTE_PROPERTIES = {
+  footnote: { numFmt: 'decimal', numStart: 1, numRestart: 'continuous', pos: 'pageBottom' },
+  endnote: { numFmt: 'lowerRoman', numStart: 1, numRestart: 'continuous', pos: 'docEnd' }
+};
+
+/**
+ * Symbols used by the "chicago" number format, repeated for higher numbers
+ */
+const CHICAGO_SYMBOLS = ['*', '†', '‡', '§'];
+
+/**
+ * Extract footnotes and endnotes from DOCX content
+ * Reads the note parts, the numbering properties from settings.xml and any
+ * section overrides, and assigns each reference its formatted label
+ *
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {Document} documentDoc - Document XML
+ * @param {Document} settingsDoc - Settings XML document (optional)
+ * @returns {Object} - Notes information with notes, references and properties
+ */
+async function parseNotes(zip, documentDoc, settingsDoc) {
+  const notesInfo = {
+    hasNotes: false,
+    footnotes: {},
+    endnotes: {},
+    references: [],
+    properties: {
+      footnote: { ...DEFAULT_NOTE_PROPERTIES.footnote },
+      endnote: { ...DEFAULT_NOTE_PROPERTIES.endnote }
+    }
+  };
+
+  try {
+    // Document-wide numbering properties from settings.xml
+    if (settingsDoc) {
+      const footnotePr = selectSingleNode('//w:settings/w:footnotePr', settingsDoc);
+      const endnotePr = selectSingleNode('//w:settings/w:endnotePr', settingsDoc);
+      Object.assign(notesInfo.properties.footnote, parseNoteProperties(footnotePr));
+      Object.assign(notesInfo.properties.endnote, parseNoteProperties(endnotePr));
+    }
+
+    const footnotesDoc = await getPartXml(zip, 'word/footnotes.xml');
+    const endnotesDoc = await getPartXml(zip, 'word/endnotes.xml');
+
+    if (footnotesDoc) {
+      notesInfo.footnotes = extractNotesFromXml(footnotesDoc, 'footnote');
+    }
+    if (endnotesDoc) {
+      notesInfo.endnotes = extractNotesFromXml(endnotesDoc, 'endnote');
+    }
+
+    if (documentDoc) {
+      notesInfo.references = resolveNoteReferences(documentDoc, notesInfo.properties);
+    }
+
+    notesInfo.hasNotes = notesInfo.references.length > 0;
+    console.log(`Found ${Object.keys(notesInfo.footnotes).length} footnotes and ${Object.keys(notesInfo.endnotes).length} endnotes`);
+  } catch (error) {
+    console.error('Error parsing footnotes and endnotes:', error);
+  }
+
+  return notesInfo;
+}
+
+/**
+ * Parse footnote or endnote properties (w:footnotePr / w:endnotePr)
+ *
+ * @param {Node} prNode - Note properties node
+ * @returns {Object} - Properties that are explicitly set
+ */
+function parseNoteProperties(prNode) {
+  const properties = {};
+  if (!prNode) return properties;
+
+  try {
+    const numFmtNode = selectSingleNode('w:numFmt', prNode);
+    const numStartNode = selectSingleNode('w:numStart', prNode);
+    const numRestartNode = selectSingleNode('w:numRestart', prNode);
+    const posNode = selectSingleNode('w:pos', prNode);
+
+    if (numFmtNode && numFmtNode.getAttribute('w:val')) {
+      properties.numFmt = numFmtNode.getAttribute('w:val');
+    }
+    if (numStartNode) {
+      const start = parseInt(numStartNode.getAttribute('w:val'), 10);
+      if (!isNaN(start)) properties.numStart = start;
+    }
+    if (numRestartNode && numRestartNode.getAttribute('w:val')) {
+      properties.numRestart = numRestartNode.getAttribute('w:val');
+    }
+    if (posNode && posNode.getAttribute('w:val')) {
+      properties.pos = posNode.getAttribute('w:val');
+    }
+  } catch (error) {
+    console.error('Error parsing note properties:', error);
+  }
+
+  return properties;
+}
+
+/**
+ * Extract note content from footnotes.xml or endnotes.xml
+ * Separator and continuation notes are skipped
+ *
+ * @param {Document} notesDoc - Notes XML document
+ * @param {string} type - 'footnote' or 'endnote'
+ * @returns {Object} - Notes keyed by note ID
+ */
+function extractNotesFromXml(notesDoc, type) {
+  const notes = {};
+
+  try {
+    const noteNodes = selectNodes(`//w:${type}`, notesDoc);
+    noteNodes.forEach(node => {
+      const noteType = node.getAttribute('w:type');
+      if (noteType === 'separator' || noteType === 'continuationSeparator' || noteType === 'continuationNotice') {
+        return;
+      }
+
+      const id = node.getAttribute('w:id');
+      const paragraphs = selectNodes('.//w:p', node).map(p =>
+        selectNodes('.//w:t', p).map(t => t.textContent || '').join('').trim()
+      ).filter(text => text.length > 0);
+
+      notes[id] = {
+        id,
+        type,
+        paragraphs,
+        text: paragraphs.join(' ')
+      };
+    });
+  } catch (error) {
+    console.error(`Error extracting ${type}s:`, error);
+  }
+
+  return notes;
+}
+
+/**
+ * Resolve note references in document order and assign their labels
+ * Section properties may override the settings and restart numbering
+ *
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} properties - Document-wide footnote and endnote properties
+ * @returns {Array} - References with type, note ID, number, label and section index
+ */
+function resolveNoteReferences(documentDoc, properties) {
+  const references = [];
+
+  try {
+    // Section properties appear in the last paragraph of each section and at the end of the body
+    const sectPrNodes = selectNodes('//w:body/w:p/w:pPr/w:sectPr | //w:body/w:sectPr', documentDoc);
+    const sectionProperties = sectPrNodes.map(sectPr => ({
+      footnote: { ...properties.footnote, ...parseNoteProperties(selectSingleNode('w:footnotePr', sectPr)) },
+      endnote: { ...properties.endnote, ...parseNoteProperties(selectSingleNode('w:endnotePr', sectPr)) }
+    }));
+
+    const counters = { footnote: null, endnote: null };
+    const lastSection = { footnote: null, endnote: null };
+    let sectionIndex = 0;
+
+    // Walk the body so that a paragraph carrying a section break still belongs to its section
+    selectNodes('//w:body/*', documentDoc).forEach(blockNode => {
+      selectNodes('.//w:footnoteReference | .//w:endnoteReference', blockNode).forEach(node => {
+        const type = node.localName === 'footnoteReference' ? 'footnote' : 'endnote';
+        const props = (sectionProperties[sectionIndex] || properties)[type];
+
+        // Pages do not exist in HTML, so per-page restarts are treated as per-section restarts
+        const restarts = props.numRestart === 'eachSect' || props.numRestart === 'eachPage';
+        if (counters[type] === null || (restarts && lastSection[type] !== sectionIndex)) {
+          counters[type] = props.numStart;
+        } else {
+          counters[type]++;
+        }
+        lastSection[type] = sectionIndex;
+
+        references.push({
+          type,
+          id: node.getAttribute('w:id'),
+          number: counters[type],
+          label: formatNoteNumber(counters[type], props.numFmt),
+          sectionIndex,
+          numFmt: props.numFmt,
+          pos: props.pos
+        });
+      });
+
+      if (selectSingleNode('w:pPr/w:sectPr', blockNode)) {
+        sectionIndex++;
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving note references:', error);
+  }
+
+  return references;
+}
+
+/**
+ * Format a note number according to a Word number format
+ *
+ * @param {number} number - Note number
+ * @param {string} format - Word number format (w:numFmt value)
+ * @returns {string} - Formatted label
+ */
+function formatNoteNumber(number, format) {
+  switch (format) {
+    case 'upperRoman':
+      return toRoman(number);
+    case 'lowerRoman':
+      return toRoman(number).toLowerCase();
+    case 'upperLetter':
+      return toLetter(number);
+    case 'lowerLetter':
+      return toLetter(number).toLowerCase();
+    case 'chicago': {
+      const symbol = CHICAGO_SYMBOLS[(number - 1) % CHICAGO_SYMBOLS.length];
+      return symbol.repeat(Math.floor((number - 1) / CHICAGO_SYMBOLS.length) + 1);
+    }
+    case 'decimalZero':
+      return number < 10 ? `0${number}` : String(number);
+    default:
+      return String(number);
+  }
+}
+
+/**
+ * Convert a number to upper-case Roman numerals
+ *
+ * @param {number} number - Number to convert
+ * @returns {string} - Roman numeral
+ */
+function toRoman(number) {
+  const numerals = [
+    [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+  ];
+  let remaining = number;
+  let result = '';
+  numerals.forEach(([value, numeral]) => {
+    while (remaining >= value) {
+      result += numeral;
+      remaining -= value;
+    }
+  });
+  return result || String(number);
+}
+
+/**
+ * Convert a number to upper-case letters the way Word does (A..Z, AA..ZZ, ...)
+ *
+ * @param {number} number - Number to convert
+ * @returns {string} - Letter label
+ */
+function toLetter(number) {
+  if (number < 1) return String(number);
+  const letter = String.fromCharCode(65 + ((number - 1) % 26));
+  return letter.repeat(Math.floor((number - 1) / 26) + 1);
+}
+
+/**
+ * Process notes for HTML output
+ * Restructures the note references and the note list produced by mammoth into
+ * labelled references and notes sections with bidirectional links
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} notesInfo - Notes information from parseNotes
+ * @param {Object} options - Processing options
+ * @param {string} options.notesPlacement - 'document' or 'section' (default: derived from w:pos)
+ */
+function processNotesForHtml(document, notesInfo, options = {}) {
+  if (!notesInfo || !notesInfo.hasNotes) return;
+
+  try {
+    const placedNotes = [];
+
+    // Remember the note list generated by mammoth before its items are moved
+    const mammothNotes = Array.from(document.querySelectorAll('li[id^="footnote-"], li[id^="endnote-"]'));
+
+    notesInfo.references.forEach(reference => {
+      const noteId = `${reference.type}-${reference.id}`;
+      const refLink = document.getElementById(`${reference.type}-ref-${reference.id}`);
+      if (!refLink) return;
+
+      // Reference: labelled superscript linking to the note
+      const sup = refLink.closest('sup') || refLink;
+      sup.classList.add('docx-note-ref', `docx-${reference.type}-ref`);
+      refLink.textContent = reference.label;
+      refLink.setAttribute('href', `#${noteId}`);
+      refLink.setAttribute('role', 'doc-noteref');
+      refLink.setAttribute('aria-label', `${capitalize(reference.type)} ${reference.label}`);
+      refLink.setAttribute('data-note-type', reference.type);
+      refLink.setAttribute('data-note-label', reference.label);
+
+      placedNotes.push({
+        reference,
+        noteElement: createNoteElement(document, reference, notesInfo),
+        refElement: sup
+      });
+    });
+
+    // Remove the emptied mammoth note list
+    mammothNotes.forEach(li => {
+      const list = li.parentElement;
+      li.remove();
+      if (list && list.tagName.toLowerCase() === 'ol' && list.children.length === 0) {
+        list.remove();
+      }
+    });
+
+    ['footnote', 'endnote'].forEach(type => {
+      const notes = placedNotes.filter(note => note.reference.type === type);
+      if (notes.length === 0) return;
+
+      const placement = getNotesPlacement(type, notesInfo, options);
+      if (placement === 'section') {
+        insertNotesBySection(document, notes, type);
+      } else {
+        document.body.appendChild(createNotesSection(document, notes, type));
+      }
+    });
+
+    console.log(`Processed ${placedNotes.length} note references`);
+  } catch (error) {
+    console.error('Error processing notes for HTML:', error);
+  }
+}
+
+/**
+ * Determine where the notes of a type are rendered
+ *
+ * @param {string} type - 'footnote' or 'endnote'
+ * @param {Object} notesInfo - Notes information
+ * @param {Object} options - Processing options
+ * @returns {string} - 'document' or 'section'
+ */
+function getNotesPlacement(type, notesInfo, options) {
+  if (options.notesPlacement === 'section' || options.notesPlacement === 'document') {
+    return options.notesPlacement;
+  }
+  return notesInfo.properties[type].pos === 'sectEnd' ? 'section' : 'document';
+}
+
+/**
+ * Create the list item for a single note
+ * Uses the formatted content rendered by mammoth when available, and the
+ * text extracted from the notes part otherwise
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} reference - Note reference
+ * @param {Object} notesInfo - Notes information
+ * @returns {Element} - Note list item
+ */
+function createNoteElement(document, reference, notesInfo) {
+  const noteId = `${reference.type}-${reference.id}`;
+  const li = document.createElement('li');
+  li.id = noteId;
+  li.className = `docx-note docx-${reference.type}`;
+  li.setAttribute('data-note-label', reference.label);
+
+  const label = document.createElement('span');
+  label.className = 'docx-note-label';
+  label.textContent = reference.label;
+  li.appendChild(label);
+
+  const content = document.createElement('div');
+  content.className = 'docx-note-content';
+
+  const mammothNote = document.getElementById(noteId);
+  if (mammothNote && mammothNote.tagName.toLowerCase() === 'li') {
+    // Drop mammoth's own back-link, it is replaced below
+    mammothNote.querySelectorAll(`a[href="#${reference.type}-ref-${reference.id}"]`).forEach(link => link.remove());
+    while (mammothNote.firstChild) {
+      content.appendChild(mammothNote.firstChild);
+    }
+    mammothNote.removeAttribute('id');
+  } else {
+    const note = (reference.type === 'footnote' ? notesInfo.footnotes : notesInfo.endnotes)[reference.id];
+    (note ? note.paragraphs : []).forEach(text => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      content.appendChild(p);
+    });
+  }
+  trimTrailingWhitespace(content);
+
+  const backLink = document.createElement('a');
+  backLink.className = 'docx-note-backlink';
+  backLink.setAttribute('href', `#${reference.type}-ref-${reference.id}`);
+  backLink.setAttribute('role', 'doc-backlink');
+  backLink.setAttribute('aria-label', `Return to reference ${reference.label}`);
+  backLink.textContent = '↩';
+
+  const lastParagraph = content.lastElementChild && content.lastElementChild.tagName.toLowerCase() === 'p'
+    ? content.lastElementChild
+    : content;
+  lastParagraph.appendChild(document.createTextNode(' '));
+  lastParagraph.appendChild(backLink);
+
+  li.appendChild(content);
+  return li;
+}
+
+/**
+ * Create a notes section containing the given notes
+ *
+ * @param {Document} document - HTML document
+ * @param {Array} notes - Notes to include
+ * @param {string} type - 'footnote' or 'endnote'
+ * @returns {Element} - Notes section element
+ */
+function createNotesSection(document, notes, type) {
+  const section = document.createElement('section');
+  section.className = `docx-notes docx-${type}s`;
+  section.setAttribute('role', 'doc-endnotes');
+  section.setAttribute('aria-label', `${capitalize(type)}s`);
+
+  const separator = document.createElement('hr');
+  separator.className = 'docx-notes-separator';
+  section.appendChild(separator);
+
+  const list = document.createElement('ol');
+  list.className = 'docx-notes-list';
+  notes.forEach(note => list.appendChild(note.noteElement));
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Insert notes at the end of the section that contains their reference
+ * Sections are delimited by the top-level headings of the document
+ *
+ * @param {Document} document - HTML document
+ * @param {Array} notes - Notes to place
+ * @param {string} type - 'footnote' or 'endnote'
+ */
+function insertNotesBySection(document, notes, type) {
+  const headings = Array.from(document.body.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(heading => !heading.closest('header, nav, table'));
+  const topLevel = Math.min(...headings.map(heading => parseInt(heading.tagName.substring(1), 10)));
+  const sectionHeadings = headings.filter(heading => heading.tagName.toLowerCase() === `h${topLevel}`);
+
+  // Group notes by the section heading that follows their reference
+  const groups = new Map();
+  notes.forEach(note => {
+    const nextHeading = sectionHeadings.find(heading =>
+      note.refElement.compareDocumentPosition(heading) & 4 // DOCUMENT_POSITION_FOLLOWING
+    ) || null;
+    if (!groups.has(nextHeading)) groups.set(nextHeading, []);
+    groups.get(nextHeading).push(note);
+  });
+
+  groups.forEach((groupNotes, nextHeading) => {
+    const section = createNotesSection(document, groupNotes, type);
+    section.classList.add('docx-section-notes');
+    if (nextHeading) {
+      nextHeading.parentNode.insertBefore(section, nextHeading);
+    } else {
+      document.body.appendChild(section);
+    }
+  });
+}
+
+/**
+ * Remove trailing whitespace text left behind after removing the mammoth back-link
+ *
+ * @param {Element} element - Element to trim
+ */
+function trimTrailingWhitespace(element) {
+  let node = element.lastChild;
+  while (node) {
+    if (node.nodeType === 3) {
+      node.nodeValue = node.nodeValue.replace(/\s+$/, '');
+      if (node.nodeValue) return;
+      const previous = node.previousSibling;
+      node.remove();
+      node = previous;
+    } else if (node.nodeType === 1) {
+      node = node.lastChild;
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Capitalize the first letter of a word
+ *
+ * @param {string} word - Word to capitalize
+ * @returns {string} - Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+module.exports = {
+  parseNotes,
+  parseNoteProperties,
+  extractNotesFromXml,
+  resolveNoteReferences,
+  formatNoteNumber,
+  processNotesForHtml
+};
@@ -0,0 +1,185 @@
+// lib/parsers/package-context.js - Shared parsed DOCX package
+//
+// A DOCX file is unzipped once per conversion. XML parts and relationships are
+// parsed on first use and cached, so every parser and generator working on the
+// same package shares the same DOMs instead of reading and parsing them again.
+
+const JSZip = require('jszip');
+const { DOMParser, XMLSerializer } = require('xmldom');
+
+/**
+ * Package contexts created for JSZip instances passed directly to parsers
+ */
+const zipContexts = new WeakMap();
+
+/**
+ * Load a DOCX package and create its context
+ *
+ * @param {Buffer} data - DOCX contents
+ * @returns {Promise<Object>} - Package context
+ */
+async function createPackageContext(data) {
+  const zip = await JSZip.loadAsync(data);
+  const pkg = createContextForZip(zip, data);
+  zipContexts.set(zip, pkg);
+  return pkg;
+}
+
+/**
+ * Create the context object for a loaded zip
+ *
+ * @param {Object} zip - JSZip instance
+ * @param {Buffer} data - Original DOCX contents (null if unknown)
+ * @returns {Object} - Package context
+ */
+function createContextForZip(zip, data = null) {
+  return {
+    isPackageContext: true,
+    zip,
+    data,
+    partText: new Map(),
+    partXml: new Map(),
+    relationships: new Map(),
+    modifiedParts: new Set(),
+    stats: {
+      partsRead: 0,
+      partsParsed: 0,
+      packagesGenerated: 0
+    }
+  };
+}
+
+/**
+ * Get the package context for a context or a JSZip instance
+ * Parsers accept either, so existing callers passing a zip keep working and
+ * share a cache for that zip
+ *
+ * @param {Object} source - Package context or JSZip instance
+ * @returns {Object|null} - Package context
+ */
+function getPackageContext(source) {
+  if (!source) return null;
+  if (source.isPackageContext) return source;
+
+  let pkg = zipContexts.get(source);
+  if (!pkg) {
+    pkg = createContextForZip(source);
+    zipContexts.set(source, pkg);
+  }
+  return pkg;
+}
+
+/**
+ * Get the text of a package part
+ *
+ * @param {Object} source - Package context or JSZip instance
+ * @param {string} partPath - Part path (e.g. word/styles.xml)
+ * @returns {Promise<string|null>} - Part text or null if the part does not exist
+ */
+async function getPartText(source, partPath) {
+  const pkg = getPackageContext(source);
+  if (pkg.partText.has(partPath)) return pkg.partText.get(partPath);
+
+  const file = pkg.zip.file(partPath);
+  const text = file ? await file.async('string') : null;
+  pkg.partText.set(partPath, text);
+  if (text !== null) pkg.stats.partsRead++;
+  return text;
+}
+
+/**
+ * Get the parsed XML of a package part
+ * The document is shared: changes made to it are seen by all later users and
+ * must be saved with markPartModified
+ *
+ * @param {Object} source - Package context or JSZip instance
+ * @param {string} partPath - Part path
+ * @returns {Promise<Document|null>} - Parsed part or null if the part does not exist
+ */
+async function getPartXml(source, partPath) {
+  const pkg = getPackageContext(source);
+  if (pkg.partXml.has(partPath)) return pkg.partXml.get(partPath);
+
+  const text = await getPartText(pkg, partPath);
+  const xmlDoc = text ? new DOMParser().parseFromString(text) : null;
+  pkg.partXml.set(partPath, xmlDoc);
+  if (xmlDoc) pkg.stats.partsParsed++;
+  return xmlDoc;
+}
+
+/**
+ * Parse a separate copy of a package part, e.g. to insert conversion markers
+ *
+ * @param {Object} source - Package context or JSZip instance
+ * @param {string} partPath - Part path
+ * @returns {Promise<Document|null>} - New parsed copy of the part
+ */
+async function parsePartCopy(source, partPath) {
+  const text = await getPartText(source, partPath);
+  return text ? new DOMParser().parseFromString(text) : null;
+}
+
+/**
+ * Save changes made to a shared part document back into the package
+ *
+ * @param {Object} source - Package context or JSZip instance
+ * @param {string} partPath - Part path
+ */
+function markPartModified(source, partPath) {
+  const pkg = getPackageContext(source);
+  const xmlDoc = pkg.partXml.get(partPath);
+  if (!xmlDoc) return;
+
+  const text = new XMLSerializer().serializeToString(xmlDoc);
+  pkg.zip.file(partPath, text);
+  pkg.partText.set(partPath, text);
+  pkg.modifiedParts.add(partPath);
+}
+
+/**
+ * Get the package contents for a converter that reads the whole DOCX (mammoth)
+ * The original data is returned when nothing changed; otherwise the package is
+ * generated once, with replacement parts applied only to that output
+ *
+ * @param {Object} source - Package context
+ * @param {Object} replacements - Part documents to use instead of the package parts, by path
+ * @returns {Promise<Buffer>} - DOCX contents
+ */
+async function getPackageBuffer(source, replacements = {}) {
+  const pkg = getPackageContext(source);
+  const replacedPaths = Object.keys(replacements);
+
+  if (replacedPaths.length === 0 && pkg.modifiedParts.size === 0 && pkg.data) {
+    return pkg.data;
+  }
+
+  const serializer = new XMLSerializer();
+  const originals = {};
+  for (const partPath of replacedPaths) {
+    originals[partPath] = await getPartText(pkg, partPath);
+    pkg.zip.file(partPath, serializer.serializeToString(replacements[partPath]));
+  }
+
+  try {
+    pkg.stats.packagesGenerated++;
+    return await pkg.zip.generateAsync({ type: 'nodebuffer' });
+  } finally {
+    replacedPaths.forEach(partPath => {
+      if (originals[partPath] !== null) {
+        pkg.zip.file(partPath, originals[partPath]);
+      } else {
+        pkg.zip.remove(partPath);
+      }
+    });
+  }
+}
+
+module.exports = {
+  createPackageContext,
+  getPackageContext,
+  getPartText,
+  getPartXml,
+  parsePartCopy,
+  markPartModified,
+  getPackageBuffer
+};
@@ -0,0 +1,174 @@
+// lib/parsers/relationships-parser.js - Package relationship resolution
+const path = require('path');
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { getPackageContext, getPartXml } = require('./package-context');
+
+/**
+ * Header and footer reference types defined by WordprocessingML
+ */
+const HEADER_FOOTER_TYPES = ['default', 'first', 'even'];
+
+/**
+ * Get the relationships part path for a package part
+ * e.g. word/header2.xml -> word/_rels/header2.xml.rels
+ *
+ * @param {string} partPath - Part path inside the package
+ * @returns {string} - Relationships part path
+ */
+function getRelationshipsPath(partPath) {
+  const directory = path.posix.dirname(partPath);
+  const fileName = path.posix.basename(partPath);
+  return directory === '.' ? `_rels/${fileName}.rels` : `${directory}/_rels/${fileName}.rels`;
+}
+
+/**
+ * Resolve a relationship target against the part that owns the relationship
+ * Targets are relative to the source part unless they start with "/"
+ *
+ * @param {string} sourcePartPath - Part that owns the relationship
+ * @param {string} target - Relationship target
+ * @returns {string} - Part path inside the package
+ */
+function resolveTargetPath(sourcePartPath, target) {
+  if (!target) return null;
+  if (target.startsWith('/')) {
+    return target.substring(1);
+  }
+  return path.posix.normalize(path.posix.join(path.posix.dirname(sourcePartPath), target));
+}
+
+/**
+ * Parse the relationships of a package part
+ *
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {string} partPath - Part path (e.g. word/document.xml)
+ * @returns {Promise<Object>} - Relationships keyed by ID with type, target and resolved part path
+ */
+async function parseRelationships(zip, partPath) {
+  const pkg = getPackageContext(zip);
+  if (pkg.relationships.has(partPath)) {
+    return pkg.relationships.get(partPath);
+  }
+
+  const relationships = {};
+  pkg.relationships.set(partPath, relationships);
+
+  try {
+    const relsDoc = await getPartXml(pkg, getRelationshipsPath(partPath));
+    if (!relsDoc) {
+      return relationships;
+    }
+
+    const relationshipNodes = Array.from(relsDoc.getElementsByTagName('Relationship'));
+
+    relationshipNodes.forEach(rel => {
+      const id = rel.getAttribute('Id');
+      const target = rel.getAttribute('Target');
+      const targetMode = rel.getAttribute('TargetMode') || 'Internal';
+
+      relationships[id] = {
+        id,
+        type: rel.getAttribute('Type') || '',
+        target,
+        targetMode,
+        partPath: targetMode === 'External' ? null : resolveTargetPath(partPath, target)
+      };
+    });
+  } catch (error) {
+    console.error(`Error parsing relationships for ${partPath}:`, error);
+  }
+
+  return relationships;
+}
+
+/**
+ * Resolve the header and footer parts used by each section of the document
+ * Follows each w:sectPr's w:headerReference / w:footerReference r:id through
+ * word/_rels/document.xml.rels. Sections without a reference of a given type
+ * inherit it from the previous section, as Word does.
+ *
+ * @param {Object} zip - Package context (see package-context.js) or JSZip instance with DOCX content
+ * @param {Document} documentDoc - Document XML
+ * @returns {Promise<Array>} - Sections with header/footer part paths by type
+ */
+async function resolveHeaderFooterParts(zip, documentDoc) {
+  const sections = [];
+
+  try {
+    const documentRels = await parseRelationships(zip, 'word/document.xml');
+    const sectPrNodes = selectNodes('//w:body/w:p/w:pPr/w:sectPr | //w:body/w:sectPr', documentDoc);
+
+    let previous = { headers: {}, footers: {} };
+
+    sectPrNodes.forEach((sectPr, index) => {
+      const section = {
+        index,
+        titlePg: isOnOff(selectSingleNode('w:titlePg', sectPr)),
+        headers: { ...previous.headers },
+        footers: { ...previous.footers }
+      };
+
+      ['header', 'footer'].forEach(kind => {
+        selectNodes(`w:${kind}Reference`, sectPr).forEach(reference => {
+          const type = reference.getAttribute('w:type') || 'default';
+          const relationship = documentRels[reference.getAttribute('r:id')];
+          if (relationship && relationship.partPath && HEADER_FOOTER_TYPES.includes(type)) {
+            section[`${kind}s`][type] = relationship.partPath;
+          }
+        });
+      });
+
+      sections.push(section);
+      previous = section;
+    });
+  } catch (error) {
+    console.error('Error resolving header and footer parts:', error);
+  }
+
+  return sections;
+}
+
+/**
+ * Get the candidate header or footer parts to render for a section, in order of preference
+ * The first-page part is only used when the section has a distinct title page
+ *
+ * @param {Object} section - Section from resolveHeaderFooterParts
+ * @param {string} kind - 'header' or 'footer'
+ * @param {Array} preferredTypes - Types in order of preference
+ * @returns {Array} - Unique candidates with part path and type
+ */
+function getHeaderFooterCandidates(section, kind, preferredTypes) {
+  const candidates = [];
+  if (!section) return candidates;
+
+  const parts = section[`${kind}s`] || {};
+  preferredTypes.forEach(type => {
+    if (type === 'first' && !section.titlePg) return;
+    const partPath = parts[type];
+    if (partPath && !candidates.some(candidate => candidate.partPath === partPath)) {
+      candidates.push({ partPath, type, sectionIndex: section.index });
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Check a WordprocessingML on/off property (absent val means on)
+ *
+ * @param {Element} node - Property element
+ * @returns {boolean} - True if the property is on
+ */
+function isOnOff(node) {
+  if (!node) return false;
+  const val = node.getAttribute('w:val');
+  return !val || val === '1' || val === 'true' || val === 'on';
+}
+
+module.exports = {
+  getRelationshipsPath,
+  resolveTargetPath,
+  parseRelationships,
+  resolveHeaderFooterParts,
+  getHeaderFooterCandidates
+};
@@ -0,0 +1,242 @@
+// lib/parsers/section-parser.js - Sections, columns and explicit breaks
+//
+// Mammoth converts the body to one flow of paragraphs and drops section
+// breaks and page breaks. The page setup of each section is read by
+// extractSections in document-parser.js. In the marked copy of document.xml a
+// 'section' marker paragraph starts each section and a 'section-end' marker
+// paragraph closes the last one, and explicit page and column breaks (w:br)
+// become 'page-break' and 'column-break' markers. processSectionsForHtml wraps
+// each section in a <section> element and processBreaksForHtml moves each
+// break onto the block that follows it.
+
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { createMarkerRun, findMarkers } = require('../utils/marker-utils');
+
+/**
+ * Explicit breaks outside text boxes, which get their content from mc:Choice
+ */
+const BREAK_XPATH = "//w:body//w:br[@w:type='page' or @w:type='column']" +
+  '[not(ancestor::w:txbxContent)][not(ancestor::mc:Fallback)]';
+
+/**
+ * Classes for the block that follows a break
+ */
+const BREAK_CLASSES = {
+  'page-break': 'docx-page-break-before',
+  'column-break': 'docx-column-break-before'
+};
+
+/**
+ * Content that counts as something on either side of a break besides text
+ */
+const CONTENT_SELECTOR = 'img, svg, math, input, select, textarea, object, iframe';
+
+/**
+ * Insert section and break markers into the marked copy of document.xml
+ * Sections are found the same way as extractSections: each paragraph holding
+ * a sectPr ends a section, and the sectPr of w:body describes the last one
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Array<Object>} sections - Sections from extractSections
+ * @returns {number} - Number of markers inserted
+ */
+function insertSectionMarkers(markedDocumentDoc, sections) {
+  let count = 0;
+
+  try {
+    selectNodes(BREAK_XPATH, markedDocumentDoc).forEach((br, index) => {
+      const kind = br.getAttribute('w:type') === 'page' ? 'page-break' : 'column-break';
+      const text = createMarkerRun(markedDocumentDoc, kind, index).firstChild;
+      br.parentNode.replaceChild(text, br);
+      count++;
+    });
+
+    const body = selectSingleNode('//w:body', markedDocumentDoc);
+    if (!body || !sections || sections.length === 0) return count;
+
+    const sectionEnds = selectNodes('//w:body/w:p[w:pPr/w:sectPr]', markedDocumentDoc);
+    body.insertBefore(createMarkerParagraph(markedDocumentDoc, 'section', 0), body.firstChild);
+    count++;
+
+    sectionEnds.forEach((paragraph, index) => {
+      if (index + 1 >= sections.length) return;
+      body.insertBefore(createMarkerParagraph(markedDocumentDoc, 'section', index + 1), paragraph.nextSibling);
+      count++;
+    });
+
+    body.insertBefore(createMarkerParagraph(markedDocumentDoc, 'section-end', 'end'),
+      selectSingleNode('w:sectPr', body) || null);
+    count++;
+  } catch (error) {
+    console.error('Error inserting section markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Create a paragraph holding only a marker
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @param {string} kind - Marker kind
+ * @param {string|number} id - Marker ID
+ * @returns {Element} - w:p element
+ */
+function createMarkerParagraph(xmlDoc, kind, id) {
+  const paragraph = xmlDoc.createElementNS(xmlDoc.documentElement.namespaceURI, 'w:p');
+  paragraph.appendChild(createMarkerRun(xmlDoc, kind, id));
+  return paragraph;
+}
+
+/**
+ * Wrap each section's content in a <section class="docx-section"> element
+ * A section runs from its marker paragraph to the next section's marker (or
+ * the end marker), so headers, notes and comments added around the body
+ * stay outside the sections
+ *
+ * @param {Document} document - HTML document
+ * @param {Array<Object>} sections - Sections from extractSections
+ */
+function processSectionsForHtml(document, sections) {
+  if (!sections || sections.length === 0) return;
+
+  try {
+    const endMarker = findMarkers(document, 'section-end').get('end') || null;
+    const starts = Array.from(findMarkers(document, 'section').entries());
+
+    starts.forEach(([id, marker], position) => {
+      const section = sections[parseInt(id, 10)];
+      const startParagraph = marker.closest('p');
+      if (!section || !startParagraph) return;
+
+      const stop = position + 1 < starts.length ? starts[position + 1][1] : endMarker;
+      // Other markers (e.g. a comment starting at the section) stay in place
+      const wrapper = createSectionElement(document, section);
+      startParagraph.parentNode.insertBefore(wrapper, startParagraph);
+      marker.remove();
+      if (!startParagraph.hasChildNodes()) startParagraph.remove();
+
+      while (wrapper.nextSibling && !(stop && wrapper.nextSibling.contains(stop))) {
+        wrapper.appendChild(wrapper.nextSibling);
+      }
+    });
+
+    const endParagraph = endMarker ? endMarker.closest('p') : null;
+    if (endParagraph) {
+      endMarker.remove();
+      if (!endParagraph.hasChildNodes()) endParagraph.remove();
+    }
+  } catch (error) {
+    console.error('Error processing sections for HTML:', error);
+  }
+}
+
+/**
+ * Create the element for a section
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} section - Section from extractSections
+ * @returns {Element} - section element
+ */
+function createSectionElement(document, section) {
+  const element = document.createElement('section');
+  element.className = `docx-section docx-section-${section.index + 1}`;
+  element.setAttribute('data-section-type', section.type);
+  if (section.columns.count > 1) element.setAttribute('data-columns', String(section.columns.count));
+  if (section.pageSize) element.setAttribute('data-orientation', section.pageSize.orientation);
+  return element;
+}
+
+/**
+ * Turn page and column break markers into break classes
+ * A break inside a paragraph splits it, and the part after the break starts
+ * the new page or column; a break at the end of a paragraph moves to the next
+ * block, and a paragraph that held nothing but the break is removed
+ *
+ * @param {Document} document - HTML document
+ */
+function processBreaksForHtml(document) {
+  try {
+    Object.entries(BREAK_CLASSES).forEach(([kind, className]) => {
+      document.querySelectorAll(`span.docx-marker[data-marker-kind="${kind}"]`).forEach(marker => {
+        applyBreak(document, marker, className);
+      });
+    });
+  } catch (error) {
+    console.error('Error processing page breaks for HTML:', error);
+  }
+}
+
+/**
+ * Apply one break marker
+ *
+ * @param {Document} document - HTML document
+ * @param {Element} marker - Break marker element
+ * @param {string} className - Class for the block after the break
+ */
+function applyBreak(document, marker, className) {
+  const block = marker.closest('p, h1, h2, h3, h4, h5, h6, li');
+  if (!block || block.closest('td, th')) {
+    marker.remove();
+    return;
+  }
+
+  const before = document.createRange();
+  before.setStart(block, 0);
+  before.setEndBefore(marker);
+  const after = document.createRange();
+  after.setStartAfter(marker);
+  after.setEnd(block, block.childNodes.length);
+
+  const hasBefore = hasContent(before.cloneContents());
+  const hasAfter = hasContent(after.cloneContents());
+
+  if (hasBefore && hasAfter) {
+    const rest = block.cloneNode(false);
+    rest.removeAttribute('id');
+    rest.appendChild(after.extractContents());
+    rest.classList.add(className);
+    block.after(rest);
+    marker.remove();
+  } else if (hasAfter) {
+    block.classList.add(className);
+    marker.remove();
+  } else {
+    const next = findNextBlock(block);
+    if (next) next.classList.add(className);
+    marker.remove();
+    if (!hasBefore) block.remove();
+  }
+}
+
+/**
+ * Check whether part of a block has visible content
+ *
+ * @param {DocumentFragment} fragment - Copied content
+ * @returns {boolean} - True if there is text or an embedded element
+ */
+function hasContent(fragment) {
+  return fragment.textContent.trim() !== '' || fragment.querySelector(CONTENT_SELECTOR) !== null;
+}
+
+/**
+ * Find the block after an element, leaving its containers (e.g. a section) if
+ * it is their last child
+ *
+ * @param {Element} element - Element
+ * @returns {Element|null} - Next element
+ */
+function findNextBlock(element) {
+  let node = element;
+  while (node && node.nodeName !== 'BODY') {
+    if (node.nextElementSibling) return node.nextElementSibling;
+    node = node.parentElement;
+  }
+  return null;
+}
+
+module.exports = {
+  insertSectionMarkers,
+  processSectionsForHtml,
+  processBreaksForHtml
+};
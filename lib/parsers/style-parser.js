@@ -1,8 +1,7 @@
 // lib/parsers/style-parser.js - Enhanced style parsing with numbering context integration
-const JSZip = require('jszip');
 const fs = require('fs');
 const { JSDOM } = require('jsdom');
-const { DOMParser } = require('xmldom');
+const { createPackageContext, getPartXml } = require('./package-context');
 const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
 const { convertTwipToPt } = require('../utils/unit-converter');
 const { getLeaderChar } = require('../utils/common-utils');
@@ -12,32 +11,16 @@ const { extractParagraphNumberingContext, resolveNumberingForParagraphs } = requ
  * Parse a DOCX file to extract detailed style information with numbering context
  * Enhanced to include paragraph numbering context from DOCX introspection
  * 
- * @param {string} docxPath - Path to the DOCX file
+ * @param {string|Buffer|Object} docxSource - Path to the DOCX file, its contents, a package
+ *   context, or already parsed parts ({ styleDoc, documentDoc, themeDoc, settingsDoc, numberingDoc })
  * @returns {Promise<Object>} - Detailed style information with numbering context
  */
-async function parseDocxStyles(docxPath) {
+async function parseDocxStyles(docxSource) {
   try {
-    // Read the DOCX file (which is a ZIP archive)
-    const data = fs.readFileSync(docxPath);
-    const zip = await JSZip.loadAsync(data);
-    
-    // Extract key files
-    const styleXml = await zip.file('word/styles.xml')?.async('string');
-    const documentXml = await zip.file('word/document.xml')?.async('string');
-    const themeXml = await zip.file('word/theme/theme1.xml')?.async('string');
-    const settingsXml = await zip.file('word/settings.xml')?.async('string');
-    const numberingXml = await zip.file('word/numbering.xml')?.async('string');
-    
-    if (!styleXml || !documentXml) {
-      throw new Error('Invalid DOCX file: missing core XML files');
-    }
-    
-    // Parse XML content using xmldom's DOMParser
-    const styleDoc = new DOMParser().parseFromString(styleXml);
-    const documentDoc = new DOMParser().parseFromString(documentXml);
-    const themeDoc = themeXml ? new DOMParser().parseFromString(themeXml) : null;
-    const settingsDoc = settingsXml ? new DOMParser().parseFromString(settingsXml) : null;
-    const numberingDoc = numberingXml ? new DOMParser().parseFromString(numberingXml) : null;
+    const { styleDoc, documentDoc, themeDoc, settingsDoc, numberingDoc } =
+      docxSource && docxSource.styleDoc && docxSource.documentDoc
+        ? docxSource
+        : await loadStyleParts(docxSource);
     
     // Import these modules here to avoid circular dependencies
     const { parseTheme } = require('./theme-parser');
@@ -103,6 +86,35 @@ async function parseDocxStyles(docxPath) {
   }
 }
 
+/**
+ * Get the parsed parts of a DOCX file that style parsing needs
+ * 
+ * @param {string|Buffer|Object} docxSource - Path to the DOCX file, its contents or a package context
+ * @returns {Promise<Object>} - Parsed style, document, theme, settings and numbering XML
+ */
+async function loadStyleParts(docxSource) {
+  let pkg = docxSource;
+  if (!docxSource || !docxSource.isPackageContext) {
+    // Read the DOCX file (which is a ZIP archive)
+    const data = Buffer.isBuffer(docxSource) ? docxSource : fs.readFileSync(docxSource);
+    pkg = await createPackageContext(data);
+  }
+  
+  const parts = {
+    styleDoc: await getPartXml(pkg, 'word/styles.xml'),
+    documentDoc: await getPartXml(pkg, 'word/document.xml'),
+    themeDoc: await getPartXml(pkg, 'word/theme/theme1.xml'),
+    settingsDoc: await getPartXml(pkg, 'word/settings.xml'),
+    numberingDoc: await getPartXml(pkg, 'word/numbering.xml')
+  };
+  
+  if (!parts.styleDoc || !parts.documentDoc) {
+    throw new Error('Invalid DOCX file: missing core XML files');
+  }
+  
+  return parts;
+}
+
 /**
  * Parse styles.xml to extract style definitions
  * Extracts paragraph, character, table, and numbering styles
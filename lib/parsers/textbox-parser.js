@@ -0,0 +1,607 @@
+// lib/parsers/textbox-parser.js - Text boxes, shapes with text and WordArt
+//
+// Mammoth reads text box content only from VML fallbacks, and then spills it
+// after the paragraph that anchors the shape; DrawingML text boxes without a
+// fallback are dropped. The layout of each text box (wps:wsp or VML) is read
+// from document.xml here. In the marked copy of document.xml its content is
+// moved next to the anchoring paragraph between two marker paragraphs, so
+// mammoth converts it with the normal style mapping, and
+// processTextBoxesForHtml wraps it in a positioned block.
+
+const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { createMarkerRun, findMarkers } = require('../utils/marker-utils');
+const { convertEmuToPx } = require('../utils/unit-converter');
+const { parseAnchor, getTextWidth } = require('./drawing-parser');
+const { resolveDrawingColor } = require('./theme-parser');
+
+/**
+ * Top-level text boxes, in document order
+ * A DrawingML text box in mc:AlternateContent has a VML copy in mc:Fallback;
+ * only the DrawingML one is used
+ */
+const TEXTBOX_XPATH = '//wps:wsp[wps:txbx/w:txbxContent][not(ancestor::w:txbxContent)]' +
+  ' | //v:*[v:textbox/w:txbxContent or v:textpath][not(ancestor::mc:Fallback)][not(ancestor::w:txbxContent)]';
+
+/**
+ * Default text box insets in EMUs (0.1" left and right, 0.05" top and bottom)
+ */
+const DEFAULT_INSETS = { left: 91440, top: 45720, right: 91440, bottom: 45720 };
+
+/**
+ * Line widths in EMUs of the theme line styles referenced by a:lnRef
+ */
+const THEME_LINE_WIDTHS = [6350, 12700, 19050];
+
+/**
+ * CSS border styles for DrawingML and VML dash styles
+ */
+const DASH_STYLES = {
+  dash: 'dashed',
+  sysDash: 'dashed',
+  lgDash: 'dashed',
+  dashDot: 'dashed',
+  lgDashDot: 'dashed',
+  lgDashDotDot: 'dashed',
+  sysDashDot: 'dashed',
+  sysDashDotDot: 'dashed',
+  longDash: 'dashed',
+  dot: 'dotted',
+  sysDot: 'dotted',
+  shortDot: 'dotted',
+  roundDot: 'dotted',
+  squareDot: 'dotted'
+};
+
+/**
+ * Pixels per unit of VML lengths
+ */
+const VML_UNITS = {
+  pt: 96 / 72,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  pc: 16,
+  px: 1,
+  emu: 1 / 9525
+};
+
+/**
+ * Parse every text box in document.xml
+ *
+ * @param {Document} documentDoc - Document XML
+ * @param {Object} theme - Theme from parseTheme, used for scheme colors (optional)
+ * @returns {Object} - Text box information with text boxes (by ID) holding their layout
+ */
+function parseTextBoxes(documentDoc, theme = null) {
+  const textBoxInfo = {
+    hasTextBoxes: false,
+    textBoxes: {}
+  };
+
+  try {
+    const textWidth = getTextWidth(documentDoc);
+
+    selectNodes(TEXTBOX_XPATH, documentDoc).forEach((node, index) => {
+      const id = String(index);
+      try {
+        const textBox = node.localName === 'wsp'
+          ? parseShape(node, theme, textWidth)
+          : parseVmlShape(node);
+        textBoxInfo.textBoxes[id] = { id, ...textBox };
+      } catch (error) {
+        console.error(`Error parsing text box ${id}:`, error);
+      }
+    });
+
+    textBoxInfo.hasTextBoxes = Object.keys(textBoxInfo.textBoxes).length > 0;
+  } catch (error) {
+    console.error('Error parsing text boxes:', error);
+  }
+
+  return textBoxInfo;
+}
+
+/**
+ * Read the layout of a DrawingML shape with text
+ * A shape in a group is placed by the group's wp:inline or wp:anchor
+ *
+ * @param {Element} shape - wps:wsp element
+ * @param {Object} theme - Theme from parseTheme
+ * @param {number} textWidth - Width between the page margins in EMUs (optional)
+ * @returns {Object} - Text box layout
+ */
+function parseShape(shape, theme, textWidth) {
+  const container = findAncestor(shape, ['inline', 'anchor']);
+  const extent = container ? selectSingleNode('wp:extent', container) : null;
+  const xfrmExtent = selectSingleNode('wps:spPr/a:xfrm/a:ext', shape);
+  const sizeNode = extent || xfrmExtent;
+  const bodyPr = selectSingleNode('wps:bodyPr', shape);
+
+  const textBox = {
+    kind: selectSingleNode('wps:bodyPr/a:prstTxWarp', shape) ? 'wordart' : 'textbox',
+    placement: container && container.localName === 'anchor' ? 'anchor' : 'inline',
+    width: sizeNode ? convertEmuToPx(sizeNode.getAttribute('cx')) : null,
+    height: sizeNode ? convertEmuToPx(sizeNode.getAttribute('cy')) : null,
+    autoFit: !!bodyPr && !!selectSingleNode('a:spAutoFit', bodyPr),
+    vertical: !!bodyPr && /^(vert|vert270|eaVert|wordArtVert)/.test(bodyPr.getAttribute('vert') || ''),
+    wrap: null,
+    float: null,
+    align: null,
+    margins: null,
+    behindDoc: false,
+    border: parseLine(shape, theme),
+    fill: parseFill(shape, theme),
+    padding: {},
+    text: null,
+    font: null,
+    color: null
+  };
+
+  Object.keys(DEFAULT_INSETS).forEach(side => {
+    const attribute = bodyPr ? bodyPr.getAttribute(`${side.charAt(0)}Ins`) : null;
+    textBox.padding[side] = convertEmuToPx(attribute !== null && attribute !== '' ? attribute : DEFAULT_INSETS[side]);
+  });
+
+  if (textBox.placement === 'anchor') {
+    Object.assign(textBox, parseAnchor(container, textWidth));
+  }
+
+  return textBox;
+}
+
+/**
+ * Read the outline of a DrawingML shape
+ * An a:ln without a fill of its own takes its color from the shape style
+ *
+ * @param {Element} shape - wps:wsp element
+ * @param {Object} theme - Theme from parseTheme
+ * @returns {Object|null} - { width, style, color } in pixels and CSS values, or null for no border
+ */
+function parseLine(shape, theme) {
+  const line = selectSingleNode('wps:spPr/a:ln', shape);
+  const lineRef = selectSingleNode('wps:style/a:lnRef', shape);
+  const styleIndex = lineRef ? parseInt(lineRef.getAttribute('idx'), 10) || 0 : 0;
+
+  if (line && selectSingleNode('a:noFill', line)) return null;
+
+  let color = null;
+  const solidFill = line ? selectSingleNode('a:solidFill', line) : null;
+  if (solidFill) {
+    color = resolveDrawingColor(solidFill, theme);
+  } else if (styleIndex > 0) {
+    color = resolveDrawingColor(lineRef, theme);
+  }
+  if (!color) return null;
+
+  let width = line ? line.getAttribute('w') : null;
+  if (!width) width = THEME_LINE_WIDTHS[Math.min(styleIndex, THEME_LINE_WIDTHS.length) - 1] || 9525;
+
+  const dash = line ? selectSingleNode('a:prstDash', line) : null;
+  const compound = line ? line.getAttribute('cmpd') : null;
+
+  return {
+    width: Math.max(1, convertEmuToPx(width)),
+    style: compound && compound !== 'sng' ? 'double' : DASH_STYLES[dash ? dash.getAttribute('val') : ''] || 'solid',
+    color
+  };
+}
+
+/**
+ * Read the fill of a DrawingML shape
+ * Gradients are approximated by their first stop; a shape without a fill of
+ * its own takes it from the shape style
+ *
+ * @param {Element} shape - wps:wsp element
+ * @param {Object} theme - Theme from parseTheme
+ * @returns {string|null} - CSS color, or null for no fill
+ */
+function parseFill(shape, theme) {
+  const spPr = selectSingleNode('wps:spPr', shape);
+  const fill = spPr ? selectSingleNode('a:noFill | a:solidFill | a:gradFill', spPr) : null;
+
+  if (fill) {
+    if (fill.localName === 'solidFill') return resolveDrawingColor(fill, theme);
+    if (fill.localName === 'gradFill') {
+      const stop = selectSingleNode('a:gsLst/a:gs', fill);
+      return stop ? resolveDrawingColor(stop, theme) : null;
+    }
+    return null;
+  }
+
+  const fillRef = selectSingleNode('wps:style/a:fillRef', shape);
+  if (fillRef && (parseInt(fillRef.getAttribute('idx'), 10) || 0) > 0) {
+    return resolveDrawingColor(fillRef, theme);
+  }
+  return null;
+}
+
+/**
+ * Read the layout of a VML shape with a text box or WordArt text path
+ *
+ * @param {Element} shape - VML shape element (v:shape, v:rect, v:roundrect...)
+ * @returns {Object} - Text box layout
+ */
+function parseVmlShape(shape) {
+  const style = parseVmlStyle(shape.getAttribute('style'));
+  const textbox = selectSingleNode('v:textbox', shape);
+  const textpath = selectSingleNode('v:textpath', shape);
+  const stroke = selectSingleNode('v:stroke', shape);
+  const anchored = style.position === 'absolute';
+
+  const textBox = {
+    kind: textpath ? 'wordart' : 'textbox',
+    placement: anchored ? 'anchor' : 'inline',
+    width: convertVmlLength(style.width),
+    height: convertVmlLength(style.height),
+    autoFit: !!textbox && parseVmlStyle(textbox.getAttribute('style'))['mso-fit-shape-to-text'] === 't',
+    vertical: !!textbox && /^(top-to-bottom|vertical)/.test(parseVmlStyle(textbox.getAttribute('style'))['layout-flow'] || ''),
+    wrap: null,
+    float: null,
+    align: null,
+    margins: null,
+    behindDoc: false,
+    border: null,
+    fill: null,
+    padding: {},
+    text: null,
+    font: null,
+    color: null
+  };
+
+  const fillColor = parseVmlColor(shape.getAttribute('fillcolor'));
+  const filled = !isVmlFalse(shape.getAttribute('filled'));
+
+  if (textpath) {
+    // WordArt letters are filled with the shape fill, so that is the text color
+    const textStyle = parseVmlStyle(textpath.getAttribute('style'));
+    textBox.text = textpath.getAttribute('string') || '';
+    textBox.font = {
+      family: (textStyle['font-family'] || '').replace(/^["']|["']$/g, '') || null,
+      size: convertVmlLength(textStyle['font-size'])
+    };
+    textBox.color = filled ? fillColor : null;
+  } else {
+    if (filled) textBox.fill = fillColor;
+    if (!isVmlFalse(shape.getAttribute('stroked'))) {
+      const dash = stroke ? stroke.getAttribute('dashstyle') : null;
+      textBox.border = {
+        width: Math.max(1, convertVmlLength(shape.getAttribute('strokeweight') || '0.75pt')),
+        style: DASH_STYLES[dash] || 'solid',
+        color: parseVmlColor(shape.getAttribute('strokecolor')) || '#000000'
+      };
+    }
+  }
+
+  // v:textbox insets are "left,top,right,bottom"
+  const insets = textbox ? (textbox.getAttribute('inset') || '').split(',') : [];
+  Object.keys(DEFAULT_INSETS).forEach((side, i) => {
+    textBox.padding[side] = insets[i] && insets[i].trim()
+      ? convertVmlLength(insets[i].trim())
+      : convertEmuToPx(DEFAULT_INSETS[side]);
+  });
+
+  if (anchored) {
+    const wrapNode = selectSingleNode('w10:wrap', shape);
+    const wrapType = wrapNode ? wrapNode.getAttribute('type') : null;
+    const horizontal = style['mso-position-horizontal'];
+
+    textBox.wrap = wrapType || 'none';
+    textBox.align = horizontal === 'center' || horizontal === 'right' ? horizontal : 'left';
+    if (['square', 'tight', 'through'].includes(textBox.wrap) && textBox.align !== 'center') {
+      textBox.float = textBox.align;
+    }
+    textBox.margins = {
+      top: convertVmlLength(style['mso-wrap-distance-top']) || 0,
+      right: convertVmlLength(style['mso-wrap-distance-right'] || '9pt'),
+      bottom: convertVmlLength(style['mso-wrap-distance-bottom']) || 0,
+      left: convertVmlLength(style['mso-wrap-distance-left'] || '9pt')
+    };
+    textBox.behindDoc = parseInt(style['z-index'], 10) < 0;
+  }
+
+  return textBox;
+}
+
+/**
+ * Split a VML style attribute into its properties
+ *
+ * @param {string} style - Style attribute value
+ * @returns {Object} - Property values by name
+ */
+function parseVmlStyle(style) {
+  const properties = {};
+  (style || '').split(';').forEach(declaration => {
+    const colon = declaration.indexOf(':');
+    if (colon > 0) {
+      properties[declaration.slice(0, colon).trim().toLowerCase()] = declaration.slice(colon + 1).trim();
+    }
+  });
+  return properties;
+}
+
+/**
+ * Convert a VML length (e.g. "144pt" or "1.5in") to pixels
+ * Unitless lengths are EMUs
+ *
+ * @param {string} value - Length
+ * @returns {number|null} - Length in pixels, or null if it cannot be read
+ */
+function convertVmlLength(value) {
+  const match = /^(-?[\d.]+)\s*([a-z]*)$/i.exec((value || '').trim());
+  if (!match) return null;
+  const factor = VML_UNITS[(match[2] || 'emu').toLowerCase()];
+  if (!factor) return null;
+  return Math.round(parseFloat(match[1]) * factor * 100) / 100;
+}
+
+/**
+ * Read a VML color (e.g. "#4f81bd [3204]", "#ffc" or "yellow")
+ *
+ * @param {string} value - Color attribute value
+ * @returns {string|null} - CSS color
+ */
+function parseVmlColor(value) {
+  const color = (value || '').trim().split(/\s+/)[0];
+  if (!color) return null;
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return '#' + color.slice(1).split('').map(c => c + c).join('').toUpperCase();
+  }
+  return /^(#[0-9a-f]{6}|[a-z]+)$/i.test(color) ? color : null;
+}
+
+/**
+ * Check a VML boolean attribute for false ("f", "false" or "0")
+ *
+ * @param {string} value - Attribute value
+ * @returns {boolean} - True if the value is false
+ */
+function isVmlFalse(value) {
+  return ['f', 'false', '0'].includes((value || '').trim().toLowerCase());
+}
+
+/**
+ * Move the content of each text box next to its anchoring paragraph
+ * The content goes between a start and an end marker paragraph: before the
+ * paragraph for anchored text boxes, which sit beside the text that follows,
+ * and after it for inline ones. Text box content left in the shapes is
+ * removed so mammoth does not convert it a second time.
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} textBoxInfo - Text box information
+ * @returns {number} - Number of text boxes moved
+ */
+function insertTextBoxMarkers(markedDocumentDoc, textBoxInfo) {
+  let count = 0;
+  if (!textBoxInfo || !textBoxInfo.hasTextBoxes) return count;
+
+  try {
+    // Content is copied out of every shape before any is removed, as shapes in
+    // one group share their graphic
+    const moves = selectNodes(TEXTBOX_XPATH, markedDocumentDoc).map((shape, index) => {
+      const textBox = textBoxInfo.textBoxes[String(index)];
+      const paragraph = findAncestor(shape, ['p']);
+      if (!textBox || !paragraph || isDeleted(paragraph)) return null;
+      return { shape, index, textBox, paragraph, blocks: getContentBlocks(shape, textBox) };
+    }).filter(move => move && move.blocks.length > 0);
+
+    moves.forEach(({ index, textBox, paragraph, blocks }) => {
+      const reference = textBox.placement === 'anchor' ? paragraph : paragraph.nextSibling;
+      [createMarkerParagraph(markedDocumentDoc, 'textbox-start', index), ...blocks,
+        createMarkerParagraph(markedDocumentDoc, 'textbox-end', index)].forEach(block => {
+        paragraph.parentNode.insertBefore(block, reference);
+      });
+      count++;
+    });
+
+    moves.forEach(({ shape }) => removeShape(shape));
+    moves.forEach(({ paragraph }) => {
+      if (paragraph.parentNode && isEmptyParagraph(paragraph)) {
+        paragraph.parentNode.removeChild(paragraph);
+      }
+    });
+  } catch (error) {
+    console.error('Error inserting text box markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Get copies of the block content of a text box
+ * A VML text path has no paragraphs, so one is made for its text
+ *
+ * @param {Element} shape - wps:wsp or VML shape element
+ * @param {Object} textBox - Text box layout
+ * @returns {Array<Element>} - Paragraphs, tables and other block elements
+ */
+function getContentBlocks(shape, textBox) {
+  const xmlDoc = shape.ownerDocument;
+  const content = selectSingleNode('wps:txbx/w:txbxContent | v:textbox/w:txbxContent', shape);
+
+  if (content) {
+    return selectNodes('./*', content)
+      .filter(node => node.localName !== 'sectPr')
+      .map(node => node.cloneNode(true));
+  }
+
+  if (!textBox.text) return [];
+  const paragraph = createParagraph(xmlDoc);
+  const run = xmlDoc.createElementNS(paragraph.namespaceURI, 'w:r');
+  const text = xmlDoc.createElementNS(paragraph.namespaceURI, 'w:t');
+  text.setAttribute('xml:space', 'preserve');
+  text.appendChild(xmlDoc.createTextNode(textBox.text));
+  run.appendChild(text);
+  paragraph.appendChild(run);
+  return [paragraph];
+}
+
+/**
+ * Remove the text of a shape from its graphic
+ * Every text box copy (mc:Choice and mc:Fallback) is removed; graphics with no
+ * picture left are removed completely
+ *
+ * @param {Element} shape - wps:wsp or VML shape element
+ */
+function removeShape(shape) {
+  if (!shape.parentNode) return;
+  const graphic = findAncestor(shape, ['AlternateContent']) || findAncestor(shape, ['drawing', 'pict']) || shape;
+
+  selectNodes('.//w:txbxContent | .//v:textpath', graphic).forEach(node => {
+    if (node.parentNode) node.parentNode.removeChild(node);
+  });
+
+  if (!selectSingleNode('.//a:blip | .//v:imagedata', graphic) && graphic.parentNode) {
+    graphic.parentNode.removeChild(graphic);
+  }
+}
+
+/**
+ * Create a paragraph holding only a marker
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @param {string} kind - Marker kind
+ * @param {string|number} id - Marker ID
+ * @returns {Element} - w:p element
+ */
+function createMarkerParagraph(xmlDoc, kind, id) {
+  const paragraph = createParagraph(xmlDoc);
+  paragraph.appendChild(createMarkerRun(xmlDoc, kind, id));
+  return paragraph;
+}
+
+/**
+ * Create an empty paragraph
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @returns {Element} - w:p element
+ */
+function createParagraph(xmlDoc) {
+  return xmlDoc.createElementNS(xmlDoc.documentElement.namespaceURI, 'w:p');
+}
+
+/**
+ * Check whether a paragraph was left with nothing to show
+ * Paragraphs holding a section break or a bookmark are kept
+ *
+ * @param {Element} paragraph - w:p element
+ * @returns {boolean} - True if the paragraph can be removed
+ */
+function isEmptyParagraph(paragraph) {
+  return !selectSingleNode(
+    './/w:t | .//w:tab | .//w:br | .//w:drawing | .//w:pict | .//w:object | .//w:sym | .//m:oMath | ' +
+    './/w:bookmarkStart | ./w:pPr/w:sectPr',
+    paragraph
+  );
+}
+
+/**
+ * Find the closest ancestor with one of the given local names
+ *
+ * @param {Node} node - XML node
+ * @param {Array<string>} localNames - Local names to look for
+ * @returns {Element|null} - Ancestor element
+ */
+function findAncestor(node, localNames) {
+  for (let ancestor = node.parentNode; ancestor && ancestor.nodeType === 1; ancestor = ancestor.parentNode) {
+    if (localNames.includes(ancestor.localName)) return ancestor;
+  }
+  return null;
+}
+
+/**
+ * Check whether a node is inside deleted or moved-away content
+ *
+ * @param {Node} node - XML node
+ * @returns {boolean} - True inside w:del or w:moveFrom
+ */
+function isDeleted(node) {
+  return !!findAncestor(node, ['del', 'moveFrom']);
+}
+
+/**
+ * Wrap the content of each text box in the HTML in a block
+ * Anchored text boxes become asides beside the text, floated to the side they
+ * sit on when text wraps around them; inline ones become divs
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} textBoxInfo - Text box information
+ */
+function processTextBoxesForHtml(document, textBoxInfo) {
+  if (!textBoxInfo || !textBoxInfo.hasTextBoxes) return;
+
+  try {
+    const starts = findMarkers(document, 'textbox-start');
+    const ends = findMarkers(document, 'textbox-end');
+
+    starts.forEach((startMarker, id) => {
+      const endMarker = ends.get(id);
+      const textBox = textBoxInfo.textBoxes[id];
+      const startParagraph = startMarker.closest('p');
+      const endParagraph = endMarker ? endMarker.closest('p') : null;
+      if (!textBox || !startParagraph || !endParagraph ||
+          startParagraph.parentNode !== endParagraph.parentNode) return;
+
+      const box = createTextBoxElement(document, textBox);
+      startParagraph.parentNode.insertBefore(box, startParagraph);
+      while (box.nextSibling && box.nextSibling !== endParagraph) {
+        const node = box.nextSibling;
+        if (node === startParagraph) node.parentNode.removeChild(node);
+        else box.appendChild(node);
+      }
+      endParagraph.parentNode.removeChild(endParagraph);
+    });
+  } catch (error) {
+    console.error('Error processing text boxes for HTML:', error);
+  }
+}
+
+/**
+ * Create the block for one text box, with its size, border, fill and placement
+ *
+ * @param {Document} document - HTML document
+ * @param {Object} textBox - Text box layout
+ * @returns {Element} - aside or div element
+ */
+function createTextBoxElement(document, textBox) {
+  const box = document.createElement(textBox.placement === 'anchor' ? 'aside' : 'div');
+  box.classList.add('docx-textbox');
+  if (textBox.kind === 'wordart') box.classList.add('docx-wordart');
+
+  if (textBox.width) box.style.width = `${textBox.width}px`;
+  if (textBox.height && !textBox.autoFit) box.style.minHeight = `${textBox.height}px`;
+  if (textBox.border) {
+    const { width, style, color } = textBox.border;
+    box.style.border = `${width}px ${style} ${color}`;
+  }
+  if (textBox.fill) box.style.backgroundColor = textBox.fill;
+  if (textBox.kind !== 'wordart' || textBox.border || textBox.fill) {
+    const { top, right, bottom, left } = textBox.padding;
+    box.style.padding = `${top}px ${right}px ${bottom}px ${left}px`;
+  }
+  if (textBox.vertical) box.style.writingMode = 'vertical-rl';
+  if (textBox.font) {
+    if (textBox.font.family) box.style.fontFamily = textBox.font.family;
+    if (textBox.font.size) box.style.fontSize = `${textBox.font.size}px`;
+  }
+  if (textBox.color) box.style.color = textBox.color;
+
+  if (textBox.placement === 'inline') {
+    box.classList.add('docx-textbox-inline');
+  } else if (textBox.float) {
+    const { top, right, bottom, left } = textBox.margins;
+    box.classList.add(`docx-textbox-float-${textBox.float}`);
+    box.style.margin = textBox.float === 'left'
+      ? `${top}px ${right}px ${bottom}px 0`
+      : `${top}px 0 ${bottom}px ${left}px`;
+  } else if (textBox.align && textBox.align !== 'left') {
+    box.classList.add(`docx-textbox-align-${textBox.align}`);
+  }
+
+  return box;
+}
+
+module.exports = {
+  parseTextBoxes,
+  insertTextBoxMarkers,
+  processTextBoxesForHtml
+};
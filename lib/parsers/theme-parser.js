@@ -85,7 +85,153 @@ function getColorValue(colorNode) {
   return null;
 }
 
+/**
+ * Scheme color names that refer to another theme color
+ */
+const SCHEME_COLOR_ALIASES = {
+  tx1: 'dk1',
+  tx2: 'dk2',
+  bg1: 'lt1',
+  bg2: 'lt2'
+};
+
+/**
+ * Preset color names used by a:prstClr that CSS does not share
+ */
+const PRESET_COLORS = {
+  dkBlue: '#00008B',
+  dkGray: '#A9A9A9',
+  dkGreen: '#006400',
+  dkRed: '#8B0000',
+  ltBlue: '#ADD8E6',
+  ltGray: '#D3D3D3',
+  ltGreen: '#90EE90'
+};
+
+/**
+ * Resolve a DrawingML color to a CSS color
+ * Reads the first color child of a fill or line element (a:srgbClr,
+ * a:schemeClr, a:sysClr or a:prstClr), looks scheme colors up in the theme
+ * and applies the lumMod, lumOff, tint, shade and alpha adjustments
+ *
+ * @param {Element} colorParent - Element containing the color (e.g. a:solidFill)
+ * @param {Object} theme - Theme from parseTheme
+ * @param {string} placeholderColor - Color to use for a:schemeClr val="phClr" (optional)
+ * @returns {string|null} - CSS color, or null if it cannot be resolved
+ */
+function resolveDrawingColor(colorParent, theme, placeholderColor = null) {
+  try {
+    const colorNode = selectSingleNode("./a:srgbClr | ./a:schemeClr | ./a:sysClr | ./a:prstClr", colorParent);
+    if (!colorNode) return null;
+
+    const value = colorNode.getAttribute('val');
+    let hex = null;
+    if (colorNode.localName === 'srgbClr') {
+      hex = '#' + value;
+    } else if (colorNode.localName === 'sysClr') {
+      hex = colorNode.getAttribute('lastClr') ? '#' + colorNode.getAttribute('lastClr') : null;
+    } else if (colorNode.localName === 'prstClr') {
+      return PRESET_COLORS[value] || value || null;
+    } else if (value === 'phClr') {
+      hex = placeholderColor;
+    } else {
+      hex = (theme && theme.colors && theme.colors[SCHEME_COLOR_ALIASES[value] || value]) || null;
+    }
+
+    if (!hex || !/^#[0-9a-f]{6}$/i.test(hex)) return null;
+    return applyColorTransforms(hex, colorNode);
+  } catch (error) {
+    console.error('Error resolving drawing color:', error);
+    return null;
+  }
+}
+
+/**
+ * Apply DrawingML color adjustments to a hex color
+ *
+ * @param {string} hex - Color as #RRGGBB
+ * @param {Element} colorNode - Color element whose children are the adjustments
+ * @returns {string} - Adjusted color as #RRGGBB, or rgba() when it has an alpha
+ */
+function applyColorTransforms(hex, colorNode) {
+  let rgb = [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16) / 255);
+  let alpha = 1;
+
+  selectNodes("./a:*", colorNode).forEach(node => {
+    // Adjustment values are thousandths of a percent
+    const amount = (parseInt(node.getAttribute('val'), 10) || 0) / 100000;
+    switch (node.localName) {
+      case 'lumMod':
+      case 'lumOff': {
+        const [h, s, l] = rgbToHsl(rgb);
+        const lum = node.localName === 'lumMod' ? l * amount : l + amount;
+        rgb = hslToRgb([h, s, Math.min(1, Math.max(0, lum))]);
+        break;
+      }
+      case 'tint':
+        rgb = rgb.map(c => 1 - (1 - c) * amount);
+        break;
+      case 'shade':
+        rgb = rgb.map(c => c * amount);
+        break;
+      case 'alpha':
+        alpha = amount;
+        break;
+    }
+  });
+
+  const bytes = rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255));
+  if (alpha < 1) {
+    return `rgba(${bytes.join(', ')}, ${Math.round(alpha * 1000) / 1000})`;
+  }
+  return '#' + bytes.map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Convert RGB (0-1 channels) to HSL (0-1 values)
+ *
+ * @param {Array<number>} rgb - Red, green and blue
+ * @returns {Array<number>} - Hue, saturation and lightness
+ */
+function rgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+/**
+ * Convert HSL (0-1 values) to RGB (0-1 channels)
+ *
+ * @param {Array<number>} hsl - Hue, saturation and lightness
+ * @returns {Array<number>} - Red, green and blue
+ */
+function hslToRgb([h, s, l]) {
+  if (s === 0) return [l, l, l];
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = t => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)];
+}
+
 module.exports = {
   parseTheme,
-  getColorValue
+  getColorValue,
+  resolveDrawingColor
 };
\ No newline at end of file
@@ -1,5 +1,29 @@
 // lib/parsers/track-changes-parser.js - Track changes parsing functions
 const { selectNodes, selectSingleNode } = require('../xml/xpath-utils');
+const { getPackageContext, getPartXml, markPartModified } = require('./package-context');
+const {
+  insertMarker,
+  findMarkers,
+  wrapMarkerRange
+} = require('../utils/marker-utils');
+
+/**
+ * Package parts that can contain tracked changes
+ */
+const REVISION_PART_PATTERN = /^word\/(document|styles|numbering|footnotes|endnotes|comments|header\d*|footer\d*)\.xml$/;
+
+/**
+ * Property change elements; each holds the properties as they were before the change
+ */
+const PROPERTY_CHANGE_ELEMENTS = [
+  'rPrChange', 'pPrChange', 'sectPrChange', 'tblPrChange', 'tblPrExChange',
+  'trPrChange', 'tcPrChange', 'tblGridChange', 'numberingChange'
+];
+
+/**
+ * Properties that live beside, not inside, a property change and must survive a rejection
+ */
+const PRESERVED_ON_REJECT = ['rPr', 'sectPr', 'headerReference', 'footerReference'];
 
 /**
  * Parse track changes information from document.xml
@@ -48,6 +72,9 @@ function parseTrackChanges(documentDoc) {
         id,
         author,
         date: formatDate(date),
+        isoDate: date,
+        key: `ins-${index}`,
+        markOnly: isRevisionMark(node),
         text
       });
     });
@@ -73,6 +100,9 @@ function parseTrackChanges(documentDoc) {
         id,
         author,
         date: formatDate(date),
+        isoDate: date,
+        key: `del-${index}`,
+        markOnly: isRevisionMark(node),
         text
       });
     });
@@ -98,6 +128,8 @@ function parseTrackChanges(documentDoc) {
         id,
         author,
         date: formatDate(date),
+        isoDate: date,
+        key: `moveFrom-${index}`,
         text,
         type: 'moveFrom'
       });
@@ -124,6 +156,8 @@ function parseTrackChanges(documentDoc) {
         id,
         author,
         date: formatDate(date),
+        isoDate: date,
+        key: `moveTo-${index}`,
         text,
         type: 'moveTo'
       });
@@ -196,6 +230,8 @@ function parseTrackChanges(documentDoc) {
         id,
         author,
         date: formatDate(date),
+        isoDate: date,
+        key: `format-${index}`,
         text,
         properties: formattingProps
       });
@@ -208,6 +244,317 @@ function parseTrackChanges(documentDoc) {
   return changes;
 }
 
+/**
+ * Accept or reject all tracked changes in a WordprocessingML document
+ * Works on the XML before conversion so that the HTML, Markdown and CSS only
+ * ever see the chosen revision state:
+ * - accept: deleted and moved-from content is removed, insertions are kept
+ *   and previous formatting is discarded
+ * - reject: inserted and moved-to content is removed, deletions are restored
+ *   and previous formatting is put back
+ *
+ * @param {Document} xmlDoc - WordprocessingML document (modified in place)
+ * @param {string} mode - 'accept' or 'reject'
+ * @param {Function} shouldApply - Called with each revision element; only revisions it accepts are applied
+ * @returns {number} - Number of revisions applied
+ */
+function applyRevisionMode(xmlDoc, mode, shouldApply = () => true) {
+  if (mode !== 'accept' && mode !== 'reject') return 0;
+
+  const removed = mode === 'accept' ? ['del', 'moveFrom'] : ['ins', 'moveTo'];
+  const kept = mode === 'accept' ? ['ins', 'moveTo'] : ['del', 'moveFrom'];
+  let count = 0;
+
+  try {
+    // Paragraph marks: a removed mark joins the paragraph with the next one
+    const paragraphsToMerge = [];
+    selectNodes("//w:pPr/w:rPr/*", xmlDoc).forEach(mark => {
+      if (!shouldApply(mark)) return;
+      if (removed.includes(mark.localName)) {
+        paragraphsToMerge.push(mark.parentNode.parentNode.parentNode);
+      }
+      if (removed.includes(mark.localName) || kept.includes(mark.localName)) {
+        mark.parentNode.removeChild(mark);
+        count++;
+      }
+    });
+
+    // Table rows and cells
+    selectNodes("//w:trPr/* | //w:tcPr/*", xmlDoc).forEach(mark => {
+      if (!shouldApply(mark)) return;
+      const owner = mark.parentNode.parentNode;
+      const isRemoved = removed.includes(mark.localName) ||
+        (mode === 'accept' && mark.localName === 'cellDel') ||
+        (mode === 'reject' && mark.localName === 'cellIns');
+      const isKept = kept.includes(mark.localName) || mark.localName === 'cellIns' || mark.localName === 'cellDel';
+
+      if (isRemoved) {
+        owner.parentNode?.removeChild(owner);
+        count++;
+      } else if (isKept) {
+        mark.parentNode.removeChild(mark);
+        count++;
+      }
+    });
+
+    // Run-level content
+    selectNodes("//w:ins | //w:del | //w:moveFrom | //w:moveTo", xmlDoc).forEach(node => {
+      if (!node.parentNode || !shouldApply(node)) return;
+      if (removed.includes(node.localName)) {
+        node.parentNode.removeChild(node);
+      } else {
+        if (mode === 'reject') restoreDeletedText(node);
+        unwrapElement(node);
+      }
+      count++;
+    });
+
+    // Move ranges only delimit the moves handled above
+    selectNodes("//w:moveFromRangeStart | //w:moveFromRangeEnd | //w:moveToRangeStart | //w:moveToRangeEnd", xmlDoc)
+      .forEach(node => node.parentNode.removeChild(node));
+
+    // Formatting changes
+    PROPERTY_CHANGE_ELEMENTS.forEach(name => {
+      selectNodes(`//w:${name}`, xmlDoc).forEach(change => {
+        if (!shouldApply(change)) return;
+        if (mode === 'reject' && name !== 'numberingChange') {
+          restorePreviousProperties(change);
+        } else {
+          change.parentNode.removeChild(change);
+        }
+        count++;
+      });
+    });
+
+    // Merge last so that chains of removed paragraph marks keep their order
+    paragraphsToMerge.reverse().forEach(paragraph => mergeParagraphWithNext(paragraph));
+  } catch (error) {
+    console.error(`Error applying revision mode "${mode}":`, error);
+  }
+
+  return count;
+}
+
+/**
+ * Accept or reject tracked changes in every part of a DOCX package that can contain them
+ *
+ * @param {Object} zip - Package context or JSZip instance with DOCX content (modified in place)
+ * @param {string} mode - 'accept' or 'reject'
+ * @param {Function} shouldApply - Optional revision filter (see applyRevisionMode)
+ * @returns {Promise<number>} - Number of revisions applied
+ */
+async function applyRevisionModeToPackage(zip, mode, shouldApply = () => true) {
+  let total = 0;
+
+  try {
+    const pkg = getPackageContext(zip);
+    const partNames = Object.keys(pkg.zip.files).filter(name => REVISION_PART_PATTERN.test(name));
+
+    for (const partName of partNames) {
+      const xmlDoc = await getPartXml(pkg, partName);
+      const count = xmlDoc ? applyRevisionMode(xmlDoc, mode, shouldApply) : 0;
+
+      if (count > 0) {
+        markPartModified(pkg, partName);
+        total += count;
+      }
+    }
+
+    if (total > 0) {
+      console.log(`Applied ${total} tracked changes in "${mode}" mode`);
+    }
+  } catch (error) {
+    console.error('Error applying revision mode to package:', error);
+  }
+
+  return total;
+}
+
+/**
+ * Create a filter that selects the tracked changes to show
+ * Changes can be limited to a set of authors and/or to changes made on or after a date
+ *
+ * @param {Object} options - Filter options
+ * @param {Array<string>} options.authors - Author names (case-insensitive)
+ * @param {string} options.since - ISO date; changes without a date are excluded
+ * @returns {Function|null} - Predicate for revision elements, or null when nothing is filtered
+ */
+function createRevisionFilter(options = {}) {
+  const authors = (options.authors || [])
+    .map(author => author.trim().toLowerCase())
+    .filter(Boolean);
+  const since = options.since ? new Date(options.since) : null;
+
+  if (since && isNaN(since.getTime())) {
+    console.warn(`Ignoring invalid track changes date filter: ${options.since}`);
+  }
+  const sinceTime = since && !isNaN(since.getTime()) ? since.getTime() : null;
+
+  if (authors.length === 0 && sinceTime === null) {
+    return null;
+  }
+
+  return node => {
+    const author = (node.getAttribute('w:author') || '').toLowerCase();
+    if (authors.length > 0 && !authors.includes(author)) {
+      return false;
+    }
+
+    if (sinceTime !== null) {
+      const date = new Date(node.getAttribute('w:date') || '');
+      if (isNaN(date.getTime()) || date.getTime() < sinceTime) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Insert markers around tracked changes in a copy of document.xml
+ * Deleted and moved content, which mammoth drops, is turned back into
+ * regular runs between its markers so it can be shown in place
+ *
+ * @param {Document} markedDocumentDoc - Document XML that will be converted
+ * @param {Object} changes - Track changes information from parseTrackChanges
+ * @returns {number} - Number of markers inserted
+ */
+function insertTrackChangeMarkers(markedDocumentDoc, changes) {
+  let count = 0;
+  if (!changes || !changes.hasTrackedChanges) return count;
+
+  try {
+    const contentToRestore = [];
+
+    [
+      ['ins', '//w:ins'],
+      ['del', '//w:del'],
+      ['moveFrom', '//w:moveFrom'],
+      ['moveTo', '//w:moveTo'],
+      ['format', '//w:rPrChange']
+    ].forEach(([prefix, query]) => {
+      selectNodes(query, markedDocumentDoc).forEach((node, index) => {
+        let target = node;
+        if (prefix === 'format') {
+          target = getParentNode(node, 'w:r');
+        } else if (isRevisionMark(node)) {
+          return;
+        }
+        if (!target) return;
+
+        const key = `${prefix}-${index}`;
+        if (insertMarker(target, 'change-start', key, 'before')) count++;
+        if (insertMarker(target, 'change-end', key, 'after')) count++;
+
+        if (prefix !== 'ins' && prefix !== 'format') {
+          contentToRestore.push(node);
+        }
+      });
+    });
+
+    contentToRestore.forEach(node => {
+      if (!node.parentNode) return;
+      restoreDeletedText(node);
+      unwrapElement(node);
+    });
+  } catch (error) {
+    console.error('Error inserting track change markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Check whether a revision element only marks a paragraph mark or table row
+ *
+ * @param {Element} node - w:ins or w:del element
+ * @returns {boolean} - True if the revision has no content of its own
+ */
+function isRevisionMark(node) {
+  const parent = node.parentNode;
+  return !!parent && ['rPr', 'trPr', 'tcPr'].includes(parent.localName);
+}
+
+/**
+ * Turn deleted text back into regular text when a deletion is rejected
+ *
+ * @param {Element} node - w:del or w:moveFrom element
+ */
+function restoreDeletedText(node) {
+  [['delText', 'w:t'], ['delInstrText', 'w:instrText']].forEach(([deletedName, restoredName]) => {
+    selectNodes(`.//w:${deletedName}`, node).forEach(deleted => {
+      const restored = deleted.ownerDocument.createElementNS(deleted.namespaceURI, restoredName);
+      Array.from(deleted.attributes).forEach(attr => restored.setAttribute(attr.name, attr.value));
+      while (deleted.firstChild) restored.appendChild(deleted.firstChild);
+      deleted.parentNode.replaceChild(restored, deleted);
+    });
+  });
+}
+
+/**
+ * Replace current properties with the ones recorded in a property change
+ *
+ * @param {Element} change - Property change element (e.g. w:rPrChange)
+ */
+function restorePreviousProperties(change) {
+  const properties = change.parentNode;
+  let previous = change.firstChild;
+  while (previous && previous.nodeType !== 1) previous = previous.nextSibling;
+
+  Array.from(properties.childNodes).forEach(child => {
+    if (child.nodeType === 1 && PRESERVED_ON_REJECT.includes(child.localName) && child !== change) return;
+    properties.removeChild(child);
+  });
+
+  if (previous) {
+    const reference = properties.firstChild;
+    while (previous.firstChild) {
+      properties.insertBefore(previous.firstChild, reference);
+    }
+  }
+}
+
+/**
+ * Move the children of an element into its parent and remove the element
+ *
+ * @param {Element} element - Element to unwrap
+ */
+function unwrapElement(element) {
+  const parent = element.parentNode;
+  while (element.firstChild) {
+    parent.insertBefore(element.firstChild, element);
+  }
+  parent.removeChild(element);
+}
+
+/**
+ * Join a paragraph whose paragraph mark was removed with the following paragraph
+ * The joined paragraph keeps the properties of the following paragraph mark, as in Word
+ *
+ * @param {Element} paragraph - w:p element
+ */
+function mergeParagraphWithNext(paragraph) {
+  if (!paragraph.parentNode) return;
+
+  // Section breaks live on the paragraph mark and cannot be merged away
+  if (selectSingleNode("w:pPr/w:sectPr", paragraph)) return;
+
+  let next = paragraph.nextSibling;
+  while (next && next.nodeType !== 1) next = next.nextSibling;
+  if (!next || next.localName !== 'p') return;
+
+  const nextProperties = selectSingleNode("w:pPr", next);
+  const reference = nextProperties ? nextProperties.nextSibling : next.firstChild;
+
+  Array.from(paragraph.childNodes).forEach(child => {
+    if (child.nodeType === 1 && child.localName === 'pPr') return;
+    next.insertBefore(child, reference);
+  });
+
+  paragraph.parentNode.removeChild(paragraph);
+}
+
 /**
  * Process track changes in HTML document
  * Applies visual indicators for track changes in the HTML
@@ -244,6 +591,12 @@ function processTrackChanges(document, changes, options = {}) {
       return document;
     }
     
+    // Accept and reject are applied to the XML before conversion (applyRevisionMode),
+    // so the HTML already reflects the chosen revision state
+    if (opts.mode === 'accept' || opts.mode === 'reject') {
+      return document;
+    }
+    
     // Add a track changes legend if there are changes to show
     if (opts.mode === 'show' && 
        (changes.insertions.length > 0 || 
@@ -251,28 +604,29 @@ function processTrackChanges(document, changes, options = {}) {
         changes.moves.length > 0 || 
         changes.formattingChanges.length > 0)) {
       
-      addTrackChangesLegend(document);
+      addTrackChangesLegend(document, opts);
     }
     
-    // For 'show' or 'accept' mode, process insertions
-    if ((opts.mode === 'show' || opts.mode === 'accept') && changes.insertions.length > 0) {
+    // Changes are located through the markers placed by insertTrackChangeMarkers
+    opts.markers = {
+      start: findMarkers(document, 'change-start'),
+      end: findMarkers(document, 'change-end')
+    };
+    
+    if (changes.insertions.length > 0) {
       processInsertions(document, changes.insertions, opts);
     }
     
-    // For 'show' or 'reject' mode, process deletions
-    if ((opts.mode === 'show' || opts.mode === 'reject') && changes.deletions.length > 0) {
+    if (changes.deletions.length > 0) {
       processDeletions(document, changes.deletions, opts);
     }
     
-    // For 'show' mode, process moves and formatting changes
-    if (opts.mode === 'show') {
-      if (changes.moves.length > 0) {
-        processMoves(document, changes.moves, opts);
-      }
-      
-      if (changes.formattingChanges.length > 0) {
-        processFormattingChanges(document, changes.formattingChanges, opts);
-      }
+    if (changes.moves.length > 0) {
+      processMoves(document, changes.moves, opts);
+    }
+    
+    if (changes.formattingChanges.length > 0) {
+      processFormattingChanges(document, changes.formattingChanges, opts);
     }
     
   } catch (error) {
@@ -282,6 +636,65 @@ function processTrackChanges(document, changes, options = {}) {
   return document;
 }
 
+/**
+ * Wrap the content of a tracked change found through its markers
+ * The first wrapper gets the ID change-<key> so the change can be linked to
+ *
+ * @param {Document} document - DOM document
+ * @param {Object} change - Tracked change
+ * @param {string} tagName - Wrapper element name
+ * @param {string} className - Wrapper class
+ * @param {Object} options - Processing options with markers
+ * @returns {boolean} - True if the change was located in the document
+ */
+function wrapTrackedChange(document, change, tagName, className, options) {
+  const startMarker = options.markers?.start.get(change.key);
+  const endMarker = options.markers?.end.get(change.key);
+  if (!startMarker || !endMarker) return false;
+
+  const labels = {
+    'docx-insertion': 'Inserted',
+    'docx-deletion': 'Deleted',
+    'docx-move-from': 'Moved from here',
+    'docx-move-to': 'Moved here',
+    'docx-formatting-change': 'Formatted'
+  };
+
+  const wrappers = wrapMarkerRange(document, startMarker, endMarker, index => {
+    const wrapper = document.createElement(tagName);
+    wrapper.className = className;
+    if (index === 0) wrapper.id = `change-${change.key}`;
+    wrapper.setAttribute('data-change-id', change.id);
+    wrapper.setAttribute('data-change-key', change.key);
+
+    let title = labels[className];
+    if (options.showAuthor && change.author) {
+      wrapper.setAttribute('data-author', change.author);
+      title += ` by ${change.author}`;
+    }
+    if (options.showDate && change.date) {
+      wrapper.setAttribute('data-date', change.date);
+      title += ` on ${change.date}`;
+    }
+    if (change.properties && change.properties.length > 0) {
+      wrapper.setAttribute('data-formatting', change.properties.join(', '));
+      title += ` (${change.properties.join(', ')})`;
+    }
+    wrapper.setAttribute('title', title);
+    return wrapper;
+  });
+
+  // Keep a link target for changes without visible text
+  if (wrappers.length === 0) {
+    const anchor = document.createElement('span');
+    anchor.id = `change-${change.key}`;
+    anchor.className = 'docx-change-anchor';
+    startMarker.parentNode.insertBefore(anchor, startMarker);
+  }
+
+  return true;
+}
+
 /**
  * Process insertions
  * Applies visual styling to inserted content
@@ -293,6 +706,10 @@ function processTrackChanges(document, changes, options = {}) {
 function processInsertions(document, insertions, options) {
   // Find all elements with data-change-id attribute for insertions
   insertions.forEach(insertion => {
+    if (insertion.markOnly || wrapTrackedChange(document, insertion, 'ins', 'docx-insertion', options)) {
+      return;
+    }
+    
     const elements = document.querySelectorAll(`[data-change-id="${insertion.id}"]`);
     
     if (elements.length === 0) {
@@ -324,27 +741,18 @@ function processInsertions(document, insertions, options) {
     } else {
       // Style the found elements
       elements.forEach(element => {
-        if (options.mode === 'show') {
-          element.classList.add('docx-insertion');
-          
-          if (options.showAuthor && insertion.author) {
-            element.setAttribute('data-author', insertion.author);
-          }
-          
-          if (options.showDate && insertion.date) {
-            element.setAttribute('data-date', insertion.date);
-          }
-          
-          // Set background color
-          element.style.backgroundColor = options.highlightColor;
-        } else if (options.mode === 'accept') {
-          // For 'accept' mode, remove the track changes marking but keep the content
-          element.classList.remove('docx-insertion');
-          element.removeAttribute('data-author');
-          element.removeAttribute('data-date');
-          element.removeAttribute('data-change-id');
-          element.style.backgroundColor = '';
+        element.classList.add('docx-insertion');
+        
+        if (options.showAuthor && insertion.author) {
+          element.setAttribute('data-author', insertion.author);
         }
+        
+        if (options.showDate && insertion.date) {
+          element.setAttribute('data-date', insertion.date);
+        }
+        
+        // Set background color
+        element.style.backgroundColor = options.highlightColor;
       });
     }
   });
@@ -361,9 +769,13 @@ function processInsertions(document, insertions, options) {
 function processDeletions(document, deletions, options) {
   // Find all elements with data-change-id attribute for deletions
   deletions.forEach(deletion => {
+    if (deletion.markOnly || wrapTrackedChange(document, deletion, 'del', 'docx-deletion', options)) {
+      return;
+    }
+    
     const elements = document.querySelectorAll(`[data-change-id="${deletion.id}"]`);
     
-    if (elements.length === 0 && options.mode === 'show') {
+    if (elements.length === 0) {
       // In 'show' mode, if no elements found, we need to create elements for deleted content
       // Find a suitable place to insert the deletion (e.g., before the main content)
       const mainContent = document.querySelector('main') || document.body;
@@ -405,29 +817,19 @@ function processDeletions(document, deletions, options) {
     } else {
       // Style the found elements
       elements.forEach(element => {
-        if (options.mode === 'show') {
-          element.classList.add('docx-deletion');
-          
-          if (options.showAuthor && deletion.author) {
-            element.setAttribute('data-author', deletion.author);
-          }
-          
-          if (options.showDate && deletion.date) {
-            element.setAttribute('data-date', deletion.date);
-          }
-          
-          // Style the deletion
-          element.style.backgroundColor = options.deletionColor;
-          element.style.textDecoration = 'line-through';
-        } else if (options.mode === 'reject') {
-          // For 'reject' mode, remove the track changes marking but keep the content
-          element.classList.remove('docx-deletion');
-          element.removeAttribute('data-author');
-          element.removeAttribute('data-date');
-          element.removeAttribute('data-change-id');
-          element.style.backgroundColor = '';
-          element.style.textDecoration = '';
+        element.classList.add('docx-deletion');
+        
+        if (options.showAuthor && deletion.author) {
+          element.setAttribute('data-author', deletion.author);
         }
+        
+        if (options.showDate && deletion.date) {
+          element.setAttribute('data-date', deletion.date);
+        }
+        
+        // Style the deletion
+        element.style.backgroundColor = options.deletionColor;
+        element.style.textDecoration = 'line-through';
       });
     }
   });
@@ -444,6 +846,11 @@ function processDeletions(document, deletions, options) {
 function processMoves(document, moves, options) {
   // Find all elements with data-change-id attribute for moves
   moves.forEach(move => {
+    const moveFrom = move.type === 'moveFrom';
+    if (wrapTrackedChange(document, move, moveFrom ? 'del' : 'ins', moveFrom ? 'docx-move-from' : 'docx-move-to', options)) {
+      return;
+    }
+    
     const elements = document.querySelectorAll(`[data-change-id="${move.id}"]`);
     
     elements.forEach(element => {
@@ -478,6 +885,10 @@ function processMoves(document, moves, options) {
 function processFormattingChanges(document, formattingChanges, options) {
   // Find all elements with data-change-id attribute for formatting changes
   formattingChanges.forEach(change => {
+    if (wrapTrackedChange(document, change, 'span', 'docx-formatting-change', options)) {
+      return;
+    }
+    
     const elements = document.querySelectorAll(`[data-change-id="${change.id}"]`);
     
     if (elements.length === 0) {
@@ -538,8 +949,9 @@ function processFormattingChanges(document, formattingChanges, options) {
  * Adds a legend explaining the track changes markings
  * 
  * @param {Document} document - DOM document
+ * @param {Object} options - Processing options (filter describes an author/date filter)
  */
-function addTrackChangesLegend(document) {
+function addTrackChangesLegend(document, options = {}) {
   // Create legend element
   const legend = document.createElement('div');
   legend.className = 'docx-track-changes-legend';
@@ -593,10 +1005,10 @@ function addTrackChangesLegend(document) {
   itemsContainer.style.gap = '1em';
   
   // Create legend items for different change types
-  const insertionItem = createLegendItem('Insertion', '#E6F4FF');
-  const deletionItem = createLegendItem('Deletion', '#FFEBEE', 'line-through');
-  const moveItem = createLegendItem('Move', 'transparent', 'none', '2px dashed #9575CD');
-  const formatItem = createLegendItem('Format Change', 'transparent', 'none', '1px dotted #FFA000');
+  const insertionItem = createLegendItem(document, 'Insertion', '#E6F4FF');
+  const deletionItem = createLegendItem(document, 'Deletion', '#FFEBEE', 'line-through');
+  const moveItem = createLegendItem(document, 'Move', 'transparent', 'none', '2px dashed #9575CD');
+  const formatItem = createLegendItem(document, 'Format Change', 'transparent', 'none', '1px dotted #FFA000');
   
   // Add items to container
   itemsContainer.appendChild(insertionItem);
@@ -617,6 +1029,15 @@ function addTrackChangesLegend(document) {
   shortcutInfo.style.color = '#616161';
   legend.appendChild(shortcutInfo);
   
+  // Describe the filter so readers know not every change is shown
+  const filterDescription = describeRevisionFilter(options.filter);
+  if (filterDescription) {
+    const filterInfo = document.createElement('p');
+    filterInfo.className = 'docx-track-changes-filter';
+    filterInfo.textContent = filterDescription;
+    legend.appendChild(filterInfo);
+  }
+  
   // Insert at the beginning of the document
   const main = document.querySelector('main') || document.body;
   main.insertBefore(legend, main.firstChild);
@@ -626,13 +1047,14 @@ function addTrackChangesLegend(document) {
  * Create legend item
  * Helper function to create a track changes legend item
  * 
+ * @param {Document} document - DOM document
  * @param {string} text - Item text
  * @param {string} bgColor - Background color
  * @param {string} textDecoration - Text decoration
  * @param {string} borderBottom - Border style
  * @returns {HTMLElement} - Legend item element
  */
-function createLegendItem(text, bgColor, textDecoration = 'none', borderBottom = 'none') {
+function createLegendItem(document, text, bgColor, textDecoration = 'none', borderBottom = 'none') {
   const item = document.createElement('div');
   item.style.display = 'flex';
   item.style.alignItems = 'center';
@@ -665,6 +1087,8 @@ function createLegendItem(text, bgColor, textDecoration = 'none', borderBottom =
 function findTextNodes(root, text) {
   if (!text) return [];
   
+  const document = root.ownerDocument;
+  const NodeFilter = document.defaultView.NodeFilter;
   const matches = [];
   const walker = document.createTreeWalker(
     root,
@@ -688,6 +1112,26 @@ function findTextNodes(root, text) {
   return matches;
 }
 
+/**
+ * Describe an author/date filter for display
+ *
+ * @param {Object} filter - Filter options (authors, since)
+ * @returns {string} - Description, or an empty string when nothing is filtered
+ */
+function describeRevisionFilter(filter) {
+  if (!filter) return '';
+
+  const parts = [];
+  if (filter.authors && filter.authors.length > 0) {
+    parts.push(`by ${filter.authors.join(', ')}`);
+  }
+  if (filter.since) {
+    parts.push(`made on or after ${filter.since}`);
+  }
+
+  return parts.length > 0 ? `Showing only changes ${parts.join(' ')}.` : '';
+}
+
 /**
  * Get parent node by name
  * Helper function to get the parent node of a specific type
@@ -729,6 +1173,10 @@ function formatDate(dateString) {
 
 module.exports = {
   parseTrackChanges,
+  applyRevisionMode,
+  applyRevisionModeToPackage,
+  createRevisionFilter,
+  insertTrackChangeMarkers,
   processTrackChanges,
   processInsertions,
   processDeletions,
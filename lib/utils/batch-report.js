@@ -0,0 +1,94 @@
+// lib/utils/batch-report.js - summary.json and JUnit reports for batch conversion
+
+/**
+ * Build the summary of a batch run
+ *
+ * @param {Array<Object>} records - One record per input: input, status ('success', 'failed' or 'skipped'), duration (s), warnings, error, outputs, media
+ * @param {Object} run - Run details: startedAt (Date), finishedAt (Date), jobs
+ * @returns {Object} - Summary with totals and the records
+ */
+function createBatchSummary(records, run) {
+  const failed = records.filter(record => record.status === 'failed').length;
+  const skipped = records.filter(record => record.status === 'skipped').length;
+  return {
+    generator: 'doc2web',
+    startedAt: run.startedAt.toISOString(),
+    finishedAt: run.finishedAt.toISOString(),
+    duration: roundSeconds((run.finishedAt - run.startedAt) / 1000),
+    jobs: run.jobs,
+    total: records.length,
+    succeeded: records.length - failed - skipped,
+    failed,
+    skipped,
+    warnings: records.reduce((count, record) => count + record.warnings.length, 0),
+    files: records
+  };
+}
+
+/**
+ * Write a batch summary as a JUnit XML report
+ * Each input is a test case; failed conversions are failures, unchanged
+ * files skipped by the manifest are skipped, and warnings and output files
+ * are listed in system-out
+ *
+ * @param {Object} summary - Summary from createBatchSummary
+ * @returns {string} - JUnit XML
+ */
+function formatJUnitReport(summary) {
+  const testCases = summary.files.map(record => {
+    const lines = [
+      ...record.outputs.map(output => `Output: ${output}`),
+      ...record.warnings.map(warning => `Warning: ${warning}`)
+    ];
+    let testCase = `    <testcase classname="doc2web" name="${escapeXml(record.input)}" time="${record.duration}">\n`;
+    if (record.status === 'failed') {
+      const message = record.error || 'Conversion failed';
+      testCase += `      <failure message="${escapeXml(message)}">${escapeXml(message)}</failure>\n`;
+    } else if (record.status === 'skipped') {
+      testCase += '      <skipped message="Unchanged since the last conversion"/>\n';
+    }
+    if (lines.length > 0) {
+      testCase += `      <system-out>${escapeXml(lines.join('\n'))}</system-out>\n`;
+    }
+    return `${testCase}    </testcase>\n`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="doc2web" tests="${summary.total}" failures="${summary.failed}" time="${summary.duration}">\n` +
+    `  <testsuite name="doc2web" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" ` +
+    `time="${summary.duration}" timestamp="${summary.startedAt}">\n` +
+    testCases +
+    '  </testsuite>\n' +
+    '</testsuites>\n';
+}
+
+/**
+ * Round a duration in seconds to milliseconds
+ *
+ * @param {number} seconds - Duration
+ * @returns {number} - Rounded duration
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Escape text for an XML attribute or element
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  createBatchSummary,
+  formatJUnitReport,
+  roundSeconds
+};
@@ -0,0 +1,177 @@
+// lib/utils/build-manifest.js - Manifest of converted files for incremental rebuilds
+//
+// The manifest in the output directory records, for each input, the hash of
+// its content, the doc2web version and a hash of the options it was converted
+// with, the files written for it and the images and chart data files it uses.
+// A file whose entry still matches is skipped; entries whose input is gone
+// have their outputs removed, and their media once no other entry uses them.
+// Paths are stored relative to the manifest, so runs from any working
+// directory share it, and are absolute in memory.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { isInsideDirectory } = require('./output-paths');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const unlink = promisify(fs.unlink);
+
+/**
+ * Manifest format version; manifests with another version are discarded
+ */
+const MANIFEST_VERSION = 2;
+
+/**
+ * Options that only affect how a run is carried out, not its output
+ * (outDir is where the manifest itself lives)
+ */
+const RUN_OPTIONS = ['jobs', 'force', 'isList', 'profile', 'watch', 'serve', 'outDir'];
+
+/**
+ * Read the manifest, or start an empty one if it is missing or unreadable
+ *
+ * @param {string} manifestFile - Path of the manifest
+ * @returns {Promise<Object>} - Manifest with files keyed by absolute input path
+ */
+async function loadManifest(manifestFile) {
+  const baseDir = path.dirname(path.resolve(manifestFile));
+  try {
+    const manifest = JSON.parse(await readFile(manifestFile, 'utf8'));
+    if (manifest && manifest.manifestVersion === MANIFEST_VERSION && manifest.files) {
+      return { ...manifest, files: mapManifestPaths(manifest.files, filePath => path.resolve(baseDir, filePath)) };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Ignoring unreadable manifest "${manifestFile}": ${error.message}`);
+    }
+  }
+  return { manifestVersion: MANIFEST_VERSION, files: {} };
+}
+
+/**
+ * Write the manifest
+ *
+ * @param {string} manifestFile - Path of the manifest
+ * @param {Object} manifest - Manifest
+ */
+async function saveManifest(manifestFile, manifest) {
+  const baseDir = path.dirname(path.resolve(manifestFile));
+  const files = mapManifestPaths(manifest.files, filePath => path.relative(baseDir, filePath).split(path.sep).join('/'));
+  await writeFile(manifestFile, JSON.stringify({ ...manifest, files }, null, 2), 'utf8');
+}
+
+/**
+ * Map the input, output and media paths of manifest entries
+ *
+ * @param {Object} files - Manifest entries by input path
+ * @param {Function} mapPath - Called with each path, returns the new path
+ * @returns {Object} - Entries with mapped paths
+ */
+function mapManifestPaths(files, mapPath) {
+  return Object.keys(files).reduce((result, input) => {
+    const entry = files[input];
+    return {
+      ...result,
+      [mapPath(input)]: { ...entry, outputs: entry.outputs.map(mapPath), media: (entry.media || []).map(mapPath) }
+    };
+  }, {});
+}
+
+/**
+ * Hash the content of a file
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} - SHA-256 hex digest, or null if the file cannot be read
+ */
+async function hashFile(filePath) {
+  try {
+    return crypto.createHash('sha256').update(await readFile(filePath)).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash the options that affect the output
+ *
+ * @param {Object} options - Processing options
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashOptions(options) {
+  const relevant = Object.keys(options)
+    .filter(key => !RUN_OPTIONS.includes(key))
+    .sort()
+    .reduce((result, key) => ({ ...result, [key]: options[key] }), {});
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+/**
+ * Check whether a manifest entry still describes the current input and options
+ * The entry is stale if any of its outputs or media has been removed, or if
+ * the file would now be written somewhere else
+ *
+ * @param {Object|undefined} entry - Manifest entry
+ * @param {Object} current - Current hash, optionsHash, version and htmlFile (absolute)
+ * @returns {boolean} - True if the file does not need converting
+ */
+function isUpToDate(entry, current) {
+  return Boolean(entry) &&
+    current.hash !== null &&
+    entry.hash === current.hash &&
+    entry.optionsHash === current.optionsHash &&
+    entry.version === current.version &&
+    entry.outputs.includes(current.htmlFile) &&
+    entry.outputs.concat(entry.media).every(output => fs.existsSync(output));
+}
+
+/**
+ * Remove output files, leaving anything outside the output directory alone
+ *
+ * @param {Array<string>} outputs - Output file paths
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Array<string>>} - Files removed
+ */
+async function removeOutputs(outputs, outputDir) {
+  const removed = [];
+
+  for (const output of outputs) {
+    if (!isInsideDirectory(output, outputDir) || path.resolve(output) === path.resolve(outputDir)) continue;
+    try {
+      await unlink(output);
+      removed.push(output);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing output "${output}":`, error.message);
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Remove media files that no manifest entry uses any more
+ * Images and chart data files are shared by the documents of an output
+ * directory, so a file is only removed when no entry lists it
+ *
+ * @param {Array<string>} media - Media files that may no longer be used
+ * @param {Object} manifest - Manifest after the run's entries are updated
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Array<string>>} - Files removed
+ */
+async function removeUnusedMedia(media, manifest, outputDir) {
+  const used = new Set([].concat(...Object.values(manifest.files).map(entry => entry.media)));
+  return removeOutputs([...new Set(media)].filter(file => !used.has(file)), outputDir);
+}
+
+module.exports = {
+  loadManifest,
+  saveManifest,
+  hashFile,
+  hashOptions,
+  isUpToDate,
+  removeOutputs,
+  removeUnusedMedia
+};
@@ -0,0 +1,160 @@
+// lib/utils/cli-options.js - Command-line flags generated from the option schema
+//
+// Each option property gets a flag named after the option in kebab-case
+// (trackChangesSince becomes --track-changes-since) unless it sets its own
+// flag name. Booleans take --flag and --no-flag, other options --flag=value or
+// --flag value, and arrays are comma-separated.
+
+const { validateValue } = require('./config-schema');
+
+/**
+ * Get the flag name of an option, without the leading dashes
+ *
+ * @param {string} key - Option name
+ * @param {Object} property - Option property from the schema
+ * @returns {string} - Flag name
+ */
+function getFlagName(key, property) {
+  return property.flag || key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Parse command-line arguments into option values
+ * Options with a flagDefault only take "--flag=value", so a path after the
+ * flag is not read as its value. Values are checked against their property.
+ *
+ * @param {Array<string>} args - Command-line arguments
+ * @param {Object} properties - Option properties by option name
+ * @returns {Object} - values (only the options given), positional arguments and errors
+ */
+function parseOptionArgs(args, properties) {
+  const keysByFlag = new Map(Object.keys(properties).map(key => [getFlagName(key, properties[key]), key]));
+  const values = {};
+  const positional = [];
+  const errors = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg.substring(2) : arg.substring(2, equals);
+    const inlineValue = equals === -1 ? undefined : arg.substring(equals + 1);
+    const key = keysByFlag.get(flag);
+
+    if (!key) {
+      const negatedKey = flag.startsWith('no-') ? keysByFlag.get(flag.substring(3)) : null;
+      if (negatedKey && getTypes(properties[negatedKey]).includes('boolean') && inlineValue === undefined) {
+        values[negatedKey] = false;
+      } else {
+        errors.push(`Unknown option --${flag}`);
+      }
+      continue;
+    }
+
+    const property = properties[key];
+    const types = getTypes(property);
+    let rawValue = inlineValue;
+    if (rawValue === undefined) {
+      if (types.length === 1 && types[0] === 'boolean') {
+        values[key] = true;
+        continue;
+      }
+      if (property.flagDefault !== undefined) {
+        values[key] = property.flagDefault;
+        continue;
+      }
+      rawValue = args[index + 1];
+      if (rawValue === undefined || rawValue.startsWith('--')) {
+        errors.push(`--${flag} needs a value, for example --${flag}=<${property.placeholder || 'value'}>`);
+        continue;
+      }
+      index++;
+    }
+
+    const value = convertFlagValue(rawValue, types);
+    const problems = validateValue(property, value, '');
+    if (problems.length > 0) {
+      errors.push(`Invalid --${flag} value "${rawValue}": ${problems[0]}`);
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return { values, positional, errors };
+}
+
+/**
+ * Convert the text of a flag value to the option's type
+ *
+ * @param {string} rawValue - Value as given on the command line
+ * @param {Array<string>} types - Schema types of the option
+ * @returns {*} - Converted value
+ */
+function convertFlagValue(rawValue, types) {
+  if (types.includes('array')) {
+    return rawValue.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if ((types.includes('integer') || types.includes('number')) && !types.includes('string')) {
+    return rawValue.trim() === '' ? NaN : Number(rawValue);
+  }
+  if (types.includes('boolean') && !types.includes('string') && (rawValue === 'true' || rawValue === 'false')) {
+    return rawValue === 'true';
+  }
+  return rawValue;
+}
+
+/**
+ * Format the help lines of the flags
+ * Booleans that are on by default are listed as their --no- flag.
+ *
+ * @param {Object} properties - Option properties by option name
+ * @returns {Array<string>} - One line per flag
+ */
+function formatOptionHelp(properties) {
+  const lines = [];
+  const addLine = (text, description) => lines.push(`  ${text.padEnd(13)}  ${description}`);
+
+  Object.keys(properties).forEach(key => {
+    const property = properties[key];
+    const flag = getFlagName(key, property);
+    const types = getTypes(property);
+    const isBoolean = types.length === 1 && types[0] === 'boolean';
+    const listNegated = Boolean(property.negatedDescription) && types.includes('boolean');
+
+    if (!(isBoolean && property.default === true && listNegated)) {
+      const placeholder = `<${property.placeholder || 'value'}>`;
+      if (isBoolean) {
+        addLine(`--${flag}`, property.description);
+      } else if (property.flagDefault !== undefined) {
+        addLine(`--${flag}[=${placeholder}]`, property.description);
+      } else {
+        addLine(`--${flag}=${placeholder}`, property.description);
+      }
+    }
+    if (listNegated) {
+      addLine(`--no-${flag}`, property.negatedDescription);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Get the schema types of a property as an array
+ *
+ * @param {Object} property - Option property
+ * @returns {Array<string>} - Types
+ */
+function getTypes(property) {
+  return [].concat(property.type || []);
+}
+
+module.exports = {
+  getFlagName,
+  parseOptionArgs,
+  formatOptionHelp
+};
@@ -0,0 +1,218 @@
+// lib/utils/config-loader.js - Find and load doc2web.config.js or .doc2webrc.json
+//
+// The config file closest to the input (in its directory or the nearest parent
+// directory that has one) sets the options for a run, and its overrides set
+// options for the files matching glob patterns. Options are merged in this
+// order, later ones winning: the schema defaults, the config file, the
+// matching overrides, then the command-line flags.
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultOptions, validateConfig } = require('./config-schema');
+
+/**
+ * Config file names, in the order they are looked for in each directory
+ */
+const CONFIG_FILENAMES = ['doc2web.config.js', '.doc2webrc.json'];
+
+/**
+ * Find the config file for an input
+ *
+ * @param {string} inputPath - DOCX file, directory or list file
+ * @returns {string|null} - Path of the nearest config file, or null if there is none
+ */
+function findConfigFile(inputPath) {
+  let dir = path.resolve(inputPath);
+  try {
+    if (!fs.statSync(dir).isDirectory()) dir = path.dirname(dir);
+  } catch (error) {
+    dir = path.dirname(dir);
+  }
+
+  for (;;) {
+    const configFile = CONFIG_FILENAMES
+      .map(fileName => path.join(dir, fileName))
+      .find(candidate => fs.existsSync(candidate));
+    if (configFile) return configFile;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a config file
+ * Relative paths in it (outDir, mergeData files) are resolved against the
+ * directory of the config file.
+ *
+ * @param {string} configFile - Path of doc2web.config.js or a JSON config file
+ * @returns {Object} - file, options and overrides ({ files, baseDir, options })
+ * @throws {Error} - If the file cannot be read or does not match the schema
+ */
+function loadConfigFile(configFile) {
+  const resolvedFile = path.resolve(configFile);
+  let content;
+  try {
+    if (path.extname(resolvedFile) === '.js') {
+      delete require.cache[resolvedFile];
+      content = require(resolvedFile);
+    } else {
+      content = JSON.parse(fs.readFileSync(resolvedFile, 'utf8'));
+    }
+  } catch (error) {
+    throw new Error(`Could not read config file "${configFile}": ${error.message}`);
+  }
+
+  const problems = validateConfig(content);
+  if (problems.length > 0) {
+    throw new Error(`Invalid config file "${configFile}":\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  const baseDir = path.dirname(resolvedFile);
+  const { $schema, overrides = [], ...options } = content;
+  return {
+    file: configFile,
+    options: resolveConfigPaths(options, baseDir),
+    overrides: overrides.map(({ files, ...overrideOptions }) => ({
+      files: [].concat(files),
+      baseDir,
+      options: resolveConfigPaths(overrideOptions, baseDir)
+    }))
+  };
+}
+
+/**
+ * Resolve the relative paths of config options against the config directory
+ *
+ * @param {Object} options - Options from a config file
+ * @param {string} baseDir - Directory of the config file
+ * @returns {Object} - Options with absolute paths
+ */
+function resolveConfigPaths(options, baseDir) {
+  const resolved = { ...options };
+  if (typeof resolved.outDir === 'string') resolved.outDir = path.resolve(baseDir, resolved.outDir);
+  if (typeof resolved.mergeData === 'string') resolved.mergeData = path.resolve(baseDir, resolved.mergeData);
+  return resolved;
+}
+
+/**
+ * Merge the defaults, a config file and the command-line values
+ * Options given on the command line are removed from the overrides, so the
+ * command line wins for every file.
+ *
+ * @param {Object|null} config - Config from loadConfigFile
+ * @param {Object} cliValues - Options given on the command line
+ * @returns {Object} - Options, with the remaining overrides in options.overrides
+ */
+function mergeOptions(config, cliValues) {
+  const cliKeys = Object.keys(cliValues);
+  const overrides = (config ? config.overrides : [])
+    .map(override => ({
+      ...override,
+      options: Object.keys(override.options)
+        .filter(key => !cliKeys.includes(key))
+        .reduce((result, key) => ({ ...result, [key]: override.options[key] }), {})
+    }))
+    .filter(override => Object.keys(override.options).length > 0);
+
+  return {
+    ...getDefaultOptions(),
+    ...(config ? config.options : {}),
+    ...cliValues,
+    overrides
+  };
+}
+
+/**
+ * Get the options for one file, applying the overrides that match it
+ *
+ * @param {Object} options - Options from mergeOptions
+ * @param {string} filePath - Input file path
+ * @returns {Object} - Options for the file, without overrides
+ */
+function resolveFileOptions(options, filePath) {
+  const { overrides = [], ...fileOptions } = options;
+  overrides
+    .filter(override => matchesFiles(filePath, override.files, override.baseDir))
+    .forEach(override => Object.assign(fileOptions, override.options));
+  return fileOptions;
+}
+
+/**
+ * Check whether a file matches any of the glob patterns of an override
+ * Patterns are relative to the config directory. A pattern without a slash
+ * matches the file name in any directory, and a pattern ending in a slash
+ * matches everything below that directory.
+ *
+ * @param {string} filePath - Input file path
+ * @param {Array<string>} patterns - Glob patterns
+ * @param {string} baseDir - Directory the patterns are relative to
+ * @returns {boolean} - True if a pattern matches
+ */
+function matchesFiles(filePath, patterns, baseDir) {
+  const relativePath = path.relative(baseDir, path.resolve(filePath)).split(path.sep).join('/');
+  if (relativePath.startsWith('../') || path.isAbsolute(relativePath)) return false;
+
+  return patterns.some(pattern => {
+    let normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (normalized.endsWith('/')) normalized += '**';
+    const subject = normalized.includes('/') ? relativePath : path.posix.basename(relativePath);
+    return globToRegExp(normalized).test(subject);
+  });
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports "**" (any number of directories), "*", "?" and "{a,b}".
+ *
+ * @param {string} pattern - Glob pattern with forward slashes
+ * @returns {RegExp} - Expression matching whole paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (pattern.startsWith('**/', index)) {
+      source += '(?:.*/)?';
+      index += 2;
+    } else if (pattern.startsWith('**', index)) {
+      source += '.*';
+      index += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', index);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${pattern.substring(index + 1, end).split(',').map(escapeRegExp).join('|')})`;
+        index = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape text for use in a regular expression
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  findConfigFile,
+  loadConfigFile,
+  mergeOptions,
+  resolveFileOptions,
+  matchesFiles
+};
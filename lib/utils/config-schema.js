@@ -0,0 +1,318 @@
+// lib/utils/config-schema.js - Schema of the doc2web options and config files
+//
+// OPTION_PROPERTIES describes every option in JSON Schema (draft-07) form. It
+// is the single source for the defaults, for validating config files and for
+// the command-line flags. Besides the standard keywords, properties can have:
+//   flag               - flag name when it is not the kebab-case option name
+//   placeholder        - value name shown in the help (--comments=<mode>)
+//   flagDefault        - value of the flag given without "=value" (--serve)
+//   negatedDescription - help for the --no- flag of options that are on by default
+//   scope              - 'run' for options that apply to the whole run and
+//                        cannot be overridden per directory
+//   format             - 'date' for strings that must be a date
+
+/**
+ * Options, in the order they are listed in the help
+ */
+const OPTION_PROPERTIES = {
+  htmlOnly: {
+    type: 'boolean',
+    default: false,
+    description: 'Generate HTML and CSS only (skip the Markdown file)'
+  },
+  comments: {
+    type: 'string',
+    enum: ['show', 'hide', 'json'],
+    default: 'show',
+    placeholder: 'mode',
+    description: 'How to handle Word comments: show (default), hide or json'
+  },
+  trackChangesMode: {
+    type: 'string',
+    enum: ['show', 'hide', 'accept', 'reject'],
+    default: 'show',
+    flag: 'track-changes',
+    placeholder: 'mode',
+    description: 'Tracked changes: show (default), hide, accept or reject'
+  },
+  trackChangesAuthors: {
+    type: 'array',
+    items: { type: 'string' },
+    default: [],
+    placeholder: 'names',
+    description: 'Only show changes by these comma-separated authors'
+  },
+  trackChangesSince: {
+    type: ['string', 'null'],
+    format: 'date',
+    default: null,
+    placeholder: 'date',
+    description: 'Only show changes made on or after this date'
+  },
+  showAuthor: {
+    type: 'boolean',
+    default: true,
+    description: 'Show who made each tracked change',
+    negatedDescription: 'Leave the author out of tracked changes'
+  },
+  showDate: {
+    type: 'boolean',
+    default: true,
+    description: 'Show when each tracked change was made',
+    negatedDescription: 'Leave the date out of tracked changes'
+  },
+  revisionReport: {
+    type: 'boolean',
+    default: false,
+    description: 'Write a revision summary page (.revisions.html and .revisions.json)'
+  },
+  transcodeImages: {
+    type: 'boolean',
+    default: true,
+    flag: 'image-conversion',
+    description: 'Convert EMF and WMF images to SVG, and TIFF and BMP images to PNG',
+    negatedDescription: 'Keep EMF, WMF, TIFF and BMP images as they are'
+  },
+  responsiveImages: {
+    type: 'boolean',
+    default: false,
+    description: 'Add smaller copies of images to srcset'
+  },
+  formControls: {
+    type: 'string',
+    enum: ['static', 'fill', 'json'],
+    default: 'static',
+    placeholder: 'mode',
+    description: 'Content controls and form fields: static (default), fill or json'
+  },
+  mergeData: {
+    type: ['object', 'string', 'null'],
+    default: null,
+    placeholder: 'file.json',
+    description: 'Fill in MERGEFIELD fields from a JSON object'
+  },
+  updateFields: {
+    type: 'boolean',
+    default: true,
+    flag: 'field-update',
+    description: 'Recalculate DATE, DOCPROPERTY, SEQ, STYLEREF and MERGEFIELD fields',
+    negatedDescription: 'Keep the field results saved in the document'
+  },
+  enhanceAccessibility: {
+    type: 'boolean',
+    default: true,
+    description: 'Add WCAG landmarks, a skip link and table and image fixes',
+    negatedDescription: 'Skip the WCAG landmarks, skip link and table and image fixes'
+  },
+  preserveMetadata: {
+    type: 'boolean',
+    default: true,
+    description: 'Add the document properties to the HTML head',
+    negatedDescription: 'Leave the document properties out of the HTML head'
+  },
+  profile: {
+    type: 'boolean',
+    default: false,
+    scope: 'run',
+    description: 'Report how long each conversion stage takes'
+  },
+  jobs: {
+    type: 'integer',
+    minimum: 1,
+    default: 1,
+    scope: 'run',
+    placeholder: 'n',
+    description: 'Convert up to n files at a time in worker threads (directories and lists)'
+  },
+  force: {
+    type: 'boolean',
+    default: false,
+    scope: 'run',
+    description: 'Reconvert files that have not changed since the last run'
+  },
+  watch: {
+    type: 'boolean',
+    default: false,
+    scope: 'run',
+    description: 'Keep running and reconvert documents when they are saved'
+  },
+  serve: {
+    type: ['integer', 'null'],
+    minimum: 1,
+    maximum: 65535,
+    default: null,
+    flagDefault: 8080,
+    scope: 'run',
+    placeholder: 'port',
+    description: 'Watch, and serve the output on http://127.0.0.1:<port>/ (default 8080) with live reload'
+  },
+  outDir: {
+    type: 'string',
+    default: './output',
+    flag: 'out',
+    scope: 'run',
+    placeholder: 'dir',
+    description: 'Write the output to this directory (default ./output)'
+  },
+  nameTemplate: {
+    type: ['string', 'null'],
+    default: null,
+    flag: 'name',
+    scope: 'run',
+    placeholder: 'template',
+    description: 'Output file name template using {dir}, {name} and {slug} (default {dir}/{name}.html)'
+  }
+};
+
+/**
+ * Options that can be changed for some files with overrides
+ */
+const FILE_OPTION_PROPERTIES = Object.keys(OPTION_PROPERTIES)
+  .filter(key => OPTION_PROPERTIES[key].scope !== 'run')
+  .reduce((result, key) => ({ ...result, [key]: OPTION_PROPERTIES[key] }), {});
+
+/**
+ * Schema of doc2web.config.js and .doc2webrc.json
+ */
+const CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'doc2web configuration',
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    ...OPTION_PROPERTIES,
+    overrides: {
+      type: 'array',
+      description: 'Options for the files matching glob patterns, relative to the config file; later entries win',
+      items: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+          files: {
+            type: ['string', 'array'],
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Glob patterns such as "legal/**" or "*-draft.docx"'
+          },
+          ...FILE_OPTION_PROPERTIES
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Get the default value of every option
+ *
+ * @returns {Object} - Options with their defaults
+ */
+function getDefaultOptions() {
+  return Object.keys(OPTION_PROPERTIES).reduce((result, key) => {
+    const value = OPTION_PROPERTIES[key].default;
+    return { ...result, [key]: Array.isArray(value) ? [...value] : value };
+  }, {});
+}
+
+/**
+ * Validate a config file's content against CONFIG_SCHEMA
+ *
+ * @param {*} config - Config content
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateConfig(config) {
+  return validateValue(CONFIG_SCHEMA, config, '');
+}
+
+/**
+ * Validate a value against a schema
+ * Supports the keywords OPTION_PROPERTIES and CONFIG_SCHEMA use: type, enum,
+ * minimum, maximum, minItems, items, properties, required,
+ * additionalProperties and format 'date'.
+ *
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value
+ * @param {string} location - Where the value is, for the messages (e.g. "overrides[0].comments")
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateValue(schema, value, location) {
+  const prefix = location ? `${location}: ` : '';
+  const types = [].concat(schema.type || []);
+  const valueType = getJsonType(value);
+
+  if (types.length > 0 && !types.includes(valueType) && !(valueType === 'integer' && types.includes('number'))) {
+    return [`${prefix}must be ${types.map(describeType).join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${prefix}must be one of ${schema.enum.join(', ')}`];
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${prefix}must be ${schema.minimum} or more`];
+    if (schema.maximum !== undefined && value > schema.maximum) return [`${prefix}must be ${schema.maximum} or less`];
+  }
+
+  if (typeof value === 'string' && schema.format === 'date' && isNaN(new Date(value).getTime())) {
+    return [`${prefix}must be a date such as 2024-05-01`];
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return [`${prefix}must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`];
+    }
+    if (schema.items) {
+      return [].concat(...value.map((item, index) => validateValue(schema.items, item, `${location}[${index}]`)));
+    }
+  }
+
+  if (valueType === 'object' && schema.properties) {
+    const problems = (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .map(key => `${prefix}"${key}" is required`);
+    Object.keys(value).forEach(key => {
+      const childLocation = location ? `${location}.${key}` : key;
+      if (schema.properties[key]) {
+        problems.push(...validateValue(schema.properties[key], value[key], childLocation));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${childLocation}: unknown option`);
+      }
+    });
+    return problems;
+  }
+
+  return [];
+}
+
+/**
+ * Get the JSON schema type of a value
+ *
+ * @param {*} value - Value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Describe a schema type for a message
+ *
+ * @param {string} type - Schema type
+ * @returns {string} - "a string", "an integer", "null", ...
+ */
+function describeType(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+  OPTION_PROPERTIES,
+  CONFIG_SCHEMA,
+  getDefaultOptions,
+  validateConfig,
+  validateValue
+};
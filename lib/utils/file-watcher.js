@@ -0,0 +1,91 @@
+// lib/utils/file-watcher.js - Watch DOCX files for changes for the --watch option
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Wait after the last change event before reporting a file; Word writes a
+ * document in several steps when it saves
+ */
+const DEFAULT_DEBOUNCE_MS = 500;
+
+/**
+ * Watch a DOCX file, or every DOCX file in a directory tree, for changes
+ * A single file is watched through its directory, because Word saves by
+ * replacing the file. Word's "~$" owner files and other files are ignored,
+ * and bursts of events for one file are reported once.
+ *
+ * @param {string} target - DOCX file or directory
+ * @param {Function} onChange - Called with the path of a changed DOCX file
+ * @param {Object} options - Watch options
+ * @param {number} options.debounce - Quiet time in milliseconds before reporting a change
+ * @returns {Object} - Watcher with close
+ */
+function watchDocxFiles(target, onChange, options = {}) {
+  const debounce = options.debounce || DEFAULT_DEBOUNCE_MS;
+  const isDirectory = fs.statSync(target).isDirectory();
+  const watchedDir = isDirectory ? target : path.dirname(target);
+  const timers = new Map();
+
+  const watcher = fs.watch(watchedDir, { recursive: isDirectory }, (eventType, fileName) => {
+    if (!fileName) return;
+    const filePath = path.join(watchedDir, fileName.toString());
+    if (!isWatchedFile(filePath, isDirectory ? null : target)) return;
+
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      timers.delete(filePath);
+      // Deleted files and files Word is still writing are skipped
+      if (isReadableFile(filePath)) onChange(filePath);
+    }, debounce));
+  });
+
+  watcher.on('error', error => {
+    console.error(`Error watching "${watchedDir}":`, error.message);
+  });
+
+  return {
+    /**
+     * Stop watching and drop pending changes
+     */
+    close() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      watcher.close();
+    }
+  };
+}
+
+/**
+ * Check whether a changed path is a DOCX file to convert
+ *
+ * @param {string} filePath - Changed path
+ * @param {string|null} onlyFile - The watched file, when a single file is watched
+ * @returns {boolean} - True if the file should be converted
+ */
+function isWatchedFile(filePath, onlyFile) {
+  const baseName = path.basename(filePath);
+  if (baseName.startsWith('~$')) return false;
+  if (path.extname(baseName).toLowerCase() !== '.docx') return false;
+  return !onlyFile || path.resolve(filePath) === path.resolve(onlyFile);
+}
+
+/**
+ * Check that a file exists and is not empty
+ *
+ * @param {string} filePath - File path
+ * @returns {boolean} - True if the file can be converted
+ */
+function isReadableFile(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return stats.isFile() && stats.size > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  watchDocxFiles,
+  isWatchedFile
+};
@@ -0,0 +1,257 @@
+// lib/utils/live-server.js - Local HTTP server with live reload for the --serve option
+//
+// Serves the output directory and adds a small script to every HTML page that
+// listens for server-sent events. reload() tells the pages showing a converted
+// file to reload. The output files themselves are not changed.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * URL path of the server-sent events stream
+ */
+const EVENTS_PATH = '/__doc2web/events';
+
+/**
+ * End of a URL path that does not change which page is shown ("/" or "/index.html")
+ */
+const PAGE_PATH_SUFFIX = /\/(?:index\.html)?$/;
+
+/**
+ * Content types by file extension
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Script added to served HTML pages; reloads the page when its file is reconverted
+ */
+const RELOAD_SCRIPT = `<script>
+(function () {
+  var events = new EventSource("${EVENTS_PATH}");
+  events.onmessage = function (event) {
+    var pagePath = decodeURIComponent(location.pathname).replace(${PAGE_PATH_SUFFIX}, "");
+    if (pagePath === event.data) location.reload();
+  };
+})();
+</script>`;
+
+/**
+ * Create a server for a directory that live-reloads its HTML pages
+ *
+ * @param {string} rootDir - Directory to serve
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port (default 8080)
+ * @param {string} options.host - Host to listen on (default 127.0.0.1, this machine only)
+ * @returns {Object} - Server with start, reload and close
+ */
+function createLiveServer(rootDir, options = {}) {
+  const port = options.port || 8080;
+  const host = options.host || '127.0.0.1';
+  const root = path.resolve(rootDir);
+  const clients = new Set();
+
+  const server = http.createServer((request, response) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      sendError(response, 400, 'Bad request');
+      return;
+    }
+
+    if (urlPath === EVENTS_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      response.write('retry: 1000\n\n');
+      clients.add(response);
+      request.on('close', () => clients.delete(response));
+      return;
+    }
+
+    serveFile(root, urlPath, response);
+  });
+
+  return {
+    /**
+     * Start listening
+     * @returns {Promise<string>} - Server URL
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(`http://${host}:${port}/`));
+      });
+    },
+
+    /**
+     * Reload the pages showing a file
+     * The path is sent without a trailing "/" or "/index.html", as the pages
+     * compare it with theirs, so /guide/, /guide and /guide/index.html all match.
+     * @param {string} filePath - Converted HTML file inside the served directory
+     */
+    reload(filePath) {
+      const urlPath = '/' + path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+      const pagePath = urlPath.replace(PAGE_PATH_SUFFIX, '');
+      clients.forEach(client => client.write(`data: ${pagePath}\n\n`));
+    },
+
+    /**
+     * Close the event streams and stop the server
+     * @returns {Promise<void>}
+     */
+    close() {
+      clients.forEach(client => client.end());
+      clients.clear();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Send a file from the served directory, adding the reload script to HTML
+ * Directories show their index.html, or list their HTML pages when they have none
+ *
+ * @param {string} root - Served directory (absolute)
+ * @param {string} urlPath - Decoded URL path
+ * @param {http.ServerResponse} response - Response
+ */
+function serveFile(root, urlPath, response) {
+  const filePath = path.join(root, path.normalize(urlPath));
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    sendError(response, 403, 'Forbidden');
+    return;
+  }
+
+  fs.stat(filePath, (statError, stats) => {
+    if (statError) {
+      sendError(response, 404, 'Not found');
+    } else if (stats.isDirectory()) {
+      if (!urlPath.endsWith('/')) {
+        // Relative links in the page resolve against the directory
+        const location = urlPath.split('/').map(encodeURIComponent).join('/') + '/';
+        response.writeHead(301, { Location: location });
+        response.end();
+        return;
+      }
+      const indexFile = path.join(filePath, 'index.html');
+      fs.stat(indexFile, (indexError, indexStats) => {
+        if (!indexError && indexStats.isFile()) {
+          sendFile(indexFile, response);
+        } else {
+          sendDirectoryListing(root, filePath, response);
+        }
+      });
+    } else {
+      sendFile(filePath, response);
+    }
+  });
+}
+
+/**
+ * Send a file, adding the reload script to HTML
+ *
+ * @param {string} filePath - File path
+ * @param {http.ServerResponse} response - Response
+ */
+function sendFile(filePath, response) {
+  fs.readFile(filePath, (readError, content) => {
+    if (readError) {
+      sendError(response, 500, 'Could not read file');
+      return;
+    }
+    const extension = path.extname(filePath).toLowerCase();
+    const body = extension === '.html' ? injectReloadScript(content.toString('utf8')) : content;
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    });
+    response.end(body);
+  });
+}
+
+/**
+ * Add the reload script to an HTML page
+ *
+ * @param {string} html - HTML page
+ * @returns {string} - HTML with the script before </body>
+ */
+function injectReloadScript(html) {
+  const index = html.lastIndexOf('</body>');
+  return index === -1 ? html + RELOAD_SCRIPT : html.slice(0, index) + RELOAD_SCRIPT + html.slice(index);
+}
+
+/**
+ * Send a page linking to the subdirectories and HTML pages of a directory
+ *
+ * @param {string} root - Served directory (absolute)
+ * @param {string} dirPath - Listed directory
+ * @param {http.ServerResponse} response - Response
+ */
+function sendDirectoryListing(root, dirPath, response) {
+  fs.readdir(dirPath, { withFileTypes: true }, (error, entries) => {
+    if (error) {
+      sendError(response, 500, 'Could not read directory');
+      return;
+    }
+    const base = '/' + path.relative(root, dirPath).split(path.sep).filter(Boolean).map(encodeURIComponent).join('/');
+    const links = entries
+      .filter(entry => entry.isDirectory() || path.extname(entry.name).toLowerCase() === '.html')
+      .map(entry => {
+        const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+        const href = `${base === '/' ? '' : base}/${encodeURIComponent(entry.name)}${entry.isDirectory() ? '/' : ''}`;
+        return `<li><a href="${escapeHtml(href)}">${escapeHtml(name)}</a></li>`;
+      })
+      .join('\n');
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+    response.end(`<!DOCTYPE html><html><head><meta charset="utf-8"><title>doc2web output</title></head><body><ul>\n${links}\n</ul></body></html>`);
+  });
+}
+
+/**
+ * Send a plain text error
+ *
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message
+ */
+function sendError(response, status, message) {
+  response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  response.end(message);
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  createLiveServer,
+  injectReloadScript
+};
@@ -0,0 +1,326 @@
+// lib/utils/marker-utils.js - Position markers carried through the mammoth conversion
+//
+// Mammoth drops most WordprocessingML it does not model (comment ranges, fields,
+// bookmarks on runs, ...). To keep track of where such elements were, marker runs
+// containing a unique token are inserted into a copy of document.xml before the
+// conversion. The tokens survive as text and are turned into empty marker
+// elements in the HTML, which processors can then look up and replace.
+
+const W_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const MARKER_OPEN = '⟦d2w:';
+const MARKER_CLOSE = '⟧';
+const MARKER_PATTERN = /⟦d2w:([a-z0-9-]+):([^⟧]*)⟧/g;
+
+/**
+ * Elements whose content mammoth discards, so markers must be placed outside them
+ */
+const DISCARDED_CONTAINERS = ['del', 'moveFrom'];
+
+/**
+ * Elements that can directly contain runs
+ */
+const RUN_CONTAINERS = ['p', 'hyperlink', 'ins', 'moveTo', 'smartTag', 'fldSimple', 'sdtContent', 'customXml', 'dir', 'bdo'];
+
+/**
+ * Create the text token for a marker
+ *
+ * @param {string} kind - Marker kind (lower-case letters, digits and dashes)
+ * @param {string|number} id - Marker ID
+ * @returns {string} - Marker token
+ */
+function createMarkerToken(kind, id) {
+  return `${MARKER_OPEN}${kind}:${String(id).replace(/⟧/g, '')}${MARKER_CLOSE}`;
+}
+
+/**
+ * Create a run containing a marker token
+ *
+ * @param {Document} xmlDoc - Document XML
+ * @param {string} kind - Marker kind
+ * @param {string|number} id - Marker ID
+ * @returns {Element} - w:r element
+ */
+function createMarkerRun(xmlDoc, kind, id) {
+  const run = xmlDoc.createElementNS(W_NAMESPACE, 'w:r');
+  const text = xmlDoc.createElementNS(W_NAMESPACE, 'w:t');
+  text.setAttribute('xml:space', 'preserve');
+  text.appendChild(xmlDoc.createTextNode(createMarkerToken(kind, id)));
+  run.appendChild(text);
+  return run;
+}
+
+/**
+ * Insert a marker run at the position of an XML node
+ * Markers are moved out of deleted content and into the nearest paragraph when
+ * the node sits between paragraphs (e.g. a comment range starting at body level)
+ *
+ * @param {Element} node - Reference node in document.xml
+ * @param {string} kind - Marker kind
+ * @param {string|number} id - Marker ID
+ * @param {string} position - 'before' or 'after' the node
+ * @returns {boolean} - True if the marker was inserted
+ */
+function insertMarker(node, kind, id, position = 'before') {
+  try {
+    const xmlDoc = node.ownerDocument;
+    const run = createMarkerRun(xmlDoc, kind, id);
+    let reference = node;
+
+    // Mammoth ignores deleted runs, so place the marker beside the deletion
+    let ancestor = reference.parentNode;
+    while (ancestor && ancestor.nodeType === 1) {
+      if (DISCARDED_CONTAINERS.includes(ancestor.localName)) {
+        reference = ancestor;
+      }
+      ancestor = ancestor.parentNode;
+    }
+
+    // A run inside a run (e.g. a marker for a w:fldChar) belongs beside the run
+    if (reference.parentNode && reference.parentNode.localName === 'r') {
+      reference = reference.parentNode;
+    }
+
+    const parent = reference.parentNode;
+    if (!parent) return false;
+
+    if (RUN_CONTAINERS.includes(parent.localName)) {
+      if (position === 'after') {
+        parent.insertBefore(run, reference.nextSibling);
+      } else {
+        parent.insertBefore(run, reference);
+      }
+      return true;
+    }
+
+    // Between paragraphs: use the start of the next or the end of the previous paragraph
+    const nextParagraph = findAdjacentParagraph(reference, 'next');
+    const previousParagraph = findAdjacentParagraph(reference, 'previous');
+
+    if (nextParagraph && (position !== 'after' || !previousParagraph)) {
+      const pPr = firstChildElement(nextParagraph, 'pPr');
+      nextParagraph.insertBefore(run, pPr ? pPr.nextSibling : nextParagraph.firstChild);
+    } else if (previousParagraph) {
+      previousParagraph.appendChild(run);
+    } else {
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error inserting ${kind} marker:`, error);
+    return false;
+  }
+}
+
+/**
+ * Find the nearest paragraph before or after a block-level node
+ *
+ * @param {Node} node - Block-level node
+ * @param {string} direction - 'next' or 'previous'
+ * @returns {Element|null} - w:p element
+ */
+function findAdjacentParagraph(node, direction) {
+  let sibling = direction === 'next' ? node.nextSibling : node.previousSibling;
+  while (sibling) {
+    if (sibling.nodeType === 1) {
+      if (sibling.localName === 'p') return sibling;
+      const paragraphs = sibling.getElementsByTagNameNS(W_NAMESPACE, 'p');
+      if (paragraphs.length > 0) {
+        return direction === 'next' ? paragraphs[0] : paragraphs[paragraphs.length - 1];
+      }
+    }
+    sibling = direction === 'next' ? sibling.nextSibling : sibling.previousSibling;
+  }
+  return null;
+}
+
+/**
+ * Get the first child element with a given local name
+ *
+ * @param {Element} element - Parent element
+ * @param {string} localName - Local name
+ * @returns {Element|null} - Child element
+ */
+function firstChildElement(element, localName) {
+  for (let child = element.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && child.localName === localName) return child;
+  }
+  return null;
+}
+
+/**
+ * Replace marker tokens in the HTML with empty marker elements
+ * Should run right after the HTML DOM is created so no processor sees the tokens
+ *
+ * @param {Document} document - HTML document
+ * @returns {number} - Number of markers resolved
+ */
+function resolveMarkers(document) {
+  let count = 0;
+
+  try {
+    const walker = document.createTreeWalker(document.body, 4 /* NodeFilter.SHOW_TEXT */);
+    const textNodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      if (node.nodeValue.includes(MARKER_OPEN)) textNodes.push(node);
+    }
+
+    textNodes.forEach(textNode => {
+      const text = textNode.nodeValue;
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      let match;
+
+      MARKER_PATTERN.lastIndex = 0;
+      while ((match = MARKER_PATTERN.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+          fragment.appendChild(document.createTextNode(text.substring(lastIndex, match.index)));
+        }
+        const marker = document.createElement('span');
+        marker.className = 'docx-marker';
+        marker.setAttribute('data-marker-kind', match[1]);
+        marker.setAttribute('data-marker-id', match[2]);
+        fragment.appendChild(marker);
+        lastIndex = match.index + match[0].length;
+        count++;
+      }
+
+      if (lastIndex < text.length) {
+        fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+      }
+      textNode.parentNode.replaceChild(fragment, textNode);
+    });
+  } catch (error) {
+    console.error('Error resolving markers:', error);
+  }
+
+  return count;
+}
+
+/**
+ * Find marker elements of a kind
+ *
+ * @param {Document} document - HTML document
+ * @param {string} kind - Marker kind
+ * @returns {Map<string, Element>} - First marker element for each ID
+ */
+function findMarkers(document, kind) {
+  const markers = new Map();
+  document.querySelectorAll(`span.docx-marker[data-marker-kind="${kind}"]`).forEach(marker => {
+    const id = marker.getAttribute('data-marker-id');
+    if (!markers.has(id)) markers.set(id, marker);
+  });
+  return markers;
+}
+
+/**
+ * Wrap the text between two markers
+ * Text nodes are wrapped individually so the result stays valid across
+ * paragraph and table cell boundaries
+ *
+ * @param {Document} document - HTML document
+ * @param {Element} startMarker - Start marker element
+ * @param {Element} endMarker - End marker element
+ * @param {Function} createWrapper - Called with the segment index, returns the wrapper element
+ * @returns {Array<Element>} - Wrapper elements in document order
+ */
+function wrapMarkerRange(document, startMarker, endMarker, createWrapper) {
+  const wrappers = [];
+
+  try {
+    const textNodes = getTextNodesBetween(document, startMarker, endMarker);
+    textNodes.forEach(textNode => {
+      const wrapper = createWrapper(wrappers.length);
+      textNode.parentNode.insertBefore(wrapper, textNode);
+      wrapper.appendChild(textNode);
+      wrappers.push(wrapper);
+    });
+  } catch (error) {
+    console.error('Error wrapping marker range:', error);
+  }
+
+  return wrappers;
+}
+
+/**
+ * Collect the non-blank text nodes between two nodes in document order
+ *
+ * @param {Document} document - HTML document
+ * @param {Node} startNode - Start node (exclusive)
+ * @param {Node} endNode - End node (exclusive)
+ * @returns {Array<Text>} - Text nodes
+ */
+function getTextNodesBetween(document, startNode, endNode) {
+  const textNodes = [];
+  if (!(startNode.compareDocumentPosition(endNode) & 4 /* DOCUMENT_POSITION_FOLLOWING */)) {
+    return textNodes;
+  }
+
+  const walker = document.createTreeWalker(document.body, 4 /* NodeFilter.SHOW_TEXT */);
+  walker.currentNode = startNode;
+  let node;
+  while ((node = walker.nextNode())) {
+    if (endNode.compareDocumentPosition(node) & 4) break; // Past the end marker
+    if (node.nodeValue.trim()) textNodes.push(node);
+  }
+
+  return textNodes;
+}
+
+/**
+ * Remove all remaining marker elements
+ *
+ * @param {Document} document - HTML document
+ */
+function removeMarkers(document) {
+  document.querySelectorAll('span.docx-marker').forEach(marker => {
+    const parent = marker.parentElement;
+    marker.remove();
+
+    // Paragraphs that only existed because of a marker run are dropped, as mammoth would
+    if (parent && parent.tagName.toLowerCase() === 'p' && !parent.textContent.trim() && parent.children.length === 0) {
+      parent.remove();
+    }
+  });
+}
+
+/**
+ * Remove marker tokens from a string (e.g. text extracted from the marked XML)
+ *
+ * @param {string} text - Text possibly containing marker tokens
+ * @returns {string} - Text without markers
+ */
+function stripMarkerTokens(text) {
+  return text ? text.replace(MARKER_PATTERN, '') : text;
+}
+
+/**
+ * Split marker tokens from a string that mammoth copied into an attribute (e.g. image alt text)
+ *
+ * @param {string} text - Text possibly containing marker tokens
+ * @returns {Object} - { text without markers, markers: [{ kind, id }] }
+ */
+function extractMarkerTokens(text) {
+  const markers = [];
+  if (!text) return { text, markers };
+
+  MARKER_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = MARKER_PATTERN.exec(text)) !== null) {
+    markers.push({ kind: match[1], id: match[2] });
+  }
+  return { text: stripMarkerTokens(text), markers };
+}
+
+module.exports = {
+  createMarkerToken,
+  createMarkerRun,
+  insertMarker,
+  resolveMarkers,
+  findMarkers,
+  wrapMarkerRange,
+  getTextNodesBetween,
+  removeMarkers,
+  stripMarkerTokens,
+  extractMarkerTokens
+};
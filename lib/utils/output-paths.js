@@ -0,0 +1,142 @@
+// lib/utils/output-paths.js - Where the files for a converted document are written
+//
+// The HTML path of each document comes from a name template relative to the
+// output directory, such as "{dir}/{name}.html" (the default, mirroring the
+// input tree), "{name}.html" (flat) or "{dir}/{slug}/index.html" (pretty
+// URLs). The other outputs are written beside the HTML file with the same
+// base name. Input directories are reduced to safe relative paths, so
+// absolute and "../" inputs always land inside the output directory.
+
+const path = require('path');
+
+/**
+ * Default name template: mirror the input directories
+ */
+const DEFAULT_NAME_TEMPLATE = '{dir}/{name}.html';
+
+/**
+ * Name template of the --flat option
+ */
+const FLAT_NAME_TEMPLATE = '{name}.html';
+
+/**
+ * Placeholders a name template can use
+ */
+const TEMPLATE_PLACEHOLDERS = ['dir', 'name', 'slug'];
+
+/**
+ * Check a name template
+ *
+ * @param {string} template - Name template
+ * @returns {string|null} - What is wrong with the template, or null if it is valid
+ */
+function validateNameTemplate(template) {
+  if (!template || !template.endsWith('.html')) {
+    return 'The name template must end in ".html", for example "{dir}/{slug}/index.html".';
+  }
+  const unknown = (template.match(/\{[^}]*\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder {${unknown[0]}} in the name template. Use {dir}, {name} or {slug}.`;
+  }
+  if (!template.includes('{name}') && !template.includes('{slug}')) {
+    return 'The name template must contain {name} or {slug} so each document gets its own file.';
+  }
+  return null;
+}
+
+/**
+ * Get the output paths for an input file
+ *
+ * @param {string} inputFilePath - Input file path
+ * @param {Object} options - Output options
+ * @param {string} options.outDir - Output directory
+ * @param {string} options.nameTemplate - Name template for the HTML file
+ * @returns {Object} - Output directory and HTML, CSS, Markdown, comments, form data and revision report file paths
+ */
+function resolveOutputPaths(inputFilePath, options) {
+  const outDir = options.outDir;
+  const fileName = path.basename(inputFilePath, path.extname(inputFilePath));
+  const values = {
+    dir: toSafeRelativePath(path.dirname(inputFilePath)),
+    name: fileName.replace(/[\\/]/g, '_'),
+    slug: slugify(fileName)
+  };
+
+  const relativeHtml = (options.nameTemplate || DEFAULT_NAME_TEMPLATE)
+    .replace(/\{(dir|name|slug)\}/g, (match, key) => values[key]);
+  const htmlFile = path.join(outDir, toSafeRelativePath(relativeHtml) || 'index.html');
+
+  if (!isInsideDirectory(htmlFile, outDir)) {
+    throw new Error(`Output path "${htmlFile}" is outside the output directory "${outDir}"`);
+  }
+
+  const directory = path.dirname(htmlFile);
+  const baseName = path.basename(htmlFile, '.html');
+  const sibling = suffix => path.join(directory, `${baseName}${suffix}`);
+
+  return {
+    directory,
+    htmlFile,
+    cssFile: sibling('.css'),
+    markdownFile: sibling('.md'),
+    commentsFile: sibling('.comments.json'),
+    formDataFile: sibling('.form.json'),
+    revisionsHtmlFile: sibling('.revisions.html'),
+    revisionsJsonFile: sibling('.revisions.json')
+  };
+}
+
+/**
+ * Reduce a path to a relative path without root, drive, "." or ".." segments
+ *
+ * @param {string} filePath - Path, absolute or relative
+ * @returns {string} - Relative path ('' for none)
+ */
+function toSafeRelativePath(filePath) {
+  return filePath
+    .replace(/^[a-zA-Z]:/, '')
+    .split(/[\\/]+/)
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join(path.sep);
+}
+
+/**
+ * Turn a file name into a URL-friendly slug ("Annual Report (Final)" becomes "annual-report-final")
+ *
+ * @param {string} name - File name without extension
+ * @returns {string} - Slug
+ */
+function slugify(name) {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'document';
+}
+
+/**
+ * Check whether a path is inside a directory
+ *
+ * @param {string} filePath - Path
+ * @param {string} directory - Directory
+ * @returns {boolean} - True if filePath is the directory or inside it
+ */
+function isInsideDirectory(filePath, directory) {
+  const root = path.resolve(directory);
+  const resolved = path.resolve(filePath);
+  return resolved === root || resolved.startsWith(root + path.sep);
+}
+
+module.exports = {
+  DEFAULT_NAME_TEMPLATE,
+  FLAT_NAME_TEMPLATE,
+  validateNameTemplate,
+  resolveOutputPaths,
+  toSafeRelativePath,
+  slugify,
+  isInsideDirectory
+};
@@ -0,0 +1,93 @@
+// lib/utils/profiler.js - Stage timings for the --profile option
+
+/**
+ * Create a profiler that records how long each conversion stage takes
+ * Stages are recorded with lap(): each lap measures the time since the
+ * previous one. A disabled profiler records nothing.
+ *
+ * @param {boolean} enabled - Whether to record timings
+ * @returns {Object} - Profiler with lap, count and getReport
+ */
+function createProfiler(enabled = false) {
+  const stages = [];
+  const counters = {};
+  const startTime = process.hrtime.bigint();
+  let lastTime = startTime;
+
+  return {
+    enabled,
+
+    /**
+     * Record the time since the previous lap under a stage name
+     * @param {string} stage - Stage name
+     */
+    lap(stage) {
+      if (!enabled) return;
+      const now = process.hrtime.bigint();
+      stages.push({ stage, ms: toMilliseconds(now - lastTime) });
+      lastTime = now;
+    },
+
+    /**
+     * Set a counter reported with the timings (e.g. parts parsed)
+     * @param {string} name - Counter name
+     * @param {number} value - Counter value
+     */
+    count(name, value) {
+      if (!enabled) return;
+      counters[name] = value;
+    },
+
+    /**
+     * Get the recorded timings
+     * @returns {Object|null} - Stages, counters, total time and heap usage, or null when disabled
+     */
+    getReport() {
+      if (!enabled) return null;
+      return {
+        stages,
+        counters,
+        totalMs: toMilliseconds(process.hrtime.bigint() - startTime),
+        heapUsedMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+      };
+    }
+  };
+}
+
+/**
+ * Convert a nanosecond duration to milliseconds with one decimal
+ *
+ * @param {bigint} nanoseconds - Duration
+ * @returns {number} - Milliseconds
+ */
+function toMilliseconds(nanoseconds) {
+  return Math.round(Number(nanoseconds) / 1e5) / 10;
+}
+
+/**
+ * Format a profile report as a text table
+ *
+ * @param {Object} report - Report from getReport
+ * @returns {string} - Formatted report
+ */
+function formatProfileReport(report) {
+  if (!report) return '';
+
+  const width = Math.max(...report.stages.map(entry => entry.stage.length), 'Total'.length);
+  const lines = report.stages.map(entry => {
+    const share = report.totalMs > 0 ? Math.round((entry.ms / report.totalMs) * 100) : 0;
+    return `  ${entry.stage.padEnd(width)}  ${entry.ms.toFixed(1).padStart(9)} ms  ${String(share).padStart(3)}%`;
+  });
+  lines.push(`  ${'Total'.padEnd(width)}  ${report.totalMs.toFixed(1).padStart(9)} ms`);
+
+  const counters = Object.entries(report.counters).map(([name, value]) => `${name}: ${value}`);
+  counters.push(`heap used: ${report.heapUsedMb} MB`);
+  lines.push(`  ${counters.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  createProfiler,
+  formatProfileReport
+};
@@ -14,6 +14,18 @@ function convertTwipToPt(twip) {
   return twipNum / 20;
 }
 
+/**
+ * Convert English Metric Units to CSS pixels
+ * DrawingML sizes and offsets are in EMUs (914400 per inch, 9525 per pixel at 96 dpi)
+ *
+ * @param {string|number} emu - Value in EMUs
+ * @returns {number} - Value in pixels, rounded to two decimals
+ */
+function convertEmuToPx(emu) {
+  const emuNum = parseInt(emu, 10) || 0;
+  return Math.round((emuNum / 9525) * 100) / 100;
+}
+
 /**
  * Convert border size to point value
  * DOCX uses 1/8th points for border sizes
@@ -55,6 +67,7 @@ function getBorderTypeValue(value) {
 
 module.exports = {
   convertTwipToPt,
+  convertEmuToPx,
   convertBorderSizeToPt,
   getBorderTypeValue
 };
\ No newline at end of file
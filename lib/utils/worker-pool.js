@@ -0,0 +1,104 @@
+// lib/utils/worker-pool.js - Fixed-size pool of worker threads for batch conversion
+
+const { Worker } = require('worker_threads');
+
+/**
+ * Create a pool that runs tasks on up to `size` worker threads
+ * Each worker runs `script` with `workerData`, receives one task at a time as
+ * a message and answers with one message holding the result. A worker that
+ * crashes fails its task and is replaced for the tasks still queued.
+ *
+ * @param {string} script - Path of the worker script
+ * @param {number} size - Maximum number of workers
+ * @param {Object} workerData - Data passed to every worker
+ * @returns {Object} - Pool with run and close
+ */
+function createWorkerPool(script, size, workerData = {}) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let closing = false;
+
+  /**
+   * Start a worker and wire up its events
+   * @returns {Worker} - New worker
+   */
+  function spawn() {
+    const worker = new Worker(script, { workerData });
+    worker.job = null;
+    workers.add(worker);
+
+    worker.on('message', result => {
+      const { job } = worker;
+      worker.job = null;
+      idle.push(worker);
+      if (job) job.resolve(result);
+      dispatch();
+    });
+
+    worker.on('error', error => {
+      const { job } = worker;
+      worker.job = null;
+      if (job) job.reject(error);
+    });
+
+    worker.on('exit', code => {
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+      if (worker.job) {
+        worker.job.reject(new Error(`Worker stopped with exit code ${code}`));
+        worker.job = null;
+      }
+      if (!closing) dispatch();
+    });
+
+    return worker;
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   */
+  function dispatch() {
+    while (queue.length > 0) {
+      if (idle.length === 0 && workers.size < size) idle.push(spawn());
+      if (idle.length === 0) return;
+
+      const worker = idle.shift();
+      const job = queue.shift();
+      worker.job = job;
+      worker.postMessage(job.task);
+    }
+  }
+
+  return {
+    size,
+
+    /**
+     * Run a task on the next free worker
+     * @param {*} task - Message sent to the worker
+     * @returns {Promise<*>} - The worker's reply
+     */
+    run(task) {
+      if (closing) return Promise.reject(new Error('Worker pool is closed'));
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Stop all workers; queued tasks are rejected
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closing = true;
+      queue.splice(0).forEach(job => job.reject(new Error('Worker pool is closed')));
+      await Promise.all(Array.from(workers).map(worker => worker.terminate()));
+    }
+  };
+}
+
+module.exports = {
+  createWorkerPool
+};
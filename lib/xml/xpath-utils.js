@@ -13,7 +13,12 @@ const NAMESPACES = {
   m: 'http://schemas.openxmlformats.org/officeDocument/2006/math',
   v: 'urn:schemas-microsoft-com:vml',
   wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
-  mc: 'http://schemas.openxmlformats.org/markup-compatibility/2006'
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  mc: 'http://schemas.openxmlformats.org/markup-compatibility/2006',
+  wps: 'http://schemas.microsoft.com/office/word/2010/wordprocessingShape',
+  w10: 'urn:schemas-microsoft-com:office:word',
+  w14: 'http://schemas.microsoft.com/office/word/2010/wordml',
+  c: 'http://schemas.openxmlformats.org/drawingml/2006/chart'
 };
 
 /**